@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// src/cli/runSuite.js
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+import { ZodError } from "zod";
+import { runTestsSchema } from "../schemas/validation.js";
+import { runTestSuite } from "../services/runner.service.js";
+import { buildRunVariables } from "../config/environments.js";
+import { describeFailure, renderReport, REPORT_FORMATS } from "../services/report.service.js";
+
+const USAGE = `Usage: run-suite <suite.json|suite.yaml> [options]
+
+Runs a saved suite headlessly (no server, no UI) and exits non-zero on failures.
+
+Options:
+  -t, --target <url>          Base URL for relative endpoints
+  -e, --env <name>            Named environment (see environments.json)
+      --var <key=value>       Variable override, repeatable
+  -c, --concurrency <n>       Parallel requests (1-50, default 5)
+      --fail-threshold <n|%>  Allowed failures+errors before exiting 1 (default 0)
+      --category <list>       Only run these categories (comma separated, repeatable)
+      --tag <list>            Only run cases with one of these tags (comma separated, repeatable)
+      --report-dir <dir>      Directory for reports (default ./reports)
+      --report <format>       Report to write: junit, html, markdown, json (comma separated, repeatable)
+      --no-color              Disable ANSI colors
+  -h, --help                  Show this help
+
+Exit codes: 0 = within threshold, 1 = too many failures, 2 = usage/config error`;
+
+/* -------------------------
+   Output helpers
+-------------------------*/
+const useColor = !process.argv.includes("--no-color") && !process.env.NO_COLOR && process.stdout.isTTY !== false;
+const paint = (code) => (text) => (useColor ? `\x1b[${code}m${text}\x1b[0m` : String(text));
+const c = { green: paint(32), red: paint(31), yellow: paint(33), cyan: paint(36), dim: paint(2), bold: paint(1) };
+
+class UsageError extends Error {}
+
+/* -------------------------
+   Argument parsing
+-------------------------*/
+// "3" -> 3 failures allowed, "10%" -> 10% of the executed cases;
+// checked before anything runs
+const parseThreshold = (raw) => {
+  const text = String(raw).trim();
+  const percent = text.endsWith("%");
+  const digits = percent ? text.slice(0, -1).trim() : text;
+  const value = Number(digits);
+  const valid = digits !== "" && Number.isFinite(value) && value >= 0
+    && (percent ? value <= 100 : Number.isInteger(value));
+  if (!valid) throw new UsageError(`Invalid --fail-threshold "${raw}" (a whole number of failures, or a percentage up to 100%)`);
+  return { value, percent };
+};
+
+const parseCli = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      target: { type: "string", short: "t" },
+      env: { type: "string", short: "e" },
+      var: { type: "string", multiple: true },
+      concurrency: { type: "string", short: "c" },
+      "fail-threshold": { type: "string" },
+      category: { type: "string", multiple: true },
+      tag: { type: "string", multiple: true },
+      "report-dir": { type: "string" },
+      report: { type: "string", multiple: true },
+      "no-color": { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new UsageError("Expected exactly one suite file");
+
+  const variables = {};
+  for (const pair of values.var || []) {
+    const idx = pair.indexOf("=");
+    if (idx < 1) throw new UsageError(`Invalid --var "${pair}", expected key=value`);
+    variables[pair.slice(0, idx)] = pair.slice(idx + 1);
+  }
+
+  const splitList = (list) => (list || []).flatMap((v) => v.split(",")).map((v) => v.trim()).filter(Boolean);
+
+  const reports = splitList(values.report).map((f) => f.toLowerCase());
+  const unknown = reports.find((f) => !Object.hasOwn(REPORT_FORMATS, f));
+  if (unknown) throw new UsageError(`Unknown report format "${unknown}" (use ${Object.keys(REPORT_FORMATS).join(", ")})`);
+
+  return {
+    suiteFile: positionals[0],
+    targetUrl: values.target,
+    environment: values.env,
+    variables,
+    concurrency: values.concurrency !== undefined ? Number(values.concurrency) : undefined,
+    failThreshold: parseThreshold(values["fail-threshold"] ?? "0"),
+    categories: splitList(values.category),
+    tags: splitList(values.tag),
+    reportDir: values["report-dir"] || "reports",
+    reports,
+  };
+};
+
+/* -------------------------
+   Suite loading
+   Accepts a saved suite document ({ name, testCases, targetUrl, environment, auth, policy })
+   or a bare array of test cases, in JSON or YAML.
+-------------------------*/
+const loadSuiteFile = (file) => {
+  const full = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(full)) throw new UsageError(`Suite file not found: ${file}`);
+  const text = fs.readFileSync(full, "utf8");
+  let parsed;
+  try {
+    parsed = /\.ya?ml$/i.test(full) ? yaml.load(text) : JSON.parse(text);
+  } catch (err) {
+    throw new UsageError(`Unable to parse ${file}: ${err.message}`);
+  }
+  const suite = Array.isArray(parsed) ? { testCases: parsed } : parsed;
+  if (!suite || !Array.isArray(suite.testCases)) throw new UsageError(`${file} has no "testCases" array`);
+  return { name: suite.name || path.basename(full), ...suite };
+};
+
+const filterCases = (testCases, { categories, tags }) => testCases.filter((tc) => {
+  if (categories.length && !categories.includes(tc.category)) return false;
+  if (tags.length && !(tc.tags || []).some((t) => tags.includes(t))) return false;
+  return true;
+});
+
+// parsed threshold -> failures allowed out of `total` executed cases
+const resolveThreshold = ({ value, percent }, total) => (percent ? Math.floor((value / 100) * total) : value);
+
+/* -------------------------
+   Reporting
+-------------------------*/
+const printResult = (r) => {
+  const icon = r.status.includes("PASSED") ? c.green("✔") : r.status.includes("ERROR") ? c.yellow("!") : c.red("✘");
+  console.log(`  ${icon} ${c.bold(r.id)} ${r.description || ""} ${c.dim(r.duration || "")}`);
+  if (r.status.includes("PASSED")) return;
+
+  const details = describeFailure(r);
+  for (const d of details) console.log(`      ${c.red(d)}`);
+};
+
+const writeReports = (formats, dir, run) => {
+  if (!formats.length) return [];
+
+  fs.mkdirSync(path.resolve(process.cwd(), dir), { recursive: true });
+  return formats.map((format) => {
+    const report = renderReport(run, format);
+    const out = path.resolve(process.cwd(), dir, `results.${report.extension}`);
+    fs.writeFileSync(out, report.body, "utf8");
+    return out;
+  });
+};
+
+/* -------------------------
+   Main
+-------------------------*/
+export const main = async (argv = process.argv.slice(2)) => {
+  const args = parseCli(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const suite = loadSuiteFile(args.suiteFile);
+  const selected = filterCases(suite.testCases, args);
+  if (!selected.length) throw new UsageError("No test cases match the given filters");
+
+  const input = runTestsSchema.parse({
+    testCases: selected,
+    targetUrl: args.targetUrl || suite.targetUrl,
+    environment: args.environment || suite.environment,
+    variables: args.variables,
+    auth: suite.auth,
+    policy: suite.policy,
+    concurrency: args.concurrency,
+  });
+  const { environment: env, variables, secretValues } = buildRunVariables(input.environment, input.variables);
+  const targetUrl = input.targetUrl || env?.baseUrl;
+
+  console.log(c.cyan(`▶ ${suite.name}: ${input.testCases.length} cases against ${targetUrl || "(absolute endpoints)"}${env ? ` [${env.name}]` : ""}`));
+
+  const data = await runTestSuite(input.testCases, targetUrl, input.concurrency, {
+    variables,
+    secretValues,
+    environment: env?.name,
+    auth: input.auth,
+    policy: input.policy,
+    writeSuggestions: false,
+  });
+
+  data.results.forEach(printResult);
+
+  const { summary } = data;
+  const failures = summary.failed + summary.errors;
+  const threshold = resolveThreshold(args.failThreshold, summary.total);
+  console.log(
+    `\n${c.bold("Summary:")} ${c.green(`${summary.passed} passed`)}, ${c.red(`${summary.failed} failed`)}, ` +
+    `${c.yellow(`${summary.errors} errors`)} of ${summary.total} (threshold ${threshold})`
+  );
+
+  const run = { suiteName: suite.name, createdAt: new Date().toISOString(), ...data };
+  for (const file of writeReports(args.reports, args.reportDir, run)) console.log(c.dim(`Report written: ${file}`));
+
+  return failures > threshold ? 1 : 0;
+};
+
+// resolve symlinks so the npm "bin" shim counts as running this file
+const isEntryPoint = process.argv[1] && fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+if (isEntryPoint) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      if (err instanceof UsageError || err?.code?.startsWith?.("ERR_PARSE_ARGS")) {
+        console.error(c.red(err.message));
+        console.error(USAGE);
+      } else if (err instanceof ZodError) {
+        console.error(c.red("Invalid suite:"));
+        for (const e of err.errors) console.error(c.red(`  ${e.path.join(".")}: ${e.message}`));
+      } else {
+        console.error(c.red(err?.message || String(err)));
+      }
+      process.exit(2);
+    });
+}
@@ -2,14 +2,38 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-if (!process.env.NVIDIA_API_KEY) {
-  console.error("❌ FATAL: NVIDIA_API_KEY missing in .env");
-  process.exit(1);
-}
+const numberOr = (value, fallback) => {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+};
 
 export const config = {
   port: process.env.PORT || 3000,
   nvidiaKey: process.env.NVIDIA_API_KEY,
+  // LLM provider (see config/llm.js). Every field is optional: with no key
+  // the server starts in no-AI mode and uses the rule-based generator.
+  llm: {
+    provider: process.env.LLM_PROVIDER?.toLowerCase(),
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    model: process.env.LLM_MODEL,
+    temperature: numberOr(process.env.LLM_TEMPERATURE, 0.2),
+    maxTokens: numberOr(process.env.LLM_MAX_TOKENS, 2048),
+    timeoutMs: numberOr(process.env.LLM_TIMEOUT_MS, 60000),
+    // extra round-trips asking the model to fix output that fails validation
+    repairAttempts: numberOr(process.env.LLM_REPAIR_ATTEMPTS, 2),
+    offlineFixture: process.env.LLM_OFFLINE_FIXTURE,
+  },
+  // Stateful mock server (see services/mock.service.js): a JSON/YAML definition
+  // or OpenAPI file; the built-in /users mock is used when unset
+  mock: {
+    prefix: process.env.MOCK_PREFIX || "/",
+    definitionFile: process.env.MOCK_DEFINITION,
+    // fixed seed for fault injection (services/fault.service.js); random when unset
+    faultSeed: process.env.MOCK_FAULT_SEED,
+  },
+  dataDir: process.env.DATA_DIR || "data",
+  environmentsFile: process.env.ENVIRONMENTS_FILE || "environments.json",
   allowedOrigins: process.env.ALLOWED_ORIGINS?.split(",") || [
     "http://localhost:5173",
   ],
@@ -0,0 +1,95 @@
+// src/config/environments.js
+import fs from "fs";
+import path from "path";
+import { config } from "./env.js";
+
+/**
+ * Named run environments (dev / staging / local ...), read from a JSON file:
+ *
+ * {
+ *   "staging": {
+ *     "baseUrl": "https://staging.example.com",
+ *     "variables": { "tenant": "acme" },
+ *     "secrets": { "authToken": "${STAGING_TOKEN}" }
+ *   }
+ * }
+ *
+ * Secret values may reference process env vars with ${NAME} so the real
+ * credentials stay in .env. The file is re-read on every lookup so edits
+ * apply without a restart.
+ */
+
+const DEFAULT_ENVIRONMENTS = {
+  local: { baseUrl: `http://localhost:${config.port}`, variables: {}, secrets: {} },
+};
+
+const interpolateEnv = (value) => {
+  if (typeof value !== "string") return value;
+  return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, name) => process.env[name] ?? "");
+};
+
+const readEnvironmentsFile = () => {
+  const file = path.resolve(process.cwd(), config.environmentsFile);
+  if (!fs.existsSync(file)) return DEFAULT_ENVIRONMENTS;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    return parsed && typeof parsed === "object" ? parsed : DEFAULT_ENVIRONMENTS;
+  } catch (err) {
+    console.warn(`Unable to read environments file ${file}:`, err.message);
+    return DEFAULT_ENVIRONMENTS;
+  }
+};
+
+const normalizeEnvironment = (name, raw = {}) => {
+  const secrets = {};
+  for (const [k, v] of Object.entries(raw.secrets || {})) secrets[k] = interpolateEnv(v);
+  return {
+    name,
+    baseUrl: raw.baseUrl ? interpolateEnv(raw.baseUrl) : undefined,
+    variables: { ...(raw.variables || {}) },
+    secrets,
+  };
+};
+
+export const getEnvironment = (name) => {
+  if (!name) return null;
+  const all = readEnvironmentsFile();
+  if (!Object.prototype.hasOwnProperty.call(all, name)) {
+    throw Object.assign(new Error(`Unknown environment: ${name}`), { status: 400 });
+  }
+  return normalizeEnvironment(name, all[name]);
+};
+
+/**
+ * listEnvironments
+ * - Safe for the UI: secret values are never returned, only their names.
+ */
+export const listEnvironments = () => {
+  const all = readEnvironmentsFile();
+  return Object.keys(all).map((name) => {
+    const env = normalizeEnvironment(name, all[name]);
+    return {
+      name,
+      baseUrl: env.baseUrl || null,
+      variables: env.variables,
+      secrets: Object.keys(env.secrets),
+    };
+  });
+};
+
+/**
+ * buildRunVariables
+ * - Merges an environment with per-run overrides into one variable map.
+ * - Returns the secret values separately so results can be redacted.
+ */
+export const buildRunVariables = (environmentName, overrides = {}) => {
+  const env = getEnvironment(environmentName);
+  const variables = {
+    ...(env?.baseUrl ? { baseUrl: env.baseUrl } : {}),
+    ...(env?.variables || {}),
+    ...(env?.secrets || {}),
+    ...overrides,
+  };
+  const secretValues = Object.values(env?.secrets || {}).filter((v) => typeof v === "string" && v.length >= 4);
+  return { environment: env, variables, secretValues };
+};
@@ -0,0 +1,187 @@
+// src/config/llm.js
+import fs from "fs";
+import path from "path";
+import OpenAI from "openai";
+import { config } from "./env.js";
+
+const SYSTEM_PROMPT = "You are a strict QA engineer. You output ONLY JSON when asked.";
+
+/* ------------------------------------------------------------------
+   Presets for OpenAI-compatible endpoints
+   LLM_BASE_URL / LLM_MODEL override any of these, so a local
+   llama.cpp server is just LLM_PROVIDER=openai + LLM_BASE_URL.
+-------------------------------------------------------------------*/
+const PRESETS = {
+  nvidia: {
+    baseUrl: "https://integrate.api.nvidia.com/v1",
+    model: "meta/llama3-8b-instruct",
+    apiKey: () => config.nvidiaKey || config.llm.apiKey,
+  },
+  openai: {
+    baseUrl: undefined, // SDK default (api.openai.com)
+    model: "gpt-4o-mini",
+    // a self-hosted server (LLM_BASE_URL) may need no key; the SDK still wants one
+    apiKey: (options) => config.llm.apiKey || (options.baseUrl ? "none" : undefined),
+  },
+  ollama: {
+    baseUrl: "http://localhost:11434/v1",
+    model: "llama3",
+    // Ollama ignores the key but the SDK refuses to send a request without one
+    apiKey: () => config.llm.apiKey || "ollama",
+  },
+};
+
+/* ------------------------------------------------------------------
+   Adapters
+   Every provider exposes { name, model, enabled, complete(prompt, context),
+   stream(prompt, context) } where complete() resolves to the raw completion
+   text and stream() is an async iterable of text chunks.
+   context.signal aborts the underlying request.
+-------------------------------------------------------------------*/
+const createOpenAiCompatible = (name, preset, options) => {
+  const baseURL = options.baseUrl || preset.baseUrl;
+  const model = options.model || preset.model;
+  const client = new OpenAI({ apiKey: preset.apiKey(options), baseURL, timeout: options.timeoutMs });
+  const request = (prompt, system) => ({
+    model,
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: prompt },
+    ],
+    temperature: options.temperature,
+    max_tokens: options.maxTokens,
+  });
+
+  return {
+    name,
+    model,
+    enabled: true,
+    async complete(prompt, { system = SYSTEM_PROMPT, signal } = {}) {
+      try {
+        const completion = await client.chat.completions.create(request(prompt, system), { signal });
+        return completion.choices?.[0]?.message?.content ?? "";
+      } catch (error) {
+        console.error(`LLM (${name}) Error:`, error.error?.message, error.status, error.message);
+        throw error;
+      }
+    },
+    async *stream(prompt, { system = SYSTEM_PROMPT, signal } = {}) {
+      try {
+        const chunks = await client.chat.completions.create({ ...request(prompt, system), stream: true }, { signal });
+        for await (const chunk of chunks) {
+          const text = chunk.choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      } catch (error) {
+        console.error(`LLM (${name}) Stream Error:`, error.error?.message, error.status, error.message);
+        throw error;
+      }
+    },
+  };
+};
+
+const OFFLINE_CHUNK_SIZE = 64;
+
+// Deterministic stand-in for tests: replays a fixture file, or builds the
+// same cases from the spec every time. Never touches the network.
+const createOffline = (options) => {
+  let fixture = null;
+  if (options.offlineFixture) {
+    // a bad path must not take the server (or the CLI) down at startup
+    try {
+      fixture = fs.readFileSync(path.resolve(process.cwd(), options.offlineFixture), "utf8");
+    } catch (error) {
+      console.warn(`⚠️  LLM_OFFLINE_FIXTURE unreadable (${error.message}); AI disabled`);
+      return createDisabled(`offline fixture ${options.offlineFixture} unreadable: ${error.code || error.message}`);
+    }
+  }
+
+  const provider = {
+    name: "offline",
+    model: fixture ? `fixture:${path.basename(options.offlineFixture)}` : "deterministic",
+    enabled: true,
+    async complete(prompt, { spec = {} } = {}) {
+      if (fixture !== null) return fixture;
+
+      const method = String(spec.method || "GET").toUpperCase();
+      const endpoint = spec.endpoint || "/";
+      const ok = spec.expected_response?.status || (method === "POST" ? 201 : 200);
+      const request = (headers, body = spec.body ?? null) => ({ method, endpoint, headers, body });
+      const auth = { "Content-Type": "application/json", Authorization: "Bearer {{authToken}}" };
+
+      const cases = [
+        { category: "valid", description: "Valid request with auth", request: request(auth), status: ok },
+        { category: "valid", description: "Valid request repeated (idempotency)", request: request(auth), status: ok },
+        { category: "invalid", description: "Missing Authorization header", request: request({ "Content-Type": "application/json" }), status: 401 },
+        { category: "invalid", description: "Malformed bearer token", request: request({ ...auth, Authorization: "Bearer invalid" }), status: 401 },
+        { category: "boundary", description: "Empty body", request: request(auth, {}), status: 400 },
+        { category: "boundary", description: "Oversized string field", request: request(auth, { value: "x".repeat(1024) }), status: 400 },
+        { category: "security", description: "SQL injection in body", request: request(auth, { value: "' OR '1'='1" }), status: 400 },
+        { category: "security", description: "XSS payload in body", request: request(auth, { value: "<script>alert(1)</script>" }), status: 400 },
+      ];
+
+      return JSON.stringify(cases.map((c, i) => ({
+        id: `TC_${String(i + 1).padStart(3, "0")}`,
+        category: c.category,
+        description: c.description,
+        request: c.request,
+        expected_response: { status: c.status },
+      })));
+    },
+    // same text as complete(), in fixed-size chunks
+    async *stream(prompt, context = {}) {
+      const text = await provider.complete(prompt, context);
+      for (let i = 0; i < text.length; i += OFFLINE_CHUNK_SIZE) {
+        if (context.signal?.aborted) return;
+        yield text.slice(i, i + OFFLINE_CHUNK_SIZE);
+      }
+    },
+  };
+  return provider;
+};
+
+// No-AI mode: callers check `enabled` and use the rule-based generator instead
+const createDisabled = (reason) => ({
+  name: "none",
+  model: null,
+  enabled: false,
+  reason,
+  async complete() {
+    throw Object.assign(new Error(`AI generation is disabled: ${reason}`), { status: 503 });
+  },
+  async *stream() {
+    throw Object.assign(new Error(`AI generation is disabled: ${reason}`), { status: 503 });
+  },
+});
+
+/* ------------------------------------------------------------------
+   Provider selection
+   LLM_PROVIDER wins; otherwise the first configured key picks one.
+-------------------------------------------------------------------*/
+export const createProvider = (options = config.llm) => {
+  const requested = options.provider
+    || (config.nvidiaKey ? "nvidia" : options.apiKey ? "openai" : "none");
+
+  if (requested === "none") return createDisabled("no LLM provider configured");
+  if (requested === "offline") return createOffline(options);
+
+  const preset = PRESETS[requested];
+  if (!preset) {
+    console.warn(`⚠️  Unknown LLM_PROVIDER "${requested}" (use ${[...Object.keys(PRESETS), "offline", "none"].join(", ")}); AI disabled`);
+    return createDisabled(`unknown provider "${requested}"`);
+  }
+  if (!preset.apiKey(options)) {
+    console.warn(`⚠️  LLM_PROVIDER=${requested} but no API key set; AI disabled`);
+    return createDisabled(`missing API key for ${requested}`);
+  }
+  return createOpenAiCompatible(requested, preset, options);
+};
+
+export const llm = createProvider();
+
+export const describeProvider = () => ({
+  provider: llm.name,
+  model: llm.model,
+  enabled: llm.enabled,
+  ...(llm.reason ? { reason: llm.reason } : {}),
+});
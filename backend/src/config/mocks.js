@@ -0,0 +1,48 @@
+// src/config/mocks.js
+import fs from "fs";
+import path from "path";
+import { config } from "./env.js";
+
+/**
+ * Mock server definition, read from MOCK_DEFINITION (JSON, YAML or an
+ * OpenAPI file). Without one, the built-in definition below reproduces
+ * the original /users stand-in:
+ *
+ * resources:
+ *   users:
+ *     fields:
+ *       email: { type: string, format: email, required: true, unique: true }
+ *     seed:
+ *       - { name: Alice, email: alice@example.com }
+ *     pagination: { defaultLimit: 20, maxLimit: 100 }
+ * overrides:
+ *   - { method: DELETE, path: /users/:id, status: 403 }
+ */
+export const DEFAULT_MOCK_DEFINITION = {
+  resources: {
+    users: {
+      fields: {
+        name: { type: "string", required: true, minLength: 1, maxLength: 200 },
+        email: { type: "string", required: true, format: "email", unique: true },
+      },
+      seed: [
+        { name: "Test User", email: "alice@example.com" },
+        { name: "Test User", email: "bob@test.org" },
+      ],
+      timestamps: true,
+      rejectSuspiciousInput: true,
+    },
+  },
+};
+
+// Raw file text (parsed by the mock service) or the built-in definition
+export const loadMockDefinition = () => {
+  if (!config.mock.definitionFile) return DEFAULT_MOCK_DEFINITION;
+  const file = path.resolve(process.cwd(), config.mock.definitionFile);
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (err) {
+    console.warn(`Unable to read mock definition ${file}:`, err.message);
+    return DEFAULT_MOCK_DEFINITION;
+  }
+};
@@ -0,0 +1,10 @@
+// src/controllers/environment.controller.js
+import { listEnvironments } from "../config/environments.js";
+
+export const list = async (req, res, next) => {
+  try {
+    return res.json({ success: true, environments: listEnvironments() });
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -0,0 +1,21 @@
+// src/controllers/export.controller.js
+import { getSuite } from "../services/suite.service.js";
+import { renderExport } from "../services/export.service.js";
+
+const download = (format) => async (req, res, next) => {
+  try {
+    const suite = await getSuite(req.params.id);
+    const file = renderExport(suite, format, { client: req.query.client ? String(req.query.client).toLowerCase() : undefined });
+
+    res.setHeader("Content-Type", file.contentType);
+    // ?inline=true shows the file in the browser instead of downloading it
+    if (req.query.inline !== "true") res.setHeader("Content-Disposition", `attachment; filename="${file.filename}"`);
+    return res.send(file.body);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const postman = download("postman");
+export const k6 = download("k6");
+export const jest = download("jest");
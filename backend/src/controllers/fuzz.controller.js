@@ -0,0 +1,71 @@
+// src/controllers/fuzz.controller.js
+import { fuzzSchema } from "../schemas/validation.js";
+import { runFuzz, discoverFields } from "../services/fuzz.service.js";
+import { buildRunVariables } from "../config/environments.js";
+import { startJob } from "../services/job.service.js";
+
+/**
+ * run
+ * - Fuzzes one spec and answers with findings grouped by field.
+ * - "async": true starts a job instead: 202 with a jobId; the events stream
+ *   sends "start" ({ total, fields }), one "result" per mutation, then
+ *   "done" (the report) or "failed".
+ */
+export const run = async (req, res, next) => {
+  try {
+    const incoming = req.safeBody ?? {};
+
+    if (typeof incoming === "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JSON in request body for /fuzz-tests",
+        raw: incoming.slice ? incoming.slice(0, 2000) : incoming
+      });
+    }
+
+    const input = fuzzSchema.parse(incoming);
+    const known = discoverFields(input).map((t) => t.field);
+    const unknown = (input.fields || []).filter((f) => !known.includes(f));
+    if (unknown.length) {
+      throw Object.assign(new Error(`Unknown field(s): ${unknown.join(", ")}. Fields in this spec: ${known.join(", ")}`), { status: 400 });
+    }
+
+    const { environment: env, variables, secretValues } = buildRunVariables(input.environment, input.variables);
+    const { endpoint, method, headers, body, expected_response, targetUrl, auth, policy } = input;
+    const { families, fields, maxCases, baselineRuns, timingFactor, timingMinDeltaMs, concurrency } = input;
+    const execute = (hooks = {}) => runFuzz(
+      { endpoint, method, headers, body, expected_response },
+      targetUrl || env?.baseUrl,
+      { families, fields, maxCases, baselineRuns, timingFactor, timingMinDeltaMs, concurrency },
+      { variables, secretValues, environment: env?.name, auth, policy, ...hooks }
+    );
+
+    if (input.async) {
+      const job = startJob(async ({ signal, emit }) => {
+        let total = 0;
+        let completed = 0;
+        return execute({
+          signal,
+          onStart: (plan) => {
+            total = plan.total;
+            emit("start", plan);
+          },
+          onResult: (result, index) => {
+            completed += 1;
+            emit("result", { index, completed, total, result });
+          },
+        });
+      }, { kind: "fuzz", endpoint, method });
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        events: `/run-jobs/${job.id}/events`,
+      });
+    }
+
+    return res.json({ success: true, ...(await execute()) });
+  } catch (err) {
+    return next(err);
+  }
+};
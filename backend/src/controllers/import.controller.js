@@ -0,0 +1,22 @@
+// src/controllers/import.controller.js
+import { testCaseImportSchema } from "../schemas/validation.js";
+import { importTestCases } from "../services/import.service.js";
+
+export const importCases = async (req, res, next) => {
+  try {
+    const incoming = req.safeBody ?? {};
+
+    if (typeof incoming === "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JSON in request body for /import",
+        raw: incoming.slice ? incoming.slice(0, 2000) : incoming
+      });
+    }
+
+    const { source, format } = testCaseImportSchema.parse(incoming);
+    return res.json({ success: true, ...importTestCases(source, format) });
+  } catch (err) {
+    return next(err);
+  }
+};
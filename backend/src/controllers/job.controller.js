@@ -0,0 +1,45 @@
+// src/controllers/job.controller.js
+import { getJob, cancelJob, subscribe, toJobSummary } from "../services/job.service.js";
+import { openEventStream } from "../utils/sse.js";
+
+export const status = (req, res, next) => {
+  try {
+    return res.json({ success: true, job: toJobSummary(getJob(req.params.jobId)) });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * events
+ * - Server-Sent Events: "start", one "result" per finished case, then
+ *   "done" (results + summary + runId) or "failed". Honors Last-Event-ID.
+ * - Load test jobs send "sample" (one timeline point) instead of "result",
+ *   and "done" carries the load report; fuzz jobs send one "result" per
+ *   mutation and "done" with the findings.
+ */
+export const events = (req, res, next) => {
+  let job;
+  try {
+    job = getJob(req.params.jobId);
+  } catch (err) {
+    return next(err);
+  }
+
+  const stream = openEventStream(res);
+  const lastId = Number.parseInt(req.get("Last-Event-ID"), 10);
+  const unsubscribe = subscribe(job, {
+    onEvent: ({ id, event, data }) => stream.send(event, data, id),
+    onEnd: () => stream.close(),
+    afterId: Number.isFinite(lastId) ? lastId : -1,
+  });
+  req.on("close", unsubscribe);
+};
+
+export const cancel = (req, res, next) => {
+  try {
+    return res.json({ success: true, job: toJobSummary(cancelJob(req.params.jobId)) });
+  } catch (err) {
+    return next(err);
+  }
+};
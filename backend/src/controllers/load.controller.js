@@ -0,0 +1,67 @@
+// src/controllers/load.controller.js
+import { loadTestSchema } from "../schemas/validation.js";
+import { runLoadTest } from "../services/load.service.js";
+import { buildRunVariables } from "../config/environments.js";
+import { getSuite } from "../services/suite.service.js";
+import { pickCases } from "../utils/pickCases.js";
+import { startJob } from "../services/job.service.js";
+
+/**
+ * start
+ * - Validates, picks the traffic mix and starts the load test as a
+ *   background job: 202 with a jobId; GET /run-jobs/:jobId/events streams
+ *   "start", one "sample" per timeline point, then "done" (the report) or
+ *   "failed". POST /run-jobs/:jobId/cancel stops it early.
+ */
+export const start = async (req, res, next) => {
+  try {
+    const incoming = req.safeBody ?? {};
+
+    if (typeof incoming === "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JSON in request body for /load-tests",
+        raw: incoming.slice ? incoming.slice(0, 2000) : incoming
+      });
+    }
+
+    const input = loadTestSchema.parse(incoming);
+    if (input.suiteId) {
+      const suite = await getSuite(input.suiteId); // 404 before loading an unknown suite
+      input.testCases ??= suite.testCases;
+      input.targetUrl ??= suite.targetUrl;
+      input.environment ??= suite.environment;
+      // null means "no auth profiles" / "default policy", only a missing field falls back to the suite
+      if (input.auth === undefined) input.auth = suite.auth;
+      if (input.policy === undefined) input.policy = suite.policy;
+    }
+    const testCases = pickCases(input.testCases, input); // flows are replayed whole
+    const { environment: env, variables, secretValues } = buildRunVariables(input.environment, input.variables);
+    const targetUrl = input.targetUrl || env?.baseUrl;
+
+    const { mode, rate, vus, thinkTimeMs, maxInFlight, rampUpSec, durationSec } = input;
+    const load = { mode, rate, vus, thinkTimeMs, maxInFlight, rampUpSec, durationSec };
+
+    const job = startJob(async ({ signal, emit }) => {
+      emit("start", { ...load, cases: testCases.map((tc) => tc.id), target: targetUrl || null });
+      return runLoadTest(testCases, targetUrl, load, {
+        variables,
+        secretValues,
+        environment: env?.name,
+        auth: input.auth,
+        policy: input.policy,
+        signal,
+        onSample: (sample) => emit("sample", sample),
+      });
+    }, { kind: "load", total: testCases.length, suiteId: input.suiteId || null });
+
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      cases: testCases.length,
+      events: `/run-jobs/${job.id}/events`,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
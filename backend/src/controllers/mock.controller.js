@@ -0,0 +1,73 @@
+// src/controllers/mock.controller.js
+import { mockConfigSchema } from "../schemas/validation.js";
+import { describeMocks, configureMocks, resetMocks } from "../services/mock.service.js";
+import { describeFaults, configureFaults, clearFaults, reseedFaults } from "../services/fault.service.js";
+
+export const get = async (req, res, next) => {
+  try {
+    return res.json({ success: true, mocks: describeMocks() });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const configure = async (req, res, next) => {
+  try {
+    const incoming = req.safeBody ?? {};
+
+    if (typeof incoming === "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JSON in request body for /mocks",
+        raw: incoming.slice ? incoming.slice(0, 2000) : incoming
+      });
+    }
+
+    const { definition } = mockConfigSchema.parse(incoming);
+    return res.json({ success: true, mocks: configureMocks(definition) });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const reset = async (req, res, next) => {
+  try {
+    return res.json({ success: true, mocks: resetMocks(), faults: reseedFaults() });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const getFaults = async (req, res, next) => {
+  try {
+    return res.json({ success: true, faults: describeFaults() });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const setFaults = async (req, res, next) => {
+  try {
+    const incoming = req.safeBody ?? {};
+
+    if (typeof incoming === "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JSON in request body for /mocks/faults",
+        raw: incoming.slice ? incoming.slice(0, 2000) : incoming
+      });
+    }
+
+    return res.json({ success: true, faults: configureFaults(incoming) });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const removeFaults = async (req, res, next) => {
+  try {
+    return res.json({ success: true, faults: clearFaults() });
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -0,0 +1,21 @@
+// src/controllers/report.controller.js
+import { getRun, getSuite } from "../services/suite.service.js";
+import { renderReport } from "../services/report.service.js";
+
+export const download = async (req, res, next) => {
+  try {
+    const format = String(req.query.format || "html").toLowerCase();
+    const run = await getRun(req.params.runId);
+    const suite = run.suiteId ? await getSuite(run.suiteId).catch(() => null) : null;
+
+    const report = renderReport({ ...run, suiteName: suite?.name }, format);
+    const filename = `run-${run.id}.${report.extension}`;
+
+    res.setHeader("Content-Type", report.contentType);
+    // ?inline=true lets the HTML report open in a browser tab instead of downloading
+    if (req.query.inline !== "true") res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.send(report.body);
+  } catch (err) {
+    return next(err);
+  }
+};
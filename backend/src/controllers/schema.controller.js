@@ -0,0 +1,69 @@
+// src/controllers/schema.controller.js
+import { learnSchemasSchema } from "../schemas/validation.js";
+import { learnResponseSchemas } from "../services/schema.service.js";
+import { buildRunVariables } from "../config/environments.js";
+import { getSuite } from "../services/suite.service.js";
+import { pickCases } from "../utils/pickCases.js";
+import { startJob } from "../services/job.service.js";
+
+/**
+ * learn
+ * - Runs the picked cases (valid ones by default) and infers one response
+ *   schema per case, for review. The suite is not changed: accepted
+ *   schemas are saved with the test cases as usual.
+ * - Runs as a background job: 202 with a jobId; GET /run-jobs/:jobId/events
+ *   streams "start", one "result" per case, then "done" ({ proposals,
+ *   summary }) or "failed". POST /run-jobs/:jobId/cancel stops it early.
+ */
+export const learn = async (req, res, next) => {
+  try {
+    const incoming = req.safeBody ?? {};
+
+    if (typeof incoming === "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JSON in request body for /response-schemas/learn",
+        raw: incoming.slice ? incoming.slice(0, 2000) : incoming
+      });
+    }
+
+    const input = learnSchemasSchema.parse(incoming);
+    if (input.suiteId) {
+      const suite = await getSuite(input.suiteId); // 404 before loading an unknown suite
+      input.testCases ??= suite.testCases;
+      input.targetUrl ??= suite.targetUrl;
+      input.environment ??= suite.environment;
+      // null means "no auth profiles" / "default policy", only a missing field falls back to the suite
+      if (input.auth === undefined) input.auth = suite.auth;
+      if (input.policy === undefined) input.policy = suite.policy;
+    }
+    const testCases = pickCases(input.testCases, input);
+    const { environment: env, variables, secretValues } = buildRunVariables(input.environment, input.variables);
+    const targetUrl = input.targetUrl || env?.baseUrl;
+
+    const job = startJob(async ({ signal, emit }) => {
+      emit("start", { cases: testCases.map((tc) => tc.id), total: testCases.length, runs: input.runs, target: targetUrl || null });
+      return learnResponseSchemas(testCases, targetUrl, {
+        runs: input.runs,
+        strict: input.strict,
+        concurrency: input.concurrency,
+        variables,
+        secretValues,
+        environment: env?.name,
+        auth: input.auth,
+        policy: input.policy,
+        signal,
+        onProposal: (proposal, completed) => emit("result", { proposal, completed, total: testCases.length }),
+      });
+    }, { kind: "schemas", total: testCases.length, suiteId: input.suiteId || null });
+
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      cases: testCases.length,
+      events: `/run-jobs/${job.id}/events`,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -0,0 +1,93 @@
+// src/controllers/suite.controller.js
+import { suiteCreateSchema, suiteUpdateSchema, compareRunsQuerySchema, flakyQuerySchema } from "../schemas/validation.js";
+import * as suiteService from "../services/suite.service.js";
+
+const rejectRawBody = (res, incoming, route) => res.status(400).json({
+  success: false,
+  error: `Invalid JSON in request body for ${route}`,
+  raw: incoming.slice ? incoming.slice(0, 2000) : incoming
+});
+
+export const list = async (req, res, next) => {
+  try {
+    return res.json({ success: true, suites: await suiteService.listSuites() });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const create = async (req, res, next) => {
+  try {
+    const incoming = req.safeBody ?? {};
+    if (typeof incoming === "string") return rejectRawBody(res, incoming, "/suites");
+
+    const suite = await suiteService.createSuite(suiteCreateSchema.parse(incoming));
+    return res.status(201).json({ success: true, suite });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const get = async (req, res, next) => {
+  try {
+    return res.json({ success: true, suite: await suiteService.getSuite(req.params.id) });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const update = async (req, res, next) => {
+  try {
+    const incoming = req.safeBody ?? {};
+    if (typeof incoming === "string") return rejectRawBody(res, incoming, "/suites/:id");
+
+    const suite = await suiteService.updateSuite(req.params.id, suiteUpdateSchema.parse(incoming));
+    return res.json({ success: true, suite });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const remove = async (req, res, next) => {
+  try {
+    const data = await suiteService.deleteSuite(req.params.id);
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const listRuns = async (req, res, next) => {
+  try {
+    await suiteService.getSuite(req.params.id);
+    return res.json({ success: true, runs: await suiteService.listRuns(req.params.id) });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const getRun = async (req, res, next) => {
+  try {
+    return res.json({ success: true, run: await suiteService.getRun(req.params.runId) });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const compareRuns = async (req, res, next) => {
+  try {
+    const diff = await suiteService.compareSuiteRuns(req.params.id, compareRunsQuerySchema.parse(req.query));
+    return res.json({ success: true, ...diff });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+export const flaky = async (req, res, next) => {
+  try {
+    const data = await suiteService.findFlakyTests(req.params.id, flakyQuerySchema.parse(req.query));
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    return next(err);
+  }
+};
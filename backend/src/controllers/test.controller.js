@@ -1,7 +1,13 @@
 // src/controllers/test.controller.js
-import { testSpecSchema, runTestsSchema } from "../schemas/validation.js";
-import { generateTestCases } from "../services/nvidia.service.js";
+import { testSpecSchema, runTestsSchema, openApiImportSchema } from "../schemas/validation.js";
+import { generateTestCases, generateTestCasesStream, resolveGenerationPlan } from "../services/nvidia.service.js";
+import { generateSuiteFromOpenApi } from "../services/openapi.service.js";
 import { runTestSuite } from "../services/runner.service.js";
+import { buildRunVariables } from "../config/environments.js";
+import { getSuite, recordRun } from "../services/suite.service.js";
+import { startJob } from "../services/job.service.js";
+import { describeProvider } from "../config/llm.js";
+import { openEventStream } from "../utils/sse.js";
 
 export const generate = async (req, res, next) => {
   try {
@@ -23,6 +29,104 @@ export const generate = async (req, res, next) => {
   }
 };
 
+/**
+ * generateStream
+ * - Same input as /generate-tests, answered as Server-Sent Events:
+ *   "start" (plan, provider), one "case" per test case as the model writes
+ *   it, then "done" (same body as /generate-tests) or "failed".
+ * - Closing the connection aborts the model request.
+ */
+export const generateStream = async (req, res, next) => {
+  let spec;
+  try {
+    const incoming = req.safeBody ?? {};
+
+    if (typeof incoming === "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JSON in request body for /generate-tests/stream",
+        raw: incoming.slice ? incoming.slice(0, 2000) : incoming
+      });
+    }
+
+    spec = testSpecSchema.parse(incoming);
+  } catch (err) {
+    return next(err);
+  }
+
+  const stream = openEventStream(res);
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  try {
+    stream.send("start", { plan: resolveGenerationPlan(spec.generation), ai: describeProvider() });
+    const data = await generateTestCasesStream(spec, {
+      signal: controller.signal,
+      onCase: (event) => stream.send("case", event),
+    });
+    stream.send("done", { success: true, ...data });
+  } catch (err) {
+    console.error("generateStream failed:", err);
+    stream.send("failed", { error: err?.message ?? String(err) });
+  } finally {
+    stream.close();
+  }
+};
+
+export const importOpenApi = async (req, res, next) => {
+  try {
+    const incoming = req.safeBody ?? {};
+
+    if (typeof incoming === "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JSON in request body for /generate-tests/openapi",
+        raw: incoming.slice ? incoming.slice(0, 2000) : incoming
+      });
+    }
+
+    const { document, ...options } = openApiImportSchema.parse(incoming);
+    const data = await generateSuiteFromOpenApi(document, options);
+    return res.json({ success: true, ...data });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * executeRun
+ * - Runs the parsed /run-tests input and records it in run history.
+ * - runVars comes from buildRunVariables(), resolved up front so an unknown
+ *   environment is a 4xx even for async runs.
+ * - hooks.signal / hooks.onResult are passed through to the runner (async jobs).
+ */
+const executeRun = async (input, runVars, hooks = {}) => {
+  const { testCases, targetUrl, concurrency, suiteId, auth, policy } = input;
+  const { environment: env, variables, secretValues } = runVars;
+  const data = await runTestSuite(testCases, targetUrl || env?.baseUrl, concurrency, {
+    variables,
+    secretValues,
+    environment: env?.name,
+    auth,
+    policy,
+    ...hooks,
+  });
+
+  // record run history (don't fail the run on storage errors);
+  // a cancelled job is partial, so it stays out of history and comparisons
+  let runId = null;
+  if (!hooks.signal?.aborted) {
+    try {
+      const run = await recordRun({ suiteId, targetUrl: data.summary.target, environment: env?.name, ...data });
+      runId = run.id;
+    } catch (e) {
+      console.warn("Failed to record run:", e?.message ?? e);
+    }
+  }
+
+  return { runId, ...data };
+};
+
 export const run = async (req, res, next) => {
   try {
     const incoming = req.safeBody ?? {};
@@ -35,9 +139,36 @@ export const run = async (req, res, next) => {
       });
     }
 
-    const { testCases, targetUrl, concurrency } = runTestsSchema.parse(incoming);
-    const data = await runTestSuite(testCases, targetUrl, concurrency);
-    return res.json({ success: true, ...data });
+    const input = runTestsSchema.parse(incoming);
+    if (input.suiteId) {
+      const suite = await getSuite(input.suiteId); // 404 before running against an unknown suite
+      // null means "no auth profiles" / "default policy", only a missing field falls back to the suite
+      if (input.auth === undefined) input.auth = suite.auth;
+      if (input.policy === undefined) input.policy = suite.policy;
+    }
+    const runVars = buildRunVariables(input.environment, input.variables);
+
+    if (input.async) {
+      const total = input.testCases.length;
+      const job = startJob(async ({ signal, emit }) => {
+        emit("start", { total });
+        let completed = 0;
+        const onResult = (result, index) => {
+          completed += 1;
+          emit("result", { index, completed, total, result });
+        };
+        return executeRun(input, runVars, { signal, onResult });
+      }, { total, suiteId: input.suiteId || null });
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        total,
+        events: `/run-jobs/${job.id}/events`,
+      });
+    }
+
+    return res.json({ success: true, ...(await executeRun(input, runVars)) });
   } catch (err) {
     return next(err);
   }
@@ -48,7 +48,17 @@ export const errorHandler = (err, req, res, next) => {
   }
 
   // ==========================================================
-  // 3. Default / unexpected error
+  // 3. Client errors raised by services (err.status = 4xx)
+  // ==========================================================
+  if (Number.isInteger(err.status) && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message
+    });
+  }
+
+  // ==========================================================
+  // 4. Default / unexpected error
   // ==========================================================
   return res.status(500).json({
     success: false,
@@ -0,0 +1,10 @@
+// src/routes/environment.routes.js
+import { Router } from "express";
+import { list } from "../controllers/environment.controller.js";
+
+const router = Router();
+
+// Named run environments (secret values are never returned)
+router.get("/environments", list);
+
+export default router;
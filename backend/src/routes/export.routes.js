@@ -0,0 +1,12 @@
+// src/routes/export.routes.js
+import { Router } from "express";
+import { postman, k6, jest } from "../controllers/export.controller.js";
+
+const router = Router();
+
+// Saved suite -> code/collections to commit alongside the service under test
+router.get("/suites/:id/export/postman", postman);
+router.get("/suites/:id/export/k6", k6);
+router.get("/suites/:id/export/jest", jest); // ?client=axios (default) | supertest
+
+export default router;
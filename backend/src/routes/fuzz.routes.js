@@ -0,0 +1,10 @@
+// src/routes/fuzz.routes.js
+import { Router } from "express";
+import { run } from "../controllers/fuzz.controller.js";
+
+const router = Router();
+
+// Security fuzzing of one spec ("async": true to follow it under /run-jobs/:jobId)
+router.post("/fuzz-tests", run);
+
+export default router;
@@ -0,0 +1,10 @@
+// src/routes/import.routes.js
+import { Router } from "express";
+import { importCases } from "../controllers/import.controller.js";
+
+const router = Router();
+
+// Existing requests -> test cases: { source, format: auto | curl | har | postman }
+router.post("/import", importCases);
+
+export default router;
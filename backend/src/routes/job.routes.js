@@ -0,0 +1,13 @@
+// src/routes/job.routes.js
+import { Router } from "express";
+import { status, events, cancel } from "../controllers/job.controller.js";
+
+const router = Router();
+
+// Background jobs: async runs (POST /run-tests with "async": true), load tests
+// (POST /load-tests) and async fuzz runs (POST /fuzz-tests)
+router.get("/run-jobs/:jobId", status);
+router.get("/run-jobs/:jobId/events", events);
+router.post("/run-jobs/:jobId/cancel", cancel);
+
+export default router;
@@ -0,0 +1,10 @@
+// src/routes/load.routes.js
+import { Router } from "express";
+import { start } from "../controllers/load.controller.js";
+
+const router = Router();
+
+// Load tests run as jobs: follow / cancel them under /run-jobs/:jobId
+router.post("/load-tests", start);
+
+export default router;
@@ -0,0 +1,17 @@
+// src/routes/mock.routes.js
+import { Router } from "express";
+import { get, configure, reset, getFaults, setFaults, removeFaults } from "../controllers/mock.controller.js";
+
+const router = Router();
+
+// Mock server admin: current definition, replace it (mock definition or OpenAPI), reseed
+router.get("/mocks", get);
+router.put("/mocks", configure);
+router.post("/mocks/reset", reset);
+
+// Fault injection for the mock routes: profiles, per-route assignments, seed
+router.get("/mocks/faults", getFaults);
+router.put("/mocks/faults", setFaults);
+router.delete("/mocks/faults", removeFaults);
+
+export default router;
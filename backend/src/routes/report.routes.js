@@ -0,0 +1,10 @@
+// src/routes/report.routes.js
+import { Router } from "express";
+import { download } from "../controllers/report.controller.js";
+
+const router = Router();
+
+// Run reports: ?format=junit | html | markdown | json (default html)
+router.get("/reports/:runId", download);
+
+export default router;
@@ -0,0 +1,11 @@
+// src/routes/schema.routes.js
+import { Router } from "express";
+import { learn } from "../controllers/schema.controller.js";
+
+const router = Router();
+
+// Infer expected_response.schema proposals from live responses; runs as a
+// job: follow / cancel it under /run-jobs/:jobId
+router.post("/response-schemas/learn", learn);
+
+export default router;
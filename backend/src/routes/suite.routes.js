@@ -0,0 +1,22 @@
+// src/routes/suite.routes.js
+import { Router } from "express";
+import { list, create, get, update, remove, listRuns, getRun, compareRuns, flaky } from "../controllers/suite.controller.js";
+
+const router = Router();
+
+// Saved suites (CRUD)
+router.get("/suites", list);
+router.post("/suites", create);
+router.get("/suites/:id", get);
+router.patch("/suites/:id", update);
+router.delete("/suites/:id", remove);
+
+// Run history
+router.get("/suites/:id/runs", listRuns);
+router.get("/runs/:runId", getRun);
+
+// Run-to-run diff (defaults to latest vs previous) and flaky tests over the last N runs
+router.get("/suites/:id/compare", compareRuns);
+router.get("/suites/:id/flaky", flaky);
+
+export default router;
@@ -1,13 +1,19 @@
 // src/routes/test.routes.js
 import { Router } from "express";
-import { generate, run } from "../controllers/test.controller.js";
+import { generate, generateStream, importOpenApi, run } from "../controllers/test.controller.js";
 import { generationLimiter } from "../middleware/rateLimiter.js";
 
 const router = Router();
 
-// AI Test Case Generation (NVIDIA)
+// AI Test Case Generation (configured LLM provider, see config/llm.js)
 router.post("/generate-tests", generationLimiter, generate);
 
+// Same, streamed as Server-Sent Events while the model writes
+router.post("/generate-tests/stream", generationLimiter, generateStream);
+
+// Whole-suite generation from an OpenAPI 3 / Swagger 2 document
+router.post("/generate-tests/openapi", generationLimiter, importOpenApi);
+
 // Run Tests
 router.post("/run-tests", run);
 
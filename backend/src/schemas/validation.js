@@ -1,11 +1,13 @@
 // src/schemas/validation.js
 import { z } from "zod";
+import { FAMILY_NAMES } from "../utils/fuzzPayloads.js";
 
 /**
  * Preprocess endpoint strings:
  * - Trim whitespace
  * - If starts with http(s):// -> keep
  * - If starts with / -> keep
+ * - If starts with a {{placeholder}} (e.g. "{{baseUrl}}/users") -> keep
  * - Otherwise (like "users/2") -> prepend "/"
  */
 const preprocessEndpoint = z.preprocess((val) => {
@@ -15,11 +17,12 @@ const preprocessEndpoint = z.preprocess((val) => {
   if (/^https?:\/\//i.test(s)) return s;
   if (s === "") return s;
   if (s.startsWith("/")) return s;
+  if (s.startsWith("{{")) return s;
   return "/" + s;
 }, z.string().min(1).max(1000).refine((val) => {
-  return /^\/.+/.test(val) || /^https?:\/\/.+/i.test(val);
+  return /^\/.+/.test(val) || /^https?:\/\/.+/i.test(val) || /^\{\{\s*[\w.-]+\s*\}\}/.test(val);
 }, {
-  message: 'Endpoint must be either a relative path starting with "/" or a full http(s) URL',
+  message: 'Endpoint must be a relative path starting with "/", a full http(s) URL or start with a {{variable}}',
 }));
 
 // Status can be a single number or an array of numbers
@@ -28,6 +31,52 @@ const statusOrArray = z.union([
   z.array(z.number().int().min(100).max(599)).nonempty()
 ]).optional().default(200);
 
+// How many cases /generate-tests should produce, overall and per category.
+// Categories left out share whatever remains of the total (default 12).
+const categoryCount = z.number().int().min(0).max(50);
+export const generationOptionsSchema = z.object({
+  total: z.number().int().min(1).max(100).optional(),
+  categories: z.object({
+    valid: categoryCount.optional(),
+    invalid: categoryCount.optional(),
+    boundary: categoryCount.optional(),
+    security: categoryCount.optional(),
+  }).strict().optional(),
+  // cap on rule-based cases from spec.schema (services/boundary.service.js), 0 turns them off
+  schemaCases: z.number().int().min(0).max(100).optional(),
+}).superRefine((g, ctx) => {
+  const counts = Object.values(g.categories || {});
+  const fixed = counts.reduce((acc, n) => acc + n, 0);
+  if (counts.length === 4 && fixed === 0) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["categories"], message: "At least one category needs a count above 0" });
+  }
+  if (g.total !== undefined && counts.length === 4 && fixed !== g.total) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["total"], message: `Category counts add up to ${fixed}, not ${g.total}` });
+  } else if (g.total !== undefined && fixed > g.total) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["total"], message: `Category counts (${fixed}) exceed total (${g.total})` });
+  }
+});
+
+// What the LLM must return per case for /generate-tests. Anything that does
+// not match is sent back to the model for repair (services/nvidia.service.js).
+export const generatedCaseSchema = z.object({
+  id: z.string().optional(),
+  category: z.preprocess(
+    (v) => (typeof v === "string" ? v.trim().toLowerCase() : v),
+    z.enum(["valid", "invalid", "boundary", "security"])
+  ),
+  description: z.string().trim().min(1),
+  request: z.object({
+    method: z.enum(["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD"]),
+    endpoint: preprocessEndpoint,
+    headers: z.record(z.union([z.string(), z.number(), z.boolean()])).optional(),
+    body: z.any().optional(),
+  }).strict(),
+  expected_response: z.object({
+    status: z.number().int().min(100).max(599),
+  }).strict(),
+}).strict();
+
 export const testSpecSchema = z.object({
   endpoint: preprocessEndpoint,
   method: z.enum(["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD"]),
@@ -36,9 +85,12 @@ export const testSpecSchema = z.object({
     .optional()
     .default({}),
   body: z.union([z.record(z.any()), z.array(z.any()), z.string()]).optional(),
+  // JSON Schema of the body: minLength, maximum, enum, format, required...
+  schema: z.record(z.any()).optional(),
   expected_response: z.object({
     status: statusOrArray,
   }).optional().default({ status: 200 }),
+  generation: generationOptionsSchema.optional(),
 });
 
 const requestSchema = z.object({
@@ -48,24 +100,464 @@ const requestSchema = z.object({
   body: z.any().optional(),
 });
 
+// Declarative body assertion evaluated by utils/assertions.js
+// path: JSONPath when it starts with "$", JMESPath otherwise
+export const assertionSchema = z.object({
+  path: z.string().default("$"),
+  op: z.enum(["equals", "notEquals", "contains", "matches", "length", "type", "range", "exists", "absent"]),
+  value: z.any().optional(),
+  min: z.number().optional(),
+  max: z.number().optional(),
+  flags: z.string().regex(/^[gimsuy]*$/, "Invalid regex flags").optional(),
+}).superRefine((a, ctx) => {
+  if (["equals", "notEquals", "contains", "matches", "type"].includes(a.op) && a.value === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Assertion "${a.op}" requires a value` });
+  }
+  if (a.op === "type" && !["string", "number", "integer", "boolean", "array", "object", "null"].includes(a.value)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Unknown type "${a.value}" in type assertion` });
+  }
+  if (a.op === "range" && a.min === undefined && a.max === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Assertion "range" requires min and/or max' });
+  }
+  if (a.op === "length" && a.value === undefined && a.min === undefined && a.max === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Assertion "length" requires value, min or max' });
+  }
+});
+
+// Response header expectation: exact string, { equals }, { matches, flags } or { present }
+const headerAssertionSchema = z.union([
+  z.string(),
+  z.object({
+    equals: z.string().optional(),
+    matches: z.string().optional(),
+    flags: z.string().regex(/^[gimsuy]*$/, "Invalid regex flags").optional(),
+    present: z.boolean().optional(),
+  }),
+]);
+
+const expectedResponseSchema = z.object({
+  // reuse statusOrArray but make required for run-time usage
+  status: z.union([z.number().int().min(100).max(599), z.array(z.number().int().min(100).max(599))]),
+  // JSON Schema for the response body, checked by AJV in the runner
+  schema: z.record(z.any()).optional(),
+  assertions: z.array(assertionSchema).optional(),
+  headers: z.record(headerAssertionSchema).optional(),
+  maxDurationMs: z.number().int().positive().optional(),
+});
+
+// Which suite auth profile a case uses (default: the suite's default profile)
+// and how: "valid" credentials, an "invalid" variant, or "none" at all
+const caseAuthSchema = z.object({
+  profile: z.string().min(1).optional(),
+  mode: z.enum(["valid", "invalid", "none"]).default("valid"),
+}).strict();
+
+// Timeout / redirect / retry policy (utils/retryPolicy.js). Unset fields come
+// from the layer above: run (suite) policy, then flow, then case or step.
+const requestPolicySchema = z.object({
+  timeoutMs: z.number().int().min(1).max(300000).optional(),
+  maxRedirects: z.number().int().min(0).max(20).optional(),
+  retries: z.number().int().min(0).max(10).optional(),
+  backoff: z.object({
+    strategy: z.enum(["fixed", "linear", "exponential"]).optional(),
+    delayMs: z.number().int().min(0).max(60000).optional(),
+    maxDelayMs: z.number().int().min(0).max(300000).optional(),
+    jitter: z.boolean().optional(),
+  }).strict().optional(),
+  retryOn: z.object({
+    statuses: z.array(z.number().int().min(100).max(599)).optional(),
+    // error codes such as ECONNRESET, ECONNABORTED (timeout), ECONNREFUSED
+    errors: z.array(z.string().min(1)).optional(),
+  }).strict().optional(),
+  respectRetryAfter: z.boolean().optional(),
+  maxRetryAfterMs: z.number().int().min(0).max(300000).optional(),
+}).strict();
+
+export const testCaseSchema = z.object({
+  id: z.string(),
+  type: z.literal("request").optional(),
+  category: z.string(),
+  description: z.string().optional(),
+  tags: z.array(z.string()).optional(),
+  auth: caseAuthSchema.optional(),
+  policy: requestPolicySchema.optional(),
+  request: requestSchema,
+  expected_response: expectedResponseSchema,
+});
+
+// One step of a flow: a request plus variables to extract from its response body
+const flowStepSchema = z.object({
+  id: z.string().optional(),
+  description: z.string().optional(),
+  // override the flow's auth / policy for this step
+  auth: caseAuthSchema.optional(),
+  policy: requestPolicySchema.optional(),
+  request: requestSchema,
+  expected_response: expectedResponseSchema,
+  // { varName: "$.json.path" } -> available as {{varName}} in later steps
+  extract: z.record(z.string()).optional(),
+  continueOnFailure: z.boolean().optional(),
+});
+
+export const flowCaseSchema = z.object({
+  id: z.string(),
+  type: z.literal("flow"),
+  category: z.string().default("flow"),
+  description: z.string().optional(),
+  tags: z.array(z.string()).optional(),
+  variables: z.record(z.any()).optional().default({}),
+  auth: caseAuthSchema.optional(),
+  policy: requestPolicySchema.optional(),
+  stopOnFailure: z.boolean().optional().default(true),
+  steps: z.array(flowStepSchema).min(1, "A flow needs at least one step"),
+});
+
+// "type" picks the shape: "flow" for chained scenarios, absent/"request" for single requests
+const runnableCaseSchema = z.discriminatedUnion("type", [flowCaseSchema, testCaseSchema]);
+
+// Credentials the runner applies to every case (services/auth.service.js).
+// String values may use {{variables}}, e.g. "{{apiToken}}" from an environment secret.
+const authProfileSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("basic"),
+    username: z.string().min(1),
+    password: z.string(),
+  }).strict(),
+  z.object({
+    type: z.literal("bearer"),
+    token: z.string().min(1),
+  }).strict(),
+  z.object({
+    type: z.literal("apiKey"),
+    name: z.string().min(1),
+    value: z.string().min(1),
+    in: z.enum(["header", "query"]).default("header"),
+  }).strict(),
+  z.object({
+    type: z.literal("oauth2"),
+    grant: z.enum(["client_credentials", "password"]).default("client_credentials"),
+    // relative URLs resolve against the run's target URL
+    tokenUrl: z.string().min(1),
+    clientId: z.string().min(1),
+    clientSecret: z.string().optional(),
+    // "basic": client credentials in an Authorization header, "body": as form fields
+    clientAuth: z.enum(["basic", "body"]).default("basic"),
+    username: z.string().optional(),
+    password: z.string().optional(),
+    scope: z.string().optional(),
+    audience: z.string().optional(),
+  }).strict(),
+  z.object({
+    type: z.literal("hmac"),
+    secret: z.string().min(1),
+    keyId: z.string().optional(),
+    algorithm: z.enum(["sha1", "sha256", "sha512"]).default("sha256"),
+    encoding: z.enum(["hex", "base64"]).default("hex"),
+    header: z.string().min(1).default("X-Signature"),
+    timestampHeader: z.string().min(1).default("X-Timestamp"),
+    keyIdHeader: z.string().min(1).default("X-Key-Id"),
+  }).strict(),
+]).superRefine((p, ctx) => {
+  if (p.type === "oauth2" && p.grant === "password" && (!p.username || p.password === undefined)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["username"], message: "The password grant needs username and password" });
+  }
+});
+
+export const authConfigSchema = z.object({
+  // used by cases that do not name a profile
+  default: z.string().min(1).optional(),
+  profiles: z.record(z.string().regex(/^[\w-]+$/, "Profile names may only use letters, digits, _ and -"), authProfileSchema),
+}).strict().superRefine((a, ctx) => {
+  if (a.default && !a.profiles[a.default]) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["default"], message: `Unknown auth profile "${a.default}"` });
+  }
+});
+
 export const runTestsSchema = z.object({
   testCases: z
-    .array(
-      z.object({
-        id: z.string(),
-        category: z.string(),
-        description: z.string().optional(),
-        request: requestSchema,
-        expected_response: z.object({
-          // reuse statusOrArray but make required for run-time usage
-          status: z.union([z.number().int().min(100).max(599), z.array(z.number().int().min(100).max(599))])
-        }),
-      })
-    )
+    .array(runnableCaseSchema)
     .min(1, "At least one test case is required"),
 
+  // saved suite this run belongs to (recorded in its run history)
+  suiteId: z.string().optional(),
+
   // optional base URL for relative endpoints
   targetUrl: z.string().url("Invalid Target URL format").optional(),
 
+  // named environment (see config/environments.js) plus per-run variable overrides
+  environment: z.string().min(1).optional(),
+  variables: z.record(z.any()).optional().default({}),
+
+  // auth profiles; defaults to the saved suite's when suiteId is given and
+  // the field is left out (null: run without any)
+  auth: authConfigSchema.nullable().optional(),
+
+  // default timeout / retry policy for every case; defaults to the saved suite's
+  // when left out (null: backend defaults)
+  policy: requestPolicySchema.nullable().optional(),
+
   concurrency: z.number().int().min(1).max(50).default(5),
+
+  // true: respond 202 with a jobId right away and stream results over
+  // GET /run-jobs/:jobId/events (see services/job.service.js)
+  async: z.boolean().optional().default(false),
+});
+
+// POST /load-tests (services/load.service.js): replay a suite or part of it under load
+export const loadTestSchema = z.object({
+  // inline cases, or the saved suite's when only suiteId is given
+  testCases: z.array(runnableCaseSchema).min(1, "At least one test case is required").optional(),
+  suiteId: z.string().optional(),
+
+  // traffic mix: the listed case ids, else every case in these categories
+  caseIds: z.array(z.string()).nonempty().optional(),
+  categories: z.array(z.string()).nonempty().optional().default(["valid"]),
+
+  // rate: requests per second (open model); vus: virtual users (closed model)
+  mode: z.enum(["rate", "vus"]).default("rate"),
+  rate: z.number().positive().max(1000).default(10),
+  vus: z.number().int().min(1).max(200).default(10),
+  // pause between one VU's requests
+  thinkTimeMs: z.number().int().min(0).max(60000).optional().default(0),
+  // rate mode: arrivals past this many open requests are dropped (and counted)
+  maxInFlight: z.number().int().min(1).max(2000).default(200),
+  rampUpSec: z.number().min(0).max(3600).default(0),
+  durationSec: z.number().min(1).max(3600).default(30),
+
+  targetUrl: z.string().url("Invalid Target URL format").optional(),
+  environment: z.string().min(1).optional(),
+  variables: z.record(z.any()).optional().default({}),
+  auth: authConfigSchema.nullable().optional(),
+  policy: requestPolicySchema.nullable().optional(),
+}).superRefine((l, ctx) => {
+  if (!l.testCases && !l.suiteId) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["testCases"], message: "Provide testCases or a suiteId" });
+  }
+  if (l.rampUpSec > l.durationSec) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["rampUpSec"], message: "rampUpSec must not exceed durationSec" });
+  }
+});
+
+// POST /fuzz-tests (services/fuzz.service.js): a spec plus which payloads to throw at it
+export const fuzzSchema = z.object({
+  endpoint: preprocessEndpoint,
+  method: z.enum(["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD"]),
+  headers: z.record(z.union([z.string(), z.number(), z.boolean()])).optional().default({}),
+  body: z.union([z.record(z.any()), z.array(z.any()), z.string()]).optional(),
+  expected_response: z.object({
+    status: statusOrArray,
+  }).optional().default({ status: 200 }),
+
+  // payload families (default: all) and fields such as "body.user.email",
+  // "query.page", "headers.X-Api-Key" or "body" / "query" for pollution keys
+  families: z.array(z.enum(FAMILY_NAMES)).nonempty().optional(),
+  fields: z.array(z.string()).nonempty().optional(),
+  maxCases: z.number().int().min(1).max(5000).default(1000),
+
+  // unmodified requests sent first for the reference status / latency
+  baselineRuns: z.number().int().min(1).max(10).default(3),
+  // a mutation slower than baseline × timingFactor and by more than timingMinDeltaMs is flagged
+  timingFactor: z.number().min(1).max(100).default(5),
+  timingMinDeltaMs: z.number().int().min(0).max(60000).default(2000),
+
+  targetUrl: z.string().url("Invalid Target URL format").optional(),
+  environment: z.string().min(1).optional(),
+  variables: z.record(z.any()).optional().default({}),
+  auth: authConfigSchema.nullable().optional(),
+  policy: requestPolicySchema.nullable().optional(),
+  concurrency: z.number().int().min(1).max(20).default(5),
+
+  // true: 202 with a jobId; GET /run-jobs/:jobId/events streams each mutation
+  async: z.boolean().optional().default(false),
+});
+
+// POST /response-schemas/learn (services/schema.service.js)
+export const learnSchemasSchema = z.object({
+  // inline cases, or the saved suite's when only suiteId is given
+  testCases: z.array(runnableCaseSchema).min(1, "At least one test case is required").optional(),
+  suiteId: z.string().optional(),
+
+  // the listed case ids, else every case in these categories
+  caseIds: z.array(z.string()).nonempty().optional(),
+  categories: z.array(z.string()).nonempty().optional().default(["valid"]),
+
+  // responses per case: more runs show which keys are really always there
+  runs: z.number().int().min(1).max(10).default(1),
+  // additionalProperties: false on every object, so new keys fail too
+  strict: z.boolean().optional().default(false),
+
+  targetUrl: z.string().url("Invalid Target URL format").optional(),
+  environment: z.string().min(1).optional(),
+  variables: z.record(z.any()).optional().default({}),
+  auth: authConfigSchema.nullable().optional(),
+  policy: requestPolicySchema.nullable().optional(),
+  concurrency: z.number().int().min(1).max(20).default(5),
+}).superRefine((l, ctx) => {
+  if (!l.testCases && !l.suiteId) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["testCases"], message: "Provide testCases or a suiteId" });
+  }
+});
+
+export const openApiImportSchema = z.object({
+  // Raw JSON/YAML text or an already parsed OpenAPI 3 / Swagger 2 object
+  document: z.union([z.string().min(1), z.record(z.any())]),
+
+  // Optional operationId filter; every operation is imported when omitted
+  operations: z.array(z.string()).optional(),
+  maxOperations: z.number().int().min(1).max(200).default(50),
+
+  targetUrl: z.string().url("Invalid Target URL format").optional(),
+  autoProbe: z.boolean().optional().default(false),
+  // applied to every operation
+  generation: generationOptionsSchema.optional(),
+});
+
+export const testCaseImportSchema = z.object({
+  // cURL command text, or a HAR / Postman collection as JSON text or an object
+  source: z.union([z.string().min(1), z.record(z.any())]),
+  format: z.enum(["auto", "curl", "har", "postman"]).default("auto"),
+});
+
+export const suiteCreateSchema = z.object({
+  name: z.string().trim().min(1, "Suite name is required").max(200),
+  testCases: z.array(runnableCaseSchema).min(1, "At least one test case is required"),
+  targetUrl: z.string().url("Invalid Target URL format").optional(),
+  environment: z.string().min(1).optional(),
+  auth: authConfigSchema.nullable().optional(),
+  policy: requestPolicySchema.nullable().optional(),
+  // OpenAPI import metadata (title, version, groups) when the suite came from a document
+  source: z.record(z.any()).optional(),
+});
+
+export const suiteUpdateSchema = suiteCreateSchema.partial().refine(
+  (val) => Object.keys(val).length > 0,
+  { message: "Nothing to update" }
+);
+
+/* ------------------------------------------------------------------
+   Mock server definitions (services/mock.service.js)
+-------------------------------------------------------------------*/
+const mockFieldSchema = z.object({
+  type: z.enum(["string", "number", "integer", "boolean", "object", "array"]).default("string"),
+  required: z.boolean().optional(),
+  // a second record with the same value is rejected with 409
+  unique: z.boolean().optional(),
+  nullable: z.boolean().optional(),
+  enum: z.array(z.any()).nonempty().optional(),
+  minLength: z.number().int().min(0).optional(),
+  maxLength: z.number().int().min(0).optional(),
+  min: z.number().optional(),
+  max: z.number().optional(),
+  pattern: z.string().refine((p) => {
+    try {
+      return Boolean(new RegExp(p));
+    } catch {
+      return false;
+    }
+  }, { message: "Invalid regex pattern" }).optional(),
+  format: z.enum(["email", "uuid", "date", "date-time", "uri"]).optional(),
+  default: z.any().optional(),
+}).strict();
+
+const MOCK_OPERATIONS = ["list", "read", "create", "replace", "update", "delete"];
+
+const mockResourceSchema = z.object({
+  // defaults to "/<resource name>"
+  path: z.string().regex(/^\/[\w\-/.~]*$/, "Resource path must start with / and contain no route parameters").optional(),
+  idField: z.string().min(1).default("id"),
+  idType: z.enum(["integer", "uuid"]).default("integer"),
+  fields: z.record(mockFieldSchema).default({}),
+  // reject fields that are not declared
+  strict: z.boolean().default(true),
+  timestamps: z.boolean().default(false),
+  seed: z.array(z.record(z.any())).default([]),
+  pagination: z.object({
+    defaultLimit: z.number().int().min(1).max(1000).default(20),
+    maxLimit: z.number().int().min(1).max(1000).default(100),
+  }).default({}),
+  // everything else answers 405
+  operations: z.array(z.enum(MOCK_OPERATIONS)).default(MOCK_OPERATIONS),
+  // 400 for SQL injection / XSS looking input, like a WAF in front of the service
+  rejectSuspiciousInput: z.boolean().default(false),
+}).strict();
+
+const mockOverrideSchema = z.object({
+  method: z.enum(["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD", "ALL"]).default("ALL"),
+  // relative to the prefix, express syntax ("/users/:id")
+  path: z.string().startsWith("/"),
+  status: z.number().int().min(100).max(599),
+  body: z.any().optional(),
+  headers: z.record(z.string()).optional(),
+}).strict();
+
+export const mockDefinitionSchema = z.object({
+  prefix: z.string().startsWith("/").optional(),
+  resources: z.record(z.string().regex(/^[\w-]+$/, "Resource names may only use letters, digits, _ and -"), mockResourceSchema)
+    .refine((r) => Object.keys(r).length > 0, { message: "Define at least one resource" }),
+  overrides: z.array(mockOverrideSchema).default([]),
+}).strict();
+
+export const mockConfigSchema = z.object({
+  // JSON/YAML text or an object: a mock definition or an OpenAPI 3 / Swagger 2 document
+  definition: z.union([z.string().min(1), z.record(z.any())]),
+});
+
+/* ------------------------------------------------------------------
+   Mock fault injection (services/fault.service.js)
+-------------------------------------------------------------------*/
+const faultRate = (fallback = 0) => z.number().min(0).max(1).default(fallback);
+
+export const faultProfileSchema = z.object({
+  // fixed: mean; uniform: min..max; normal: mean ± stddev; exponential: mean. Clamped to min..max
+  latency: z.object({
+    distribution: z.enum(["fixed", "uniform", "normal", "exponential"]).default("fixed"),
+    mean: z.number().min(0).default(0),
+    stddev: z.number().min(0).default(0),
+    min: z.number().min(0).default(0),
+    max: z.number().min(0).max(120000).default(30000),
+  }).strict().refine((l) => l.min <= l.max, { message: "latency.min must not exceed latency.max" }).optional(),
+  errorRate: faultRate(),
+  errorStatuses: z.array(z.number().int().min(500).max(599)).nonempty().default([500, 502, 503, 504]),
+  throttleRate: faultRate(),
+  // seconds, sent as Retry-After on 429s
+  retryAfter: z.number().int().min(0).max(3600).default(1),
+  // drop the connection without a response
+  resetRate: faultRate(),
+  // cut the body short (Content-Length matches what is sent)
+  truncateRate: faultRate(),
+  malformedRate: faultRate(),
+  // send the body a few bytes at a time
+  slowDrip: z.object({
+    rate: faultRate(1),
+    chunkBytes: z.number().int().min(1).default(16),
+    intervalMs: z.number().int().min(1).max(10000).default(200),
+  }).strict().optional(),
+}).strict();
+
+const faultProfileName = z.string().regex(/^[\w-]+$/, "Profile names may only use letters, digits, _ and -");
+
+export const faultConfigSchema = z.object({
+  // same seed + same request sequence = same faults
+  seed: z.union([z.number().int(), z.string().min(1)]).optional(),
+  profiles: z.record(faultProfileName, faultProfileSchema).default({}),
+  routes: z.array(z.object({
+    method: z.enum(["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD", "ALL"]).default("ALL"),
+    // full request path, express syntax ("/users/:id")
+    path: z.string().startsWith("/"),
+    // a profile name (built-in or from `profiles`) or an inline profile
+    profile: z.union([faultProfileName, faultProfileSchema]),
+  }).strict()).default([]),
+}).strict();
+
+// Query strings arrive as text, hence the coercion
+export const compareRunsQuerySchema = z.object({
+  base: z.string().optional(),
+  head: z.string().optional(),
+  slowdownRatio: z.coerce.number().min(1).default(1.5),
+  slowdownMinMs: z.coerce.number().int().min(0).default(100),
+});
+
+export const flakyQuerySchema = z.object({
+  last: z.coerce.number().int().min(2).max(100).default(10),
+  minFlips: z.coerce.number().int().min(1).default(2),
 });
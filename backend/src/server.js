@@ -1,11 +1,14 @@
 // src/server.js
 import app from "./app.js";
 import { config } from "./config/env.js";
+import { describeProvider } from "./config/llm.js";
+
+const ai = describeProvider();
 
 app.listen(config.port, () => {
   console.log(`
   🚀 Server running on http://localhost:${config.port}
   🔒 Environment: ${process.env.NODE_ENV || "development"}
-  🤖 NVIDIA AI: Configured
+  🤖 AI: ${ai.enabled ? `${ai.provider} (${ai.model})` : `disabled, rule-based generation only (${ai.reason})`}
   `);
 });
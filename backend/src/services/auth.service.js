@@ -0,0 +1,209 @@
+// src/services/auth.service.js
+import axios from "axios";
+import crypto from "crypto";
+import { resolveTestUrl } from "../utils/resolveUrl.js";
+import { renderTemplate } from "../utils/template.js";
+
+/* ------------------------------------------------------------------
+   Suite auth profiles (see authConfigSchema): turn a profile into the
+   headers / query parameters / signature a request needs. Cases pick
+   a profile and a mode: valid, invalid (well-formed but wrong) or none.
+-------------------------------------------------------------------*/
+const INVALID = {
+  password: "invalid-password",
+  token: "invalid-token",
+  apiKey: "invalid-api-key",
+  secret: "invalid-secret",
+};
+
+// refresh a little early so a token never expires mid-request
+const EXPIRY_SKEW_MS = 30 * 1000;
+const DEFAULT_TOKEN_TTL_S = 300;
+
+const basicHeader = (user, password) => `Basic ${Buffer.from(`${user}:${password ?? ""}`).toString("base64")}`;
+
+/* ------------------------------------------------------------------
+   OAuth2 tokens, cached across runs per client / user / scope
+-------------------------------------------------------------------*/
+const tokenCache = new Map();
+
+const requestToken = async (profile, form, { baseUrl, signal }) => {
+  const url = resolveTestUrl(profile.tokenUrl, baseUrl);
+  const params = new URLSearchParams(form);
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+  if (profile.clientAuth === "basic") {
+    headers.Authorization = basicHeader(profile.clientId, profile.clientSecret);
+  } else {
+    params.set("client_id", profile.clientId);
+    if (profile.clientSecret) params.set("client_secret", profile.clientSecret);
+  }
+
+  let response;
+  try {
+    response = await axios.post(url, params.toString(), { headers, timeout: 10000, validateStatus: () => true, signal });
+  } catch (err) {
+    if (axios.isCancel(err)) throw err;
+    throw new Error(`Token request to ${url} failed: ${err.message}`);
+  }
+  const data = response.data || {};
+  if (response.status >= 400 || !data.access_token) {
+    const reason = data.error_description || data.error || `HTTP ${response.status}`;
+    throw new Error(`Token request to ${url} failed: ${reason}`);
+  }
+  const ttl = Number(data.expires_in) > 0 ? Number(data.expires_in) : DEFAULT_TOKEN_TTL_S;
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || form.refresh_token,
+    expiresAt: Date.now() + ttl * 1000,
+  };
+};
+
+const grantForm = (profile) => {
+  const form = { grant_type: profile.grant };
+  if (profile.grant === "password") Object.assign(form, { username: profile.username, password: profile.password });
+  if (profile.scope) form.scope = profile.scope;
+  if (profile.audience) form.audience = profile.audience;
+  return form;
+};
+
+// Concurrent cases share one in-flight token request. The key covers the
+// credentials too (hashed), so a changed password never reuses a token.
+const getAccessToken = (profile, options) => {
+  const key = crypto.createHash("sha256").update(JSON.stringify([
+    options.baseUrl, profile.tokenUrl, profile.grant, profile.clientId, profile.clientSecret,
+    profile.clientAuth, profile.username, profile.password, profile.scope, profile.audience,
+  ])).digest("hex");
+  const cached = tokenCache.get(key);
+  if (cached?.pending) return cached.pending;
+  if (cached?.accessToken && cached.expiresAt - EXPIRY_SKEW_MS > Date.now()) return Promise.resolve(cached.accessToken);
+
+  // an expired token with a refresh token is refreshed; a failed refresh falls back to a new grant
+  const fetchToken = cached?.refreshToken
+    ? requestToken(profile, { grant_type: "refresh_token", refresh_token: cached.refreshToken }, options)
+      .catch((err) => (axios.isCancel(err) ? Promise.reject(err) : requestToken(profile, grantForm(profile), options)))
+    : requestToken(profile, grantForm(profile), options);
+
+  const pending = fetchToken.then(
+    (token) => {
+      tokenCache.set(key, token);
+      return token.accessToken;
+    },
+    (err) => {
+      tokenCache.delete(key);
+      throw err;
+    }
+  );
+  tokenCache.set(key, { ...cached, pending });
+  return pending;
+};
+
+/* ------------------------------------------------------------------
+   HMAC signing: METHOD \n path?query \n timestamp \n sha256(body)
+-------------------------------------------------------------------*/
+const hmacSigner = (profile, secret) => ({ method, url, body }) => {
+  const { pathname, search } = new URL(url);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const bodyHash = crypto.createHash("sha256").update(body ?? "").digest("hex");
+  const canonical = [method, `${pathname}${search}`, timestamp, bodyHash].join("\n");
+  const signature = crypto.createHmac(profile.algorithm, secret).update(canonical).digest(profile.encoding);
+  return {
+    [profile.header]: signature,
+    [profile.timestampHeader]: timestamp,
+    ...(profile.keyId ? { [profile.keyIdHeader]: profile.keyId } : {}),
+  };
+};
+
+/* ------------------------------------------------------------------
+   Credentials per profile type: { headers, query, sign }
+-------------------------------------------------------------------*/
+const CREDENTIALS = {
+  basic: (p, { invalid }) => ({
+    headers: { Authorization: basicHeader(p.username, invalid ? INVALID.password : p.password) },
+  }),
+
+  bearer: (p, { invalid }) => ({
+    headers: { Authorization: `Bearer ${invalid ? INVALID.token : p.token}` },
+  }),
+
+  apiKey: (p, { invalid }) => {
+    const value = invalid ? INVALID.apiKey : p.value;
+    return p.in === "query" ? { query: { [p.name]: value } } : { headers: { [p.name]: value } };
+  },
+
+  oauth2: async (p, { invalid, ...options }) => ({
+    headers: { Authorization: `Bearer ${invalid ? INVALID.token : await getAccessToken(p, options)}` },
+  }),
+
+  hmac: (p, { invalid }) => ({ sign: hmacSigner(p, invalid ? INVALID.secret : p.secret) }),
+};
+
+const SECRET_FIELDS = ["password", "token", "value", "clientSecret", "secret"];
+
+/**
+ * createAuthenticator
+ * - One per run; authConfig is { default, profiles } (already validated).
+ * - resolve(caseAuth, { variables, baseUrl, signal }) -> credentials or
+ *   null when the case runs without auth. Profile strings are rendered with
+ *   the case's variables first, so {{secrets}} work.
+ * - secretValues() lists every credential used so far, for redaction.
+ */
+export const createAuthenticator = (authConfig) => {
+  const profiles = authConfig?.profiles || {};
+  const secrets = new Set();
+
+  const resolve = async (caseAuth = {}, { variables = {}, baseUrl, signal } = {}) => {
+    const mode = caseAuth.mode || "valid";
+    const name = caseAuth.profile || authConfig?.default;
+    if (mode === "none" || !name) return null;
+    if (!profiles[name]) throw new Error(`Unknown auth profile "${name}"`);
+
+    const profile = renderTemplate(profiles[name], variables);
+    for (const field of SECRET_FIELDS) {
+      if (typeof profile[field] === "string" && profile[field].length >= 4) secrets.add(profile[field]);
+    }
+
+    const credentials = await CREDENTIALS[profile.type](profile, { invalid: mode === "invalid", baseUrl, signal });
+    for (const value of Object.values(credentials.headers || {})) {
+      const token = value.replace(/^(Bearer|Basic) /, "");
+      if (mode === "valid" && token.length >= 4) secrets.add(token);
+    }
+    return { profile: name, type: profile.type, mode, ...credentials };
+  };
+
+  return { resolve, secretValues: () => Array.from(secrets) };
+};
+
+const hasHeader = (headers, name) => Object.keys(headers).some((k) => k.toLowerCase() === name.toLowerCase());
+
+/**
+ * applyCredentials
+ * - Adds credential headers / query parameters to an outgoing request.
+ *   Headers and parameters the case sets itself are left alone (a
+ *   templated auth header was already dropped in the profile's favour,
+ *   see executeSingleTest).
+ * - Signing needs the exact bytes, so an object body comes back serialized.
+ * - Mutates `headers`; returns the (possibly) new url and data.
+ */
+export const applyCredentials = (credentials, { method, url, headers, data }) => {
+  if (!credentials) return { url, data };
+
+  for (const [name, value] of Object.entries(credentials.headers || {})) {
+    if (!hasHeader(headers, name)) headers[name] = value;
+  }
+
+  let finalUrl = url;
+  if (credentials.query) {
+    const parsed = new URL(url);
+    for (const [name, value] of Object.entries(credentials.query)) {
+      if (!parsed.searchParams.has(name)) parsed.searchParams.set(name, value);
+    }
+    finalUrl = parsed.toString();
+  }
+
+  let finalData = data;
+  if (credentials.sign) {
+    if (finalData !== undefined && typeof finalData !== "string") finalData = JSON.stringify(finalData);
+    Object.assign(headers, credentials.sign({ method, url: finalUrl, body: finalData }));
+  }
+  return { url: finalUrl, data: finalData };
+};
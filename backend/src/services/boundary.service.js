@@ -0,0 +1,360 @@
+// src/services/boundary.service.js
+import { sampleFromSchema, schemaType } from "../utils/jsonSchema.js";
+
+/* ------------------------------------------------------------------
+   Rule-based cases from the request body's JSON Schema (spec.schema)
+   - boundary: the exact edges of minLength / maxLength, minimum / maximum
+     (exclusive variants too) and minItems / maxItems, on both sides
+   - valid:    one case per other enum value (equivalence classes)
+   - invalid:  values outside the enum, malformed formats, missing
+               required fields, wrong types, undeclared properties
+   Each case changes one field of an otherwise valid body, so its expected
+   status follows from the schema instead of the model.
+-------------------------------------------------------------------*/
+export const DEFAULT_SCHEMA_CASES = 40;
+
+const MAX_DEPTH = 4;
+const MAX_ENUM_CLASSES = 5;
+// longer strings / arrays than this are not worth sending for one edge
+const MAX_GENERATED_LENGTH = 65536;
+const MAX_GENERATED_ITEMS = 1000;
+
+const INVALID_FORMATS = {
+  email: "not-an-email",
+  "date-time": "2024-13-45T25:61:00",
+  date: "2024-13-45",
+  time: "25:61:00",
+  uuid: "not-a-uuid",
+  uri: "not a uri",
+  url: "not a url",
+  hostname: "-not_a-host-",
+  ipv4: "999.999.999.999",
+  ipv6: "not:an:ipv6",
+};
+
+// A value of another JSON type for each declared type
+const WRONG_TYPES = {
+  string: { value: 12345, as: "number" },
+  integer: { value: "not-a-number", as: "string" },
+  number: { value: "not-a-number", as: "string" },
+  boolean: { value: "yes", as: "string" },
+  array: { value: { not: "an array" }, as: "object" },
+  object: { value: "not-an-object", as: "string" },
+};
+
+/* ------------------------------------------------------------------
+   Helpers
+-------------------------------------------------------------------*/
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Sorted keys, so bodies that only differ in key order compare equal
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.keys(value).sort().map((k) => [k, canonical(value[k])]));
+};
+
+/**
+ * requestSignature
+ * - Method + endpoint + body, used to drop model / fallback cases that send
+ *   the same request as a schema case.
+ */
+export const requestSignature = (tc) =>
+  `${String(tc.request?.method || "GET").toUpperCase()} ${tc.request?.endpoint || "/"} ${JSON.stringify(canonical(tc.request?.body ?? null))}`;
+
+// allOf parts merged into one object schema (properties and required combined)
+const flatten = (schema) => {
+  if (!isPlainObject(schema)) return {};
+  if (!Array.isArray(schema.allOf)) return schema;
+  return schema.allOf.map(flatten).reduce((acc, part) => ({
+    ...acc,
+    ...part,
+    properties: { ...acc.properties, ...part.properties },
+    required: [...(acc.required || []), ...(part.required || [])],
+  }), { ...schema, allOf: undefined });
+};
+
+// The spec's body wins; the schema sample fills in what it leaves out
+const mergeBase = (sample, body) => {
+  if (!isPlainObject(sample) || !isPlainObject(body)) return body === undefined ? sample : body;
+  const out = { ...sample };
+  for (const [key, value] of Object.entries(body)) out[key] = key in sample ? mergeBase(sample[key], value) : value;
+  return out;
+};
+
+const fieldName = (path) => path.reduce((acc, key) => (typeof key === "number" ? `${acc}[${key}]` : acc ? `${acc}.${key}` : key), "");
+
+const getAt = (body, path) => path.reduce((node, key) => (node === null || typeof node !== "object" ? undefined : node[key]), body);
+
+const setAt = (body, path, value) => {
+  const out = structuredClone(body);
+  let node = out;
+  path.slice(0, -1).forEach((key, i) => {
+    if (node[key] === null || typeof node[key] !== "object") node[key] = typeof path[i + 1] === "number" ? [] : {};
+    node = node[key];
+  });
+  node[path[path.length - 1]] = value;
+  return out;
+};
+
+const deleteAt = (body, path) => {
+  const out = structuredClone(body);
+  const parent = getAt(out, path.slice(0, -1));
+  if (parent && typeof parent === "object") delete parent[path[path.length - 1]];
+  return out;
+};
+
+const round = (n) => Number(n.toFixed(10));
+
+/* ------------------------------------------------------------------
+   Unique values: a create endpoint usually refuses a second body with
+   the same email / username (409), so every variant expected to succeed
+   gets its own value for those fields. Only fields the variant does not
+   test are changed, and only when the result still fits the schema.
+-------------------------------------------------------------------*/
+const UNIQUE_NAME = /(^|_|-)(e?mail|username|user_?name|login|handle|slug|sku|code)$/i;
+
+const uniqueString = (schema, value, n) => {
+  switch (schema.format) {
+    case "email": {
+      const at = value.lastIndexOf("@");
+      return at > 0 ? `${value.slice(0, at)}.${n}${value.slice(at)}` : null;
+    }
+    case "uuid":
+      return /^[0-9a-f-]{36}$/i.test(value) ? `${value.slice(0, 24)}${n.toString(16).padStart(12, "0")}` : null;
+    case "uri":
+    case "url":
+      return `${value.replace(/\/+$/, "")}/${n}`;
+    case "hostname":
+      return `v${n}.${value}`;
+    case undefined:
+      return UNIQUE_NAME.test(schema.name) ? `${value}_${n}` : null;
+    default:
+      return null;
+  }
+};
+
+const fitsString = (schema, value) =>
+  (!Number.isInteger(schema.maxLength) || value.length <= schema.maxLength)
+  && (!schema.pattern || (() => { try { return new RegExp(schema.pattern, "u").test(value); } catch { return false; } })());
+
+const withUniqueValues = (schema, body, base, n, path = [], depth = 0) => {
+  if (depth > MAX_DEPTH) return body;
+  let out = body;
+  for (const [name, raw] of Object.entries(schema.properties || {})) {
+    const prop = flatten(raw);
+    const at = [...path, name];
+    const value = getAt(out, at);
+    // the field under test keeps its value
+    if (JSON.stringify(value) !== JSON.stringify(getAt(base, at))) continue;
+    if (isPlainObject(value) && prop.properties) {
+      out = withUniqueValues(prop, out, base, n, at, depth + 1);
+    } else if (typeof value === "string" && !Array.isArray(prop.enum) && prop.const === undefined) {
+      const next = uniqueString({ ...prop, name }, value, n);
+      if (next !== null && fitsString(prop, next)) out = setAt(out, at, next);
+    }
+  }
+  return out;
+};
+
+/* ------------------------------------------------------------------
+   Schema walk: each rule calls add(category, description, body, valid)
+-------------------------------------------------------------------*/
+const stringRules = (schema, path, label, { add, base }) => {
+  // a pattern / format can reject "aaa", so only the failing edges are certain
+  const lengthOnly = !schema.pattern && !schema.format;
+  const withLength = (n) => setAt(base, path, "a".repeat(n));
+
+  if (Number.isInteger(schema.minLength) && schema.minLength > 0) {
+    const min = schema.minLength;
+    add("boundary", `${label} with ${min - 1} characters (minLength ${min} - 1)`, withLength(min - 1), false);
+    if (lengthOnly) add("boundary", `${label} with ${min} characters (minLength)`, withLength(min), true);
+  }
+  if (Number.isInteger(schema.maxLength) && schema.maxLength < MAX_GENERATED_LENGTH) {
+    const max = schema.maxLength;
+    if (lengthOnly) add("boundary", `${label} with ${max} characters (maxLength)`, withLength(max), true);
+    add("boundary", `${label} with ${max + 1} characters (maxLength ${max} + 1)`, withLength(max + 1), false);
+  }
+  if (Object.hasOwn(INVALID_FORMATS, schema.format)) {
+    add("invalid", `${label} is not a valid ${schema.format} (format)`, setAt(base, path, INVALID_FORMATS[schema.format]), false);
+  }
+};
+
+const numberRules = (schema, path, label, type, { add, base }) => {
+  // skip the in-range edges when multipleOf could still reject them
+  const inRangeSure = schema.multipleOf === undefined || (type === "integer" && schema.multipleOf === 1);
+  const step = type === "integer" ? 1 : 0.01;
+  const at = (n) => setAt(base, path, round(n));
+
+  if (Number.isFinite(schema.exclusiveMinimum)) {
+    const x = schema.exclusiveMinimum;
+    add("boundary", `${label} = ${x} (exclusiveMinimum, excluded)`, at(x), false);
+    if (inRangeSure) add("boundary", `${label} = ${round(x + step)} (exclusiveMinimum ${x} + ${step})`, at(x + step), true);
+  } else if (Number.isFinite(schema.minimum)) {
+    const min = schema.minimum;
+    if (schema.exclusiveMinimum === true) {
+      add("boundary", `${label} = ${min} (exclusive minimum, excluded)`, at(min), false);
+      if (inRangeSure) add("boundary", `${label} = ${round(min + step)} (exclusive minimum ${min} + ${step})`, at(min + step), true);
+    } else {
+      add("boundary", `${label} = ${round(min - step)} (minimum ${min} - ${step})`, at(min - step), false);
+      if (inRangeSure) add("boundary", `${label} = ${min} (minimum)`, at(min), true);
+    }
+  }
+
+  if (Number.isFinite(schema.exclusiveMaximum)) {
+    const x = schema.exclusiveMaximum;
+    if (inRangeSure) add("boundary", `${label} = ${round(x - step)} (exclusiveMaximum ${x} - ${step})`, at(x - step), true);
+    add("boundary", `${label} = ${x} (exclusiveMaximum, excluded)`, at(x), false);
+  } else if (Number.isFinite(schema.maximum)) {
+    const max = schema.maximum;
+    if (schema.exclusiveMaximum === true) {
+      if (inRangeSure) add("boundary", `${label} = ${round(max - step)} (exclusive maximum ${max} - ${step})`, at(max - step), true);
+      add("boundary", `${label} = ${max} (exclusive maximum, excluded)`, at(max), false);
+    } else {
+      if (inRangeSure) add("boundary", `${label} = ${max} (maximum)`, at(max), true);
+      add("boundary", `${label} = ${round(max + step)} (maximum ${max} + ${step})`, at(max + step), false);
+    }
+  }
+
+  if (type === "integer") {
+    const current = getAt(base, path);
+    const fraction = (Number.isFinite(current) ? current : 1) + 0.5;
+    add("invalid", `${label} = ${fraction} (expects an integer)`, setAt(base, path, fraction), false);
+  }
+};
+
+const arrayRules = (schema, path, label, ctx, depth) => {
+  const { add, base } = ctx;
+  const item = sampleFromSchema(flatten(schema.items)) ?? "item";
+  const withItems = (n) => setAt(base, path, Array.from({ length: n }, () => structuredClone(item)));
+  // n copies of one sample break uniqueItems as soon as n > 1
+  const canRepeat = (n) => !schema.uniqueItems || n <= 1;
+
+  if (Number.isInteger(schema.minItems) && schema.minItems > 0) {
+    const min = schema.minItems;
+    add("boundary", `${label} with ${min - 1} items (minItems ${min} - 1)`, withItems(min - 1), false);
+    if (canRepeat(min)) add("boundary", `${label} with ${min} items (minItems)`, withItems(min), true);
+  }
+  if (Number.isInteger(schema.maxItems) && schema.maxItems < MAX_GENERATED_ITEMS) {
+    const max = schema.maxItems;
+    if (canRepeat(max)) add("boundary", `${label} with ${max} items (maxItems)`, withItems(max), true);
+    add("boundary", `${label} with ${max + 1} items (maxItems ${max} + 1)`, withItems(max + 1), false);
+  }
+
+  // the first element stands in for all of them
+  if (isPlainObject(schema.items) && Array.isArray(getAt(base, path)) && getAt(base, path).length) {
+    walkValue(flatten(schema.items), [...path, 0], ctx, depth + 1);
+  }
+};
+
+const objectRules = (schema, path, ctx, depth) => {
+  const { add, base } = ctx;
+  const properties = schema.properties || {};
+
+  for (const name of new Set(schema.required || [])) {
+    if (properties[name]?.readOnly) continue;
+    add("invalid", `Missing required "${fieldName([...path, name])}"`, deleteAt(base, [...path, name]), false);
+  }
+  for (const [name, prop] of Object.entries(properties)) {
+    if (prop?.readOnly) continue;
+    walkValue(flatten(prop), [...path, name], ctx, depth + 1);
+  }
+  if (schema.additionalProperties === false) {
+    const extra = [...path, "unexpectedField"];
+    add("invalid", `Undeclared property "${fieldName(extra)}" (additionalProperties: false)`, setAt(base, extra, "unexpected"), false);
+  }
+};
+
+function walkValue(schema, path, ctx, depth) {
+  if (depth > MAX_DEPTH) return;
+  const { add, base } = ctx;
+  const type = schemaType(schema) || (schema.properties ? "object" : undefined);
+  const label = `"${fieldName(path)}"`;
+
+  if (Array.isArray(schema.enum) && schema.enum.length) {
+    const current = JSON.stringify(getAt(base, path));
+    schema.enum
+      .filter((v) => JSON.stringify(v) !== current)
+      .slice(0, MAX_ENUM_CLASSES)
+      .forEach((v) => add("valid", `${label} = ${JSON.stringify(v)} (enum value)`, setAt(base, path, v), true));
+
+    const numbers = schema.enum.filter(Number.isFinite);
+    let outside = numbers.length === schema.enum.length ? Math.max(...numbers) + 1 : `${schema.enum.find((v) => typeof v === "string") ?? "value"}_invalid`;
+    while (schema.enum.includes(outside)) outside = `${outside}_`;
+    add("invalid", `${label} = ${JSON.stringify(outside)} (not in enum)`, setAt(base, path, outside), false);
+  } else if (type === "string") {
+    stringRules(schema, path, label, ctx);
+  } else if (type === "integer" || type === "number") {
+    numberRules(schema, path, label, type, ctx);
+  } else if (type === "array") {
+    arrayRules(schema, path, label, ctx, depth);
+  } else if (type === "object") {
+    objectRules(schema, path, ctx, depth);
+  }
+
+  // "type": ["string", "number"] accepts either, so there is no single wrong type
+  const declared = [].concat(schema.type || []).filter((t) => t !== "null");
+  if (path.length && WRONG_TYPES[type] && declared.length === 1) {
+    add("invalid", `${label} as ${WRONG_TYPES[type].as} (expects ${type})`, setAt(base, path, WRONG_TYPES[type].value), false);
+  }
+}
+
+/* ------------------------------------------------------------------
+   MAIN: generateSchemaCases
+   - spec.schema: JSON Schema of the request body (object at the root)
+   - options.headers: headers of a valid request (auth included)
+   - options.limit: most cases returned; fields take turns so a large
+     schema does not spend the whole budget on its first properties
+   - Variants start from spec.body with schema samples for what it leaves
+     out, so the in-range cases pass only if that body is itself valid;
+     those also get their own email / username / ... (withUniqueValues)
+   - Returns cases tagged source: "schema", no ids (sanitizeCase sets them)
+-------------------------------------------------------------------*/
+export const generateSchemaCases = (spec = {}, { headers = {}, limit = DEFAULT_SCHEMA_CASES } = {}) => {
+  const schema = flatten(spec.schema);
+  if (!schema.properties || (schema.type && schemaType(schema) !== "object")) return [];
+
+  const base = mergeBase(sampleFromSchema(schema), isPlainObject(spec.body) ? spec.body : undefined);
+  const baseSignature = JSON.stringify(canonical(base));
+  const byField = new Map();
+  const seen = new Set();
+
+  const ctx = {
+    base,
+    add: (category, description, body, valid) => {
+      const signature = JSON.stringify(canonical(body));
+      // a variant equal to the base body tests nothing (and means the base itself is off)
+      if (signature === baseSignature || seen.has(signature)) return;
+      seen.add(signature);
+      const field = description.match(/"([^"]+)"/)?.[1] || "";
+      if (!byField.has(field)) byField.set(field, []);
+      byField.get(field).push({ category, description, body, valid });
+    },
+  };
+  objectRules(schema, [], ctx, 0);
+
+  // round-robin over fields until the limit
+  const queues = [...byField.values()];
+  const picked = [];
+  while (picked.length < limit && queues.some((q) => q.length)) {
+    for (const q of queues) if (q.length && picked.length < limit) picked.push(q.shift());
+  }
+
+  const method = (spec.method || "GET").toUpperCase();
+  const successStatus = [].concat(spec.expected_response?.status || (method === "POST" ? 201 : 200))[0];
+  const invalidStatus = Number.isFinite(spec.overrides?.invalidStatus) ? spec.overrides.invalidStatus : 400;
+  let created = 0;
+
+  return picked.map(({ category, description, body, valid }) => ({
+    category,
+    description,
+    request: {
+      method,
+      endpoint: spec.endpoint || "/",
+      headers: { ...headers },
+      body: valid ? withUniqueValues(schema, body, base, (created += 1)) : body,
+    },
+    expected_response: { status: valid ? successStatus : invalidStatus },
+    source: "schema",
+  }));
+};
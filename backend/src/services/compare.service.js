@@ -0,0 +1,163 @@
+// src/services/compare.service.js
+
+/* ------------------------------------------------------------------
+   Helpers
+-------------------------------------------------------------------*/
+const outcomeOf = (result) => {
+  const s = String(result?.status || "");
+  if (s.includes("PASSED")) return "passed";
+  if (s.includes("ERROR")) return "error";
+  return "failed";
+};
+
+const durationMs = (result) => {
+  const n = parseInt(result?.duration, 10);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * shapeOf
+ * - Reduces a response body to its type structure: object keys with the
+ *   shape of each value, arrays by the shape of their first item.
+ */
+const shapeOf = (value, depth = 0) => {
+  if (depth > 8) return "…";
+  if (value === null) return "null";
+  if (Array.isArray(value)) return value.length ? [shapeOf(value[0], depth + 1)] : [];
+  if (typeof value === "object") {
+    const out = {};
+    for (const key of Object.keys(value).sort()) out[key] = shapeOf(value[key], depth + 1);
+    return out;
+  }
+  return typeof value;
+};
+
+// Flattens a shape into "path: type" entries so changes can be listed
+const flattenShape = (shape, prefix = "$", out = {}) => {
+  if (Array.isArray(shape)) {
+    out[prefix] = "array";
+    if (shape.length) flattenShape(shape[0], `${prefix}[]`, out);
+  } else if (shape && typeof shape === "object") {
+    out[prefix] = "object";
+    for (const [k, v] of Object.entries(shape)) flattenShape(v, `${prefix}.${k}`, out);
+  } else {
+    out[prefix] = shape;
+  }
+  return out;
+};
+
+const diffShapes = (before, after) => {
+  const a = flattenShape(shapeOf(before));
+  const b = flattenShape(shapeOf(after));
+  const changes = [];
+  for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (!(path in b)) changes.push({ path, change: "removed", before: a[path] });
+    else if (!(path in a)) changes.push({ path, change: "added", after: b[path] });
+    else if (a[path] !== b[path]) changes.push({ path, change: "type", before: a[path], after: b[path] });
+  }
+  return changes;
+};
+
+/* ------------------------------------------------------------------
+   Run-to-run diff
+   - slowdown counts when the head is at least `slowdownRatio` times the
+     base duration AND slower by at least `slowdownMinMs`.
+-------------------------------------------------------------------*/
+export const diffRuns = (baseRun, headRun, { slowdownRatio = 1.5, slowdownMinMs = 100 } = {}) => {
+  const baseById = new Map((baseRun.results || []).map((r) => [r.id, r]));
+  const headById = new Map((headRun.results || []).map((r) => [r.id, r]));
+
+  const diff = {
+    newlyFailing: [],
+    newlyPassing: [],
+    statusChanged: [],
+    shapeChanged: [],
+    slower: [],
+    added: [],
+    removed: [],
+  };
+  let unchanged = 0;
+
+  for (const [id, head] of headById) {
+    const base = baseById.get(id);
+    if (!base) {
+      diff.added.push({ id, description: head.description, outcome: outcomeOf(head) });
+      continue;
+    }
+
+    let changed = false;
+    const before = outcomeOf(base);
+    const after = outcomeOf(head);
+    const entry = { id, description: head.description || base.description, before, after };
+
+    if (before === "passed" && after !== "passed") {
+      diff.newlyFailing.push(entry);
+      changed = true;
+    } else if (before !== "passed" && after === "passed") {
+      diff.newlyPassing.push(entry);
+      changed = true;
+    }
+
+    if (base.actual && head.actual && base.actual.status !== head.actual.status) {
+      diff.statusChanged.push({ id, description: entry.description, before: base.actual.status, after: head.actual.status });
+      changed = true;
+    }
+
+    if (base.actual && head.actual) {
+      const changes = diffShapes(base.actual.data, head.actual.data);
+      if (changes.length) {
+        diff.shapeChanged.push({ id, description: entry.description, changes });
+        changed = true;
+      }
+    }
+
+    const baseMs = durationMs(base);
+    const headMs = durationMs(head);
+    if (baseMs !== null && headMs !== null && headMs - baseMs >= slowdownMinMs && headMs >= baseMs * slowdownRatio) {
+      diff.slower.push({ id, description: entry.description, beforeMs: baseMs, afterMs: headMs, ratio: Number((headMs / Math.max(baseMs, 1)).toFixed(2)) });
+      changed = true;
+    }
+
+    if (!changed) unchanged += 1;
+  }
+
+  for (const [id, base] of baseById) {
+    if (!headById.has(id)) diff.removed.push({ id, description: base.description, outcome: outcomeOf(base) });
+  }
+
+  return {
+    base: { id: baseRun.id, createdAt: baseRun.createdAt, summary: baseRun.summary },
+    head: { id: headRun.id, createdAt: headRun.createdAt, summary: headRun.summary },
+    ...diff,
+    unchanged,
+  };
+};
+
+/* ------------------------------------------------------------------
+   Flaky detection across a run history
+   - `runs` in chronological order (oldest first)
+   - a test is flaky when its pass/fail outcome flips at least `minFlips` times
+-------------------------------------------------------------------*/
+export const detectFlakyTests = (runs = [], { minFlips = 2 } = {}) => {
+  const history = new Map();
+  for (const run of runs) {
+    for (const r of run.results || []) {
+      if (!history.has(r.id)) history.set(r.id, { id: r.id, description: r.description, outcomes: [] });
+      history.get(r.id).outcomes.push({ runId: run.id, outcome: outcomeOf(r) === "passed" ? "passed" : "failed" });
+    }
+  }
+
+  const flaky = [];
+  for (const item of history.values()) {
+    let flips = 0;
+    for (let i = 1; i < item.outcomes.length; i += 1) {
+      if (item.outcomes[i].outcome !== item.outcomes[i - 1].outcome) flips += 1;
+    }
+    if (flips >= minFlips) {
+      const passes = item.outcomes.filter((o) => o.outcome === "passed").length;
+      flaky.push({ ...item, flips, passRate: Number((passes / item.outcomes.length).toFixed(2)) });
+    }
+  }
+
+  return flaky.sort((a, b) => b.flips - a.flips);
+};
@@ -0,0 +1,523 @@
+// src/services/export.service.js
+
+/* ------------------------------------------------------------------
+   Suite exporters: Postman v2.1 collection, k6 load script and a
+   Jest test file (axios or supertest), so generated cases can be
+   committed next to the service they test.
+-------------------------------------------------------------------*/
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const BODYLESS = ["GET", "HEAD"];
+
+/* ------------------------------------------------------------------
+   Shared helpers
+-------------------------------------------------------------------*/
+const statusesOf = (expected) => [].concat(expected?.status ?? 200).map((s) => parseInt(s, 10));
+
+const caseTitle = (tc) => `${tc.id}${tc.description ? ` - ${tc.description}` : ""}`;
+
+const slugify = (name) => String(name || "suite").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "suite";
+
+// Every runnable case as a list of steps (a plain request case is a one-step flow)
+const stepsOf = (tc) => {
+  if (tc.type !== "flow") return [{ title: caseTitle(tc), request: tc.request, expected: tc.expected_response }];
+  return tc.steps.map((step, i) => ({
+    title: `${step.id || `${tc.id}_STEP_${i + 1}`}${step.description ? ` - ${step.description}` : ""}`,
+    request: step.request,
+    expected: step.expected_response,
+    extract: step.extract,
+    continueOnFailure: step.continueOnFailure,
+  }));
+};
+
+// {{names}} used anywhere in the suite, minus the ones flows define or extract themselves
+const templateVariables = (testCases) => {
+  const used = new Set();
+  const produced = new Set(["baseUrl"]);
+  for (const tc of testCases) {
+    for (const match of JSON.stringify(tc).matchAll(PLACEHOLDER)) used.add(match[1]);
+    Object.keys(tc.variables || {}).forEach((name) => produced.add(name));
+    for (const step of tc.steps || []) Object.keys(step.extract || {}).forEach((name) => produced.add(name));
+  }
+  return [...used].filter((name) => !produced.has(name)).sort();
+};
+
+/**
+ * pathKeys
+ * - "$.data.items[0].id" (JSONPath) or "data.items[0].id" (JMESPath) -> ["data", "items", 0, "id"]
+ * - null for anything needing a real query engine (filters, wildcards, functions)
+ */
+const pathKeys = (path) => {
+  let rest = String(path || "").trim().replace(/^\$/, "");
+  const keys = [];
+  while (rest) {
+    const m = rest.match(/^\.?([A-Za-z_$][\w$-]*)/) || rest.match(/^\[(\d+)\]/) || rest.match(/^\[['"]([^'"]+)['"]\]/)
+      || rest.match(/^\.?"([^"]+)"/);
+    if (!m) return null;
+    keys.push(/^\[\d+\]/.test(m[0]) ? Number(m[1]) : m[1]);
+    rest = rest.slice(m[0].length);
+  }
+  return keys;
+};
+
+/**
+ * assertTranslatable
+ * - The exports replay flow extractions with plain key lookups, so a path
+ *   pathKeys cannot translate would leave later steps with unresolved
+ *   {{variables}}: refuse the export (400) and name every such extraction.
+ */
+const assertTranslatable = (suite, format) => {
+  const problems = [];
+  for (const tc of suite.testCases || []) {
+    stepsOf(tc).forEach((step) => {
+      for (const [name, path] of Object.entries(step.extract || {})) {
+        if (!pathKeys(path)) problems.push(`${step.title}: "${name}" from ${path}`);
+      }
+    });
+  }
+  if (!problems.length) return;
+  throw Object.assign(new Error(
+    `Cannot export to ${format}: ${problems.length} extraction(s) use paths the export cannot translate `
+    + `(filters, wildcards, functions). Rewrite them as plain paths such as $.data.items[0].id: ${problems.join("; ")}`
+  ), { status: 400 });
+};
+
+// Multi-line literal indented to sit inside generated code
+const literal = (value, indent = "") => JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+
+const bodyAssertionNote = (expected, indent) => {
+  const count = expected?.assertions?.length || 0;
+  return count ? [`${indent}// ${count} body assertion(s) not exported: they are evaluated by the in-app runner only`] : [];
+};
+
+const exportHeader = (suite, lines) => [
+  "/**",
+  ` * ${suite.name || "API test suite"}`,
+  ` * Exported from AI Test Generator (suite ${suite.id || "unsaved"}, ${(suite.testCases || []).length} cases).`,
+  ...lines.map((line) => (line ? ` * ${line}` : " *")),
+  " */",
+];
+
+/* ------------------------------------------------------------------
+   Postman collection v2.1
+   {{variables}} use Postman's own syntax, so they pass through as-is.
+-------------------------------------------------------------------*/
+const postmanUrl = (endpoint) => (/^https?:\/\//i.test(endpoint) || endpoint.startsWith("{{") ? endpoint : `{{baseUrl}}${endpoint}`);
+
+const postmanHeaderTests = (rules = {}) => Object.entries(rules).map(([name, rawRule]) => {
+  const rule = typeof rawRule === "string" ? { equals: rawRule } : rawRule || {};
+  const n = JSON.stringify(name);
+  if (rule.present === false) return `pm.test(${JSON.stringify(`header ${name} is absent`)}, () => pm.expect(pm.response.headers.has(${n})).to.be.false);`;
+  if (rule.equals !== undefined) return `pm.test(${JSON.stringify(`header ${name} equals ${rule.equals}`)}, () => pm.expect(pm.response.headers.get(${n})).to.eql(${JSON.stringify(String(rule.equals))}));`;
+  if (rule.matches !== undefined) {
+    return `pm.test(${JSON.stringify(`header ${name} matches /${rule.matches}/`)}, () => pm.expect(pm.response.headers.get(${n}) || "").to.match(new RegExp(${JSON.stringify(String(rule.matches))}, ${JSON.stringify(rule.flags || "")})));`;
+  }
+  return `pm.test(${JSON.stringify(`header ${name} is present`)}, () => pm.expect(pm.response.headers.has(${n})).to.be.true);`;
+});
+
+const postmanItem = (step) => {
+  const { request, expected } = step;
+  const method = String(request.method || "GET").toUpperCase();
+  const statuses = statusesOf(expected);
+
+  const exec = [
+    `pm.test(${JSON.stringify(`status is ${statuses.join(" or ")}`)}, () => pm.expect(pm.response.code).to.be.oneOf(${JSON.stringify(statuses)}));`,
+    ...postmanHeaderTests(expected?.headers),
+  ];
+  if (expected?.schema) exec.push(`pm.test("body matches schema", () => pm.response.to.have.jsonSchema(${JSON.stringify(expected.schema)}));`);
+  if (expected?.maxDurationMs) {
+    exec.push(`pm.test("responds within ${expected.maxDurationMs}ms", () => pm.expect(pm.response.responseTime).to.be.at.most(${expected.maxDurationMs}));`);
+  }
+  exec.push(...bodyAssertionNote(expected, ""));
+  // paths were checked by assertTranslatable
+  for (const [name, path] of Object.entries(step.extract || {})) {
+    exec.push(
+      `{ const value = ${JSON.stringify(pathKeys(path))}.reduce((node, key) => (node == null ? undefined : node[key]), pm.response.json());`,
+      `  pm.collectionVariables.set(${JSON.stringify(name)}, typeof value === "object" ? JSON.stringify(value) : value); }`
+    );
+  }
+
+  const body = request.body;
+  const hasBody = body !== undefined && body !== null && !BODYLESS.includes(method);
+  return {
+    name: step.title,
+    request: {
+      method,
+      header: Object.entries(request.headers || {}).map(([key, value]) => ({ key, value: String(value) })),
+      url: { raw: postmanUrl(request.endpoint) },
+      ...(hasBody ? {
+        body: typeof body === "string"
+          ? { mode: "raw", raw: body }
+          : { mode: "raw", raw: JSON.stringify(body, null, 2), options: { raw: { language: "json" } } },
+      } : {}),
+    },
+    event: [{ listen: "test", script: { type: "text/javascript", exec } }],
+  };
+};
+
+export const renderPostman = (suite) => {
+  const testCases = suite.testCases || [];
+  const variables = new Map([["baseUrl", suite.targetUrl || ""]]);
+  templateVariables(testCases).forEach((name) => variables.set(name, ""));
+
+  const item = testCases.map((tc) => {
+    if (tc.type !== "flow") return postmanItem(stepsOf(tc)[0]);
+    for (const [name, value] of Object.entries(tc.variables || {})) {
+      if (!variables.get(name)) variables.set(name, typeof value === "object" ? JSON.stringify(value) : String(value));
+    }
+    // folder items run in order in the Collection Runner, which is what a flow needs
+    return { name: caseTitle(tc), item: stepsOf(tc).map(postmanItem) };
+  });
+
+  const collection = {
+    info: {
+      name: suite.name || "API test suite",
+      description: `Exported from AI Test Generator${suite.id ? ` (suite ${suite.id})` : ""}.`,
+      schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json",
+    },
+    item,
+    variable: [...variables].map(([key, value]) => ({ key, value })),
+  };
+  return JSON.stringify(collection, null, 2);
+};
+
+/* ------------------------------------------------------------------
+   Generated-code runtime shared by the k6 and Jest exports
+   (same {{placeholder}} rules as utils/template.js)
+-------------------------------------------------------------------*/
+const RUNTIME_HELPERS = String.raw`
+function render(value, scope) {
+  if (typeof value === "string") {
+    const whole = value.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+    if (whole) return whole[1] in scope ? scope[whole[1]] : value;
+    return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+      if (!(name in scope)) return match;
+      const v = scope[name];
+      return v !== null && typeof v === "object" ? JSON.stringify(v) : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((item) => render(item, scope));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const key of Object.keys(value)) out[key] = render(value[key], scope);
+    return out;
+  }
+  return value;
+}
+
+function pick(data, keys) {
+  return keys.reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), data);
+}
+
+function header(headers, name) {
+  const key = Object.keys(headers || {}).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : String(headers[key]);
+}
+
+function resolveUrl(endpoint) {
+  if (/^https?:\/\//i.test(endpoint)) return endpoint;
+  return BASE_URL.replace(/\/+$/, "") + (endpoint.startsWith("/") ? "" : "/") + endpoint;
+}
+
+function prepare(request, scope) {
+  const req = render(request, scope);
+  req.headers = { ...(req.headers || {}) };
+  if (["GET", "HEAD"].includes(req.method)) delete req.body;
+  if (req.body !== undefined && typeof req.body === "object" && header(req.headers, "content-type") === undefined) {
+    req.headers["Content-Type"] = "application/json";
+  }
+  return req;
+}
+`.trim();
+
+// paths were checked by assertTranslatable
+const extractLines = (step, source, indent) => Object.entries(step.extract || {}).map(([name, path]) =>
+  `${indent}scope[${JSON.stringify(name)}] = pick(${source}, ${JSON.stringify(pathKeys(path))});`);
+
+/* ------------------------------------------------------------------
+   k6 load script
+-------------------------------------------------------------------*/
+const K6_SCHEMA_HELPER = String.raw`
+// Structural subset of JSON Schema (type, enum, required, properties, items):
+// k6 cannot load Ajv, so formats and combinators are not checked here.
+function matchesSchema(value, schema) {
+  if (!schema || typeof schema !== "object") return true;
+  const type = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+  if (schema.type && ![].concat(schema.type).some((t) => t === type || (t === "integer" && Number.isInteger(value)))) return false;
+  if (schema.enum && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) return false;
+  if (type === "object") {
+    if ((schema.required || []).some((key) => !(key in value))) return false;
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value && !matchesSchema(value[key], sub)) return false;
+    }
+  }
+  if (type === "array" && schema.items) return value.every((item) => matchesSchema(item, schema.items));
+  return true;
+}
+
+function parseBody(res) {
+  try {
+    return res.json();
+  } catch (e) {
+    return res.body;
+  }
+}
+
+function send(request, scope, statuses) {
+  const req = prepare(request, scope);
+  const body = req.body === undefined ? null : typeof req.body === "string" ? req.body : JSON.stringify(req.body);
+  return http.request(req.method, resolveUrl(req.endpoint), body, {
+    headers: req.headers,
+    // expected 4xx/5xx responses are not counted in http_req_failed
+    responseCallback: http.expectedStatuses(...statuses),
+    tags: { name: request.endpoint },
+  });
+}
+`.trim();
+
+const k6HeaderChecks = (rules = {}, indent) => Object.entries(rules).map(([name, rawRule]) => {
+  const rule = typeof rawRule === "string" ? { equals: rawRule } : rawRule || {};
+  const h = `header(r.headers, ${JSON.stringify(name)})`;
+  if (rule.present === false) return `${indent}${JSON.stringify(`header ${name} is absent`)}: (r) => ${h} === undefined,`;
+  if (rule.equals !== undefined) return `${indent}${JSON.stringify(`header ${name} equals ${rule.equals}`)}: (r) => ${h} === ${JSON.stringify(String(rule.equals))},`;
+  if (rule.matches !== undefined) {
+    return `${indent}${JSON.stringify(`header ${name} matches /${rule.matches}/`)}: (r) => new RegExp(${JSON.stringify(String(rule.matches))}, ${JSON.stringify(rule.flags || "")}).test(${h} || ""),`;
+  }
+  return `${indent}${JSON.stringify(`header ${name} is present`)}: (r) => ${h} !== undefined,`;
+});
+
+const k6Step = (step, indent, onFailure) => {
+  const statuses = statusesOf(step.expected);
+  const inner = `${indent}  `;
+  const checks = [
+    `${inner}${JSON.stringify(`status is ${statuses.join(" or ")}`)}: (r) => ${JSON.stringify(statuses)}.includes(r.status),`,
+    ...k6HeaderChecks(step.expected?.headers, inner),
+  ];
+  if (step.expected?.schema) checks.push(`${inner}"body matches schema": (r) => matchesSchema(parseBody(r), ${literal(step.expected.schema, inner)}),`);
+  if (step.expected?.maxDurationMs) checks.push(`${inner}"responds within ${step.expected.maxDurationMs}ms": (r) => r.timings.duration <= ${step.expected.maxDurationMs},`);
+
+  return [
+    `${indent}// ${step.title}`,
+    `${indent}res = send(${literal(step.request, indent)}, scope, ${JSON.stringify(statuses)});`,
+    `${indent}${onFailure ? "if (!check" : "check"}(res, {`,
+    ...checks,
+    onFailure ? `${indent}})) ${onFailure}` : `${indent}});`,
+    ...bodyAssertionNote(step.expected, indent),
+    ...extractLines(step, "parseBody(res)", indent),
+  ];
+};
+
+export const renderK6 = (suite) => {
+  const testCases = suite.testCases || [];
+  const variables = templateVariables(testCases);
+
+  const groups = testCases.map((tc) => {
+    const indent = "    ";
+    const steps = stepsOf(tc);
+    const stop = tc.type === "flow" && tc.stopOnFailure !== false;
+    const body = steps.flatMap((step, i) => [
+      ...(i ? [""] : []),
+      ...k6Step(step, indent, stop && !step.continueOnFailure && i < steps.length - 1 ? "return;" : null),
+    ]);
+    return [
+      `  group(${JSON.stringify(caseTitle(tc))}, () => {`,
+      `${indent}const scope = { ...vars${tc.variables && Object.keys(tc.variables).length ? `, ...${JSON.stringify(tc.variables)}` : ""} };`,
+      `${indent}let res;`,
+      ...body,
+      "  });",
+    ].join("\n");
+  });
+
+  return [
+    ...exportHeader(suite, [
+      `Run: k6 run -e BASE_URL=${suite.targetUrl || "https://api.example.com"} ${slugify(suite.name)}.k6.js`,
+      "Load: -e VUS=20 -e DURATION=1m (defaults 5 VUs for 30s)",
+      ...(variables.length ? [`Variables: ${variables.map((v) => `-e ${v}=...`).join(" ")}`] : []),
+    ]),
+    'import http from "k6/http";',
+    'import { check, group, sleep } from "k6";',
+    "",
+    "export const options = {",
+    "  vus: Number(__ENV.VUS || 5),",
+    '  duration: __ENV.DURATION || "30s",',
+    "  thresholds: {",
+    '    checks: ["rate>0.99"],',
+    '    http_req_failed: ["rate<0.01"],',
+    "  },",
+    "};",
+    "",
+    `const BASE_URL = __ENV.BASE_URL || ${JSON.stringify(suite.targetUrl || "http://localhost:3000")};`,
+    "const vars = { baseUrl: BASE_URL };",
+    `for (const name of ${JSON.stringify(variables)}) {`,
+    "  if (__ENV[name] !== undefined) vars[name] = __ENV[name];",
+    "}",
+    "",
+    RUNTIME_HELPERS,
+    "",
+    K6_SCHEMA_HELPER,
+    "",
+    "export default function () {",
+    groups.join("\n\n"),
+    "",
+    "  sleep(1);",
+    "}",
+    "",
+  ].join("\n");
+};
+
+/* ------------------------------------------------------------------
+   Jest (axios or supertest)
+-------------------------------------------------------------------*/
+const JEST_CLIENTS = {
+  axios: {
+    require: 'const axios = require("axios");',
+    dependency: "axios",
+    send: String.raw`
+async function send(request, scope) {
+  const req = prepare(request, scope);
+  const started = Date.now();
+  const res = await axios.request({
+    method: req.method,
+    url: resolveUrl(req.endpoint),
+    headers: req.headers,
+    data: req.body,
+    validateStatus: () => true,
+  });
+  return { status: res.status, headers: res.headers, body: res.data, duration: Date.now() - started };
+}
+`.trim(),
+  },
+  supertest: {
+    require: 'const supertest = require("supertest");',
+    dependency: "supertest",
+    send: String.raw`
+// To test an Express app in-process, replace supertest(url.origin) with supertest(app)
+async function send(request, scope) {
+  const req = prepare(request, scope);
+  const url = new URL(resolveUrl(req.endpoint));
+  const started = Date.now();
+  let call = supertest(url.origin)[req.method.toLowerCase()](url.pathname + url.search).set(req.headers);
+  if (req.body !== undefined) call = call.send(req.body);
+  const res = await call;
+  const body = res.body && typeof res.body === "object" && Object.keys(res.body).length ? res.body : res.text;
+  return { status: res.status, headers: res.headers, body, duration: Date.now() - started };
+}
+`.trim(),
+  },
+};
+
+const jestHeaderExpects = (rules = {}, indent) => Object.entries(rules).map(([name, rawRule]) => {
+  const rule = typeof rawRule === "string" ? { equals: rawRule } : rawRule || {};
+  const h = `expect(header(res.headers, ${JSON.stringify(name)}))`;
+  if (rule.present === false) return `${indent}${h}.toBeUndefined();`;
+  if (rule.equals !== undefined) return `${indent}${h}.toBe(${JSON.stringify(String(rule.equals))});`;
+  if (rule.matches !== undefined) return `${indent}${h}.toMatch(new RegExp(${JSON.stringify(String(rule.matches))}, ${JSON.stringify(rule.flags || "")}));`;
+  return `${indent}${h}.toBeDefined();`;
+});
+
+const jestStep = (step, indent, soft) => {
+  const statuses = statusesOf(step.expected);
+  const lines = [
+    `${indent}// ${step.title}`,
+    `${indent}res = await send(${literal(step.request, indent)}, scope);`,
+  ];
+  const expects = [
+    `expect(${JSON.stringify(statuses)}).toContain(res.status);`,
+    ...jestHeaderExpects(step.expected?.headers, ""),
+    ...(step.expected?.schema ? [`expectSchema(res.body, ${literal(step.expected.schema, indent + (soft ? "  " : ""))});`] : []),
+    ...(step.expected?.maxDurationMs ? [`expect(res.duration).toBeLessThanOrEqual(${step.expected.maxDurationMs});`] : []),
+  ];
+  // continueOnFailure steps report their failures without ending the flow
+  if (soft) {
+    lines.push(`${indent}try {`, ...expects.map((e) => `${indent}  ${e}`), `${indent}} catch (err) {`, `${indent}  softFailures.push(err);`, `${indent}}`);
+  } else {
+    lines.push(...expects.map((e) => `${indent}${e}`));
+  }
+  return [...lines, ...bodyAssertionNote(step.expected, indent), ...extractLines(step, "res.body", indent)];
+};
+
+export const renderJest = (suite, { client = "axios" } = {}) => {
+  if (!Object.hasOwn(JEST_CLIENTS, client)) {
+    throw Object.assign(new Error(`Unknown Jest client "${client}" (use ${Object.keys(JEST_CLIENTS).join(", ")})`), { status: 400 });
+  }
+  const runtime = JEST_CLIENTS[client];
+  const testCases = suite.testCases || [];
+  const variables = templateVariables(testCases);
+
+  const tests = testCases.map((tc) => {
+    const indent = "    ";
+    const steps = stepsOf(tc);
+    const isFlow = tc.type === "flow";
+    // a flow runs as one test; with stopOnFailure off every step is soft
+    const softAll = isFlow && tc.stopOnFailure === false;
+    const body = steps.flatMap((step, i) => [...(i ? [""] : []), ...jestStep(step, indent, isFlow && (softAll || step.continueOnFailure))]);
+    const usesSoft = body.some((line) => line.includes("softFailures.push"));
+    return [
+      `  test(${JSON.stringify(caseTitle(tc))}, async () => {`,
+      `${indent}const scope = { ...vars${tc.variables && Object.keys(tc.variables).length ? `, ...${JSON.stringify(tc.variables)}` : ""} };`,
+      ...(usesSoft ? [`${indent}const softFailures = [];`] : []),
+      `${indent}let res;`,
+      ...body,
+      ...(usesSoft ? ["", `${indent}if (softFailures.length) throw softFailures[0];`] : []),
+      "  });",
+    ].join("\n");
+  });
+
+  return [
+    ...exportHeader(suite, [
+      `Run: BASE_URL=${suite.targetUrl || "https://api.example.com"} npx jest ${slugify(suite.name)}.test.js`,
+      `Needs: npm i -D jest ${runtime.dependency} ajv ajv-formats`,
+      ...(variables.length ? [`Variables (environment): ${variables.join(", ")}`] : []),
+    ]),
+    runtime.require,
+    'const Ajv = require("ajv");',
+    'const addFormats = require("ajv-formats");',
+    "",
+    `const BASE_URL = process.env.BASE_URL || ${JSON.stringify(suite.targetUrl || "http://localhost:3000")};`,
+    "const vars = { baseUrl: BASE_URL };",
+    `for (const name of ${JSON.stringify(variables)}) {`,
+    "  if (process.env[name] !== undefined) vars[name] = process.env[name];",
+    "}",
+    "",
+    "const ajv = new Ajv({ strict: false, allErrors: true });",
+    "addFormats(ajv);",
+    "",
+    "function expectSchema(body, schema) {",
+    "  const validate = ajv.compile(schema);",
+    "  const valid = validate(body);",
+    "  if (!valid) throw new Error(`Response body does not match schema: ${ajv.errorsText(validate.errors)}`);",
+    "}",
+    "",
+    RUNTIME_HELPERS,
+    "",
+    runtime.send,
+    "",
+    "jest.setTimeout(30000);",
+    "",
+    `describe(${JSON.stringify(suite.name || "API test suite")}, () => {`,
+    tests.join("\n\n"),
+    "});",
+    "",
+  ].join("\n");
+};
+
+/* ------------------------------------------------------------------
+   Format registry (one route per format, see routes/export.routes.js)
+-------------------------------------------------------------------*/
+export const EXPORT_FORMATS = {
+  postman: { extension: "postman_collection.json", contentType: "application/json; charset=utf-8", render: renderPostman },
+  k6: { extension: "k6.js", contentType: "application/javascript; charset=utf-8", render: renderK6 },
+  jest: { extension: "test.js", contentType: "application/javascript; charset=utf-8", render: renderJest },
+};
+
+export const renderExport = (suite, format, options = {}) => {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw Object.assign(new Error(`Unknown export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(", ")})`), { status: 400 });
+  }
+  const entry = EXPORT_FORMATS[format];
+  assertTranslatable(suite, format);
+  return {
+    ...entry,
+    filename: `${slugify(suite.name)}.${entry.extension}`,
+    body: entry.render(suite, options),
+  };
+};
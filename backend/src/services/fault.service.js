@@ -0,0 +1,261 @@
+// src/services/fault.service.js
+import crypto from "crypto";
+import http from "http";
+import { Router } from "express";
+import { config } from "../config/env.js";
+import { faultConfigSchema, faultProfileSchema } from "../schemas/validation.js";
+
+/* ------------------------------------------------------------------
+   Fault injection in front of the mock routes: latency, 5xx / 429,
+   connection resets, truncated / malformed bodies and slow-drip
+   responses. Profiles are assigned per route (PUT /mocks/faults) or
+   per request (X-Mock-Fault header); a seed makes them repeatable.
+-------------------------------------------------------------------*/
+const FAULT_HEADER = "X-Mock-Fault";
+const SEED_HEADER = "X-Mock-Fault-Seed";
+const APPLIED_HEADER = "X-Mock-Fault-Applied";
+
+const badFaults = (message) => Object.assign(new Error(message), { status: 400 });
+
+const BUILTIN_PROFILES = Object.fromEntries(Object.entries({
+  none: {},
+  slow: { latency: { distribution: "normal", mean: 1500, stddev: 500 } },
+  flaky: { latency: { distribution: "uniform", min: 20, max: 300 }, errorRate: 0.2, throttleRate: 0.1 },
+  unreliable: { resetRate: 0.1, truncateRate: 0.1, malformedRate: 0.1 },
+  drip: { slowDrip: { chunkBytes: 8, intervalMs: 250 } },
+}).map(([name, profile]) => [name, faultProfileSchema.parse(profile)]));
+
+/* ------------------------------------------------------------------
+   Seeded randomness
+-------------------------------------------------------------------*/
+// FNV-1a, so "42" and 42 give the same sequence
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (const ch of String(seed)) hash = Math.imul(hash ^ ch.charCodeAt(0), 0x01000193);
+  return hash >>> 0;
+};
+
+// mulberry32: tiny and plenty for picking faults
+const seededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const sampleLatency = (latency, u1, u2) => {
+  if (!latency) return 0;
+  const { distribution, mean, stddev, min, max } = latency;
+  const value = {
+    fixed: mean,
+    uniform: min + (max - min) * u1,
+    // Box-Muller
+    normal: mean + stddev * Math.sqrt(-2 * Math.log(1 - u1)) * Math.cos(2 * Math.PI * u2),
+    exponential: -mean * Math.log(1 - u1),
+  }[distribution];
+  return Math.round(Math.min(max, Math.max(min, value)));
+};
+
+// Every request consumes the same number of draws whatever happens to it,
+// so one request's outcome never shifts the faults of the ones after it
+const planFaults = (profile, random) => {
+  const [u1, u2, reset, throttle, error, pick, body, shape, drip] = Array.from({ length: 9 }, random);
+  let status = null;
+  if (throttle < profile.throttleRate) status = 429;
+  else if (error < profile.errorRate) status = profile.errorStatuses[Math.floor(pick * profile.errorStatuses.length)];
+
+  let mangle = null;
+  if (body < profile.truncateRate) mangle = "truncate";
+  else if (body < profile.truncateRate + profile.malformedRate) mangle = "malformed";
+
+  return {
+    delay: sampleLatency(profile.latency, u1, u2),
+    reset: reset < profile.resetRate,
+    status,
+    mangle,
+    shape,
+    drip: profile.slowDrip && drip < profile.slowDrip.rate ? profile.slowDrip : null,
+  };
+};
+
+/* ------------------------------------------------------------------
+   Response mangling
+-------------------------------------------------------------------*/
+const MALFORMATIONS = [
+  (text) => text.replace(/"([^"\\]*)":/, "$1:"), // unquoted key
+  (text) => text.replace(/([}\]])\s*$/, ",$1"), // trailing comma
+  (text) => text.replace(/"([^"\\]*)"/, "'$1'"), // single quotes
+];
+
+const malform = (text, shape) => {
+  const mangled = MALFORMATIONS[Math.floor(shape * MALFORMATIONS.length)](text);
+  return mangled === text ? `${text}}` : mangled;
+};
+
+const drip = (res, buffer, { chunkBytes, intervalMs }, end) => {
+  let offset = 0;
+  const timer = setInterval(() => {
+    const chunk = buffer.subarray(offset, offset + chunkBytes);
+    offset += chunkBytes;
+    if (offset < buffer.length) return res.write(chunk);
+    clearInterval(timer);
+    return end(chunk);
+  }, intervalMs);
+  res.on("close", () => clearInterval(timer));
+};
+
+// Rewrites the body on its way out (express funnels res.json/res.send into res.end)
+const interceptBody = (req, res, plan, applied, count) => {
+  const end = res.end.bind(res);
+  res.end = (chunk, encoding) => {
+    const buffer = typeof chunk === "string" ? Buffer.from(chunk, typeof encoding === "string" ? encoding : "utf8") : chunk;
+    if (!Buffer.isBuffer(buffer) || !buffer.length || req.method === "HEAD") return end(chunk, encoding);
+
+    let body = buffer;
+    if (plan.mangle === "truncate" && body.length > 1) {
+      body = body.subarray(0, Math.min(body.length - 1, Math.max(1, Math.floor(body.length * plan.shape))));
+      applied.push(`truncated=${body.length}/${buffer.length}B`);
+      count("truncated");
+    } else if (plan.mangle === "malformed") {
+      body = Buffer.from(malform(body.toString("utf8"), plan.shape));
+      applied.push("malformed");
+      count("malformed");
+    }
+    if (plan.drip) {
+      applied.push(`drip=${plan.drip.chunkBytes}B/${plan.drip.intervalMs}ms`);
+      count("dripped");
+    }
+
+    res.removeHeader("ETag");
+    res.setHeader("Content-Length", body.length);
+    res.setHeader(APPLIED_HEADER, applied.join(", "));
+    return plan.drip ? drip(res, body, plan.drip, end) : end(body);
+  };
+};
+
+/* ------------------------------------------------------------------
+   State
+-------------------------------------------------------------------*/
+const emptyCounts = () => ({ requests: 0, delayed: 0, reset: 0, throttled: 0, errors: 0, truncated: 0, malformed: 0, dripped: 0 });
+
+const buildState = (input) => {
+  const parsed = faultConfigSchema.parse(input);
+  const profiles = { ...BUILTIN_PROFILES, ...parsed.profiles };
+
+  const router = Router();
+  for (const route of parsed.routes) {
+    if (typeof route.profile === "string" && !profiles[route.profile]) {
+      throw badFaults(`Unknown fault profile "${route.profile}" for ${route.method} ${route.path}`);
+    }
+    const profile = typeof route.profile === "string" ? profiles[route.profile] : route.profile;
+    // first matching route wins
+    router[route.method === "ALL" ? "all" : route.method.toLowerCase()](route.path, (req, _res, next) => {
+      req.faultProfile ??= profile;
+      next();
+    });
+  }
+
+  // MOCK_FAULT_SEED stays the default for every reconfiguration, not only at startup
+  const seed = parsed.seed ?? (config.mock.faultSeed || crypto.randomInt(2 ** 31));
+  return { config: parsed, profiles, router, seed, random: seededRandom(seed), counts: emptyCounts() };
+};
+
+let state = buildState({});
+
+// Header value: "none", a profile name or an inline JSON profile
+const profileFromHeader = (value) => {
+  const text = value.trim();
+  if (!text.startsWith("{")) {
+    if (!state.profiles[text]) throw badFaults(`Unknown fault profile "${text}" in ${FAULT_HEADER}`);
+    return state.profiles[text];
+  }
+  try {
+    return faultProfileSchema.parse(JSON.parse(text));
+  } catch (err) {
+    throw badFaults(`Invalid ${FAULT_HEADER} profile: ${err.errors ? err.errors.map((e) => `${e.path.join(".")}: ${e.message}`).join("; ") : err.message}`);
+  }
+};
+
+const matchRoute = (req, res) => new Promise((resolve, reject) => {
+  state.router(req, res, (err) => (err ? reject(err) : resolve(req.faultProfile)));
+});
+
+/* ------------------------------------------------------------------
+   Middleware
+-------------------------------------------------------------------*/
+export const faultInjector = async (req, res, next) => {
+  try {
+    const header = req.get(FAULT_HEADER);
+    let profile;
+    try {
+      profile = header ? profileFromHeader(header) : await matchRoute(req, res);
+    } catch (err) {
+      if (err.status !== 400) throw err;
+      return res.status(400).json({ error: err.message });
+    }
+    if (!profile || profile === BUILTIN_PROFILES.none) return next();
+
+    const count = (kind) => { state.counts[kind] += 1; };
+    const seed = req.get(SEED_HEADER);
+    const plan = planFaults(profile, seed ? seededRandom(seed) : state.random);
+    const applied = [];
+    count("requests");
+
+    if (plan.delay) {
+      applied.push(`latency=${plan.delay}ms`);
+      count("delayed");
+      await new Promise((resolve) => setTimeout(resolve, plan.delay));
+      if (req.socket.destroyed) return undefined;
+    }
+
+    if (plan.reset) {
+      count("reset");
+      return req.socket.resetAndDestroy();
+    }
+
+    if (plan.mangle || plan.drip) interceptBody(req, res, plan, applied, count);
+
+    if (plan.status) {
+      applied.push(`status=${plan.status}`);
+      count(plan.status === 429 ? "throttled" : "errors");
+      if (plan.status === 429) res.set("Retry-After", String(profile.retryAfter));
+      res.set(APPLIED_HEADER, applied.join(", "));
+      return res.status(plan.status).json({ error: http.STATUS_CODES[plan.status], injected: true });
+    }
+
+    if (applied.length) res.set(APPLIED_HEADER, applied.join(", "));
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/* ------------------------------------------------------------------
+   Admin
+-------------------------------------------------------------------*/
+export const describeFaults = () => ({
+  seed: state.seed,
+  builtIn: Object.keys(BUILTIN_PROFILES),
+  profiles: state.profiles,
+  routes: state.config.routes,
+  headers: { profile: FAULT_HEADER, seed: SEED_HEADER, applied: APPLIED_HEADER },
+  counts: state.counts,
+});
+
+// Invalid input throws and keeps the current faults
+export const configureFaults = (input) => {
+  state = buildState(input);
+  return describeFaults();
+};
+
+export const clearFaults = () => configureFaults({});
+
+// Restart the sequence from the seed so the next run sees the same faults
+export const reseedFaults = () => {
+  state.random = seededRandom(state.seed);
+  state.counts = emptyCounts();
+  return describeFaults();
+};
@@ -0,0 +1,455 @@
+// src/services/fuzz.service.js
+import pLimit from "p-limit";
+import { performance } from "perf_hooks";
+import { createCaseRunner, CANCELLED } from "./runner.service.js";
+import { PAYLOAD_FAMILIES, FAMILY_NAMES, POLLUTION_MARKER, POLLUTION_QUERY, pollutionValue } from "../utils/fuzzPayloads.js";
+
+/* ------------------------------------------------------------------
+   Security fuzzing: every body, query and header field of a spec is
+   replaced with each payload of the chosen families (prototype pollution
+   adds keys to objects instead), the mutations run through the runner and
+   the responses are screened for signs of trouble. Findings are grouped
+   by field.
+-------------------------------------------------------------------*/
+const BODYLESS = ["GET", "HEAD"];
+const SKIP_HEADERS = ["content-length", "host"];
+// a field that can't carry more than this (URL, header) skips bigger payloads
+const MAX_INLINE_LENGTH = 64 * 1024;
+// answers that mean "input rejected": always fine for a mutation
+const REJECTIONS = [400, 401, 403, 404, 405, 409, 413, 414, 415, 422, 431];
+const INJECTION_FAMILIES = ["sqli", "commandInjection", "pathTraversal"];
+const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+
+// error pages, stack traces and database errors that should never reach a client
+const ERROR_SIGNATURES = [
+  { pattern: /\bat [\w$.<>]+ \((?:file:\/\/)?\/[^)]+:\d+:\d+\)/, label: "Node.js stack trace" },
+  { pattern: /Traceback \(most recent call last\)/, label: "Python traceback" },
+  { pattern: /\b(?:java|javax|org\.springframework)\.[\w.]+(?:Exception|Error)\b/, label: "Java exception" },
+  { pattern: /\bSystem\.[\w.]+Exception\b/, label: ".NET exception" },
+  { pattern: /<b>(?:Warning|Fatal error|Parse error)<\/b>:/, label: "PHP error" },
+  { pattern: /node_modules\//, label: "server file paths" },
+  { pattern: /You have an error in your SQL syntax|SQLSTATE\[|syntax error at or near|ORA-\d{5}|SQLITE_ERROR|Unclosed quotation mark/i, label: "SQL error" },
+  { pattern: /MongoServerError|CastError: Cast to \w+ failed/, label: "MongoDB error" },
+];
+
+// content only a successful traversal / command injection would return
+const SENSITIVE_SIGNATURES = [
+  { pattern: /root:[^:\n]*:0:0:/, label: "/etc/passwd contents" },
+  { pattern: /^\[(?:fonts|extensions)\]\s*$/im, label: "win.ini contents" },
+  { pattern: /uid=\d+\([^)]*\)\s+gid=\d+/, label: "`id` command output" },
+];
+
+const stringify = (value) => (typeof value === "string" ? value : JSON.stringify(value));
+const round = (n) => Math.round(n * 100) / 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor((sorted.length - 1) / 2)] : null;
+};
+
+const bodyText = (result) => {
+  const data = result.actual?.data;
+  if (data === undefined || data === null) return "";
+  return typeof data === "string" ? data : JSON.stringify(data);
+};
+
+const safeDecode = (text) => {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, " "));
+  } catch {
+    return text;
+  }
+};
+
+// own property even for "__proto__"
+const defineKey = (target, key, value) => {
+  if (Array.isArray(target) && typeof key === "number") target[key] = value;
+  else Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+};
+
+/* ------------------------------------------------------------------
+   Field discovery
+   Targets: { field, location: body|query|header, kind: value|object, ... }
+-------------------------------------------------------------------*/
+const splitEndpoint = (endpoint) => {
+  const i = endpoint.indexOf("?");
+  return i === -1 ? [endpoint, ""] : [endpoint.slice(0, i), endpoint.slice(i + 1)];
+};
+
+const formatBodyPath = (path) => path.reduce((acc, seg) => (typeof seg === "number" ? `${acc}[${seg}]` : `${acc}.${seg}`), "body");
+
+const walkBody = (value, path, targets) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => walkBody(item, [...path, i], targets));
+  } else if (value && typeof value === "object") {
+    targets.push({ field: formatBodyPath(path), location: "body", kind: "object", path });
+    for (const [key, item] of Object.entries(value)) walkBody(item, [...path, key], targets);
+  } else {
+    targets.push({ field: formatBodyPath(path), location: "body", kind: "value", path });
+  }
+};
+
+/**
+ * discoverFields
+ * - Every fuzzable spot in a spec: body leaves and objects (when the method
+ *   sends a body), query parameters and headers.
+ */
+export const discoverFields = (spec) => {
+  const targets = [];
+  const method = spec.method.toUpperCase();
+
+  if (!BODYLESS.includes(method) && spec.body !== undefined && spec.body !== null) {
+    let body = spec.body;
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        // plain text: the whole body is one field
+      }
+    }
+    walkBody(body, [], targets);
+  }
+
+  const [, query] = splitEndpoint(spec.endpoint);
+  const params = query.split("&").filter(Boolean).map((pair) => safeDecode(pair.split("=")[0]));
+  for (const name of new Set(params)) targets.push({ field: `query.${name}`, location: "query", kind: "value", name });
+  targets.push({ field: "query", location: "query", kind: "object" });
+
+  for (const name of Object.keys(spec.headers || {})) {
+    if (!SKIP_HEADERS.includes(name.toLowerCase())) targets.push({ field: `headers.${name}`, location: "header", kind: "value", name });
+  }
+  return targets;
+};
+
+/* ------------------------------------------------------------------
+   Mutations
+-------------------------------------------------------------------*/
+const parsedBody = (spec) => {
+  if (typeof spec.body !== "string") return spec.body;
+  try {
+    return JSON.parse(spec.body);
+  } catch {
+    return spec.body;
+  }
+};
+
+const cloneBody = (spec) => {
+  const body = parsedBody(spec);
+  return body !== null && typeof body === "object" ? JSON.parse(JSON.stringify(body)) : body;
+};
+
+const setBodyAt = (spec, path, value) => {
+  if (!path.length) return value;
+  const body = cloneBody(spec);
+  const parent = path.slice(0, -1).reduce((node, seg) => node[seg], body);
+  defineKey(parent, path[path.length - 1], value);
+  return body;
+};
+
+// other parameters stay as written, so their {{placeholders}} still render
+const replaceQueryParam = (endpoint, name, encoded) => {
+  const [base, query] = splitEndpoint(endpoint);
+  const pairs = query.split("&").filter(Boolean).map((pair) => (
+    safeDecode(pair.split("=")[0]) === name ? `${pair.split("=")[0]}=${encoded}` : pair
+  ));
+  return `${base}?${pairs.join("&")}`;
+};
+
+const appendQueryParam = (endpoint, name, value) => `${endpoint}${endpoint.includes("?") ? "&" : "?"}${encodeURIComponent(name)}=${value}`;
+
+const headerSafe = (text) => /^[\t\x20-\x7e]*$/.test(text);
+
+/**
+ * mutate
+ * - The spec's request with one payload applied at one target, or null
+ *   when the payload can't travel there (a NUL byte in a header, 1 MB in a URL).
+ */
+const mutate = (spec, target, payload) => {
+  const request = {
+    method: spec.method,
+    endpoint: spec.endpoint,
+    headers: { ...(spec.headers || {}) },
+    body: BODYLESS.includes(spec.method.toUpperCase()) ? undefined : parsedBody(spec),
+  };
+
+  if (target.kind === "object") {
+    if (target.location === "query") return { ...request, endpoint: appendQueryParam(spec.endpoint, payload.name, "true") };
+    const body = cloneBody(spec);
+    const node = target.path.reduce((acc, seg) => acc[seg], body);
+    defineKey(node, payload.key, pollutionValue(payload.key));
+    return { ...request, body };
+  }
+
+  if (target.location === "body") return { ...request, body: setBodyAt(spec, target.path, payload.value) };
+
+  const text = stringify(payload.value);
+  if (text.length > MAX_INLINE_LENGTH) return null;
+  if (target.location === "query") {
+    let encoded;
+    try {
+      encoded = encodeURIComponent(text);
+    } catch {
+      return null; // lone surrogates have no UTF-8 form
+    }
+    return { ...request, endpoint: replaceQueryParam(spec.endpoint, target.name, encoded) };
+  }
+  if (!headerSafe(text)) return null;
+  request.headers[target.name] = text;
+  return request;
+};
+
+// query pollution uses its own bracket syntax; body pollution uses the family's keys
+const payloadsFor = (target, family) => {
+  if (family !== "prototypePollution") return target.kind === "value" ? PAYLOAD_FAMILIES[family] : [];
+  if (target.kind !== "object") return [];
+  return target.location === "query" ? POLLUTION_QUERY : PAYLOAD_FAMILIES.prototypePollution;
+};
+
+/**
+ * buildFuzzCases
+ * - One runnable case per (target, payload), interleaved across targets so
+ *   a maxCases cap trims every field a little instead of dropping the last
+ *   fields entirely.
+ * - Returns { cases, targets, skipped, truncated }; each case carries its
+ *   fuzz metadata ({ field, family, payload }) for the report.
+ */
+export const buildFuzzCases = (spec, { families = FAMILY_NAMES, fields, maxCases = Infinity, acceptedStatuses } = {}) => {
+  const targets = discoverFields(spec).filter((t) => !fields || fields.includes(t.field));
+  let skipped = 0;
+
+  const perTarget = targets.map((target) => {
+    const list = [];
+    for (const family of families) {
+      for (const payload of payloadsFor(target, family)) {
+        const request = mutate(spec, target, payload);
+        if (!request) {
+          skipped += 1;
+          continue;
+        }
+        list.push({ request, fuzz: { field: target.field, location: target.location, family, payload: payload.label }, payload });
+      }
+    }
+    return list;
+  }).filter((list) => list.length);
+
+  const ordered = [];
+  for (let i = 0; perTarget.some((list) => i < list.length); i += 1) {
+    for (const list of perTarget) if (i < list.length) ordered.push(list[i]);
+  }
+
+  const cases = ordered.slice(0, maxCases).map(({ request, fuzz, payload }, i) => ({
+    id: `FUZZ_${i + 1}`,
+    category: "security",
+    description: `${fuzz.family}: ${fuzz.payload.length > 80 ? `${fuzz.payload.slice(0, 77)}...` : fuzz.payload} → ${fuzz.field}`,
+    request,
+    expected_response: { status: acceptedStatuses || REJECTIONS },
+    fuzz,
+    payload,
+  }));
+
+  return {
+    cases,
+    targets: [...new Set(perTarget.map((list) => list[0].fuzz.field))],
+    skipped,
+    truncated: Math.max(0, ordered.length - cases.length),
+  };
+};
+
+/* ------------------------------------------------------------------
+   Detection
+-------------------------------------------------------------------*/
+const matchSignature = (signatures, text) => signatures.find((s) => s.pattern.test(text));
+
+// the marker outside an echo of the payload itself (the key under __proto__ / prototype, or in its dotted / bracket forms)
+const PAYLOAD_ECHOES = [
+  new RegExp(`"(?:__proto__|prototype)"\\s*:\\s*\\{\\s*"${POLLUTION_MARKER}"`, "g"),
+  new RegExp(`__proto__\\.${POLLUTION_MARKER}|\\[${POLLUTION_MARKER}\\]`, "g"),
+];
+const plantedMarker = (text) => PAYLOAD_ECHOES.reduce((acc, echo) => acc.replace(echo, ""), text).includes(POLLUTION_MARKER);
+
+const excerpt = (text, needle) => {
+  const i = text.indexOf(needle);
+  if (i === -1) return text.slice(0, 160);
+  return text.slice(Math.max(0, i - 40), i + Math.min(needle.length, 80) + 40);
+};
+
+/**
+ * analyze
+ * - Findings for one mutation: server errors, connection drops, stack
+ *   traces / database errors, leaked file or command output, reflected
+ *   payloads, timing anomalies against the baseline and planted
+ *   prototype-pollution markers.
+ */
+const analyze = (testCase, result, latencyMs, baseline, options) => {
+  const { fuzz, payload } = testCase;
+  const findings = [];
+  const add = (type, severity, evidence) => findings.push({ type, severity, evidence });
+  const injection = INJECTION_FAMILIES.includes(fuzz.family);
+
+  if (result.status.includes("ERROR")) {
+    if (/timeout/i.test(result.error || "")) add("timing", payload.slow ? "high" : "medium", `No answer: ${result.error}`);
+    else add("connection_error", "medium", result.error);
+    return findings;
+  }
+
+  const status = result.actual.status;
+  const text = bodyText(result);
+
+  if (status >= 500) add("server_error", injection ? "high" : "medium", `HTTP ${status}`);
+
+  const leak = matchSignature(ERROR_SIGNATURES, text);
+  if (leak && !baseline.signatures.includes(leak.label)) {
+    add("stack_trace", "high", `${leak.label}: ${excerpt(text, text.match(leak.pattern)[0])}`);
+  }
+
+  const sensitive = matchSignature(SENSITIVE_SIGNATURES, text);
+  if (sensitive) add("sensitive_content", "critical", `${sensitive.label}: ${excerpt(text, text.match(sensitive.pattern)[0])}`);
+
+  if (payload.reflect && typeof payload.value === "string" && text.includes(payload.value)) {
+    const contentType = String(result.actual.headers?.["content-type"] || "");
+    const html = /html|xml|text\/plain/i.test(contentType);
+    const severity = fuzz.family === "xss" && html ? "high" : html ? "medium" : "low";
+    add("reflected", severity, `Echoed verbatim (${contentType || "no content type"}): ${excerpt(text, payload.value)}`);
+  }
+
+  if (baseline.medianMs !== null
+    && latencyMs > baseline.medianMs * options.timingFactor
+    && latencyMs - baseline.medianMs > options.timingMinDeltaMs) {
+    add("timing", payload.slow ? "high" : "medium", `${Math.round(latencyMs)}ms vs ${Math.round(baseline.medianMs)}ms baseline`);
+  }
+
+  if (fuzz.family === "prototypePollution" && plantedMarker(text)) {
+    add("prototype_pollution", "high", `"${POLLUTION_MARKER}" shows up as a property of its own: ${excerpt(text, POLLUTION_MARKER)}`);
+  }
+
+  return findings;
+};
+
+const worstSeverity = (findings) => SEVERITY_ORDER.find((s) => findings.some((f) => f.severity === s)) || null;
+
+const baselineCase = (spec) => ({
+  id: "FUZZ_BASELINE",
+  category: "valid",
+  description: "Unmodified request",
+  request: { method: spec.method, endpoint: spec.endpoint, headers: spec.headers, body: BODYLESS.includes(spec.method.toUpperCase()) ? undefined : parsedBody(spec) },
+  expected_response: spec.expected_response,
+});
+
+/**
+ * runFuzz
+ * - Sends the unmodified request `baselineRuns` times (reference status,
+ *   latency and error pages), then every mutation, `concurrency` at a time.
+ * - options: { families, fields, maxCases, baselineRuns, concurrency,
+ *   timingFactor, timingMinDeltaMs }
+ * - opts: runner options (variables, secretValues, auth, policy, environment)
+ *   plus signal, onStart({ total, fields }) once the cases are built and
+ *   onResult(result, index) with the compact result of each mutation.
+ * - After prototype-pollution payloads the baseline is sent once more: a
+ *   marker showing up there means the pollution stuck server-wide.
+ */
+export const runFuzz = async (spec, targetUrl, options, opts = {}) => {
+  const { signal, onResult } = opts;
+  const runCase = createCaseRunner(targetUrl, opts);
+  const timed = async (tc) => {
+    const began = performance.now();
+    const result = await runCase(tc, signal);
+    return { result, latencyMs: performance.now() - began };
+  };
+
+  // 1. baseline
+  const reference = baselineCase(spec);
+  const baselineRuns = [];
+  for (let i = 0; i < options.baselineRuns && !signal?.aborted; i += 1) baselineRuns.push(await timed(reference));
+  const answered = baselineRuns.filter(({ result }) => result.actual);
+  if (!answered.length && !signal?.aborted) {
+    throw new Error(`Baseline request failed: ${baselineRuns[0]?.result.error || "no response"}`);
+  }
+  const baselineText = answered.map(({ result }) => bodyText(result)).join("\n");
+  const baseline = {
+    statuses: [...new Set(answered.map(({ result }) => result.actual.status))],
+    medianMs: answered.length ? round(median(answered.map((r) => r.latencyMs))) : null,
+    runs: baselineRuns.length,
+    signatures: ERROR_SIGNATURES.filter((s) => s.pattern.test(baselineText)).map((s) => s.label),
+  };
+
+  // 2. mutations: rejecting the input or answering like the baseline both count as handled
+  const acceptedStatuses = [...new Set([...baseline.statuses.filter((s) => s < 500), ...REJECTIONS])];
+  const { cases, targets, skipped, truncated } = buildFuzzCases(spec, { ...options, acceptedStatuses });
+  if (opts.onStart) opts.onStart({ total: cases.length, fields: targets });
+
+  const limit = pLimit(options.concurrency);
+  const results = (await Promise.all(cases.map((tc, index) => limit(async () => {
+    const { result, latencyMs } = signal?.aborted ? { result: { status: CANCELLED } } : await timed(tc);
+    if (result.status === CANCELLED) return null;
+    const compact = {
+      id: tc.id,
+      ...tc.fuzz,
+      outcome: result.status,
+      status: result.actual?.status ?? result.error,
+      latencyMs: round(latencyMs),
+      findings: analyze(tc, result, latencyMs, baseline, options),
+    };
+    if (onResult) {
+      try {
+        onResult(compact, index);
+      } catch {
+        // a broken listener must not break the run
+      }
+    }
+    return compact;
+  })))).filter(Boolean);
+
+  // 3. did a pollution payload stick?
+  const global = [];
+  if (!signal?.aborted && results.some((r) => r.family === "prototypePollution")) {
+    const { result } = await timed(reference);
+    const text = bodyText(result);
+    if (plantedMarker(text) && !plantedMarker(baselineText)) {
+      global.push({
+        type: "prototype_pollution",
+        severity: "critical",
+        family: "prototypePollution",
+        payload: "(any)",
+        caseId: reference.id,
+        evidence: `The unmodified request now returns "${POLLUTION_MARKER}": ${excerpt(text, POLLUTION_MARKER)}`,
+      });
+    }
+  }
+
+  // 4. findings grouped by field, worst first
+  const byField = new Map(targets.map((field) => [field, { field, cases: 0, findings: [] }]));
+  for (const r of results) {
+    const entry = byField.get(r.field);
+    entry.location = r.location;
+    entry.cases += 1;
+    for (const f of r.findings) entry.findings.push({ ...f, family: r.family, payload: r.payload, caseId: r.id, status: r.status, latencyMs: r.latencyMs });
+  }
+  if (global.length) byField.set("(server)", { field: "(server)", location: "server", cases: 1, findings: global });
+
+  const fields = Array.from(byField.values())
+    .map((entry) => ({ ...entry, worst: worstSeverity(entry.findings) }))
+    .sort((a, b) => (a.worst === b.worst ? b.findings.length - a.findings.length
+      : (SEVERITY_ORDER.indexOf(a.worst) + 1 || 99) - (SEVERITY_ORDER.indexOf(b.worst) + 1 || 99)));
+
+  const allFindings = fields.flatMap((f) => f.findings);
+  const count = (key) => allFindings.reduce((acc, f) => ({ ...acc, [f[key]]: (acc[f[key]] || 0) + 1 }), {});
+
+  return {
+    summary: {
+      target: targetUrl || null,
+      environment: opts.environment || null,
+      fields: targets.length,
+      cases: cases.length,
+      completed: results.length,
+      findings: allFindings.length,
+      bySeverity: count("severity"),
+      byType: count("type"),
+      skipped,
+      truncated,
+      cancelled: Boolean(signal?.aborted),
+    },
+    baseline,
+    fields,
+    results,
+  };
+};
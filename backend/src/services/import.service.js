@@ -0,0 +1,507 @@
+// src/services/import.service.js
+
+/* ------------------------------------------------------------------
+   Turns existing manual checks (cURL commands, browser HAR exports,
+   Postman v2.x collections) into /run-tests test cases.
+-------------------------------------------------------------------*/
+const badImport = (message) => Object.assign(new Error(message), { status: 400 });
+
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD"];
+
+// Set by the client/transport; replaying them verbatim only causes trouble
+const DROPPED_HEADERS = new Set(["host", "content-length", "connection", "accept-encoding", "transfer-encoding"]);
+
+/* ------------------------------------------------------------------
+   Shared helpers
+-------------------------------------------------------------------*/
+const cleanHeaders = (pairs) => {
+  const headers = {};
+  for (const [name, value] of pairs) {
+    const key = String(name || "").trim();
+    if (!key || key.startsWith(":") || DROPPED_HEADERS.has(key.toLowerCase())) continue;
+    headers[key] = String(value ?? "");
+  }
+  return headers;
+};
+
+const headerValue = (headers, name) => {
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+};
+
+// JSON bodies become objects (so assertions/templating work on them); anything else stays text
+const parseBody = (text) => {
+  if (text === undefined || text === null || text === "") return undefined;
+  if (typeof text !== "string") return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const defaultStatusFor = (method) => (method === "POST" ? 201 : 200);
+
+const buildCase = ({ method, url, headers, body, status, description, tags }) => {
+  const verb = String(method || "GET").toUpperCase();
+  if (!METHODS.includes(verb)) throw badImport(`Unsupported HTTP method "${method}"`);
+  if (!url) throw badImport("Request has no URL");
+
+  // the observed status when there is one, else what the method usually returns
+  const expected = Number.isInteger(status) && status >= 100 && status <= 599 ? status : defaultStatusFor(verb);
+  return {
+    category: expected < 400 ? "valid" : "invalid",
+    description: description || `${verb} ${url}`,
+    ...(tags?.length ? { tags } : {}),
+    request: {
+      method: verb,
+      endpoint: url,
+      headers,
+      ...(body !== undefined ? { body } : {}),
+    },
+    expected_response: { status: expected },
+  };
+};
+
+/* ------------------------------------------------------------------
+   cURL
+   Understands the flags browsers' "Copy as cURL" and buildCurl() emit;
+   several commands can be pasted at once.
+-------------------------------------------------------------------*/
+
+// POSIX-ish word splitting: '...', "..." (with \ escapes), $'...' and backslash escapes
+const shellWords = (text) => {
+  const words = [];
+  let word = null;
+  let i = 0;
+  const push = () => {
+    if (word !== null) words.push(word);
+    word = null;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      push();
+      i += 1;
+    } else if (ch === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end === -1) throw badImport("Unterminated ' quote in cURL command");
+      word = (word ?? "") + text.slice(i + 1, end);
+      i = end + 1;
+    } else if (ch === "$" && text[i + 1] === "'") {
+      let out = "";
+      i += 2;
+      while (i < text.length && text[i] !== "'") {
+        if (text[i] === "\\" && i + 1 < text.length) {
+          const next = text[i + 1];
+          const simple = { n: "\n", t: "\t", r: "\r", "\\": "\\", "'": "'", '"': '"' };
+          if (next in simple) {
+            out += simple[next];
+            i += 2;
+          } else if (next === "u" || next === "x") {
+            const hex = text.slice(i + 2).match(next === "u" ? /^[0-9a-fA-F]{4}/ : /^[0-9a-fA-F]{1,2}/)?.[0];
+            out += hex ? String.fromCharCode(parseInt(hex, 16)) : next;
+            i += 2 + (hex?.length || 0);
+          } else {
+            out += text[i] + next;
+            i += 2;
+          }
+        } else {
+          out += text[i];
+          i += 1;
+        }
+      }
+      if (i >= text.length) throw badImport("Unterminated $' quote in cURL command");
+      word = (word ?? "") + out;
+      i += 1;
+    } else if (ch === '"') {
+      let out = "";
+      i += 1;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && /["\\$`\n]/.test(text[i + 1] || "")) {
+          if (text[i + 1] !== "\n") out += text[i + 1];
+          i += 2;
+        } else {
+          out += text[i];
+          i += 1;
+        }
+      }
+      if (i >= text.length) throw badImport('Unterminated " quote in cURL command');
+      word = (word ?? "") + out;
+      i += 1;
+    } else if (ch === "\\") {
+      // line continuation or escaped character
+      if (text[i + 1] === "\n") i += 2;
+      else if (text[i + 1] === "\r" && text[i + 2] === "\n") i += 3;
+      else {
+        word = (word ?? "") + (text[i + 1] ?? "");
+        i += 2;
+      }
+    } else {
+      word = (word ?? "") + ch;
+      i += 1;
+    }
+  }
+  push();
+  return words;
+};
+
+// Options whose value we read, by canonical long name
+const CURL_VALUE_OPTIONS = {
+  "-X": "--request", "--request": "--request",
+  "-H": "--header", "--header": "--header",
+  "-d": "--data", "--data": "--data", "--data-raw": "--data", "--data-binary": "--data", "--data-ascii": "--data",
+  "--data-urlencode": "--data-urlencode",
+  "--json": "--json",
+  "-u": "--user", "--user": "--user",
+  "-A": "--user-agent", "--user-agent": "--user-agent",
+  "-b": "--cookie", "--cookie": "--cookie",
+  "-e": "--referer", "--referer": "--referer",
+  "--url": "--url",
+};
+
+// Options that take a value we don't need
+const CURL_SKIPPED_OPTIONS = new Set([
+  "-o", "--output", "-m", "--max-time", "--connect-timeout", "-w", "--write-out", "--retry", "--retry-delay",
+  "--retry-max-time", "-x", "--proxy", "--cacert", "--cert", "--key", "-c", "--cookie-jar", "-r", "--range",
+  "--resolve", "--limit-rate", "-T", "--upload-file", "-K", "--config", "--max-redirs", "-F", "--form",
+]);
+
+const parseCurlCommand = (words) => {
+  let method;
+  let url;
+  let getMode = false;
+  let headOnly = false;
+  const headerPairs = [];
+  const data = [];
+  const warnings = [];
+
+  for (let i = 1; i < words.length; i += 1) {
+    const word = words[i];
+
+    if (!word.startsWith("-") || word === "-") {
+      url = url ?? word;
+      continue;
+    }
+
+    // --opt=value, -XPOST and clustered short flags (-sSLX POST)
+    let name = word;
+    let inline;
+    if (word.startsWith("--") && word.includes("=")) {
+      name = word.slice(0, word.indexOf("="));
+      inline = word.slice(word.indexOf("=") + 1);
+    } else if (!word.startsWith("--") && word.length > 2) {
+      const chars = word.slice(1);
+      const at = [...chars].findIndex((c) => CURL_VALUE_OPTIONS[`-${c}`] || CURL_SKIPPED_OPTIONS.has(`-${c}`));
+      const flags = at === -1 ? chars : chars.slice(0, at);
+      if (flags.includes("G")) getMode = true;
+      if (flags.includes("I")) headOnly = true;
+      if (at === -1) continue;
+      name = `-${chars[at]}`;
+      inline = chars.slice(at + 1) || undefined;
+    }
+
+    const option = CURL_VALUE_OPTIONS[name];
+    if (option) {
+      const value = inline ?? words[++i];
+      if (value === undefined) throw badImport(`cURL option ${name} is missing its value`);
+      switch (option) {
+        case "--request": method = value.toUpperCase(); break;
+        case "--header": {
+          const idx = value.indexOf(":");
+          if (idx > 0) headerPairs.push([value.slice(0, idx), value.slice(idx + 1).trim()]);
+          break;
+        }
+        case "--data":
+          if (value.startsWith("@")) warnings.push(`Body file ${value} cannot be read; left empty`);
+          else data.push(value);
+          break;
+        case "--data-urlencode": {
+          const idx = value.indexOf("=");
+          data.push(idx >= 0 ? `${value.slice(0, idx)}=${encodeURIComponent(value.slice(idx + 1))}` : encodeURIComponent(value));
+          break;
+        }
+        case "--json":
+          data.push(value);
+          headerPairs.push(["Content-Type", "application/json"], ["Accept", "application/json"]);
+          break;
+        case "--user":
+          headerPairs.push(["Authorization", `Basic ${Buffer.from(value).toString("base64")}`]);
+          break;
+        case "--user-agent": headerPairs.push(["User-Agent", value]); break;
+        case "--cookie": headerPairs.push(["Cookie", value]); break;
+        case "--referer": headerPairs.push(["Referer", value]); break;
+        case "--url": url = value; break;
+      }
+      continue;
+    }
+
+    if (CURL_SKIPPED_OPTIONS.has(name)) {
+      if (name === "-F" || name === "--form") warnings.push("Multipart form fields (-F) are not imported");
+      if (inline === undefined) i += 1;
+      continue;
+    }
+    if (name === "-G" || name === "--get") getMode = true;
+    else if (name === "-I" || name === "--head") headOnly = true;
+    // every other flag (-i, -s, -k, -L, --compressed, ...) has no value and no effect on the request
+  }
+
+  if (!url) throw badImport("cURL command has no URL");
+  if (!/^https?:\/\//i.test(url) && !url.startsWith("{{")) url = `http://${url}`;
+
+  let headers = cleanHeaders(headerPairs);
+  let body;
+  if (data.length && getMode) {
+    url += (url.includes("?") ? "&" : "?") + data.join("&");
+  } else if (data.length) {
+    body = data.length === 1 ? parseBody(data[0]) : data.join("&");
+    if (!headerValue(headers, "content-type")) {
+      headers = { ...headers, "Content-Type": typeof body === "object" ? "application/json" : "application/x-www-form-urlencoded" };
+    }
+  }
+
+  return {
+    testCase: buildCase({
+      method: method || (headOnly ? "HEAD" : data.length && !getMode ? "POST" : "GET"),
+      url,
+      headers,
+      body,
+    }),
+    warnings,
+  };
+};
+
+export const parseCurl = (text) => {
+  // One command per "curl" line; anything else continues the previous command
+  const commands = [];
+  for (const line of String(text).replace(/\r\n/g, "\n").split("\n")) {
+    if (/^\s*curl(\.exe)?(\s|$)/.test(line)) commands.push(line);
+    else if (commands.length) commands[commands.length - 1] += `\n${line}`;
+    else if (line.trim() && !line.trim().startsWith("#")) throw badImport("cURL input must start with a curl command");
+  }
+  if (!commands.length) throw badImport("No curl commands found");
+
+  const testCases = [];
+  const warnings = [];
+  commands.forEach((command, n) => {
+    const parsed = parseCurlCommand(shellWords(command));
+    testCases.push(parsed.testCase);
+    warnings.push(...parsed.warnings.map((w) => `command ${n + 1}: ${w}`));
+  });
+  return { testCases, warnings };
+};
+
+/* ------------------------------------------------------------------
+   HAR (browser devtools "Save all as HAR")
+-------------------------------------------------------------------*/
+// Page assets are never what we want to test
+const HAR_SKIPPED_TYPES = new Set(["image", "stylesheet", "script", "font", "media", "manifest", "websocket", "ping"]);
+
+const harBody = (postData) => {
+  if (!postData) return undefined;
+  if (postData.text !== undefined && postData.text !== "") return parseBody(postData.text);
+  if (Array.isArray(postData.params) && postData.params.length) {
+    return postData.params.map((p) => `${encodeURIComponent(p.name)}=${encodeURIComponent(p.value ?? "")}`).join("&");
+  }
+  return undefined;
+};
+
+export const parseHar = (har) => {
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) throw badImport('HAR file has no "log.entries" array');
+
+  const testCases = [];
+  const warnings = [];
+  let skipped = 0;
+  for (const [n, entry] of entries.entries()) {
+    const request = entry?.request;
+    if (!request?.url || HAR_SKIPPED_TYPES.has(entry._resourceType)) {
+      skipped += 1;
+      continue;
+    }
+    if (!METHODS.includes(String(request.method).toUpperCase())) {
+      warnings.push(`entry ${n + 1}: skipped unsupported method ${request.method}`);
+      continue;
+    }
+
+    // status 0 = blocked or aborted in the browser: nothing was observed
+    const status = entry.response?.status || undefined;
+    if (!status) warnings.push(`entry ${n + 1}: no response recorded, expecting the method default`);
+    testCases.push(buildCase({
+      method: request.method,
+      url: request.url,
+      headers: cleanHeaders((request.headers || []).map((h) => [h.name, h.value])),
+      body: harBody(request.postData),
+      status,
+    }));
+  }
+  if (skipped) warnings.push(`${skipped} static asset entries skipped`);
+  return { testCases, warnings };
+};
+
+/* ------------------------------------------------------------------
+   Postman collections (v2.0 / v2.1)
+   {{variables}} are kept as-is: they use the same syntax as our templates,
+   and the collection's variables are returned for the run.
+-------------------------------------------------------------------*/
+const postmanUrl = (url) => {
+  if (!url) return undefined;
+  if (typeof url === "string") return url;
+  if (url.raw) return url.raw;
+
+  const host = Array.isArray(url.host) ? url.host.join(".") : url.host || "";
+  const path = Array.isArray(url.path) ? url.path.join("/") : url.path || "";
+  const query = (url.query || []).filter((q) => !q.disabled).map((q) => `${q.key}=${q.value ?? ""}`);
+  return `${url.protocol ? `${url.protocol}://` : ""}${host}${path ? `/${path}` : ""}${query.length ? `?${query.join("&")}` : ""}`;
+};
+
+// auth params are an array of { key, value } in v2.1 and a plain object in v2.0
+const authParam = (auth, key) => {
+  const params = auth?.[auth.type];
+  if (Array.isArray(params)) return params.find((p) => p.key === key)?.value;
+  return params?.[key];
+};
+
+const postmanAuthHeaders = (auth) => {
+  if (!auth || auth.type === "noauth") return [];
+  switch (auth.type) {
+    case "bearer": return [["Authorization", `Bearer ${authParam(auth, "token") ?? ""}`]];
+    case "basic": {
+      const user = authParam(auth, "username") ?? "";
+      const pass = authParam(auth, "password") ?? "";
+      // keep templated credentials readable instead of encoding the placeholder
+      return /\{\{/.test(user + pass)
+        ? [["Authorization", `Basic ${user}:${pass}`]]
+        : [["Authorization", `Basic ${Buffer.from(`${user}:${pass}`).toString("base64")}`]];
+    }
+    case "apikey":
+      return authParam(auth, "in") === "query" ? [] : [[authParam(auth, "key") || "X-API-Key", authParam(auth, "value") ?? ""]];
+    default:
+      return null;
+  }
+};
+
+const postmanBody = (body) => {
+  if (!body || body.disabled) return undefined;
+  switch (body.mode) {
+    case "raw": return parseBody(body.raw);
+    case "urlencoded":
+      return (body.urlencoded || []).filter((p) => !p.disabled).map((p) => `${encodeURIComponent(p.key)}=${encodeURIComponent(p.value ?? "")}`).join("&");
+    case "graphql": return { query: body.graphql?.query || "", variables: parseBody(body.graphql?.variables) || {} };
+    default: return undefined;
+  }
+};
+
+// pm.response.to.have.status(201) / pm.expect(pm.response.code).to.eql(201) in the item's test script
+const scriptedStatus = (events = []) => {
+  const script = events
+    .filter((e) => e.listen === "test")
+    .flatMap((e) => [].concat(e.script?.exec || []))
+    .join("\n");
+  const match = script.match(/to\.have\.status\(\s*(\d{3})\s*\)/) || script.match(/response\.code\)\.to\.(?:eql|equal)\(\s*(\d{3})\s*\)/);
+  return match ? Number(match[1]) : undefined;
+};
+
+export const parsePostman = (collection) => {
+  if (!Array.isArray(collection?.item)) throw badImport('Postman collection has no "item" array');
+  const schema = String(collection.info?.schema || "");
+  if (schema && !/collection\/v2\.[01]/.test(schema)) throw badImport(`Unsupported Postman collection schema: ${schema}`);
+
+  const testCases = [];
+  const warnings = [];
+
+  const walk = (items, folders, inheritedAuth) => {
+    for (const item of items) {
+      const auth = item.auth ?? inheritedAuth;
+      if (Array.isArray(item.item)) {
+        walk(item.item, [...folders, item.name].filter(Boolean), auth);
+        continue;
+      }
+      if (!item.request) continue;
+
+      const request = typeof item.request === "string" ? { method: "GET", url: item.request } : item.request;
+      const label = [...folders, item.name].filter(Boolean).join(" / ");
+      const requestAuth = request.auth ?? auth;
+      const authHeaders = postmanAuthHeaders(requestAuth);
+      if (authHeaders === null) warnings.push(`${label}: auth type "${requestAuth.type}" is not imported`);
+      if (request.body?.mode === "formdata" || request.body?.mode === "file") {
+        warnings.push(`${label}: ${request.body.mode} body is not imported`);
+      }
+
+      const headers = cleanHeaders([
+        ...(authHeaders || []),
+        ...(Array.isArray(request.header) ? request.header.filter((h) => !h.disabled).map((h) => [h.key, h.value]) : []),
+      ]);
+      const body = postmanBody(request.body);
+      if (typeof body === "object" && !headerValue(headers, "content-type")) headers["Content-Type"] = "application/json";
+
+      // observed status from the first saved example, else the test script
+      const example = (item.response || []).find((r) => Number.isInteger(r.code));
+      try {
+        testCases.push(buildCase({
+          method: request.method,
+          url: postmanUrl(request.url),
+          headers,
+          body,
+          status: example?.code ?? scriptedStatus(item.event),
+          description: item.name,
+          tags: folders.length ? folders : undefined,
+        }));
+      } catch (err) {
+        warnings.push(`${label}: skipped (${err.message})`);
+      }
+    }
+  };
+  walk(collection.item, [], collection.auth);
+
+  const variables = {};
+  for (const v of collection.variable || []) {
+    if (v?.key && !v.disabled) variables[v.key] = v.value ?? "";
+  }
+  return { testCases, warnings, variables, name: collection.info?.name };
+};
+
+/* ------------------------------------------------------------------
+   MAIN: importTestCases
+   - format "auto" sniffs the input; returns runnable cases with ids.
+-------------------------------------------------------------------*/
+const detectFormat = (source) => {
+  if (typeof source === "string") return "curl";
+  if (source?.log?.entries) return "har";
+  if (Array.isArray(source?.item)) return "postman";
+  throw badImport("Unrecognised import: expected cURL commands, a HAR file or a Postman collection");
+};
+
+export const importTestCases = (input, format = "auto") => {
+  let source = input;
+  if (typeof input === "string") {
+    const text = input.replace(/\uFEFF/g, "").trim();
+    if (!text) throw badImport("Nothing to import");
+    if (text.startsWith("{")) {
+      try {
+        source = JSON.parse(text);
+      } catch (err) {
+        throw badImport(`Unable to parse JSON: ${err.message}`);
+      }
+    } else {
+      source = text;
+    }
+  }
+
+  const resolved = format === "auto" ? detectFormat(source) : format;
+  if (resolved === "curl" && typeof source !== "string") throw badImport("cURL import expects the command text");
+  if (resolved !== "curl" && typeof source === "string") throw badImport(`${resolved} import expects a JSON document`);
+
+  const parsed = { curl: parseCurl, har: parseHar, postman: parsePostman }[resolved](source);
+  if (!parsed.testCases.length) throw badImport("No requests found to import");
+
+  const testCases = parsed.testCases.map((tc, i) => ({ id: `TC_${String(i + 1).padStart(3, "0")}`, ...tc }));
+  return {
+    format: resolved,
+    ...(parsed.name ? { name: parsed.name } : {}),
+    testCases,
+    variables: parsed.variables || {},
+    warnings: parsed.warnings,
+  };
+};
@@ -0,0 +1,103 @@
+// src/services/job.service.js
+import { EventEmitter } from "events";
+import crypto from "crypto";
+
+/**
+ * In-memory background jobs (async /run-tests). Every event a job emits is
+ * kept, so a client that subscribes late, or reconnects, replays it all.
+ * Finished jobs are forgotten after JOB_TTL_MS.
+ */
+const jobs = new Map();
+const JOB_TTL_MS = 10 * 60 * 1000;
+
+const notFound = (id) => Object.assign(new Error(`Job not found: ${id}`), { status: 404 });
+
+export const isFinished = (job) => ["completed", "cancelled", "failed"].includes(job.status);
+
+/**
+ * startJob
+ * - Runs work({ signal, emit }) in the background; its resolved value is
+ *   sent as the final "done" event, a rejection as "failed".
+ */
+export const startJob = (work, meta = {}) => {
+  const job = {
+    id: crypto.randomUUID(),
+    status: "running",
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    meta,
+    events: [],
+    emitter: new EventEmitter(),
+    controller: new AbortController(),
+  };
+  job.emitter.setMaxListeners(0);
+  jobs.set(job.id, job);
+
+  const emit = (event, data) => {
+    const entry = { id: job.events.length, event, data };
+    job.events.push(entry);
+    job.emitter.emit("event", entry);
+  };
+
+  const finish = (status, event, data) => {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    emit(event, { status, ...data });
+    job.emitter.emit("end");
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  };
+
+  // deferred so the caller can hand out the job id before the first event
+  setImmediate(() => {
+    work({ signal: job.controller.signal, emit })
+      .then((data) => finish(job.controller.signal.aborted ? "cancelled" : "completed", "done", data))
+      .catch((err) => finish("failed", "failed", { error: err?.message ?? String(err) }));
+  });
+
+  return job;
+};
+
+export const getJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) throw notFound(id);
+  return job;
+};
+
+export const cancelJob = (id) => {
+  const job = getJob(id);
+  if (isFinished(job)) {
+    throw Object.assign(new Error(`Job ${id} already ${job.status}`), { status: 409 });
+  }
+  job.status = "cancelling";
+  job.controller.abort();
+  return job;
+};
+
+/**
+ * subscribe
+ * - Replays past events (from `afterId` on, for EventSource reconnects),
+ *   then forwards new ones. onEnd fires once the job has finished.
+ * - Returns an unsubscribe function.
+ */
+export const subscribe = (job, { onEvent, onEnd, afterId = -1 }) => {
+  job.events.filter((e) => e.id > afterId).forEach(onEvent);
+  if (isFinished(job)) {
+    onEnd();
+    return () => {};
+  }
+  job.emitter.on("event", onEvent);
+  job.emitter.once("end", onEnd);
+  return () => {
+    job.emitter.off("event", onEvent);
+    job.emitter.off("end", onEnd);
+  };
+};
+
+export const toJobSummary = (job) => ({
+  id: job.id,
+  status: job.status,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+  ...job.meta,
+  completed: job.events.filter((e) => e.event === "result").length,
+});
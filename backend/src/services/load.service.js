@@ -0,0 +1,245 @@
+// src/services/load.service.js
+import { performance } from "perf_hooks";
+import { createCaseRunner, wait, CANCELLED } from "./runner.service.js";
+
+/* ------------------------------------------------------------------
+   Load tests: replay cases at a target request rate ("rate", an open
+   model: arrivals don't wait for responses) or with a number of virtual
+   users each sending one case after another ("vus", a closed model).
+   Both ramp up linearly over rampUpSec, then hold until durationSec.
+-------------------------------------------------------------------*/
+const TICK_MS = 20;
+// the timeline has at most ~MAX_SAMPLES points, each at least 1s wide
+const MAX_SAMPLES = 120;
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)] : null);
+
+const latencyStats = (latencies) => {
+  const sorted = Float64Array.from(latencies).sort();
+  const n = sorted.length;
+  if (!n) return { min: null, mean: null, p50: null, p90: null, p99: null, max: null };
+  let sum = 0;
+  for (const v of sorted) sum += v;
+  return {
+    min: round(sorted[0]),
+    mean: round(sum / n),
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[n - 1]),
+  };
+};
+
+// a flow reports its last step's status
+const observedStatus = (result) => {
+  const last = result.steps?.length ? result.steps[result.steps.length - 1] : result;
+  return last.actual?.status ?? "error";
+};
+
+/**
+ * createRecorder
+ * - Collects completed requests into fixed-width time buckets; flush()
+ *   closes the current bucket and returns it as a timeline sample.
+ */
+const createRecorder = ({ startedAt }) => {
+  const all = [];
+  const byCase = new Map();
+  const statusCodes = {};
+  const totals = { requests: 0, passed: 0, failed: 0, errors: 0, dropped: 0 };
+  const timeline = [];
+  let bucket = { requests: 0, errors: 0, latencies: [] };
+  let bucketStart = startedAt;
+
+  const record = (tc, result, latencyMs) => {
+    const passed = result.status.includes("PASSED");
+    totals.requests += 1;
+    if (passed) totals.passed += 1;
+    else if (result.status.includes("ERROR")) totals.errors += 1;
+    else totals.failed += 1;
+
+    const status = observedStatus(result);
+    statusCodes[status] = (statusCodes[status] || 0) + 1;
+
+    all.push(latencyMs);
+    bucket.requests += 1;
+    if (!passed) bucket.errors += 1;
+    bucket.latencies.push(latencyMs);
+
+    let entry = byCase.get(tc.id);
+    if (!entry) {
+      entry = { id: tc.id, category: tc.category, description: tc.description, requests: 0, failures: 0, latencies: [] };
+      byCase.set(tc.id, entry);
+    }
+    entry.requests += 1;
+    if (!passed) entry.failures += 1;
+    entry.latencies.push(latencyMs);
+  };
+
+  const flush = ({ inFlight, target }, now = performance.now()) => {
+    const seconds = Math.max(now - bucketStart, 1) / 1000;
+    const stats = latencyStats(bucket.latencies);
+    const sample = {
+      t: round((now - startedAt) / 1000, 1),
+      requests: bucket.requests,
+      errors: bucket.errors,
+      errorRate: bucket.requests ? round(bucket.errors / bucket.requests, 4) : 0,
+      throughput: round(bucket.requests / seconds),
+      p50: stats.p50,
+      p90: stats.p90,
+      p99: stats.p99,
+      inFlight,
+      target,
+    };
+    timeline.push(sample);
+    bucket = { requests: 0, errors: 0, latencies: [] };
+    bucketStart = now;
+    return sample;
+  };
+
+  const report = (elapsedMs) => ({
+    totals: {
+      ...totals,
+      errorRate: totals.requests ? round((totals.failed + totals.errors) / totals.requests, 4) : 0,
+      throughput: round(totals.requests / Math.max(elapsedMs / 1000, 0.001)),
+      latency: latencyStats(all),
+    },
+    timeline,
+    cases: Array.from(byCase.values()).map(({ latencies, ...entry }) => {
+      const { mean, p50, p90, p99, max } = latencyStats(latencies);
+      return { ...entry, errorRate: round(entry.failures / entry.requests, 4), latency: { mean, p50, p90, p99, max } };
+    }),
+    statusCodes,
+  });
+
+  return { record, flush, report, totals, hasOpenBucket: () => bucket.requests > 0 };
+};
+
+/* ------------------------------------------------------------------
+   Traffic models
+-------------------------------------------------------------------*/
+
+// Arrivals accrue every tick at the (ramped) rate; past maxInFlight they are dropped
+const driveRate = async ({ plan, send, state, signal }) => {
+  let credit = 0;
+  let last = performance.now();
+  while (!signal?.aborted) {
+    await wait(TICK_MS, signal);
+    const now = performance.now();
+    if (now >= plan.endAt || signal?.aborted) break;
+    const elapsed = now - plan.startedAt;
+    state.target = round(plan.rampUpMs && elapsed < plan.rampUpMs ? plan.rate * (elapsed / plan.rampUpMs) : plan.rate);
+    credit += (state.target * (now - last)) / 1000;
+    last = now;
+    for (; credit >= 1; credit -= 1) {
+      if (state.inFlight >= plan.maxInFlight) state.dropped += 1;
+      else send();
+    }
+  }
+};
+
+// VU i starts at rampUpSec * i / vus, then loops until the end
+const driveUsers = async ({ plan, send, state, signal }) => {
+  const user = async (i) => {
+    await wait(plan.vus > 1 ? (plan.rampUpMs * i) / plan.vus : 0, signal);
+    if (signal?.aborted || performance.now() >= plan.endAt) return;
+    state.target += 1;
+    while (!signal?.aborted && performance.now() < plan.endAt) {
+      await send();
+      if (plan.thinkTimeMs) await wait(plan.thinkTimeMs, signal);
+    }
+  };
+  await Promise.all(Array.from({ length: plan.vus }, (_, i) => user(i)));
+};
+
+/**
+ * runLoadTest
+ * - Replays `testCases` round-robin (the mix repeats in order) against
+ *   targetUrl, following `load` ({ mode, rate | vus, rampUpSec, durationSec,
+ *   maxInFlight, thinkTimeMs }).
+ * - opts: runner options (variables, secretValues, auth, policy) plus
+ *   signal (stops early; aborted requests are not counted) and
+ *   onSample(sample) for each timeline point as it closes.
+ * - Latency is measured around the whole case (all retries, all steps of a
+ *   flow); anything other than PASSED counts as an error.
+ */
+export const runLoadTest = async (testCases, targetUrl, load, opts = {}) => {
+  const { signal, onSample } = opts;
+  const runCase = createCaseRunner(targetUrl, opts);
+  const durationMs = load.durationSec * 1000;
+  const startedAt = performance.now();
+  const plan = {
+    ...load,
+    startedAt,
+    endAt: startedAt + durationMs,
+    rampUpMs: (load.rampUpSec || 0) * 1000,
+  };
+  const bucketMs = Math.max(1000, Math.ceil(durationMs / MAX_SAMPLES / 1000) * 1000);
+  const recorder = createRecorder({ startedAt });
+  const state = { inFlight: 0, target: 0, dropped: 0 };
+
+  let next = 0;
+  const pending = new Set();
+  const send = () => {
+    const tc = testCases[next++ % testCases.length];
+    state.inFlight += 1;
+    const began = performance.now();
+    const request = runCase(tc, signal)
+      .then((result) => {
+        if (result.status !== CANCELLED) recorder.record(tc, result, performance.now() - began);
+      })
+      .catch(() => {
+        // the runner reports failures as results; anything else is not the target's fault
+      })
+      .finally(() => {
+        state.inFlight -= 1;
+        pending.delete(request);
+      });
+    pending.add(request);
+    return request;
+  };
+
+  const emitSample = () => {
+    const sample = recorder.flush(state);
+    if (onSample) {
+      try {
+        onSample(sample);
+      } catch {
+        // a broken listener must not break the run
+      }
+    }
+  };
+  const sampler = setInterval(emitSample, bucketMs);
+
+  try {
+    const drive = load.mode === "vus" ? driveUsers : driveRate;
+    await drive({ plan, send, state, signal });
+    // let requests already sent finish (or be aborted), so the tail is measured
+    await Promise.all(pending);
+  } finally {
+    clearInterval(sampler);
+  }
+  // the tail (requests finishing after the last full bucket)
+  state.target = 0;
+  if (recorder.hasOpenBucket()) emitSample();
+
+  const elapsedMs = performance.now() - startedAt;
+  recorder.totals.dropped = state.dropped;
+  return {
+    ...recorder.report(elapsedMs),
+    config: {
+      mode: load.mode,
+      ...(load.mode === "vus" ? { vus: load.vus, thinkTimeMs: load.thinkTimeMs || 0 } : { rate: load.rate, maxInFlight: load.maxInFlight }),
+      rampUpSec: load.rampUpSec || 0,
+      durationSec: load.durationSec,
+      bucketSec: bucketMs / 1000,
+      cases: testCases.length,
+    },
+    target: targetUrl || null,
+    environment: opts.environment || null,
+    elapsedSec: round(elapsedMs / 1000),
+    cancelled: Boolean(signal?.aborted),
+  };
+};
@@ -0,0 +1,433 @@
+// src/services/mock.service.js
+import crypto from "crypto";
+import { Router } from "express";
+import yaml from "js-yaml";
+import { ZodError } from "zod";
+import { config } from "../config/env.js";
+import { DEFAULT_MOCK_DEFINITION, loadMockDefinition } from "../config/mocks.js";
+import { mockDefinitionSchema } from "../schemas/validation.js";
+import { buildSpecsFromOpenApi } from "./openapi.service.js";
+
+/* ------------------------------------------------------------------
+   Stateful mock server: CRUD resources built from a definition
+   (see config/mocks.js for the format) or an OpenAPI document,
+   mounted under a prefix. State lives in memory until reset.
+-------------------------------------------------------------------*/
+const badDefinition = (message) => Object.assign(new Error(message), { status: 400 });
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+const joinPath = (prefix, path) => `${prefix.replace(/\/+$/, "")}${path}` || "/";
+
+/* ------------------------------------------------------------------
+   Definition loading: mock definition or OpenAPI, JSON or YAML
+-------------------------------------------------------------------*/
+const OPENAPI_FORMATS = ["email", "uuid", "date", "date-time", "uri"];
+
+const fieldFromSchema = (schema = {}) => {
+  const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== "null") : schema.type;
+  const field = { type: ["string", "number", "integer", "boolean", "object", "array"].includes(type) ? type : "string" };
+  if (Array.isArray(schema.enum) && schema.enum.length) field.enum = schema.enum;
+  if (Number.isInteger(schema.minLength)) field.minLength = schema.minLength;
+  if (Number.isInteger(schema.maxLength)) field.maxLength = schema.maxLength;
+  if (Number.isFinite(schema.minimum)) field.min = schema.minimum;
+  if (Number.isFinite(schema.maximum)) field.max = schema.maximum;
+  if (typeof schema.pattern === "string") field.pattern = schema.pattern;
+  if (OPENAPI_FORMATS.includes(schema.format)) field.format = schema.format;
+  if (schema.nullable || (Array.isArray(schema.type) && schema.type.includes("null"))) field.nullable = true;
+  if (schema.default !== undefined) field.default = schema.default;
+  return field;
+};
+
+// "/users" + "/users/{id}" become one resource; nested paths (/users/{id}/orders) are not modelled
+const definitionFromOpenApi = (doc) => {
+  const { specs } = buildSpecsFromOpenApi(doc);
+  const collections = new Map();
+
+  for (const spec of specs) {
+    const item = spec.path.match(/^(.*)\/\{[^}]+\}$/);
+    const base = item ? item[1] : spec.path;
+    if (!base || base.includes("{")) continue;
+
+    const operation = item
+      ? { GET: "read", PUT: "replace", PATCH: "update", DELETE: "delete" }[spec.method]
+      : { GET: "list", POST: "create" }[spec.method];
+    if (!operation) continue;
+
+    const entry = collections.get(base) || { operations: new Set(), schema: undefined };
+    entry.operations.add(operation);
+    // the create body describes a record best; replace/update bodies are the fallback
+    if (spec.requestBodySchema && (operation === "create" || !entry.schema)) entry.schema = spec.requestBodySchema;
+    collections.set(base, entry);
+  }
+
+  const resources = {};
+  for (const [path, entry] of collections) {
+    let name = (path.split("/").filter(Boolean).pop() || "root").replace(/[^\w-]/g, "_");
+    while (resources[name]) name = `${name}_`;
+
+    const schema = entry.schema || {};
+    const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+    const fields = {};
+    for (const [key, prop] of Object.entries(schema.properties || {})) {
+      if (key === "id" || prop?.readOnly) continue;
+      fields[key] = { ...fieldFromSchema(prop), ...(required.has(key) ? { required: true } : {}) };
+    }
+    resources[name] = {
+      path,
+      fields,
+      strict: schema.additionalProperties === false,
+      operations: [...entry.operations],
+    };
+  }
+
+  if (!Object.keys(resources).length) throw badDefinition("OpenAPI document has no collection paths (e.g. /users, /users/{id}) to mock");
+  return { resources };
+};
+
+const readDefinition = (input) => {
+  let doc = input;
+  if (typeof input === "string") {
+    const text = input.replace(/\uFEFF/g, "").trim();
+    try {
+      doc = text.startsWith("{") ? JSON.parse(text) : yaml.load(text);
+    } catch (err) {
+      throw badDefinition(`Unable to parse mock definition: ${err.message}`);
+    }
+  }
+  if (!isPlainObject(doc)) throw badDefinition("Mock definition must be a JSON or YAML object");
+  return doc.openapi || doc.swagger ? definitionFromOpenApi(doc) : doc;
+};
+
+/* ------------------------------------------------------------------
+   Field validation
+-------------------------------------------------------------------*/
+const FORMAT_CHECKS = {
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uuid: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  "date-time": (v) => /^\d{4}-\d{2}-\d{2}T/.test(v) && !Number.isNaN(Date.parse(v)),
+  uri: (v) => {
+    try {
+      return Boolean(new URL(v));
+    } catch {
+      return false;
+    }
+  },
+};
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean",
+  object: isPlainObject,
+  array: Array.isArray,
+};
+
+const checkField = (rule, value) => {
+  if (value === null) return rule.nullable ? null : "must not be null";
+  if (!TYPE_CHECKS[rule.type](value)) return `must be of type ${rule.type}`;
+  if (rule.enum && !rule.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    return `must be one of ${rule.enum.map((o) => JSON.stringify(o)).join(", ")}`;
+  }
+  const length = typeof value === "string" || Array.isArray(value) ? value.length : undefined;
+  if (length !== undefined && rule.minLength !== undefined && length < rule.minLength) return `must have at least ${rule.minLength} characters/items`;
+  if (length !== undefined && rule.maxLength !== undefined && length > rule.maxLength) return `must have at most ${rule.maxLength} characters/items`;
+  if (typeof value === "number" && rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+  if (typeof value === "number" && rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+  if (typeof value === "string" && rule.pattern && !new RegExp(rule.pattern).test(value)) return `must match /${rule.pattern}/`;
+  if (typeof value === "string" && rule.format && !FORMAT_CHECKS[rule.format](value)) return `must be a valid ${rule.format}`;
+  return null;
+};
+
+// partial: PATCH semantics, only the fields present are checked
+const validateRecord = (resource, body, { partial = false } = {}) => {
+  if (!isPlainObject(body)) return [{ field: "$", message: "Request body must be a JSON object" }];
+
+  const issues = [];
+  const readOnly = new Set([resource.idField, ...(resource.timestamps ? ["createdAt", "updatedAt"] : [])]);
+  for (const key of Object.keys(body)) {
+    if (readOnly.has(key)) issues.push({ field: key, message: "is read-only" });
+    else if (resource.strict && !resource.fields[key]) issues.push({ field: key, message: "is not an allowed field" });
+  }
+  for (const [name, rule] of Object.entries(resource.fields)) {
+    if (body[name] === undefined) {
+      if (!partial && rule.required) issues.push({ field: name, message: "is required" });
+      continue;
+    }
+    const message = checkField(rule, body[name]);
+    if (message) issues.push({ field: name, message });
+  }
+  return issues;
+};
+
+// Crude SQL injection / XSS heuristics (the original /users mock's scanner)
+const isSuspicious = (value) => {
+  if (typeof value === "string") {
+    const lower = value.toLowerCase();
+    return ["' or ", "1=1", "<script>", "javascript:", " onerror", "--", "';"].some((needle) => lower.includes(needle));
+  }
+  if (Array.isArray(value)) return value.some(isSuspicious);
+  if (isPlainObject(value)) return Object.values(value).some(isSuspicious);
+  return false;
+};
+
+/* ------------------------------------------------------------------
+   In-memory store per resource
+-------------------------------------------------------------------*/
+const createStore = (name, resource) => {
+  const records = new Map();
+  let nextId = 1;
+  const uniqueFields = Object.keys(resource.fields).filter((f) => resource.fields[f].unique);
+
+  const defaults = () => {
+    const out = {};
+    for (const [field, rule] of Object.entries(resource.fields)) {
+      if (rule.default !== undefined) out[field] = structuredClone(rule.default);
+    }
+    return out;
+  };
+
+  const newId = (requested) => {
+    if (requested !== undefined) {
+      if (Number.isInteger(requested)) nextId = Math.max(nextId, requested + 1);
+      return requested;
+    }
+    return resource.idType === "uuid" ? crypto.randomUUID() : nextId++;
+  };
+
+  const store = {
+    name,
+    all: () => [...records.values()],
+    get: (id) => records.get(String(id)),
+
+    // first unique field whose value another record already holds
+    conflict: (data, exceptId) => uniqueFields.find((field) => data[field] !== undefined && store.all().some(
+      (r) => String(r[resource.idField]) !== String(exceptId) && JSON.stringify(r[field]) === JSON.stringify(data[field])
+    )),
+
+    insert: (data, requestedId) => {
+      const now = new Date().toISOString();
+      const id = newId(requestedId);
+      const record = { [resource.idField]: id, ...defaults(), ...data, ...(resource.timestamps ? { createdAt: now, updatedAt: now } : {}) };
+      records.set(String(id), record);
+      return record;
+    },
+
+    replace: (id, data, { merge = false } = {}) => {
+      const current = store.get(id);
+      const record = {
+        ...(merge ? current : { ...defaults(), ...(resource.timestamps ? { createdAt: current.createdAt } : {}) }),
+        ...data,
+        [resource.idField]: current[resource.idField],
+        ...(resource.timestamps ? { updatedAt: new Date().toISOString() } : {}),
+      };
+      records.set(String(id), record);
+      return record;
+    },
+
+    remove: (id) => records.delete(String(id)),
+
+    reset: () => {
+      records.clear();
+      nextId = 1;
+      resource.seed.forEach((raw, i) => {
+        const { [resource.idField]: seedId, ...data } = raw;
+        const issues = validateRecord({ ...resource, timestamps: false }, data);
+        if (issues.length) {
+          throw badDefinition(`Seed record ${i + 1} of "${name}" is invalid: ${issues.map((x) => `${x.field} ${x.message}`).join("; ")}`);
+        }
+        const field = store.conflict(data);
+        if (field) throw badDefinition(`Seed record ${i + 1} of "${name}" repeats unique field "${field}"`);
+        store.insert(data, seedId);
+      });
+    },
+  };
+  return store;
+};
+
+/* ------------------------------------------------------------------
+   Routes
+-------------------------------------------------------------------*/
+const OPERATION_METHODS = {
+  list: ["collection", "GET"],
+  create: ["collection", "POST"],
+  read: ["item", "GET"],
+  replace: ["item", "PUT"],
+  update: ["item", "PATCH"],
+  delete: ["item", "DELETE"],
+};
+
+const mountResource = (router, resource, store) => {
+  const { idField, fields, pagination } = resource;
+  const notFound = (res, id) => res.status(404).json({ error: `${store.name} ${id} not found` });
+
+  // Shared request checks; returns { status, error } when the request is refused
+  const refuse = (req, { write }) => {
+    const contentType = req.headers["content-type"];
+    if (write && contentType && !contentType.includes("json")) return { status: 415, error: "Content-Type must be application/json" };
+    if (typeof req.safeBody === "string") return { status: 400, error: "Invalid JSON in request body" };
+    if (!write && isPlainObject(req.safeBody) && Object.keys(req.safeBody).length) {
+      return { status: 400, error: `${req.method} request must not have a body` };
+    }
+    if (resource.rejectSuspiciousInput && [req.query, req.safeBody, req.params].some(isSuspicious)) {
+      return { status: 400, error: "Security Alert: Malicious input detected" };
+    }
+    return null;
+  };
+
+  // Runs the checks before a handler
+  const guarded = (write, handler) => (req, res) => {
+    const refused = refuse(req, { write });
+    return refused ? res.status(refused.status).json({ error: refused.error }) : handler(req, res);
+  };
+
+  const saveChecked = (req, res, { partial, exceptId, status, save }) => {
+    const issues = validateRecord(resource, req.safeBody, { partial });
+    if (issues.length) return res.status(400).json({ error: "Validation failed", details: issues });
+    const field = store.conflict(req.safeBody, exceptId);
+    if (field) return res.status(409).json({ error: `${store.name} with this ${field} already exists`, field });
+    return res.status(status).json(save(req.safeBody));
+  };
+
+  const handlers = {
+    list: guarded(false, (req, res) => {
+      const number = (name) => (req.query[name] === undefined ? undefined : Number(req.query[name]));
+      const limit = number("limit") ?? pagination.defaultLimit;
+      const page = number("page") ?? 1;
+      const offset = number("offset");
+      if (!Number.isInteger(limit) || limit < 1 || limit > pagination.maxLimit) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${pagination.maxLimit}` });
+      }
+      if (!Number.isInteger(page) || page < 1) return res.status(400).json({ error: "page must be an integer >= 1" });
+      if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) return res.status(400).json({ error: "offset must be an integer >= 0" });
+
+      // ?field=value filters on declared fields
+      const filters = Object.entries(req.query).filter(([key]) => key === idField || fields[key]);
+      const matches = store.all().filter((r) => filters.every(([key, value]) => String(r[key]) === String(value)));
+      const start = offset ?? (page - 1) * limit;
+      return res.json({
+        data: matches.slice(start, start + limit),
+        page: offset !== undefined ? Math.floor(offset / limit) + 1 : page,
+        limit,
+        total: matches.length,
+      });
+    }),
+
+    read: guarded(false, (req, res) => {
+      const record = store.get(req.params.id);
+      return record ? res.json(record) : notFound(res, req.params.id);
+    }),
+
+    create: guarded(true, (req, res) => saveChecked(req, res, {
+        partial: false,
+        status: 201,
+        save: (data) => {
+          const record = store.insert(data);
+          res.location(`${req.baseUrl}${req.path.replace(/\/+$/, "")}/${record[idField]}`);
+          return record;
+        },
+      })),
+
+    replace: guarded(true, (req, res) => {
+      if (!store.get(req.params.id)) return notFound(res, req.params.id);
+      return saveChecked(req, res, { partial: false, exceptId: req.params.id, status: 200, save: (data) => store.replace(req.params.id, data) });
+    }),
+
+    update: guarded(true, (req, res) => {
+      if (!store.get(req.params.id)) return notFound(res, req.params.id);
+      return saveChecked(req, res, { partial: true, exceptId: req.params.id, status: 200, save: (data) => store.replace(req.params.id, data, { merge: true }) });
+    }),
+
+    delete: guarded(false, (req, res) => {
+      if (!store.remove(req.params.id)) return notFound(res, req.params.id);
+      return res.sendStatus(204);
+    }),
+  };
+
+  const paths = { collection: resource.path, item: `${resource.path}/:id` };
+  const allowed = { collection: [], item: [] };
+  for (const operation of resource.operations) {
+    const [target, method] = OPERATION_METHODS[operation];
+    router[method.toLowerCase()](paths[target], handlers[operation]);
+    allowed[target].push(method);
+  }
+  for (const target of ["collection", "item"]) {
+    router.all(paths[target], (req, res) => res.set("Allow", allowed[target].join(", ")).status(405).json({ error: "Method Not Allowed" }));
+  }
+};
+
+/* ------------------------------------------------------------------
+   Engine
+-------------------------------------------------------------------*/
+export const createMockEngine = (input, { prefix = config.mock.prefix } = {}) => {
+  const definition = mockDefinitionSchema.parse(readDefinition(input));
+  const mountAt = definition.prefix || prefix;
+
+  const resources = Object.entries(definition.resources).map(([name, raw]) => {
+    const resource = { ...raw, path: raw.path || `/${name}` };
+    return { name, resource, store: createStore(name, resource) };
+  });
+  const reset = () => resources.forEach(({ store }) => store.reset());
+  reset();
+
+  const inner = Router();
+  // overrides go first so they win over the generated CRUD routes
+  for (const o of definition.overrides) {
+    inner[o.method === "ALL" ? "all" : o.method.toLowerCase()](o.path, (req, res) => {
+      if (o.headers) res.set(o.headers);
+      res.status(o.status);
+      return o.body === undefined ? res.end() : res.json(o.body);
+    });
+  }
+  resources.forEach(({ resource, store }) => mountResource(inner, resource, store));
+
+  const router = Router();
+  router.use(mountAt, inner);
+
+  return {
+    definition,
+    router,
+    reset,
+    describe: () => ({
+      prefix: mountAt,
+      resources: resources.map(({ name, resource, store }) => ({
+        name,
+        path: joinPath(mountAt, resource.path),
+        operations: resource.operations,
+        fields: Object.keys(resource.fields),
+        count: store.all().length,
+      })),
+      overrides: definition.overrides.map((o) => ({ method: o.method, path: joinPath(mountAt, o.path), status: o.status })),
+    }),
+  };
+};
+
+const initialEngine = () => {
+  try {
+    return createMockEngine(loadMockDefinition());
+  } catch (err) {
+    const detail = err instanceof ZodError ? err.errors.map((e) => `${e.path.join(".")}: ${e.message}`).join("; ") : err.message;
+    console.warn(`⚠️  Invalid mock definition (${detail}); using the built-in /users mock`);
+    return createMockEngine(DEFAULT_MOCK_DEFINITION);
+  }
+};
+
+let engine = initialEngine();
+
+// Mounted once in app.js; delegates to whichever definition is current
+export const mockRouter = (req, res, next) => engine.router(req, res, next);
+
+export const describeMocks = () => ({ ...engine.describe(), definition: engine.definition });
+
+// Swaps the definition atomically: an invalid one throws and leaves the current engine in place
+export const configureMocks = (input) => {
+  engine = createMockEngine(input);
+  return describeMocks();
+};
+
+export const resetMocks = () => {
+  engine.reset();
+  return describeMocks();
+};
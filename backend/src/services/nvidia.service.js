@@ -1,11 +1,16 @@
 // src/services/nvidia.service.js
 import axios from "axios";
-import { model } from "../config/nvidia.js";
+import { llm } from "../config/llm.js";
+import { config } from "../config/env.js";
+import { generatedCaseSchema } from "../schemas/validation.js";
+import { createArrayItemParser } from "../utils/jsonStream.js";
 import cache from "../utils/cache.js";
 import { resolveTestUrl } from "../utils/resolveUrl.js";
+import { generateSchemaCases, requestSignature, DEFAULT_SCHEMA_CASES } from "./boundary.service.js";
+import { sampleFromSchema } from "../utils/jsonSchema.js";
 
 /* ------------------------------------------------------------------
-   Utilities: clean, extract JSON, parse safe, normalize headers,
+   Utilities: clean, parse model JSON, normalize headers,
    curl builder, secret scrubber
 -------------------------------------------------------------------*/
 const cleanGarbage = (text) => {
@@ -18,37 +23,72 @@ const cleanGarbage = (text) => {
     .trim();
 };
 
-const extractJson = (raw) => {
-  if (!raw) return null;
-  const cleaned = cleanGarbage(raw);
+// Every balanced top-level {...} / [...] block. String-aware, so nested
+// objects and brackets inside quoted values don't end a block early.
+const findJsonBlocks = (text) => {
+  const blocks = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
 
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"' && depth > 0) {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      if (depth === 0) start = i;
+      depth += 1;
+    } else if ((ch === "}" || ch === "]") && depth > 0) {
+      depth -= 1;
+      if (depth === 0) blocks.push(text.slice(start, i + 1));
+    }
+  }
+  // unterminated (e.g. cut off by max_tokens): still reported, as a parse error
+  if (depth > 0) blocks.push(text.slice(start));
+  return blocks;
+};
+
+/**
+ * parseModelOutput
+ * - Returns { items } with the test case array, or { error } saying why not.
+ * - Accepts a bare array, { testCases: [...] } / { data: [...] } or a single case object.
+ */
+const parseModelOutput = (raw) => {
+  const cleaned = cleanGarbage(raw);
   // remove fenced codeblocks but keep inner content
-  let txt = cleaned.replace(/```[\s\S]*?```/g, (block) =>
+  const txt = cleaned.replace(/```[\s\S]*?```/g, (block) =>
     block.replace(/```[a-zA-Z]*/g, "").replace(/```/g, "").trim()
   );
 
-  // find all object/array-like blocks and pick the largest one (heuristic)
-  const matches = [];
-  const objRegex = /\{[\s\S]*?\}/g;
-  const arrRegex = /\[[\s\S]*?\]/g;
-  let m;
-  while ((m = objRegex.exec(txt))) matches.push(m[0]);
-  while ((m = arrRegex.exec(txt))) matches.push(m[0]);
-
-  if (matches.length === 0) return null;
+  const blocks = findJsonBlocks(txt).sort((a, b) => b.length - a.length);
+  if (blocks.length === 0) return { error: "Response contained no JSON" };
 
-  matches.sort((a, b) => b.length - a.length);
-  const candidate = matches[0];
-  const sanitized = candidate.replace(/,\s*]/g, "]").replace(/,\s*}/g, "}");
-  return sanitized;
-};
-
-const safeParse = (str) => {
-  try {
-    return JSON.parse(str);
-  } catch {
-    return null;
+  let error = null;
+  for (const block of blocks) {
+    // second try tolerates trailing commas
+    for (const candidate of [block, block.replace(/,\s*([\]}])/g, "$1")]) {
+      let parsed;
+      try {
+        parsed = JSON.parse(candidate);
+      } catch (err) {
+        error = error || `Invalid JSON: ${err.message}`;
+        continue;
+      }
+      if (Array.isArray(parsed)) return { items: parsed };
+      if (Array.isArray(parsed?.testCases)) return { items: parsed.testCases };
+      if (Array.isArray(parsed?.data)) return { items: parsed.data };
+      if (parsed && typeof parsed === "object" && parsed.request) return { items: [parsed] };
+      error = error || "Expected a JSON array of test cases";
+    }
   }
+  return { error };
 };
 
 /**
@@ -110,9 +150,25 @@ const scrubSecrets = (obj) => {
 };
 
 /* ------------------------------------------------------------------
-   Fallback generator: rich set of testcases (passable + negative)
-   NOTE: negative cases here remain for reference but will be filtered
-   out at generation time if the global filter is enabled.
+   Headers of a request expected to pass auth: the probed header when
+   autoProbe found one, else an {{authToken}} placeholder
+-------------------------------------------------------------------*/
+const validHeadersFor = (spec = {}, detected = {}) => {
+  const validHeaders = Object.assign({}, spec.headers || {});
+  if (detected.validHeaderName && detected.validHeaderValue) {
+    validHeaders[detected.validHeaderName] = detected.validHeaderValue;
+  } else {
+    if (!validHeaders.Authorization && !validHeaders["x-api-key"]) {
+      // resolved at run time from the selected environment's variables/secrets
+      validHeaders.Authorization = validHeaders.Authorization || "Bearer {{authToken}}";
+    }
+  }
+  return validHeaders;
+};
+
+/* ------------------------------------------------------------------
+   Fallback generator: rich pool of testcases (passable + negative)
+   Returns every template; fitToPlan() picks the requested mix.
 -------------------------------------------------------------------*/
 const generateFallbackTestCases = (spec = {}, detected = {}) => {
   const endpoint = spec.endpoint || "/";
@@ -125,14 +181,8 @@ const generateFallbackTestCases = (spec = {}, detected = {}) => {
   const conflictStatus = Number.isFinite(overrides.conflictStatus) ? overrides.conflictStatus : 409;
   const genericInvalidStatus = Number.isFinite(overrides.invalidStatus) ? overrides.invalidStatus : 400;
 
-  const validHeaders = Object.assign({}, spec.headers || {});
-  if (detected.validHeaderName && detected.validHeaderValue) {
-    validHeaders[detected.validHeaderName] = detected.validHeaderValue;
-  } else {
-    if (!validHeaders.Authorization && !validHeaders["x-api-key"]) {
-      validHeaders.Authorization = validHeaders.Authorization || "Bearer VALID";
-    }
-  }
+  const validHeaders = validHeadersFor(spec, detected);
+  const jsonHeaders = { "Content-Type": "application/json" };
 
   const cases = [
     {
@@ -229,9 +279,122 @@ const generateFallbackTestCases = (spec = {}, detected = {}) => {
       request: { method, endpoint, headers: normalizeHeaders(Object.assign({}, validHeaders, { "X-Debug": "true" })), body: null },
       expected_response: { status: successStatus },
     },
+    {
+      id: "TC_013",
+      category: "boundary",
+      description: "Empty string field",
+      request: { method, endpoint, headers: jsonHeaders, body: { name: "" } },
+      expected_response: { status: genericInvalidStatus },
+    },
+    {
+      id: "TC_014",
+      category: "boundary",
+      description: "Negative numeric field",
+      request: { method, endpoint, headers: jsonHeaders, body: { id: -1, quantity: -1 } },
+      expected_response: { status: genericInvalidStatus },
+    },
+    {
+      id: "TC_015",
+      category: "boundary",
+      description: "Numeric overflow (beyond 64-bit integer)",
+      request: { method, endpoint, headers: jsonHeaders, body: { id: "9223372036854775808", quantity: 1e308 } },
+      expected_response: { status: genericInvalidStatus },
+    },
+    {
+      id: "TC_016",
+      category: "boundary",
+      description: "Null values for fields",
+      request: { method, endpoint, headers: jsonHeaders, body: { name: null, email: null } },
+      expected_response: { status: genericInvalidStatus },
+    },
+    {
+      id: "TC_017",
+      category: "boundary",
+      description: "Unicode and emoji characters in string field",
+      request: { method, endpoint, headers: jsonHeaders, body: { name: "名前 🚀 Ωmega" } },
+      expected_response: { status: genericInvalidStatus },
+    },
+    {
+      id: "TC_018",
+      category: "security",
+      description: "XSS payload in body",
+      request: { method, endpoint, headers: jsonHeaders, body: { name: "<script>alert(1)</script>" } },
+      expected_response: { status: genericInvalidStatus },
+    },
+    {
+      id: "TC_019",
+      category: "security",
+      description: "Path traversal in query parameter",
+      request: { method, endpoint: endpoint + "?file=../../etc/passwd", headers: jsonHeaders, body: null },
+      expected_response: { status: genericInvalidStatus },
+    },
+    {
+      id: "TC_020",
+      category: "security",
+      description: "NoSQL operator injection in body",
+      request: { method, endpoint, headers: jsonHeaders, body: { email: { $ne: null }, password: { $gt: "" } } },
+      expected_response: { status: genericInvalidStatus },
+    },
+    {
+      id: "TC_021",
+      category: "security",
+      description: "Command injection in string field",
+      request: { method, endpoint, headers: jsonHeaders, body: { name: "test; cat /etc/passwd" } },
+      expected_response: { status: genericInvalidStatus },
+    },
   ];
 
-  return cases.slice(0, 12);
+  return [...cases, ...bodyVariantCases(spec, validHeaders, genericInvalidStatus)];
+};
+
+/* ------------------------------------------------------------------
+   Body variants: one field of the spec's body (or a sample of its
+   schema) changed at a time, so cases beyond the fixed templates still
+   send a real request. Auth headers are kept to reach validation.
+-------------------------------------------------------------------*/
+const BOUNDARY_VALUES = {
+  string: [["empty string", ""], ["10000 characters", "x".repeat(10000)]],
+  number: [["negative", -1], ["1e308", 1e308]],
+  array: [["empty array", []]],
+};
+
+const SECURITY_PAYLOADS = [
+  ["SQL injection", "' OR '1'='1"],
+  ["XSS payload", "<script>alert(1)</script>"],
+  ["Command injection", "test; cat /etc/passwd"],
+  ["Path traversal", "../../etc/passwd"],
+  ["NoSQL operator", { $ne: null }],
+];
+
+const bodyVariantCases = (spec, validHeaders, invalidStatus) => {
+  const method = (spec.method || "GET").toUpperCase();
+  if (method === "GET" || method === "HEAD") return [];
+  const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+  const base = isObject(spec.body) ? spec.body : spec.schema ? sampleFromSchema(spec.schema) : null;
+  if (!isObject(base) || !Object.keys(base).length) return [];
+
+  const fields = Object.keys(base);
+  const typeOf = (v) => (Array.isArray(v) ? "array" : typeof v);
+  const strings = fields.filter((f) => typeof base[f] === "string");
+  const headers = normalizeHeaders(Object.assign({}, validHeaders, { "Content-Type": "application/json" }));
+  const variant = (category, description, body) => ({
+    category,
+    description,
+    request: { method, endpoint: spec.endpoint || "/", headers, body },
+    expected_response: { status: invalidStatus },
+  });
+  const withField = (field, value) => ({ ...base, [field]: value });
+
+  const boundary = fields.flatMap((f) => (BOUNDARY_VALUES[typeOf(base[f])] || [])
+    .map(([label, value]) => variant("boundary", `"${f}" ${label}`, withField(f, value))));
+  const security = SECURITY_PAYLOADS.flatMap(([label, payload]) => (strings.length ? strings : fields)
+    .map((f) => variant("security", `${label} in "${f}"`, withField(f, payload))));
+  const invalid = fields.flatMap((f) => {
+    const rest = { ...base };
+    delete rest[f];
+    return [variant("invalid", `Missing "${f}"`, rest), variant("invalid", `"${f}" is null`, withField(f, null))];
+  });
+  return [...invalid, ...boundary, ...security];
 };
 
 /* ------------------------------------------------------------------
@@ -441,34 +604,256 @@ const applyProbeToTestCases = (testCases = [], probeResults = {}, spec = {}, inf
 };
 
 /* ------------------------------------------------------------------
-   MAIN: generateTestCases
-   - spec.autoProbe: boolean (opt-in)
-   - spec.sampleValidToken / spec.sampleValidApiKey: optional credentials for probing
+   Generation plan: how many cases of each category to produce
+   - generation.total: overall count (default 12)
+   - generation.categories: fixed per-category counts; categories left
+     out share whatever remains of the total
 -------------------------------------------------------------------*/
-export const generateTestCases = async (spec = {}) => {
-  const cacheKey = `gen_${(spec.method || "GET")}_${spec.endpoint || "/"}_${JSON.stringify(spec.headers || {})}`;
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    console.info("Using cached testcases for", cacheKey, "preview:", (cached.testCases || []).map((t,i) => `${i+1}:${t.id}:${t.description}`).slice(0,12));
-    return { ...cached, cached: true };
+export const TEST_CATEGORIES = ["valid", "invalid", "boundary", "security"];
+export const DEFAULT_CASE_COUNT = 12;
+
+export const resolveGenerationPlan = (generation = {}) => {
+  const fixed = generation.categories || {};
+  const open = TEST_CATEGORIES.filter((c) => !Number.isInteger(fixed[c]));
+  const fixedTotal = TEST_CATEGORIES.reduce((acc, c) => acc + (Number.isInteger(fixed[c]) ? fixed[c] : 0), 0);
+  const total = open.length ? (generation.total ?? Math.max(DEFAULT_CASE_COUNT, fixedTotal)) : fixedTotal;
+
+  const counts = {};
+  let remaining = Math.max(total - fixedTotal, 0);
+  TEST_CATEGORIES.forEach((c) => {
+    if (!open.includes(c)) {
+      counts[c] = fixed[c];
+      return;
+    }
+    // spread the remainder evenly, earlier categories get the extra ones
+    const share = Math.ceil(remaining / (open.length - open.indexOf(c)));
+    counts[c] = share;
+    remaining -= share;
+  });
+
+  return { total: TEST_CATEGORIES.reduce((acc, c) => acc + counts[c], 0), counts };
+};
+
+const describePlan = (plan) => TEST_CATEGORIES
+  .filter((c) => plan.counts[c] > 0)
+  .map((c) => `${plan.counts[c]} ${c}`)
+  .join(", ");
+
+const caseSignature = (tc) => `${tc.category}::${String(tc.description || "").slice(0, 120)}`;
+
+const successStatusFor = (spec) => spec.expected_response?.status || (String(spec.method || "GET").toUpperCase() === "POST" ? 201 : 200);
+
+// only valid cases are padded: a negative placeholder would have no real payload to send
+const placeholderCase = (spec, n) => ({
+  id: `TC_PLACEHOLDER_${n}`,
+  category: "valid",
+  description: `Auto valid placeholder ${n}`,
+  request: {
+    method: (spec.method || "GET").toUpperCase(),
+    endpoint: spec.endpoint || "/",
+    headers: normalizeHeaders(Object.assign({}, spec.headers || {}, { "Content-Type": "application/json" })),
+    body: spec.body ?? { sample: true },
+  },
+  expected_response: { status: successStatusFor(spec) },
+});
+
+/**
+ * fitToPlan
+ * - Keeps the first N candidates of each category, tops up shortfalls from
+ *   the fallback pool (no duplicate descriptions), then pads valid cases
+ *   with placeholders; other categories may come up short.
+ * - Output is grouped in TEST_CATEGORIES order; each case records its `source`
+ *   (model | fallback | placeholder), dropped again by sanitizeCase().
+ */
+const fitToPlan = (candidates, plan, pool, spec) => {
+  const seen = new Set();
+  const out = [];
+  let placeholders = 0;
+
+  for (const category of TEST_CATEGORIES) {
+    const wanted = plan.counts[category];
+    const picked = [];
+    const take = (source) => (tc) => {
+      if (picked.length >= wanted || String(tc.category || "").toLowerCase() !== category) return;
+      const sig = caseSignature({ ...tc, category });
+      if (seen.has(sig)) return;
+      seen.add(sig);
+      picked.push({ ...tc, category, source });
+    };
+
+    candidates.forEach(take("model"));
+    pool.forEach(take("fallback"));
+    while (category === "valid" && picked.length < wanted) picked.push({ ...placeholderCase(spec, ++placeholders), source: "placeholder" });
+    out.push(...picked);
+  }
+  return out;
+};
+
+const sanitizeCase = (tc, i, spec) => ({
+  id: `TC_${String(i + 1).padStart(3, "0")}`, // force sequential ids
+  category: tc.category || "valid",
+  description: tc.description || `Auto-generated ${i + 1}`,
+  request: {
+    method: (tc.request?.method || spec.method || "GET").toUpperCase(),
+    endpoint: tc.request?.endpoint || spec.endpoint || "/",
+    headers: normalizeHeaders(tc.request?.headers),
+    body: tc.request?.body ?? (spec.body ?? null),
+  },
+  expected_response: {
+    status: parseInt(tc.expected_response?.status || successStatusFor(spec), 10),
+  },
+});
+
+const summarize = (testCases) => ({
+  total: testCases.length,
+  ...Object.fromEntries(TEST_CATEGORIES.map((c) => [c, testCases.filter((t) => t.category === c).length])),
+});
+
+/* ------------------------------------------------------------------
+   Model output: validate against generatedCaseSchema, ask the model to
+   repair what fails (bounded), and keep the best valid subset.
+   outcome.status:
+     parsed   - first response was valid as-is
+     repaired - valid after one or more repair round-trips
+     salvaged - never fully valid; the valid items were kept
+     fallback - nothing usable (or AI disabled); canned cases only
+-------------------------------------------------------------------*/
+const MAX_REPORTED_ISSUES = 20;
+
+const formatCaseIssues = (zodError, index) =>
+  zodError.errors.map((e) => `[${index}]${e.path.length ? `.${e.path.join(".")}` : ""}: ${e.message}`);
+
+const validateModelCases = (items) => {
+  const valid = [];
+  const issues = [];
+  if (items.length === 0) issues.push("Response was an empty array");
+  items.forEach((item, i) => {
+    const result = generatedCaseSchema.safeParse(item);
+    if (result.success) valid.push(result.data);
+    else issues.push(...formatCaseIssues(result.error, i));
+  });
+  return { valid, issues };
+};
+
+const buildRepairPrompt = (prompt, previous, issues) => `${prompt}
+Your previous response was rejected because of these problems:
+${issues.slice(0, MAX_REPORTED_ISSUES).map((i) => `- ${i}`).join("\n")}
+
+Previous response:
+${String(previous || "").slice(0, 6000)}
+
+Return the complete, corrected JSON ARRAY ONLY (every test case, not just the fixed ones).
+`;
+
+const generateFromModel = async (prompt, spec) => {
+  const maxAttempts = 1 + Math.max(0, Math.floor(config.llm.repairAttempts));
+  let best = { valid: [], issues: [] };
+  let issues = [];
+  let request = prompt;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    const raw = await llm.complete(request, { spec, attempt });
+    const { items, error } = parseModelOutput(raw);
+    const checked = items ? validateModelCases(items) : { valid: [], issues: [error] };
+
+    if (checked.issues.length === 0) {
+      return { cases: checked.valid, outcome: { status: attempt === 1 ? "parsed" : "repaired", attempts: attempt, issues: [] } };
+    }
+    if (checked.valid.length > best.valid.length) best = checked;
+    issues = checked.issues;
+    console.warn(`generateTestCases: model output rejected (attempt ${attempt}/${maxAttempts}):`, issues.slice(0, 5));
+    request = buildRepairPrompt(prompt, raw, issues);
   }
 
-  const prompt = `You are a QA Engineer. Generate exactly 12 API test cases.
+  // salvaged cases report the problems of the response they came from
+  return best.valid.length
+    ? { cases: best.valid, outcome: { status: "salvaged", attempts: maxAttempts, issues: best.issues.slice(0, MAX_REPORTED_ISSUES) } }
+    : { cases: [], outcome: { status: "fallback", attempts: maxAttempts, issues: issues.slice(0, MAX_REPORTED_ISSUES), reason: "Model output failed validation" } };
+};
+
+const countSources = (cases) => ({
+  modelCases: cases.filter((tc) => tc.source === "model").length,
+  schemaCases: cases.filter((tc) => tc.source === "schema").length,
+  fallbackCases: cases.filter((tc) => tc.source !== "model" && tc.source !== "schema").length,
+});
+
+/* ------------------------------------------------------------------
+   Schema cases (services/boundary.service.js) come on top of the plan:
+   model and fallback cases sending the same request are dropped in their
+   favour, and the merged list stays grouped in TEST_CATEGORIES order.
+-------------------------------------------------------------------*/
+// a schema the generator cannot walk (e.g. `required: 5`) yields no schema cases, not a failed generation
+const schemaCasesFor = (spec, detected = {}) => {
+  if (!spec.schema) return [];
+  try {
+    return generateSchemaCases(spec, {
+      headers: normalizeHeaders(Object.assign({}, validHeadersFor(spec, detected), { "Content-Type": "application/json" })),
+      limit: spec.generation?.schemaCases ?? DEFAULT_SCHEMA_CASES,
+    });
+  } catch (e) {
+    console.warn("generateSchemaCases failed:", e?.message ?? e);
+    return [];
+  }
+};
+
+const withoutRequestsOf = (schemaCases, cases) => {
+  const taken = new Set(schemaCases.map(requestSignature));
+  return cases.filter((tc) => !taken.has(requestSignature(tc)));
+};
+
+const mergeSchemaCases = (planned, schemaCases) => TEST_CATEGORIES.flatMap((c) => [
+  ...planned.filter((tc) => tc.category === c),
+  ...schemaCases.filter((tc) => tc.category === c),
+]);
+
+/* ------------------------------------------------------------------
+   Prompt + cache key (shared by the blocking and streaming generators)
+-------------------------------------------------------------------*/
+const cacheKeyFor = (spec, plan) => {
+  const key = `gen_${(spec.method || "GET")}_${spec.endpoint || "/"}_${JSON.stringify(spec.headers || {})}_${JSON.stringify(plan.counts)}`;
+  // schema cases are built from the body and schema, so both belong in the key
+  return spec.schema ? `${key}_${JSON.stringify({ body: spec.body ?? null, schema: spec.schema, limit: spec.generation?.schemaCases })}` : key;
+};
+
+const buildPrompt = (spec, plan) => {
+  const skipped = TEST_CATEGORIES.filter((c) => plan.counts[c] === 0);
+  return `You are a QA Engineer. Generate exactly ${plan.total} API test cases: ${describePlan(plan)}.
 
 API SPEC:
 - Method: ${spec.method}
 - Endpoint: ${spec.endpoint}
 - Headers: ${JSON.stringify(spec.headers || {})}
 - Body: ${JSON.stringify(spec.body || null)}
-- Success Status: ${spec.expected_response?.status || (String(spec.method || "GET").toUpperCase() === "POST" ? 201 : 200)}
+${spec.schema ? `- Body JSON Schema: ${JSON.stringify(spec.schema)}\n` : ""}- Success Status: ${successStatusFor(spec)}
 
 REQUIREMENTS:
 - Output strictly a valid JSON ARRAY ONLY.
 - NO markdown, no explanation, no text before or after JSON.
-
+- For valid credentials use the placeholder {{authToken}} (e.g. "Authorization": "Bearer {{authToken}}"), never a literal token.
+${skipped.length ? `- Do NOT generate ${skipped.join(" or ")} test cases.\n` : ""}
 Each testcase:
 { "id":"TC_001", "category":"valid|invalid|boundary|security", "description":"...", "request":{ "method":"...","endpoint":"...","headers":{},"body":{} }, "expected_response":{ "status": number } }
 `;
+};
+
+/* ------------------------------------------------------------------
+   MAIN: generateTestCases
+   - spec.autoProbe: boolean (opt-in)
+   - spec.sampleValidToken / spec.sampleValidApiKey: optional credentials for probing
+   - spec.generation: { total, categories } (see resolveGenerationPlan)
+   - spec.schema: JSON Schema of the body; adds up to generation.schemaCases
+     rule-based boundary / enum / required / type cases on top of the plan
+-------------------------------------------------------------------*/
+export const generateTestCases = async (spec = {}) => {
+  const plan = resolveGenerationPlan(spec.generation);
+  const cacheKey = cacheKeyFor(spec, plan);
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    console.info("Using cached testcases for", cacheKey, "preview:", (cached.testCases || []).map((t,i) => `${i+1}:${t.id}:${t.description}`).slice(0,12));
+    return { ...cached, cached: true };
+  }
+
+  const prompt = buildPrompt(spec, plan);
 
   // 1) optional probing
   let probeResults = {};
@@ -486,27 +871,17 @@ Each testcase:
     }
   }
 
-  try {
-    const result = await model.generateContent(prompt);
-    const responseText = (typeof result.response?.text === "function") ? result.response.text() : String(result?.response || "");
-    const extracted = extractJson(responseText);
-    let parsed = extracted ? safeParse(extracted) : null;
-    if (parsed && !Array.isArray(parsed)) {
-      if (Array.isArray(parsed.testCases)) parsed = parsed.testCases;
-      else if (Array.isArray(parsed.data)) parsed = parsed.data;
-    }
+  // 2) deterministic cases from the body schema
+  const schemaCases = schemaCasesFor(spec, detected);
 
-    // original rawList generation
-    let rawList = Array.isArray(parsed) ? parsed : [];
-    if (!Array.isArray(rawList) || rawList.length === 0) {
-      rawList = generateFallbackTestCases(spec, detected);
-    }
+  try {
+    // no-AI mode goes straight to the rule-based fallback
+    const { cases: modelCases, outcome } = llm.enabled
+      ? await generateFromModel(prompt, spec)
+      : { cases: [], outcome: { status: "fallback", attempts: 0, issues: [], reason: `AI disabled: ${llm.reason}` } };
 
-    // ensure length 12 (originally)
-    if (rawList.length < 12) {
-      const extra = generateFallbackTestCases(spec, detected).slice(0, 12 - rawList.length);
-      rawList = rawList.concat(extra);
-    }
+    // take the requested mix from the model output, topped up from the fallback pool
+    let rawList = fitToPlan(withoutRequestsOf(schemaCases, modelCases), plan, withoutRequestsOf(schemaCases, generateFallbackTestCases(spec, detected)), spec);
 
     // apply probe-driven adjustments if autoProbe enabled
     if (spec.autoProbe) {
@@ -520,75 +895,20 @@ Each testcase:
       });
     }
 
-    // -----------------------------
-    // NEW: Remove ALL negative testcases
-    // -----------------------------
-    rawList = rawList.filter((tc) => String(tc.category || "").toLowerCase() !== "invalid");
-
-    // If too short, refill from fallback non-invalid pool (avoid duplicates)
-    if (rawList.length < 12) {
-      const pool = generateFallbackTestCases(spec, detected).filter((tc) => String(tc.category || "").toLowerCase() !== "invalid");
-      const existingSignatures = new Set(rawList.map(tc => `${tc.category}::${String(tc.description || '').slice(0,120)}`));
-      const extras = [];
-      for (const candidate of pool) {
-        if (extras.length >= 12 - rawList.length) break;
-        const sig = `${candidate.category}::${String(candidate.description || '').slice(0,120)}`;
-        if (!existingSignatures.has(sig)) {
-          existingSignatures.add(sig);
-          extras.push(candidate);
-        }
-      }
-      rawList = rawList.concat(extras);
-    }
-
-    // If still short, pad with minimal valid placeholders
-    if (rawList.length < 12) {
-      for (let i = rawList.length; i < 12; i += 1) {
-        rawList.push({
-          id: `TC_PLACEHOLDER_${i + 1}`,
-          category: "valid",
-          description: `Auto placeholder ${i + 1}`,
-          request: {
-            method: (spec.method || "GET").toUpperCase(),
-            endpoint: spec.endpoint || "/",
-            headers: normalizeHeaders(Object.assign({}, spec.headers || {}, { "Content-Type": "application/json" })),
-            body: spec.body ?? { sample: true },
-          },
-          expected_response: { status: spec.expected_response?.status || (String(spec.method || "GET").toUpperCase() === "POST" ? 201 : 200) }
-        });
-      }
-    }
+    // schema cases already carry exact expectations, so they skip the probe adjustments
+    rawList = mergeSchemaCases(rawList, schemaCases);
 
     // Log preview for debugging
-    console.info("generateTestCases: returning test preview (non-invalid only):", rawList.map((r, i) => ({ index: i + 1, id: r.id, category: r.category, description: r.description })).slice(0, 12));
+    console.info("generateTestCases: returning test preview:", rawList.map((r, i) => ({ index: i + 1, id: r.id, category: r.category, description: r.description })).slice(0, 12));
 
-    // Force sequential IDs and sanitize
-    const sanitized = rawList.slice(0, 12).map((tc, i) => ({
-      id: `TC_${String(i + 1).padStart(3, "0")}`, // force sequential ids
-      category: tc.category || "valid",
-      description: tc.description || `Auto-generated ${i + 1}`,
-      request: {
-        method: (tc.request?.method || spec.method || "GET").toUpperCase(),
-        endpoint: tc.request?.endpoint || spec.endpoint || "/",
-        headers: normalizeHeaders(tc.request?.headers),
-        body: tc.request?.body ?? (spec.body ?? null),
-      },
-      expected_response: {
-        status: parseInt(tc.expected_response?.status || spec.expected_response?.status || (String(spec.method || "GET").toUpperCase() === "POST" ? 201 : 200), 10),
-      },
-    }));
-
-    const summary = {
-      total: sanitized.length,
-      valid: sanitized.filter((t) => t.category === "valid").length,
-      invalid: sanitized.filter((t) => t.category === "invalid").length,
-      boundary: sanitized.filter((t) => t.category === "boundary").length,
-      security: sanitized.filter((t) => t.category === "security").length,
-    };
+    const sanitized = rawList.map((tc, i) => sanitizeCase(tc, i, spec));
 
     const data = {
       testCases: sanitized,
-      summary,
+      summary: summarize(sanitized),
+      plan,
+      provider: llm.name,
+      generation: { ...outcome, ...countSources(rawList) },
       probeResults: spec.autoProbe ? scrubSecrets(probeResults) : undefined,
       inferred: spec.autoProbe ? inferred : undefined,
       detected: spec.autoProbe ? (detected.validHeaderName ? { validHeaderName: detected.validHeaderName, validHeaderValue: "[REDACTED]" } : undefined) : undefined,
@@ -604,9 +924,119 @@ Each testcase:
 
     return { ...data, cached: false };
   } catch (error) {
-    console.error("NVIDIA Gen Error:", error);
-    const fallback = generateFallbackTestCases(spec, detected);
-    const summary = { total: fallback.length, valid: fallback.filter((t) => t.category === "valid").length, invalid: fallback.filter((t) => t.category === "invalid").length, boundary: fallback.filter((t) => t.category === "boundary").length, security: fallback.filter((t) => t.category === "security").length };
-    return { testCases: fallback, summary, cached: false, note: "Returned fallback due to generation error" };
+    console.error("LLM Gen Error:", error);
+    const pool = mergeSchemaCases(fitToPlan([], plan, withoutRequestsOf(schemaCases, generateFallbackTestCases(spec, detected)), spec), schemaCases);
+    const fallback = pool.map((tc, i) => sanitizeCase(tc, i, spec));
+    const generation = { status: "fallback", attempts: 0, issues: [], reason: `Generation error: ${error?.message ?? error}`, ...countSources(pool) };
+    return { testCases: fallback, summary: summarize(fallback), plan, provider: llm.name, generation, cached: false, note: "Returned fallback due to generation error" };
+  }
+};
+
+/* ------------------------------------------------------------------
+   STREAMING: generateTestCasesStream
+   - Same plan and prompt as generateTestCases, but reads the provider's
+     stream and hands each case to onCase({ index, testCase, source }) as
+     soon as its JSON object is complete and valid.
+   - No probing or repair round-trip: invalid items are reported in the
+     outcome and their slots filled from the fallback pool at the end.
+   - If the stream drops partway, the cases already delivered are kept.
+   - Schema cases are delivered last; model cases sending the same request
+     as one of them are dropped like duplicates.
+-------------------------------------------------------------------*/
+export const generateTestCasesStream = async (spec = {}, { onCase = () => {}, signal } = {}) => {
+  const plan = resolveGenerationPlan(spec.generation);
+  const cacheKey = cacheKeyFor(spec, plan);
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    cached.testCases.forEach((testCase, index) => onCase({ index, testCase, source: "cache" }));
+    return { ...cached, cached: true };
+  }
+
+  const schemaCases = schemaCasesFor(spec);
+  const schemaRequests = new Set(schemaCases.map(requestSignature));
+  const delivered = [];
+  const seen = new Set();
+  const taken = Object.fromEntries(TEST_CATEGORIES.map((c) => [c, 0]));
+  const issues = [];
+  let interrupted = null;
+
+  const deliver = (tc, source) => {
+    const testCase = sanitizeCase(tc, delivered.length, spec);
+    delivered.push({ testCase, source });
+    onCase({ index: delivered.length - 1, testCase, source });
+  };
+
+  if (llm.enabled) {
+    const parser = createArrayItemParser();
+    let itemIndex = 0;
+    try {
+      for await (const chunk of llm.stream(buildPrompt(spec, plan), { spec, signal })) {
+        for (const item of parser.push(chunk)) {
+          const index = itemIndex++;
+          if (item.error) {
+            issues.push(`[${index}]: Invalid JSON: ${item.error}`);
+            continue;
+          }
+          const result = generatedCaseSchema.safeParse(item.value);
+          if (!result.success) {
+            issues.push(...formatCaseIssues(result.error, index));
+            continue;
+          }
+          // over-quota categories and duplicates are dropped silently
+          const tc = result.data;
+          if (taken[tc.category] >= plan.counts[tc.category] || seen.has(caseSignature(tc)) || schemaRequests.has(requestSignature(tc))) continue;
+          seen.add(caseSignature(tc));
+          taken[tc.category] += 1;
+          deliver(tc, "model");
+        }
+        if (parser.finished) break;
+      }
+      if (!parser.finished && !signal?.aborted) {
+        interrupted = parser.itemCount ? "Response ended before the JSON array was closed" : "Response contained no JSON array";
+      }
+    } catch (err) {
+      interrupted = signal?.aborted ? "Cancelled" : `Stream interrupted: ${err?.message ?? err}`;
+      console.warn("generateTestCasesStream:", interrupted);
+    }
+  }
+  // a provider may end its stream quietly on abort; the partial list must not be cached
+  if (signal?.aborted) interrupted ??= "Cancelled";
+
+  const modelCases = delivered.length;
+  if (!signal?.aborted) {
+    const remaining = Object.fromEntries(TEST_CATEGORIES.map((c) => [c, plan.counts[c] - taken[c]]));
+    const pool = withoutRequestsOf(schemaCases, generateFallbackTestCases(spec)).filter((tc) => !seen.has(caseSignature(tc)));
+    fitToPlan([], { counts: remaining }, pool, spec).forEach((tc) => deliver(tc, tc.source));
+    schemaCases.forEach((tc) => deliver(tc, "schema"));
+  }
+
+  let outcome;
+  if (!llm.enabled) outcome = { status: "fallback", reason: `AI disabled: ${llm.reason}` };
+  else if (modelCases === 0) outcome = { status: "fallback", reason: interrupted || "Model output failed validation" };
+  else if (interrupted || issues.length) outcome = { status: "salvaged", ...(interrupted ? { reason: interrupted } : {}) };
+  else outcome = { status: "parsed" };
+
+  const testCases = delivered.map((d) => d.testCase);
+  const data = {
+    testCases,
+    summary: summarize(testCases),
+    plan,
+    provider: llm.name,
+    generation: {
+      ...outcome,
+      attempts: llm.enabled ? 1 : 0,
+      issues: issues.slice(0, MAX_REPORTED_ISSUES),
+      ...countSources(delivered.map((d) => ({ source: d.source }))),
+    },
+  };
+
+  // only complete generations are worth replaying
+  if (!interrupted) {
+    try {
+      cache.set(cacheKey, data);
+    } catch {
+      // don't fail generation on cache errors
+    }
   }
+  return { ...data, cached: false };
 };
@@ -0,0 +1,256 @@
+// src/services/openapi.service.js
+import yaml from "js-yaml";
+import { generateTestCases } from "./nvidia.service.js";
+import { sampleFromSchema } from "../utils/jsonSchema.js";
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete", "options", "head"];
+
+/* ------------------------------------------------------------------
+   Document loading: JSON or YAML text, or an already parsed object
+-------------------------------------------------------------------*/
+const badDocument = (message) => Object.assign(new Error(message), { status: 400 });
+
+export const parseOpenApiDocument = (input) => {
+  let doc = input;
+  if (typeof input === "string") {
+    const text = input.replace(/\uFEFF/g, "").trim();
+    try {
+      doc = text.startsWith("{") ? JSON.parse(text) : yaml.load(text);
+    } catch (err) {
+      throw badDocument(`Unable to parse OpenAPI document: ${err.message}`);
+    }
+  }
+
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    throw badDocument("OpenAPI document must be a JSON or YAML object");
+  }
+  if (!doc.openapi && !doc.swagger) {
+    throw badDocument('Document is missing the "openapi" or "swagger" version field');
+  }
+  if (doc.swagger && !String(doc.swagger).startsWith("2")) {
+    throw badDocument(`Unsupported Swagger version: ${doc.swagger}`);
+  }
+  if (doc.openapi && !String(doc.openapi).startsWith("3")) {
+    throw badDocument(`Unsupported OpenAPI version: ${doc.openapi}`);
+  }
+  if (!doc.paths || typeof doc.paths !== "object") {
+    throw badDocument('Document has no "paths" to import');
+  }
+  return doc;
+};
+
+/* ------------------------------------------------------------------
+   $ref resolution (local refs only, cycle-safe)
+-------------------------------------------------------------------*/
+const lookupPointer = (doc, ref) => {
+  if (typeof ref !== "string" || !ref.startsWith("#/")) return undefined;
+  return ref
+    .slice(2)
+    .split("/")
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), doc);
+};
+
+const deref = (doc, node, seen = new Set()) => {
+  if (Array.isArray(node)) return node.map((item) => deref(doc, item, seen));
+  if (!node || typeof node !== "object") return node;
+
+  if (typeof node.$ref === "string") {
+    // Recursive schemas are cut at the second visit and left open
+    if (seen.has(node.$ref)) return {};
+    const target = lookupPointer(doc, node.$ref);
+    if (target === undefined) return {};
+    return deref(doc, target, new Set([...seen, node.$ref]));
+  }
+
+  const out = {};
+  for (const [k, v] of Object.entries(node)) out[k] = deref(doc, v, seen);
+  return out;
+};
+
+/* ------------------------------------------------------------------
+   Operation -> spec conversion
+-------------------------------------------------------------------*/
+const resolveBaseUrl = (doc) => {
+  if (doc.swagger) {
+    if (!doc.host) return undefined;
+    const scheme = Array.isArray(doc.schemes) && doc.schemes.length ? doc.schemes[0] : "https";
+    return `${scheme}://${doc.host}${doc.basePath || ""}`.replace(/\/+$/, "");
+  }
+  const url = doc.servers?.[0]?.url;
+  if (!url || !/^https?:\/\//i.test(url)) return undefined;
+  return url.replace(/\{([^}]+)\}/g, (_, name) => doc.servers[0].variables?.[name]?.default ?? name).replace(/\/+$/, "");
+};
+
+const pickJsonContent = (content = {}) => {
+  const key = Object.keys(content).find((k) => k.includes("json")) || Object.keys(content)[0];
+  return key ? { mediaType: key, schema: content[key]?.schema, example: content[key]?.example } : null;
+};
+
+const collectResponses = (operation, isSwagger) => {
+  const responses = {};
+  for (const [code, response] of Object.entries(operation.responses || {})) {
+    if (!/^\d{3}$/.test(code)) continue;
+    const schema = isSwagger ? response?.schema : pickJsonContent(response?.content)?.schema;
+    responses[code] = { description: response?.description || "", schema: schema || undefined };
+  }
+  return responses;
+};
+
+const successStatusFor = (method, responses) => {
+  const documented = Object.keys(responses).map(Number).filter((c) => c >= 200 && c < 300).sort((a, b) => a - b);
+  if (documented.length) return documented[0];
+  return method === "POST" ? 201 : 200;
+};
+
+const buildEndpoint = (pathTemplate, parameters) => {
+  let endpoint = pathTemplate.replace(/\{([^}]+)\}/g, (_, name) => {
+    const param = parameters.find((p) => p.in === "path" && p.name === name);
+    const value = param ? sampleFromSchema(param.schema || param) : 1;
+    return encodeURIComponent(String(value ?? 1));
+  });
+
+  const query = parameters
+    .filter((p) => p.in === "query" && p.required)
+    .map((p) => `${encodeURIComponent(p.name)}=${encodeURIComponent(String(sampleFromSchema(p.schema || p) ?? ""))}`);
+  if (query.length) endpoint += `?${query.join("&")}`;
+  return endpoint;
+};
+
+export const buildSpecsFromOpenApi = (rawDoc) => {
+  const doc = parseOpenApiDocument(rawDoc);
+  const isSwagger = Boolean(doc.swagger);
+  const specs = [];
+
+  for (const [pathTemplate, rawPathItem] of Object.entries(doc.paths)) {
+    const pathItem = deref(doc, rawPathItem || {});
+    const sharedParams = Array.isArray(pathItem.parameters) ? pathItem.parameters : [];
+
+    for (const verb of HTTP_METHODS) {
+      const operation = pathItem[verb];
+      if (!operation) continue;
+      const method = verb.toUpperCase();
+
+      // operation-level parameters override path-level ones with the same name+location
+      const opParams = Array.isArray(operation.parameters) ? operation.parameters : [];
+      const parameters = [
+        ...sharedParams.filter((sp) => !opParams.some((op) => op.name === sp.name && op.in === sp.in)),
+        ...opParams,
+      ];
+
+      const headers = {};
+      for (const p of parameters.filter((x) => x.in === "header" && x.required)) {
+        headers[p.name] = String(sampleFromSchema(p.schema || p) ?? "");
+      }
+
+      let requestBodySchema;
+      let body;
+      if (isSwagger) {
+        const bodyParam = parameters.find((p) => p.in === "body");
+        requestBodySchema = bodyParam?.schema;
+        if (requestBodySchema) headers["Content-Type"] = "application/json";
+      } else if (operation.requestBody) {
+        const content = pickJsonContent(operation.requestBody.content);
+        requestBodySchema = content?.schema;
+        if (content?.example !== undefined) body = content.example;
+        if (content?.mediaType) headers["Content-Type"] = content.mediaType;
+      }
+      if (body === undefined && requestBodySchema) body = sampleFromSchema(requestBodySchema);
+
+      const responses = collectResponses(operation, isSwagger);
+      const successStatus = successStatusFor(method, responses);
+
+      specs.push({
+        operationId: operation.operationId || `${method} ${pathTemplate}`,
+        summary: operation.summary || operation.description || "",
+        tags: operation.tags || [],
+        path: pathTemplate,
+        method,
+        endpoint: buildEndpoint(pathTemplate, parameters),
+        headers,
+        body: body ?? undefined,
+        parameters: parameters.map((p) => ({ name: p.name, in: p.in, required: Boolean(p.required), schema: p.schema || (p.type ? { type: p.type } : undefined) })),
+        requestBodySchema,
+        responses,
+        expected_response: { status: successStatus, schema: responses[successStatus]?.schema },
+      });
+    }
+  }
+
+  return { doc, specs, baseUrl: resolveBaseUrl(doc) };
+};
+
+/* ------------------------------------------------------------------
+   Attach documented response schemas to generated test cases
+-------------------------------------------------------------------*/
+const attachResponseSchemas = (testCases, responses) => {
+  return testCases.map((tc) => {
+    const statuses = Array.isArray(tc.expected_response?.status) ? tc.expected_response.status : [tc.expected_response?.status];
+    // Only lock a schema when the expectation is a single documented code
+    const schema = statuses.length === 1 ? responses[String(statuses[0])]?.schema : undefined;
+    return schema ? { ...tc, expected_response: { ...tc.expected_response, schema } } : tc;
+  });
+};
+
+/* ------------------------------------------------------------------
+   MAIN: generateSuiteFromOpenApi
+   - Walks every operation, runs generateTestCases per spec (sequentially,
+     to stay inside the provider's rate limits) and returns grouped cases.
+-------------------------------------------------------------------*/
+export const generateSuiteFromOpenApi = async (document, options = {}) => {
+  const { doc, specs, baseUrl } = buildSpecsFromOpenApi(document);
+  const selected = options.operations?.length
+    ? specs.filter((s) => options.operations.includes(s.operationId))
+    : specs;
+
+  const groups = [];
+  for (const spec of selected.slice(0, options.maxOperations ?? selected.length)) {
+    const generationSpec = {
+      endpoint: spec.endpoint,
+      method: spec.method,
+      headers: spec.headers,
+      body: spec.body,
+      schema: spec.requestBodySchema,
+      expected_response: { status: spec.expected_response.status },
+      autoProbe: Boolean(options.autoProbe),
+      targetUrl: options.targetUrl || baseUrl,
+      generation: options.generation,
+    };
+
+    const generated = await generateTestCases(generationSpec);
+    const prefix = spec.operationId.replace(/[^A-Za-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+    const testCases = attachResponseSchemas(generated.testCases || [], spec.responses).map((tc) => ({
+      ...tc,
+      id: `${prefix}_${tc.id}`,
+      group: spec.operationId,
+    }));
+
+    groups.push({
+      operationId: spec.operationId,
+      method: spec.method,
+      path: spec.path,
+      summary: spec.summary,
+      tags: spec.tags,
+      documentedStatuses: Object.keys(spec.responses).map(Number),
+      testCases,
+      counts: generated.summary,
+      generation: generated.generation,
+      note: generated.note,
+    });
+  }
+
+  const allCases = groups.flatMap((g) => g.testCases);
+  return {
+    suite: {
+      title: doc.info?.title || "Imported API",
+      version: doc.info?.version || null,
+      baseUrl: baseUrl || null,
+      groups,
+    },
+    summary: {
+      operations: groups.length,
+      total: allCases.length,
+      withSchema: allCases.filter((tc) => tc.expected_response?.schema).length,
+    },
+  };
+};
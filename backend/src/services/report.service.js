@@ -0,0 +1,229 @@
+// src/services/report.service.js
+
+/* ------------------------------------------------------------------
+   Shared helpers
+-------------------------------------------------------------------*/
+const outcomeOf = (r) => {
+  const s = String(r?.status || "");
+  if (s.includes("PASSED")) return "passed";
+  if (s.includes("ERROR")) return "error";
+  if (s.includes("SKIPPED") || s.includes("CANCELLED")) return "skipped";
+  return "failed";
+};
+
+const seconds = (duration) => {
+  const ms = parseInt(duration, 10);
+  return Number.isFinite(ms) ? (ms / 1000).toFixed(3) : "0";
+};
+
+const escapeXml = (value) => String(value ?? "")
+  // strip characters XML 1.0 does not allow at all
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const escapeMd = (value) => String(value ?? "").replace(/\|/g, "\\|").replace(/</g, "&lt;").replace(/\r?\n/g, " ");
+
+const pretty = (value) => {
+  if (value === undefined) return "";
+  if (typeof value === "string") return value;
+  try {
+    return JSON.stringify(value, null, 2);
+  } catch {
+    return String(value);
+  }
+};
+
+/**
+ * describeFailure
+ * - Human readable reasons a result did not pass (one line each).
+ */
+export const describeFailure = (r) => {
+  const details = [];
+  if (r.error) details.push(r.error);
+  if (r.actual && !r.expected?.status?.includes(r.actual.status)) {
+    details.push(`status ${r.actual.status}, expected ${(r.expected?.status || []).join(" | ")}`);
+  }
+  for (const a of r.assertions || []) if (!a.passed) details.push(`${a.path} ${a.op}: ${a.message}`);
+  for (const h of r.headerAssertions || []) if (!h.passed) details.push(`header ${h.header}: ${h.message}`);
+  if (r.latency && !r.latency.passed) details.push(`latency: ${r.latency.message}`);
+  if (Array.isArray(r.schemaValidation)) {
+    details.push(`schema: ${r.schemaValidation.map((e) => `${e.instancePath || "$"} ${e.message}`).join("; ")}`);
+  }
+  for (const msg of r.extractErrors || []) details.push(`extract ${msg}`);
+  if (r.attempts?.length > 1) details.push(`${r.attempts.length} attempts: ${r.attempts.map((a) => a.status ?? a.error).join(" → ")}`);
+  for (const a of r.attempts || []) if (a.note) details.push(a.note);
+  for (const step of r.steps || []) {
+    if (outcomeOf(step) === "passed") continue;
+    const reasons = outcomeOf(step) === "skipped" ? [] : describeFailure(step);
+    details.push(`step ${step.id}: ${step.status}${reasons.length ? ` (${reasons.join("; ")})` : ""}`);
+  }
+  return details;
+};
+
+const runTitle = (run) => run.suiteName || "API Test Run";
+
+/* ------------------------------------------------------------------
+   JUnit XML (for CI test tabs)
+-------------------------------------------------------------------*/
+export const renderJUnit = (run) => {
+  const results = run.results || [];
+  const summary = run.summary || {};
+  const totalTime = results.reduce((acc, r) => acc + Number(seconds(r.duration)), 0).toFixed(3);
+  const suiteName = escapeXml(runTitle(run));
+
+  const cases = results.map((r) => {
+    const attrs = `name="${escapeXml(`${r.id}${r.description ? ` - ${r.description}` : ""}`)}" classname="${escapeXml(r.category || "api")}" time="${seconds(r.duration)}"`;
+    const outcome = outcomeOf(r);
+    const reasons = describeFailure(r);
+    const out = r.diagnostics?.curl || (r.steps || []).map((s) => s.diagnostics?.curl).filter(Boolean).join("\n");
+
+    let body = "";
+    if (outcome === "failed") body += `\n      <failure message="${escapeXml(reasons[0] || "Assertion failed")}">${escapeXml(reasons.join("\n"))}</failure>`;
+    if (outcome === "error") body += `\n      <error message="${escapeXml(reasons[0] || "Error")}">${escapeXml(reasons.join("\n"))}</error>`;
+    if (out) body += `\n      <system-out>${escapeXml(out)}</system-out>`;
+    return body ? `    <testcase ${attrs}>${body}\n    </testcase>` : `    <testcase ${attrs}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${suiteName}" tests="${summary.total ?? results.length}" failures="${summary.failed ?? 0}" errors="${summary.errors ?? 0}" time="${totalTime}">`,
+    `  <testsuite name="${suiteName}" tests="${summary.total ?? results.length}" failures="${summary.failed ?? 0}" errors="${summary.errors ?? 0}" time="${totalTime}" timestamp="${escapeXml(run.createdAt || new Date().toISOString())}">`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+};
+
+/* ------------------------------------------------------------------
+   Markdown (for PR comments)
+-------------------------------------------------------------------*/
+export const renderMarkdown = (run) => {
+  const results = run.results || [];
+  const s = run.summary || {};
+  const icon = { passed: "✅", failed: "❌", error: "⚠️", skipped: "⏭️" };
+  const failing = results.filter((r) => outcomeOf(r) !== "passed");
+
+  const lines = [
+    `## ${failing.length ? "❌" : "✅"} ${escapeMd(runTitle(run))}`,
+    "",
+    `**${s.passed ?? 0} passed**, **${s.failed ?? 0} failed**, **${s.errors ?? 0} errors** of ${s.total ?? results.length}` +
+      `${s.target ? ` against \`${s.target}\`` : ""}${s.environment ? ` (${s.environment})` : ""}`,
+    "",
+  ];
+
+  if (failing.length) {
+    lines.push("### Failures", "", "| Test | Category | Reason |", "| --- | --- | --- |");
+    for (const r of failing) {
+      lines.push(`| ${icon[outcomeOf(r)]} \`${escapeMd(r.id)}\` ${escapeMd(r.description)} | ${escapeMd(r.category)} | ${escapeMd(describeFailure(r).join("; "))} |`);
+    }
+    lines.push("");
+  }
+
+  lines.push(
+    "<details><summary>All results</summary>",
+    "",
+    "| Test | Status | Duration |",
+    "| --- | --- | --- |",
+    ...results.map((r) => `| \`${escapeMd(r.id)}\` ${escapeMd(r.description)} | ${icon[outcomeOf(r)]} ${outcomeOf(r)} | ${escapeMd(r.duration)} |`),
+    "",
+    "</details>",
+    ""
+  );
+  return lines.join("\n");
+};
+
+/* ------------------------------------------------------------------
+   HTML (self-contained: inline CSS, no scripts or external assets)
+-------------------------------------------------------------------*/
+const htmlResult = (r, nested = false) => {
+  const outcome = outcomeOf(r);
+  const reasons = describeFailure(r);
+  const req = r.diagnostics || {};
+
+  const sections = [];
+  if (reasons.length && !nested) sections.push(`<ul class="reasons">${reasons.map((x) => `<li>${escapeHtml(x)}</li>`).join("")}</ul>`);
+  if (req.resolvedUrl) {
+    sections.push(`<h4>Request</h4><pre>${escapeHtml(`${req.resolvedUrl}\n\n${req.requestHeaders ? pretty(req.requestHeaders) : ""}${req.requestBody !== undefined ? `\n\n${pretty(req.requestBody)}` : ""}`)}</pre>`);
+  }
+  if (r.actual) {
+    sections.push(`<h4>Response ${escapeHtml(r.actual.status)} ${escapeHtml(r.actual.statusText || "")}</h4><pre>${escapeHtml(pretty(r.actual.data))}</pre>`);
+  }
+  if (req.curl) sections.push(`<h4>curl</h4><pre>${escapeHtml(req.curl)}</pre>`);
+  if (r.steps) sections.push(r.steps.map((step) => htmlResult(step, true)).join(""));
+
+  return `
+  <details class="result ${outcome}"${outcome !== "passed" && !nested ? " open" : ""}>
+    <summary><span class="badge ${outcome}">${outcome}</span> <strong>${escapeHtml(r.id)}</strong> ${escapeHtml(r.description || "")} <span class="muted">${escapeHtml(r.category || "")} · ${escapeHtml(r.duration || "")}</span></summary>
+    ${sections.join("\n    ")}
+  </details>`;
+};
+
+export const renderHtml = (run) => {
+  const s = run.summary || {};
+  const title = escapeHtml(runTitle(run));
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${title}</title>
+<style>
+  body { font-family: system-ui, -apple-system, sans-serif; margin: 2rem auto; max-width: 1000px; color: #1e293b; background: #f8fafc; }
+  .metrics { display: grid; grid-template-columns: repeat(4, 1fr); gap: 1rem; margin: 1rem 0 2rem; }
+  .metric { background: #fff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 1rem; text-align: center; }
+  .metric b { display: block; font-size: 1.5rem; }
+  .result { background: #fff; border: 1px solid #e2e8f0; border-left: 4px solid #10b981; border-radius: 6px; margin-bottom: 0.5rem; padding: 0.5rem 1rem; }
+  .result.failed { border-left-color: #ef4444; } .result.error { border-left-color: #f59e0b; } .result.skipped { border-left-color: #94a3b8; }
+  .result .result { margin-left: 1rem; }
+  summary { cursor: pointer; }
+  .badge { font-size: 0.75rem; text-transform: uppercase; padding: 0.1rem 0.4rem; border-radius: 4px; color: #fff; background: #10b981; }
+  .badge.failed { background: #ef4444; } .badge.error { background: #f59e0b; } .badge.skipped { background: #94a3b8; }
+  .muted { color: #64748b; font-size: 0.85rem; }
+  .reasons { color: #b91c1c; font-size: 0.9rem; }
+  pre { background: #0f172a; color: #e2e8f0; padding: 0.75rem; border-radius: 6px; overflow-x: auto; font-size: 0.8rem; white-space: pre-wrap; word-break: break-all; }
+  h4 { margin: 0.75rem 0 0.25rem; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="muted">${escapeHtml(run.createdAt || "")}${s.target ? ` · ${escapeHtml(s.target)}` : ""}${s.environment ? ` · ${escapeHtml(s.environment)}` : ""}</p>
+<div class="metrics">
+  <div class="metric"><b style="color:#10b981">${s.passed ?? 0}</b>Passed</div>
+  <div class="metric"><b style="color:#ef4444">${s.failed ?? 0}</b>Failed</div>
+  <div class="metric"><b style="color:#f59e0b">${s.errors ?? 0}</b>Errors</div>
+  <div class="metric"><b style="color:#6366f1">${s.total ?? (run.results || []).length}</b>Total</div>
+</div>
+${(run.results || []).map((r) => htmlResult(r)).join("\n")}
+</body>
+</html>
+`;
+};
+
+/* ------------------------------------------------------------------
+   Format registry (used by /reports/:runId and the CLI)
+-------------------------------------------------------------------*/
+export const REPORT_FORMATS = {
+  junit: { extension: "xml", contentType: "application/xml; charset=utf-8", render: renderJUnit },
+  html: { extension: "html", contentType: "text/html; charset=utf-8", render: renderHtml },
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8", render: renderMarkdown },
+  json: { extension: "json", contentType: "application/json; charset=utf-8", render: (run) => JSON.stringify(run, null, 2) },
+};
+
+export const renderReport = (run, format) => {
+  // own keys only, so "constructor" and friends are rejected rather than rendered
+  if (!Object.hasOwn(REPORT_FORMATS, format)) {
+    throw Object.assign(new Error(`Unknown report format "${format}" (use ${Object.keys(REPORT_FORMATS).join(", ")})`), { status: 400 });
+  }
+  const entry = REPORT_FORMATS[format];
+  return { ...entry, body: entry.render(run) };
+};
@@ -6,10 +6,16 @@ import path from "path";
 import Ajv from "ajv";
 import addFormats from "ajv-formats";
 import { resolveTestUrl } from "../utils/resolveUrl.js";
+import { evaluateAssertions, evaluateHeaderAssertions, evaluateLatency, queryPath } from "../utils/assertions.js";
+import { renderRequest, hasPlaceholder } from "../utils/template.js";
+import { resolvePolicy, backoffDelay, parseRetryAfter, retryReason } from "../utils/retryPolicy.js";
+import { createAuthenticator, applyCredentials } from "./auth.service.js";
 
 const ajv = new Ajv({ strict: false, allErrors: true });
 addFormats(ajv);
 
+export const CANCELLED = "CANCELLED ⛔";
+
 /* -------------------------
    Helpers
 -------------------------*/
@@ -63,10 +69,83 @@ function suggestExpectedStatusUpdates(results) {
   return suggestions;
 }
 
+/**
+ * Replace secret values (environment secrets) anywhere in a result tree,
+ * so tokens never come back in diagnostics, curl strings or echoed bodies.
+ */
+function redactSecrets(value, secretValues = []) {
+  if (!secretValues.length) return value;
+  if (typeof value === "string") {
+    return secretValues.reduce((acc, secret) => acc.split(secret).join("[REDACTED]"), value);
+  }
+  if (Array.isArray(value)) return value.map((v) => redactSecrets(v, secretValues));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactSecrets(v, secretValues)]));
+  }
+  return value;
+}
+
+// Resolves early (without rejecting) when the signal fires
+export const wait = (ms, signal) => new Promise((resolve) => {
+  if (signal?.aborted) return resolve();
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal?.addEventListener("abort", done, { once: true });
+});
+
+/**
+ * sendWithPolicy
+ * - axios.request plus the policy's retries, backoff and Retry-After.
+ * - Every attempt is pushed to `attempts`:
+ *   { attempt, status | error, durationMs, retryReason?, retryInMs?, retryAfterMs?, note? }
+ * - Resolves with the last response, rejects with the last error.
+ */
+const sendWithPolicy = async (cfg, policy, { expectedStatuses, signal, attempts }) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const startedAt = Date.now();
+    let response;
+    let error;
+    try {
+      response = await axios.request(cfg);
+    } catch (err) {
+      error = err;
+    }
+    const record = { attempt, ...(response ? { status: response.status } : { error: error.code || error.message }), durationMs: Date.now() - startedAt };
+    attempts.push(record);
+
+    const canRetry = attempt <= policy.retries && !signal?.aborted && !(error && axios.isCancel(error));
+    const reason = canRetry && retryReason(policy, { status: response?.status, errorCode: error?.code, expectedStatuses });
+    if (!reason) {
+      if (error) throw error;
+      return response;
+    }
+
+    let delay = backoffDelay(policy.backoff, attempt);
+    const retryAfter = policy.respectRetryAfter && response ? parseRetryAfter(response.headers["retry-after"]) : null;
+    if (retryAfter !== null) {
+      if (retryAfter > policy.maxRetryAfterMs) {
+        record.note = `Retry-After of ${retryAfter}ms exceeds maxRetryAfterMs (${policy.maxRetryAfterMs}ms), not retried`;
+        return response;
+      }
+      record.retryAfterMs = retryAfter;
+      delay = Math.max(delay, retryAfter);
+    }
+    record.retryReason = reason;
+    record.retryInMs = delay;
+
+    await wait(delay, signal);
+    if (signal?.aborted) throw new axios.CanceledError();
+  }
+};
+
 /* -------------------------
    Core: single test execution
 -------------------------*/
-const executeSingleTest = async (test, baseUrl) => {
+const performRequest = async (test, baseUrl, signal, credentials = null, policy = resolvePolicy()) => {
   const startTime = Date.now();
 
   // Resolve final URL (handles absolute endpoints or relative ones using baseUrl)
@@ -124,19 +203,35 @@ const executeSingleTest = async (test, baseUrl) => {
     }
   }
 
+  // Suite auth profile: headers / query parameters / request signature
+  ({ url: fullUrl, data: dataToSend } = applyCredentials(credentials, { method, url: fullUrl, headers, data: dataToSend }));
+  const auth = credentials ? { profile: credentials.profile, type: credentials.type, mode: credentials.mode } : undefined;
+
+  // JSON bodies are serialized here: axios rebuilds objects and would drop
+  // an own "__proto__" key (security / fuzz cases send them on purpose)
+  const contentType = String(headers[findHeaderKey(headers, "Content-Type")] ?? "");
+  const wireData = dataToSend !== null && typeof dataToSend === "object" && /json/i.test(contentType)
+    ? JSON.stringify(dataToSend)
+    : dataToSend;
+
   // Axios config
   const cfg = {
     method,
     url: fullUrl,
     headers,
-    data: dataToSend,
-    timeout: 10000,
+    data: wireData,
+    timeout: policy.timeoutMs,
     validateStatus: () => true, // accept any status code for assertion
-    maxRedirects: 5,
+    maxRedirects: policy.maxRedirects,
+    signal, // aborts in-flight requests when a run job is cancelled
   };
 
+  // only reported when retries are on; a retried pass has more than one entry
+  const attempts = [];
+  const reportedAttempts = () => (policy.retries > 0 ? attempts : undefined);
+
   try {
-    const response = await axios.request(cfg);
+    const response = await sendWithPolicy(cfg, policy, { expectedStatuses, signal, attempts });
     const duration = Date.now() - startTime;
     const actualStatus = response.status;
     const passedStatus = expectedStatuses.includes(actualStatus);
@@ -174,8 +269,26 @@ const executeSingleTest = async (test, baseUrl) => {
       }
     }
 
-    // Final pass determination: must pass both status and schema (if schema provided).
-    const passed = passedStatus && (schemaValidation.ok === true);
+    // Declarative body assertions (JSONPath/JMESPath), each reported individually
+    const assertionResults = Array.isArray(test.expected_response?.assertions) && test.expected_response.assertions.length
+      ? evaluateAssertions(test.expected_response.assertions, response.data)
+      : undefined;
+    const passedAssertions = !assertionResults || assertionResults.every((a) => a.passed);
+
+    // Response header and latency expectations
+    const headerResults = test.expected_response?.headers && Object.keys(test.expected_response.headers).length
+      ? evaluateHeaderAssertions(test.expected_response.headers, response.headers)
+      : undefined;
+    const passedHeaders = !headerResults || headerResults.every((h) => h.passed);
+
+    // latency is judged on the attempt that answered, not on time spent retrying
+    const latency = Number.isFinite(test.expected_response?.maxDurationMs)
+      ? evaluateLatency(test.expected_response.maxDurationMs, attempts[attempts.length - 1].durationMs)
+      : undefined;
+    const passedLatency = !latency || latency.passed;
+
+    // Final pass determination: must pass status, schema (if provided) and every assertion.
+    const passed = passedStatus && (schemaValidation.ok === true) && passedAssertions && passedHeaders && passedLatency;
 
     // Truncate large response data to keep result compact
     let responseData = response.data;
@@ -202,6 +315,11 @@ const executeSingleTest = async (test, baseUrl) => {
       expected: { status: expectedStatuses },
       hint: bodyValidationHint,
       schemaValidation: schemaValidation.ok ? undefined : schemaValidation.errors,
+      assertions: assertionResults,
+      headerAssertions: headerResults,
+      latency,
+      attempts: reportedAttempts(),
+      auth,
       diagnostics: {
         resolvedUrl: fullUrl,
         requestHeaders: headers,
@@ -216,15 +334,18 @@ const executeSingleTest = async (test, baseUrl) => {
     let errorMsg = error.message;
     if (error.code === "ECONNREFUSED") errorMsg = "Connection Refused (server down?)";
     else if (error.code === "ENOTFOUND") errorMsg = "Invalid Host/URL";
+    else if (axios.isCancel(error)) errorMsg = "Cancelled while in flight";
 
     return {
       id: test.id,
       category: test.category,
       description: test.description,
-      status: "ERROR ❌",
+      status: axios.isCancel(error) ? CANCELLED : "ERROR ❌",
       error: errorMsg,
       duration: `${duration}ms`,
       expected: { status: normalizeExpectedStatuses(test.expected_response?.status) },
+      attempts: reportedAttempts(),
+      auth,
       diagnostics: {
         resolvedUrl: fullUrl,
         requestHeaders: headers,
@@ -235,14 +356,210 @@ const executeSingleTest = async (test, baseUrl) => {
   }
 };
 
+// A templated auth header ("Bearer {{authToken}}", as generated cases carry)
+// gives way to the same header from the auth profile, so the profile (and
+// its invalid mode) applies; a literal header the case sets still wins.
+const withProfileHeaders = (request, credentials) => {
+  const supplied = Object.keys(credentials?.headers || {}).map((name) => name.toLowerCase());
+  if (!supplied.length || !request.headers) return request;
+  const headers = Object.fromEntries(Object.entries(request.headers)
+    .filter(([name, value]) => !(supplied.includes(name.toLowerCase()) && hasPlaceholder(value))));
+  return { ...request, headers };
+};
+
+/**
+ * executeSingleTest
+ * - Resolves the case's auth profile (test.auth, else the suite default),
+ *   renders {{placeholders}} in endpoint, headers and body from the run
+ *   variables (environment + flow extractions), then performs the request
+ *   under the run policy overridden by test.policy.
+ * - A placeholder left in the endpoint fails the case unsent; a header
+ *   left with one is not sent (both show in unresolvedVariables).
+ * - context: { authenticator, policy } shared by the whole run.
+ */
+const executeSingleTest = async (test, baseUrl, variables = {}, signal, context = {}) => {
+  const { authenticator, policy } = context;
+
+  let credentials = null;
+  try {
+    credentials = authenticator ? await authenticator.resolve(test.auth, { variables, baseUrl, signal }) : null;
+  } catch (err) {
+    return {
+      id: test.id,
+      category: test.category,
+      description: test.description,
+      status: axios.isCancel(err) ? CANCELLED : "ERROR ❌",
+      error: `Auth Error: ${err.message}`,
+      duration: "0ms",
+      expected: { status: normalizeExpectedStatuses(test.expected_response?.status) },
+    };
+  }
+
+  const { request, missing, blocking } = renderRequest(withProfileHeaders(test.request, credentials), variables);
+
+  // "/users/{{id}}" would hit some other resource
+  if (blocking.length) {
+    return {
+      id: test.id,
+      category: test.category,
+      description: test.description,
+      status: "ERROR ❌",
+      error: `Unresolved variables in the endpoint: ${blocking.join(", ")} (select an environment that defines them); request not sent`,
+      duration: "0ms",
+      expected: { status: normalizeExpectedStatuses(test.expected_response?.status) },
+      unresolvedVariables: missing,
+    };
+  }
+
+  const result = await performRequest({ ...test, request }, baseUrl, signal, credentials, resolvePolicy(policy, test.policy));
+  if (missing.length) result.unresolvedVariables = missing;
+  return result;
+};
+
+/* -------------------------
+   Flows: ordered steps sharing extracted variables
+-------------------------*/
+const extractVariables = (extract = {}, data) => {
+  const values = {};
+  const failures = [];
+  for (const [name, path] of Object.entries(extract)) {
+    try {
+      const { found, value } = queryPath(data, path);
+      if (found) values[name] = value;
+      else failures.push(`${name}: nothing at ${path}`);
+    } catch (err) {
+      failures.push(`${name}: ${err.message}`);
+    }
+  }
+  return { values, failures };
+};
+
+const executeFlow = async (flow, baseUrl, runVariables = {}, signal, context = {}) => {
+  const startTime = Date.now();
+  // flow-declared and extracted values; reported back without environment secrets
+  const flowVariables = { ...(flow.variables || {}) };
+  const variables = { ...runVariables, ...flowVariables };
+  const steps = [];
+  let halted = false;
+
+  for (const [index, step] of flow.steps.entries()) {
+    const stepId = step.id || `${flow.id}_STEP_${index + 1}`;
+
+    if (halted || signal?.aborted) {
+      steps.push({ id: stepId, description: step.description, status: signal?.aborted ? CANCELLED : "SKIPPED ⏭️" });
+      continue;
+    }
+
+    const result = await executeSingleTest(
+      {
+        id: stepId,
+        category: flow.category,
+        description: step.description,
+        auth: step.auth ?? flow.auth,
+        policy: step.policy,
+        request: step.request,
+        expected_response: step.expected_response,
+      },
+      baseUrl,
+      variables,
+      signal,
+      { ...context, policy: resolvePolicy(context.policy, flow.policy) }
+    );
+
+    // A step whose extraction fails counts as failed: later steps would run with holes
+    if (step.extract && result.actual) {
+      const { values, failures } = extractVariables(step.extract, result.actual.data);
+      Object.assign(variables, values);
+      Object.assign(flowVariables, values);
+      result.extracted = values;
+      if (failures.length) {
+        result.extractErrors = failures;
+        if (result.status.includes("PASSED")) result.status = "FAILED ❌";
+      }
+    }
+
+    steps.push(result);
+
+    const stepPassed = result.status.includes("PASSED");
+    const continueOnFailure = step.continueOnFailure ?? !flow.stopOnFailure;
+    if (!stepPassed && !continueOnFailure) halted = true;
+  }
+
+  let status = "PASSED ✅";
+  if (steps.some((s) => s.status === CANCELLED)) status = CANCELLED;
+  else if (steps.some((s) => s.status.includes("ERROR"))) status = "ERROR ❌";
+  else if (steps.some((s) => !s.status.includes("PASSED"))) status = "FAILED ❌";
+
+  return {
+    id: flow.id,
+    type: "flow",
+    category: flow.category,
+    description: flow.description,
+    status,
+    duration: `${Date.now() - startTime}ms`,
+    steps,
+    variables: flowVariables,
+  };
+};
+
+const executeTestCase = (test, baseUrl, variables, signal, context) =>
+  test.type === "flow"
+    ? executeFlow(test, baseUrl, variables, signal, context)
+    : executeSingleTest(test, baseUrl, variables, signal, context);
+
+// Cases still queued when the signal fires are reported without being sent
+const cancelledResult = (test) => ({
+  id: test.id,
+  type: test.type,
+  category: test.category,
+  description: test.description,
+  status: CANCELLED,
+  duration: "0ms",
+});
+
+/**
+ * createCaseRunner
+ * - Runs one case at a time with a run's variables, auth profiles and policy
+ *   (opts as for runTestSuite); results come back with secrets redacted.
+ * - Shared by runTestSuite and the load tester (services/load.service.js).
+ */
+export const createCaseRunner = (targetUrl, opts = {}) => {
+  const variables = opts.variables || {};
+  const authenticator = opts.auth ? createAuthenticator(opts.auth) : null;
+  const context = { authenticator, policy: opts.policy };
+
+  return async (tc, signal) => {
+    const raw = signal?.aborted ? cancelledResult(tc) : await executeTestCase(tc, targetUrl, variables, signal, context);
+    // credentials (including fetched tokens) are redacted like environment secrets
+    const secretValues = [...(opts.secretValues || []), ...(authenticator?.secretValues() || [])];
+    return redactSecrets(raw, secretValues);
+  };
+};
+
 /* -------------------------
    Public runner
+   opts.signal:   AbortSignal; aborts in-flight requests and skips queued cases
+   opts.onResult: (result, index) => void, called as each case finishes
+   opts.auth:     { default, profiles } suite auth profiles
+   opts.policy:   timeout / retry policy for every case (cases may override)
 -------------------------*/
 export const runTestSuite = async (testCases = [], targetUrl = undefined, concurrency = 5, opts = {}) => {
   const limit = pLimit(concurrency);
+  const { signal, onResult } = opts;
+  const runCase = createCaseRunner(targetUrl, opts);
 
   const results = await Promise.all(
-    testCases.map((tc) => limit(() => executeSingleTest(tc, targetUrl)))
+    testCases.map((tc, index) => limit(async () => {
+      const result = await runCase(tc, signal);
+      if (onResult) {
+        try {
+          onResult(result, index);
+        } catch {
+          // a broken listener must not break the run
+        }
+      }
+      return result;
+    }))
   );
 
   const summary = {
@@ -250,7 +567,11 @@ export const runTestSuite = async (testCases = [], targetUrl = undefined, concur
     passed: results.filter((r) => r.status && r.status.includes("PASSED")).length,
     failed: results.filter((r) => r.status && r.status.includes("FAILED")).length,
     errors: results.filter((r) => r.status && r.status.includes("ERROR")).length,
+    cancelled: results.filter((r) => r.status === CANCELLED).length,
+    // cases that needed more than one attempt (any step, for flows)
+    retried: results.filter((r) => [r, ...(r.steps || [])].some((s) => s.attempts?.length > 1)).length,
     target: targetUrl || null,
+    environment: opts.environment || null,
   };
 
   // generate suggestions for expected status updates
@@ -0,0 +1,100 @@
+// src/services/schema.service.js
+import pLimit from "p-limit";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { createCaseRunner } from "./runner.service.js";
+import { inferSchema } from "../utils/jsonSchema.js";
+
+// same setup as the runner, which validates expected_response.schema
+const ajv = new Ajv({ strict: false, allErrors: true });
+addFormats(ajv);
+
+/* ------------------------------------------------------------------
+   Response schema learning
+   - Sends each case `runs` times and infers one JSON Schema from the
+     JSON bodies that came back with the expected status.
+   - The case goes out without its current schema and assertions, so a
+     drifted response can be learned again.
+   - Nothing is written here: the caller reviews the proposals (and may
+     loosen them) before putting them in expected_response.schema.
+-------------------------------------------------------------------*/
+const isJsonResponse = (result) => /[/+]json\b/i.test(String(result.actual?.headers?.["content-type"] || ""));
+
+// a format regex that ajv-formats disagrees with must not fail the very samples it came from
+const inferChecked = (samples, strict) => {
+  const schema = inferSchema(samples, { strict });
+  const validate = ajv.compile(schema);
+  return samples.every((s) => validate(s)) ? schema : inferSchema(samples, { strict, formats: false });
+};
+
+// errors: what the runner reported for the runs that got no response (auth, unresolved variables, network)
+const skipReason = (observed, expected, jsonSeen, errors) => {
+  const statuses = [...new Set(observed.filter((s) => s !== null))];
+  if (!statuses.length) return errors.size ? [...errors].join("; ") : "No response (connection error or timeout)";
+  if (!statuses.includes(expected)) return `Responded ${statuses.join(", ")} instead of ${expected}`;
+  return jsonSeen ? "Response body was empty" : "Response is not JSON";
+};
+
+/**
+ * learnResponseSchemas
+ * - opts: { runs, strict, concurrency, signal, onProposal } plus the run
+ *   options of createCaseRunner (variables, secretValues, auth, policy);
+ *   onProposal(proposal, completed) fires as each case is done.
+ * - Returns { proposals, summary }; each proposal is
+ *   { id, description, status, samples, schema, previous } or
+ *   { id, description, previous, skipped } with the reason.
+ */
+export const learnResponseSchemas = async (testCases, targetUrl, opts = {}) => {
+  const { runs = 1, strict = false, concurrency = 5, signal, onProposal } = opts;
+  const limit = pLimit(concurrency);
+  const runCase = createCaseRunner(targetUrl, opts);
+
+  const learnCase = async (tc) => {
+    const base = { id: tc.id, description: tc.description, previous: tc.expected_response?.schema ?? null };
+    if (tc.type === "flow") return { ...base, skipped: "Flows are not learned" };
+
+    const expected = [].concat(tc.expected_response?.status ?? 200);
+    // one schema for several statuses would have to fit an error body and a success body alike
+    if (expected.length !== 1) return { ...base, skipped: `Expects ${expected.join(" | ")}; pick one status to learn a schema` };
+
+    const probe = { ...tc, expected_response: { status: expected[0] } };
+    const samples = [];
+    const observed = [];
+    const errors = new Set();
+    let jsonSeen = false;
+    for (let i = 0; i < runs && !signal?.aborted; i += 1) {
+      const result = await runCase(probe, signal);
+      const status = result.actual?.status ?? null;
+      observed.push(status);
+      if (status === null && result.error) errors.add(result.error);
+      if (status !== expected[0] || !isJsonResponse(result)) continue;
+      jsonSeen = true;
+      if (result.actual.data !== undefined && result.actual.data !== "") samples.push(result.actual.data);
+    }
+
+    if (!samples.length) {
+      return { ...base, skipped: signal?.aborted ? "Cancelled" : skipReason(observed, expected[0], jsonSeen, errors) };
+    }
+    return { ...base, status: expected[0], samples: samples.length, schema: inferChecked(samples, strict) };
+  };
+
+  let completed = 0;
+  const proposals = await Promise.all(testCases.map((tc) => limit(async () => {
+    const proposal = await learnCase(tc);
+    completed += 1;
+    onProposal?.(proposal, completed);
+    return proposal;
+  })));
+  return {
+    proposals,
+    summary: {
+      cases: proposals.length,
+      learned: proposals.filter((p) => p.schema).length,
+      skipped: proposals.filter((p) => p.skipped).length,
+      runs,
+      strict,
+      target: targetUrl || null,
+      environment: opts.environment || null,
+    },
+  };
+};
@@ -0,0 +1,93 @@
+// src/services/suite.service.js
+import { createCollection } from "../utils/fileStore.js";
+import { diffRuns, detectFlakyTests } from "./compare.service.js";
+
+const suites = createCollection("suites");
+const runs = createCollection("runs");
+
+/* ------------------------------------------------------------------
+   Suites: saved test case collections
+-------------------------------------------------------------------*/
+const toSuiteSummary = (suite) => ({
+  id: suite.id,
+  name: suite.name,
+  testCount: Array.isArray(suite.testCases) ? suite.testCases.length : 0,
+  targetUrl: suite.targetUrl || null,
+  environment: suite.environment || null,
+  lastRun: suite.lastRun || null,
+  createdAt: suite.createdAt,
+  updatedAt: suite.updatedAt,
+});
+
+export const listSuites = async () => (await suites.list()).map(toSuiteSummary);
+
+export const getSuite = (id) => suites.get(id);
+
+export const createSuite = (data) => suites.insert({ ...data, lastRun: null });
+
+export const updateSuite = (id, changes) => suites.update(id, changes);
+
+export const deleteSuite = async (id) => {
+  await suites.remove(id);
+  // run history goes with the suite
+  const history = await runs.list((r) => r.suiteId === id);
+  await Promise.all(history.map((r) => runs.remove(r.id).catch(() => {})));
+  return { id, deletedRuns: history.length };
+};
+
+/* ------------------------------------------------------------------
+   Runs: every /run-tests execution with its results and summary
+-------------------------------------------------------------------*/
+const toRunSummary = (run) => ({
+  id: run.id,
+  suiteId: run.suiteId || null,
+  targetUrl: run.targetUrl || null,
+  environment: run.environment || null,
+  summary: run.summary,
+  createdAt: run.createdAt,
+});
+
+export const recordRun = async ({ suiteId, targetUrl, environment, summary, results, suggestions }) => {
+  const run = await runs.insert({ suiteId: suiteId || null, targetUrl, environment, summary, results, suggestions });
+  if (suiteId) {
+    await suites.update(suiteId, { lastRun: toRunSummary(run) }).catch(() => {});
+  }
+  return run;
+};
+
+export const listRuns = async (suiteId) => {
+  const history = await runs.list(suiteId ? (r) => r.suiteId === suiteId : undefined);
+  return history.map(toRunSummary);
+};
+
+export const getRun = (id) => runs.get(id);
+
+/* ------------------------------------------------------------------
+   Comparison: run-to-run diff and flaky detection within a suite
+-------------------------------------------------------------------*/
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * compareSuiteRuns
+ * - Defaults to the latest run (head) against the one before it (base).
+ */
+export const compareSuiteRuns = async (suiteId, { base, head, ...options } = {}) => {
+  await getSuite(suiteId);
+  const history = await runs.list((r) => r.suiteId === suiteId); // newest first
+
+  const headRun = head ? history.find((r) => r.id === head) : history[0];
+  if (!headRun) throw badRequest(head ? `Run ${head} does not belong to this suite` : "Suite has no runs to compare");
+
+  const baseRun = base
+    ? history.find((r) => r.id === base)
+    : history[history.findIndex((r) => r.id === headRun.id) + 1];
+  if (!baseRun) throw badRequest(base ? `Run ${base} does not belong to this suite` : "Need at least two runs to compare");
+
+  return diffRuns(baseRun, headRun, options);
+};
+
+export const findFlakyTests = async (suiteId, { last = 10, minFlips = 2 } = {}) => {
+  await getSuite(suiteId);
+  const recent = (await runs.list((r) => r.suiteId === suiteId)).slice(0, last).reverse(); // oldest first
+  return { runsConsidered: recent.length, flaky: detectFlakyTests(recent, { minFlips }) };
+};
@@ -0,0 +1,238 @@
+// src/utils/assertions.js
+import { JSONPath } from "jsonpath-plus";
+import jmespath from "jmespath";
+
+/* ------------------------------------------------------------------
+   Path queries
+   - Paths starting with "$" are JSONPath, everything else is JMESPath.
+   - Returns { found, value }: a single JSONPath match is unwrapped,
+     multiple matches come back as an array.
+   - JMESPath answers null for a missing key and for a null value alike,
+     so plain field / index chains ("a.b[0].c") are looked up directly to
+     tell the two apart. Computed expressions (projections, functions,
+     filters) still count a null result as absent.
+-------------------------------------------------------------------*/
+
+// ["a", "b", 0, "c"] for a.b[0].c, null for anything but fields and indexes
+const fieldChain = (ast) => {
+  if (ast.type === "Field") return [ast.name];
+  if (ast.type === "Subexpression" || ast.type === "IndexExpression") {
+    const [left, right] = ast.children;
+    const head = fieldChain(left);
+    if (!head) return null;
+    if (right.type === "Index") return [...head, right.value];
+    const tail = fieldChain(right);
+    return tail && [...head, ...tail];
+  }
+  return null;
+};
+
+const lookupChain = (data, chain) => {
+  let node = data;
+  for (const key of chain) {
+    if (typeof key === "number") {
+      if (!Array.isArray(node)) return { found: false, value: undefined };
+      const index = key < 0 ? node.length + key : key;
+      if (index < 0 || index >= node.length) return { found: false, value: undefined };
+      node = node[index];
+    } else {
+      if (node === null || typeof node !== "object" || Array.isArray(node) || !Object.hasOwn(node, key)) {
+        return { found: false, value: undefined };
+      }
+      node = node[key];
+    }
+  }
+  return { found: true, value: node };
+};
+
+export const queryPath = (data, path) => {
+  const expr = String(path ?? "").trim();
+  if (!expr || expr === "$") return { found: data !== undefined, value: data };
+
+  if (expr.startsWith("$")) {
+    if (data === null || typeof data !== "object") return { found: false, value: undefined };
+    const matches = JSONPath({ path: expr, json: data, wrap: true }) || [];
+    if (matches.length === 0) return { found: false, value: undefined };
+    return { found: true, value: matches.length === 1 ? matches[0] : matches };
+  }
+
+  try {
+    const chain = fieldChain(jmespath.compile(expr));
+    if (chain) return lookupChain(data, chain);
+    const value = jmespath.search(data, expr);
+    // JMESPath has no "missing" result, a null projection is treated as absent
+    return { found: value !== null && value !== undefined, value: value ?? undefined };
+  } catch (err) {
+    throw new Error(`Invalid JMESPath expression "${expr}": ${err.message}`);
+  }
+};
+
+/* ------------------------------------------------------------------
+   Helpers
+-------------------------------------------------------------------*/
+const typeOf = (v) => {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number" && Number.isInteger(v)) return "integer";
+  return typeof v;
+};
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  if (ka.length !== kb.length) return false;
+  return ka.every((k) => deepEqual(a[k], b[k]));
+};
+
+const preview = (v) => {
+  if (v === undefined) return undefined;
+  const s = typeof v === "string" ? v : JSON.stringify(v);
+  return s && s.length > 200 ? `${s.slice(0, 200)}...` : v;
+};
+
+const inRange = (n, min, max) =>
+  (min === undefined || n >= min) && (max === undefined || n <= max);
+
+const describeRange = (min, max) => {
+  if (min !== undefined && max !== undefined) return `between ${min} and ${max}`;
+  if (min !== undefined) return `>= ${min}`;
+  return `<= ${max}`;
+};
+
+/* ------------------------------------------------------------------
+   Operators: each returns { passed, message }
+-------------------------------------------------------------------*/
+const operators = {
+  exists: (found) => ({ passed: found, message: found ? "present" : "expected field to be present" }),
+
+  absent: (found, actual) => ({
+    passed: !found,
+    message: found ? `expected field to be absent, found ${JSON.stringify(preview(actual))}` : "absent",
+  }),
+
+  equals: (found, actual, a) => ({
+    passed: found && deepEqual(actual, a.value),
+    message: `expected ${JSON.stringify(a.value)}, got ${found ? JSON.stringify(preview(actual)) : "nothing"}`,
+  }),
+
+  notEquals: (found, actual, a) => ({
+    passed: !found || !deepEqual(actual, a.value),
+    message: `expected value other than ${JSON.stringify(a.value)}`,
+  }),
+
+  contains: (found, actual, a) => {
+    let passed = false;
+    if (typeof actual === "string") passed = actual.includes(String(a.value));
+    else if (Array.isArray(actual)) passed = actual.some((item) => deepEqual(item, a.value));
+    else if (actual && typeof actual === "object" && a.value && typeof a.value === "object") {
+      passed = Object.entries(a.value).every(([k, v]) => deepEqual(actual[k], v));
+    }
+    return { passed: found && passed, message: `expected ${JSON.stringify(preview(actual))} to contain ${JSON.stringify(a.value)}` };
+  },
+
+  matches: (found, actual, a) => {
+    const rx = new RegExp(String(a.value), a.flags || "");
+    const subject = typeof actual === "string" ? actual : JSON.stringify(actual);
+    return { passed: found && rx.test(subject ?? ""), message: `expected ${JSON.stringify(preview(actual))} to match /${a.value}/${a.flags || ""}` };
+  },
+
+  length: (found, actual, a) => {
+    const len = typeof actual === "string" || Array.isArray(actual) ? actual.length : undefined;
+    if (len === undefined) return { passed: false, message: `expected an array or string, got ${typeOf(actual)}` };
+    const passed = a.value !== undefined ? len === a.value : inRange(len, a.min, a.max);
+    const wanted = a.value !== undefined ? `${a.value}` : describeRange(a.min, a.max);
+    return { passed, message: `expected length ${wanted}, got ${len}` };
+  },
+
+  type: (found, actual, a) => {
+    const actualType = found ? typeOf(actual) : "undefined";
+    // "number" accepts integers too
+    const passed = actualType === a.value || (a.value === "number" && actualType === "integer");
+    return { passed, message: `expected type ${a.value}, got ${actualType}` };
+  },
+
+  range: (found, actual, a) => {
+    const n = typeof actual === "number" ? actual : Number.NaN;
+    if (!found || Number.isNaN(n)) return { passed: false, message: `expected a number ${describeRange(a.min, a.max)}, got ${JSON.stringify(preview(actual))}` };
+    return { passed: inRange(n, a.min, a.max), message: `expected ${describeRange(a.min, a.max)}, got ${n}` };
+  },
+};
+
+export const ASSERTION_OPERATORS = Object.keys(operators);
+
+/**
+ * evaluateAssertions
+ * - Runs every declarative assertion against a response body.
+ * - Never throws: a broken path/regex is reported as a failed assertion.
+ */
+export const evaluateAssertions = (assertions = [], data) => {
+  return assertions.map((a) => {
+    const base = { path: a.path, op: a.op, expected: a.value ?? (a.min !== undefined || a.max !== undefined ? { min: a.min, max: a.max } : undefined) };
+    try {
+      const { found, value } = queryPath(data, a.path);
+      const { passed, message } = operators[a.op](found, value, a);
+      return { ...base, actual: preview(value), passed, message: passed ? "ok" : message };
+    } catch (err) {
+      return { ...base, actual: undefined, passed: false, message: err.message };
+    }
+  });
+};
+
+/* ------------------------------------------------------------------
+   Response header assertions
+   - "value"                      -> exact match
+   - { equals: "value" }          -> exact match
+   - { matches: "regex", flags }  -> regex match
+   - { present: true | false }    -> presence / absence
+   Header names are matched case-insensitively.
+-------------------------------------------------------------------*/
+export const evaluateHeaderAssertions = (rules = {}, headers = {}) => {
+  const lowered = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    lowered[k.toLowerCase()] = Array.isArray(v) ? v.join(", ") : (v === undefined || v === null ? v : String(v));
+  }
+
+  return Object.entries(rules).map(([name, rawRule]) => {
+    const rule = typeof rawRule === "string" ? { equals: rawRule } : (rawRule || {});
+    const actual = lowered[name.toLowerCase()];
+    const found = actual !== undefined && actual !== null;
+    const base = { header: name, actual: found ? actual : undefined };
+
+    try {
+      if (rule.present === false) {
+        return { ...base, rule: "absent", passed: !found, message: found ? `expected header to be absent, got "${actual}"` : "ok" };
+      }
+      if (!found) {
+        return { ...base, rule: rule.matches !== undefined ? "matches" : rule.equals !== undefined ? "equals" : "present", passed: false, message: "header missing" };
+      }
+      if (rule.equals !== undefined) {
+        const passed = actual === String(rule.equals);
+        return { ...base, rule: "equals", expected: String(rule.equals), passed, message: passed ? "ok" : `expected "${rule.equals}", got "${actual}"` };
+      }
+      if (rule.matches !== undefined) {
+        const passed = new RegExp(String(rule.matches), rule.flags || "").test(actual);
+        return { ...base, rule: "matches", expected: `/${rule.matches}/${rule.flags || ""}`, passed, message: passed ? "ok" : `"${actual}" does not match /${rule.matches}/${rule.flags || ""}` };
+      }
+      return { ...base, rule: "present", passed: true, message: "ok" };
+    } catch (err) {
+      return { ...base, rule: "matches", passed: false, message: err.message };
+    }
+  });
+};
+
+/**
+ * evaluateLatency
+ * - Compares a measured duration (ms) against expected_response.maxDurationMs.
+ */
+export const evaluateLatency = (maxDurationMs, durationMs) => {
+  const passed = durationMs <= maxDurationMs;
+  return {
+    maxDurationMs,
+    actualMs: durationMs,
+    passed,
+    message: passed ? "ok" : `took ${durationMs}ms, limit is ${maxDurationMs}ms`,
+  };
+};
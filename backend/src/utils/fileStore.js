@@ -0,0 +1,103 @@
+// src/utils/fileStore.js
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { config } from "../config/env.js";
+
+/**
+ * Embedded JSON-file store: one directory per collection, one file per
+ * document (data/<collection>/<id>.json). Writes go to a temp file and are
+ * renamed into place so a crash never leaves a half-written document.
+ */
+const notFound = (collection, id) => {
+  const label = collection.replace(/s$/, "");
+  return Object.assign(new Error(`${label[0].toUpperCase()}${label.slice(1)} not found: ${id}`), { status: 404 });
+};
+
+const isSafeId = (id) => typeof id === "string" && /^[A-Za-z0-9_-]{1,100}$/.test(id);
+
+// One promise chain per document file: update's read-merge-write (and a
+// remove) waits for the previous one, so concurrent changes are not lost.
+const locks = new Map();
+
+const withLock = (key, task) => {
+  const run = (locks.get(key) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+};
+
+export const createCollection = (collection) => {
+  const dir = path.resolve(process.cwd(), config.dataDir, collection);
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  const ensureDir = () => fs.mkdir(dir, { recursive: true });
+
+  const write = async (doc) => {
+    await ensureDir();
+    const tmp = `${fileFor(doc.id)}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(doc, null, 2), "utf8");
+    await fs.rename(tmp, fileFor(doc.id));
+    return doc;
+  };
+
+  const get = async (id) => {
+    if (!isSafeId(id)) throw notFound(collection, id);
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") throw notFound(collection, id);
+      throw err;
+    }
+  };
+
+  const list = async (filter = () => true) => {
+    await ensureDir();
+    const files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+    const docs = [];
+    for (const file of files) {
+      try {
+        const doc = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+        if (filter(doc)) docs.push(doc);
+      } catch {
+        // skip unreadable / partially written documents
+      }
+    }
+    return docs.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  };
+
+  const insert = async (data) => {
+    const now = new Date().toISOString();
+    return write({ ...data, id: crypto.randomUUID(), createdAt: now, updatedAt: now });
+  };
+
+  // a change set to null removes the field instead of storing null
+  const update = async (id, changes) => {
+    if (!isSafeId(id)) throw notFound(collection, id);
+    return withLock(fileFor(id), async () => {
+      const current = await get(id);
+      const merged = { ...current, ...changes, id: current.id, createdAt: current.createdAt, updatedAt: new Date().toISOString() };
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === null) delete merged[key];
+      }
+      return write(merged);
+    });
+  };
+
+  const remove = async (id) => {
+    if (!isSafeId(id)) throw notFound(collection, id);
+    return withLock(fileFor(id), async () => {
+      try {
+        await fs.unlink(fileFor(id));
+      } catch (err) {
+        if (err.code === "ENOENT") throw notFound(collection, id);
+        throw err;
+      }
+    });
+  };
+
+  return { get, list, insert, update, remove };
+};
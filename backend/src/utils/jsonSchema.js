@@ -0,0 +1,166 @@
+// src/utils/jsonSchema.js
+
+/* ------------------------------------------------------------------
+   Sample values from JSON Schema (OpenAPI import: path params and
+   bodies; services/boundary.service.js: the base body it mutates)
+-------------------------------------------------------------------*/
+const sampleString = (schema) => {
+  switch (schema.format) {
+    case "email": return "user@example.com";
+    case "date-time": return new Date(0).toISOString();
+    case "date": return "1970-01-01";
+    case "uuid": return "00000000-0000-4000-8000-000000000000";
+    case "uri":
+    case "url": return "https://example.com";
+    case "ipv4": return "127.0.0.1";
+    default: {
+      const min = Number.isFinite(schema.minLength) ? schema.minLength : 0;
+      const base = "string";
+      const padded = base.length >= min ? base : base.padEnd(min, "x");
+      return Number.isFinite(schema.maxLength) ? padded.slice(0, Math.max(schema.maxLength, min)) : padded;
+    }
+  }
+};
+
+// A value inside minimum / maximum, both as draft 4 (boolean exclusive*)
+// and draft 6+ (numeric exclusive*) bounds
+const bound = (schema, inclusiveKey, exclusiveKey) => {
+  if (Number.isFinite(schema[exclusiveKey])) return { value: schema[exclusiveKey], open: true };
+  if (Number.isFinite(schema[inclusiveKey])) return { value: schema[inclusiveKey], open: schema[exclusiveKey] === true };
+  return null;
+};
+
+const sampleNumber = (schema, fallback, integer) => {
+  const lo = bound(schema, "minimum", "exclusiveMinimum");
+  const hi = bound(schema, "maximum", "exclusiveMaximum");
+  // an open bound plus another bound can be closer together than 1
+  if (!integer && lo && hi && (lo.open || hi.open)) return (lo.value + hi.value) / 2;
+  if (lo) return lo.open ? lo.value + 1 : lo.value;
+  if (hi) return Math.min(fallback, hi.open ? hi.value - 1 : hi.value);
+  return fallback;
+};
+
+// First non-null type ("type": ["string", "null"] counts as string)
+export const schemaType = (schema) => (Array.isArray(schema?.type) ? schema.type.find((t) => t !== "null") : schema?.type);
+
+export const sampleFromSchema = (schema, depth = 0) => {
+  if (!schema || typeof schema !== "object" || depth > 6) return null;
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((acc, part) => {
+      const v = sampleFromSchema(part, depth + 1);
+      return v && typeof v === "object" && !Array.isArray(v) ? Object.assign(acc, v) : acc;
+    }, {});
+  }
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length) return sampleFromSchema(schema.oneOf[0], depth + 1);
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length) return sampleFromSchema(schema.anyOf[0], depth + 1);
+
+  const type = schemaType(schema);
+  switch (type) {
+    case "string": return sampleString(schema);
+    case "integer": return sampleNumber(schema, 1, true);
+    case "number": return sampleNumber(schema, 1.5, false);
+    case "boolean": return true;
+    case "array": return [sampleFromSchema(schema.items || {}, depth + 1)];
+    case "object":
+    default: {
+      if (!schema.properties) return type === "object" ? {} : null;
+      const out = {};
+      for (const [key, prop] of Object.entries(schema.properties)) {
+        if (prop?.readOnly) continue;
+        out[key] = sampleFromSchema(prop, depth + 1);
+      }
+      return out;
+    }
+  }
+};
+
+/* ------------------------------------------------------------------
+   Schema inference from observed values (services/schema.service.js)
+   - types per value, integer widened to number when both appear
+   - objects: properties seen anywhere, required = keys present every time
+   - arrays: one items schema merged from every element of every sample
+   - strings get a format only when every value matches it
+   - several types give anyOf, a type plus null gives ["type", "null"]
+-------------------------------------------------------------------*/
+const MAX_INFER_DEPTH = 12;
+
+// Checked in order; each one must also pass ajv-formats, which the runner validates with
+const FORMATS = [
+  ["date-time", /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i],
+  ["date", /^\d{4}-\d{2}-\d{2}$/],
+  ["uuid", /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ["email", /^[^\s@"(),:;<>[\]\\]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/i],
+  ["uri", /^https?:\/\/[^\s/$.?#][^\s]*$/i],
+  ["ipv4", /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/],
+];
+
+const jsonType = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+};
+
+const formatOf = (value) => FORMATS.find(([, re]) => re.test(value))?.[0];
+
+const inferOfType = (type, values, options, depth) => {
+  switch (type) {
+    case "string": {
+      const format = options.formats === false ? undefined : formatOf(values[0]);
+      return format && values.every((v) => formatOf(v) === format) ? { type, format } : { type };
+    }
+    case "array": {
+      const items = values.flat();
+      return items.length ? { type, items: inferFromValues(items, options, depth + 1) } : { type };
+    }
+    case "object": {
+      const properties = {};
+      const keys = [...new Set(values.flatMap((v) => Object.keys(v)))];
+      for (const key of keys) {
+        properties[key] = inferFromValues(values.filter((v) => Object.hasOwn(v, key)).map((v) => v[key]), options, depth + 1);
+      }
+      const required = keys.filter((key) => values.every((v) => Object.hasOwn(v, key)));
+      return {
+        type,
+        properties,
+        ...(required.length ? { required } : {}),
+        ...(options.strict ? { additionalProperties: false } : {}),
+      };
+    }
+    default:
+      return { type };
+  }
+};
+
+const inferFromValues = (values, options, depth) => {
+  if (depth > MAX_INFER_DEPTH) return {};
+  const byType = new Map();
+  for (const value of values) {
+    const type = jsonType(value);
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(value);
+  }
+  // 1 and 1.5 in the same field: the field is a number
+  if (byType.has("integer") && byType.has("number")) {
+    byType.get("number").push(...byType.get("integer"));
+    byType.delete("integer");
+  }
+
+  const nullable = byType.delete("null");
+  const variants = [...byType.entries()].map(([type, list]) => inferOfType(type, list, options, depth));
+  if (!variants.length) return { type: "null" };
+  if (variants.length === 1) return nullable ? { ...variants[0], type: [variants[0].type, "null"] } : variants[0];
+  return { anyOf: nullable ? [...variants, { type: "null" }] : variants };
+};
+
+/**
+ * inferSchema
+ * - JSON Schema that every sample satisfies, as tight as the samples allow.
+ * - options.strict:  additionalProperties: false on every object
+ * - options.formats: false skips format detection
+ */
+export const inferSchema = (samples, options = {}) => inferFromValues(samples, options, 0);
@@ -0,0 +1,86 @@
+// src/utils/jsonStream.js
+
+/**
+ * createArrayItemParser
+ * - Incremental parser for a streamed JSON array of objects, such as a model
+ *   writing `[ {...}, {...} ]`, possibly inside prose, code fences or a
+ *   `{ "testCases": [...] }` wrapper.
+ * - push(text) returns the items completed by that chunk, each as
+ *   { value } or { error, raw } when the object text is not valid JSON.
+ * - The first array that actually holds objects is the one read; brackets in
+ *   surrounding prose (e.g. "[12 cases]") are skipped over.
+ */
+export const createArrayItemParser = () => {
+  let buffer = "";
+  let pos = 0;
+  const stack = [];      // open containers: "{" or "["
+  let targetDepth = -1;  // stack depth of the array being read
+  let itemStart = -1;
+  let inString = false;
+  let escaped = false;
+  let finished = false;
+  let itemCount = 0;
+
+  const push = (text) => {
+    const items = [];
+    if (finished) return items;
+    buffer += text;
+
+    for (; pos < buffer.length; pos += 1) {
+      const ch = buffer[pos];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') {
+        if (stack.length) inString = true;
+        continue;
+      }
+
+      if (ch === "[" || ch === "{") {
+        if (ch === "{" && targetDepth === -1 && stack[stack.length - 1] === "[") {
+          // first object inside an array: that array is the one we read
+          targetDepth = stack.length;
+        }
+        if (ch === "{" && stack.length === targetDepth) itemStart = pos;
+        stack.push(ch);
+      } else if (ch === "]" || ch === "}") {
+        if (!stack.length) continue;
+        stack.pop();
+        if (ch === "}" && stack.length === targetDepth && itemStart !== -1) {
+          const raw = buffer.slice(itemStart, pos + 1);
+          itemStart = -1;
+          itemCount += 1;
+          try {
+            items.push({ value: JSON.parse(raw) });
+          } catch (err) {
+            items.push({ error: err.message, raw });
+          }
+        } else if (ch === "]" && stack.length === targetDepth - 1) {
+          finished = true;
+          break;
+        }
+      }
+    }
+
+    // drop what has been consumed, keeping an unfinished item
+    const keepFrom = itemStart !== -1 ? itemStart : pos;
+    buffer = buffer.slice(keepFrom);
+    pos -= keepFrom;
+    if (itemStart !== -1) itemStart = 0;
+    return items;
+  };
+
+  return {
+    push,
+    get finished() {
+      return finished;
+    },
+    get itemCount() {
+      return itemCount;
+    },
+  };
+};
@@ -0,0 +1,22 @@
+// src/utils/pickCases.js
+
+/**
+ * pickCases
+ * - The cases a load test or schema learning run works on: the listed
+ *   caseIds, else every case in the given categories. 400 when an id is
+ *   unknown or no case matches.
+ */
+export const pickCases = (testCases, { caseIds, categories }) => {
+  if (caseIds) {
+    const unknown = caseIds.filter((id) => !testCases.some((tc) => tc.id === id));
+    if (unknown.length) {
+      throw Object.assign(new Error(`Unknown test case id(s): ${unknown.join(", ")}`), { status: 400 });
+    }
+    return testCases.filter((tc) => caseIds.includes(tc.id));
+  }
+  const picked = testCases.filter((tc) => categories.includes(tc.category));
+  if (!picked.length) {
+    throw Object.assign(new Error(`No test cases in categories: ${categories.join(", ")}`), { status: 400 });
+  }
+  return picked;
+};
@@ -0,0 +1,70 @@
+// src/utils/retryPolicy.js
+
+/* ------------------------------------------------------------------
+   Request policies: timeout, redirects and retries
+   - Layers (run/suite policy, then flow, then case/step) override the
+     one before; backoff and retryOn merge field by field.
+-------------------------------------------------------------------*/
+export const DEFAULT_POLICY = {
+  timeoutMs: 10000,
+  maxRedirects: 5,
+  retries: 0,
+  backoff: { strategy: "exponential", delayMs: 500, maxDelayMs: 10000, jitter: false },
+  retryOn: {
+    statuses: [429, 502, 503, 504],
+    // axios / Node error codes; ECONNABORTED is an axios timeout
+    errors: ["ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"],
+  },
+  respectRetryAfter: true,
+  // a longer Retry-After ends the retries instead of stalling the run
+  maxRetryAfterMs: 30000,
+};
+
+export const resolvePolicy = (...layers) => layers.filter(Boolean).reduce((acc, layer) => ({
+  ...acc,
+  ...layer,
+  backoff: { ...acc.backoff, ...layer.backoff },
+  retryOn: { ...acc.retryOn, ...layer.retryOn },
+}), DEFAULT_POLICY);
+
+/**
+ * backoffDelay
+ * - Wait before retry number `retry` (1 = first retry), capped at maxDelayMs.
+ * - Jitter keeps between half and all of the delay.
+ */
+export const backoffDelay = ({ strategy, delayMs, maxDelayMs, jitter }, retry, random = Math.random) => {
+  const base = {
+    fixed: delayMs,
+    linear: delayMs * retry,
+    exponential: delayMs * 2 ** (retry - 1),
+  }[strategy] ?? delayMs;
+  const capped = Math.min(base, maxDelayMs);
+  return Math.round(jitter ? capped * (0.5 + random() / 2) : capped);
+};
+
+/**
+ * parseRetryAfter
+ * - Retry-After as delay-seconds or an HTTP date, in ms from now.
+ * - null when the header is absent or unreadable.
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * retryReason
+ * - Why an attempt should be retried ("HTTP 503", "ECONNRESET"), or null.
+ * - A status the case expects is never retried: a test asserting 429 must
+ *   see the 429.
+ */
+export const retryReason = (policy, { status, errorCode, expectedStatuses = [] }) => {
+  if (status !== undefined) {
+    if (expectedStatuses.includes(status)) return null;
+    return policy.retryOn.statuses.includes(status) ? `HTTP ${status}` : null;
+  }
+  return errorCode && policy.retryOn.errors.includes(errorCode) ? errorCode : null;
+};
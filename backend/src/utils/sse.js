@@ -0,0 +1,41 @@
+// src/utils/sse.js
+
+/**
+ * openEventStream
+ * - Switches an Express response to Server-Sent Events.
+ * - send(event, data, id?) writes one event; close() ends the stream.
+ * - A comment heartbeat keeps idle proxies from dropping slow streams.
+ */
+export const openEventStream = (res, { heartbeatMs = 15000 } = {}) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+
+  let open = true;
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), heartbeatMs);
+
+  const stop = () => {
+    open = false;
+    clearInterval(heartbeat);
+  };
+  res.on("close", stop);
+
+  return {
+    get open() {
+      return open;
+    },
+    send(event, data, id) {
+      if (!open) return;
+      res.write(`${id !== undefined ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!open) return;
+      stop();
+      res.end();
+    },
+  };
+};
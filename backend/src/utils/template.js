@@ -0,0 +1,79 @@
+// src/utils/template.js
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+// true when a string still holds a {{name}} placeholder
+export const hasPlaceholder = (value) => typeof value === "string" && new RegExp(PLACEHOLDER.source).test(value);
+
+/**
+ * renderTemplate
+ * - Replaces {{name}} placeholders in strings, recursing into arrays/objects
+ *   (keys are left untouched).
+ * - A string that is exactly one placeholder takes the raw variable value,
+ *   so "{{userId}}" in a JSON body stays a number when the variable is one.
+ * - Unknown placeholders are left as-is and reported in `missing`.
+ */
+export const renderTemplate = (value, vars = {}, missing = new Set()) => {
+  if (typeof value === "string") {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      if (Object.prototype.hasOwnProperty.call(vars, whole[1])) return vars[whole[1]];
+      missing.add(whole[1]);
+      return value;
+    }
+    return value.replace(PLACEHOLDER, (match, name) => {
+      if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+        missing.add(name);
+        return match;
+      }
+      const v = vars[name];
+      return v !== null && typeof v === "object" ? JSON.stringify(v) : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((item) => renderTemplate(item, vars, missing));
+  if (value && typeof value === "object") {
+    // fromEntries keeps a "__proto__" key as an own property (assignment would not)
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, renderTemplate(v, vars, missing)]));
+  }
+  return value;
+};
+
+/**
+ * renderRequest
+ * - Renders endpoint, headers and body of a test request.
+ * - Returns the rendered request plus the placeholder names that had no
+ *   value: all of them (`missing`) and those left in the endpoint
+ *   (`blocking`), which would send the request to the wrong URL.
+ * - A header whose placeholders have no value (e.g. "Bearer {{authToken}}"
+ *   without an environment) is left out rather than sent literally; its
+ *   name is listed in `droppedHeaders`. A body may carry "{{...}}" on
+ *   purpose (template injection payloads) and is rendered as-is.
+ */
+export const renderRequest = (request = {}, vars = {}) => {
+  const blocking = new Set();
+  const missing = new Set();
+  const kept = [];
+  const droppedHeaders = [];
+  for (const [name, value] of Object.entries(request.headers || {})) {
+    const unresolved = new Set();
+    const rendered = renderTemplate(value, vars, unresolved);
+    unresolved.forEach((v) => missing.add(v));
+    if (unresolved.size) droppedHeaders.push(name);
+    else kept.push([name, rendered]);
+  }
+  const headers = Object.fromEntries(kept);
+  const rendered = {
+    ...request,
+    endpoint: renderTemplate(request.endpoint, vars, blocking),
+    ...(request.headers ? { headers } : {}),
+    body: renderTemplate(request.body, vars, missing),
+  };
+  rendered.endpoint = rendered.endpoint === undefined ? rendered.endpoint : String(rendered.endpoint);
+  return {
+    request: rendered,
+    missing: Array.from(new Set([...blocking, ...missing])),
+    blocking: Array.from(blocking),
+    droppedHeaders,
+  };
+};
@@ -3,14 +3,62 @@ import Header from './components/Header';
 import SpecForm from './components/SpecForm';
 import TestList from './components/TestList';
 import ResultsView from './components/ResultsView';
+import SuiteManager from './components/SuiteManager';
+import RunComparison from './components/RunComparison';
+import AuthProfiles from './components/AuthProfiles';
+import FuzzPanel from './components/FuzzPanel';
 import { useTestManager } from './hooks/useTestManager';
 import { AlertCircle } from 'lucide-react';
 
 function App() {
   const { 
     generateTests, 
+    importOpenApi,
+    importRequests,
+    loadImportedCases,
     runTests, 
+    cancelRun,
+    loadTest,
+    runLoadTest,
+    stopLoadTest,
+    fuzz,
+    openFuzz,
+    runFuzz,
+    stopFuzz,
+    closeFuzz,
+    schemaReview,
+    learnSchemas,
+    stopLearning,
+    applySchemas,
+    closeSchemaReview,
+    auth,
+    updateAuth,
+    policy,
+    updatePolicy,
+    updateTestCase,
+    addTestCase,
+    duplicateTestCase,
+    removeTestCase,
+    moveTestCase,
     testCases, 
+    suite,
+    generation,
+    environments,
+    aiStatus,
+    savedSuites,
+    runHistory,
+    currentSuiteId,
+    currentSuiteName,
+    runId,
+    progress,
+    saveSuite,
+    loadSuite,
+    renameSuite,
+    deleteSuite,
+    loadRun,
+    comparison,
+    compareRuns,
+    clearComparison,
     results, 
     summary, 
     isLoading, 
@@ -19,7 +67,7 @@ function App() {
 
   return (
     <div className="container">
-      <Header />
+      <Header aiStatus={aiStatus} />
 
       {error && (
         <div style={{ 
@@ -37,16 +85,64 @@ function App() {
         </div>
       )}
 
-      <SpecForm onGenerate={generateTests} isLoading={isLoading} />
+      <SpecForm 
+        onGenerate={generateTests} 
+        onFuzz={openFuzz}
+        onImportOpenApi={importOpenApi} 
+        onImportRequests={importRequests}
+        onLoadImported={loadImportedCases}
+        isLoading={isLoading} 
+      />
+
+      <FuzzPanel fuzz={fuzz} environments={environments} onStart={runFuzz} onStop={stopFuzz} onClose={closeFuzz} />
+
+      <SuiteManager 
+        suites={savedSuites} 
+        runHistory={runHistory} 
+        currentSuiteId={currentSuiteId} 
+        currentSuiteName={currentSuiteName} 
+        activeRunId={runId} 
+        canSave={testCases.length > 0} 
+        isLoading={isLoading} 
+        onSave={saveSuite} 
+        onLoad={loadSuite} 
+        onRename={renameSuite} 
+        onDelete={deleteSuite} 
+        onLoadRun={loadRun} 
+        onCompare={compareRuns} 
+      />
+
+      <RunComparison comparison={comparison} onClose={clearComparison} />
+
+      {testCases.length > 0 && <AuthProfiles auth={auth} onChange={updateAuth} isLoading={isLoading} />}
       
       {/* Show Test List only if we have tests but no results yet, or if we want to see them above results */}
       <TestList 
         tests={testCases} 
+        suite={suite}
+        generation={generation}
+        environments={environments}
+        authProfiles={Object.keys(auth?.profiles || {})}
+        policy={policy}
+        onPolicyChange={updatePolicy}
         onRun={runTests} 
+        loadTest={loadTest}
+        onLoadTest={runLoadTest}
+        onStopLoadTest={stopLoadTest}
+        schemaReview={schemaReview}
+        onLearnSchemas={learnSchemas}
+        onStopLearning={stopLearning}
+        onApplySchemas={applySchemas}
+        onCloseSchemaReview={closeSchemaReview}
+        onUpdate={updateTestCase}
+        onAdd={addTestCase}
+        onDuplicate={duplicateTestCase}
+        onRemove={removeTestCase}
+        onMove={moveTestCase}
         isLoading={isLoading} 
       />
 
-      <ResultsView results={results} summary={summary} />
+      <ResultsView results={results} summary={summary} runId={runId} progress={progress} onCancel={cancelRun} />
     </div>
   );
 }
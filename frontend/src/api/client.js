@@ -5,7 +5,7 @@ const client = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
-  timeout: 120000, // 120s timeout for AI generation
+  timeout: 120000, // 120s; single-spec generation streams over fetch and is not bound by this
 });
 
 export default client;
\ No newline at end of file
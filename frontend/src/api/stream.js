@@ -0,0 +1,48 @@
+import client from './client';
+
+/**
+ * POSTs a JSON body and reads the Server-Sent Events response
+ * (EventSource can only GET). Calls onEvent(event, data) for every event and
+ * resolves once the server closes the stream.
+ * Non-2xx responses reject with an axios-like `err.response` so the usual
+ * error handling applies.
+ */
+export const postEventStream = async (path, body, onEvent, { signal } = {}) => {
+  const response = await fetch(`${client.defaults.baseURL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw Object.assign(new Error(data.error || `Request failed with status ${response.status}`), {
+      response: { status: response.status, data }
+    });
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      if (data.length) onEvent(event, JSON.parse(data.join('\n')));
+    }
+  }
+};
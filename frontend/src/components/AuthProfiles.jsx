@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import { KeyRound, Check, Trash2 } from 'lucide-react';
+import { parseJsonInput } from '../utils/validators';
+
+const EXAMPLE = {
+  default: 'user',
+  profiles: {
+    user: { type: 'bearer', token: '{{authToken}}' },
+    service: { type: 'oauth2', grant: 'client_credentials', tokenUrl: '/oauth/token', clientId: 'tester', clientSecret: '{{clientSecret}}' }
+  }
+};
+
+const toText = (auth) => (auth ? JSON.stringify(auth, null, 2) : '');
+
+/**
+ * Suite auth profiles as JSON ({ default, profiles }). The runner applies
+ * the default profile to every case; a case can pick another profile, its
+ * "invalid" variant or no auth at all from the test case editor.
+ * Types: basic, bearer, apiKey, oauth2, hmac. Use {{variables}} for secrets.
+ */
+export default function AuthProfiles({ auth, onChange, isLoading }) {
+  const [text, setText] = useState(toText(auth));
+  const [error, setError] = useState(null);
+
+  // Follow suite loads / clears
+  useEffect(() => {
+    setText(toText(auth));
+    setError(null);
+  }, [auth]);
+
+  const apply = () => {
+    try {
+      if (!text.trim()) return onChange(null);
+      const parsed = parseJsonInput(text, 'Auth profiles');
+      if (!parsed.profiles || typeof parsed.profiles !== 'object') throw new Error('Auth profiles need a "profiles" object.');
+      if (parsed.default && !parsed.profiles[parsed.default]) throw new Error(`Default profile "${parsed.default}" is not defined.`);
+      setError(null);
+      return onChange(parsed);
+    } catch (err) {
+      return setError(err.message);
+    }
+  };
+
+  const names = Object.keys(auth?.profiles || {});
+
+  return (
+    <div className="card">
+      <h3 style={{ marginTop: 0, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <KeyRound size={18} /> Auth Profiles
+        {names.length > 0 && (
+          <span style={{ fontSize: '0.8rem', fontWeight: 'normal', color: 'var(--text-muted)' }}>
+            {names.map(n => (n === auth.default ? `${n} (default)` : n)).join(', ')}
+          </span>
+        )}
+      </h3>
+
+      <textarea
+        className="textarea"
+        rows={6}
+        value={text}
+        onChange={e => setText(e.target.value)}
+        placeholder={JSON.stringify(EXAMPLE, null, 2)}
+        style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}
+      />
+
+      {error && <div style={{ color: 'var(--error)', fontSize: '0.8rem', marginTop: '0.5rem' }}>{error}</div>}
+
+      <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+        <button className="btn btn-primary" onClick={apply} disabled={isLoading}>
+          <Check size={16} /> Apply
+        </button>
+        {auth && (
+          <button className="btn" style={{ background: '#f1f5f9' }} onClick={() => onChange(null)} disabled={isLoading}>
+            <Trash2 size={16} /> Remove
+          </button>
+        )}
+        <span style={{ alignSelf: 'center', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          Saved with the suite and sent with every run.
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Bug, Play, Square, X, ChevronDown, ChevronRight } from 'lucide-react';
+import { isValidUrl } from '../utils/validators';
+
+// Backend payload families (utils/fuzzPayloads.js)
+const FAMILIES = [
+  { name: 'sqli', label: 'SQL injection' },
+  { name: 'xss', label: 'XSS' },
+  { name: 'pathTraversal', label: 'Path traversal' },
+  { name: 'commandInjection', label: 'Command injection' },
+  { name: 'oversized', label: 'Oversized' },
+  { name: 'unicode', label: 'Unicode' },
+  { name: 'typeConfusion', label: 'Type confusion' },
+  { name: 'prototypePollution', label: 'Prototype pollution' }
+];
+
+const SEVERITY_COLORS = {
+  critical: { background: '#7f1d1d', color: '#fff' },
+  high: { background: '#fee2e2', color: '#991b1b' },
+  medium: { background: '#fef3c7', color: '#92400e' },
+  low: { background: '#e0f2fe', color: '#075985' }
+};
+
+const Severity = ({ level, children }) => (
+  <span style={{ ...SEVERITY_COLORS[level], fontSize: '0.7rem', fontWeight: 600, padding: '0.1rem 0.4rem', borderRadius: '4px', textTransform: 'uppercase' }}>
+    {children || level}
+  </span>
+);
+
+/**
+ * Security fuzzing of the spec form's request: every body / query / header
+ * field gets each payload of the chosen families, and suspicious answers
+ * (5xx, stack traces, reflected payloads, leaked files, slow responses,
+ * prototype pollution) come back grouped by field.
+ */
+export default function FuzzPanel({ fuzz, environments = [], onStart, onStop, onClose }) {
+  const [targetUrl, setTargetUrl] = useState('http://localhost:3000');
+  const [environment, setEnvironment] = useState('');
+  const [families, setFamilies] = useState(FAMILIES.map(f => f.name));
+  const [expanded, setExpanded] = useState(null);
+
+  if (!fuzz) return null;
+
+  const { spec, status, progress, report } = fuzz;
+  const running = ['starting', 'running', 'cancelling'].includes(status);
+  const isUrlValid = isValidUrl(targetUrl);
+  const percent = progress?.total ? Math.round((progress.completed / progress.total) * 100) : 0;
+
+  const handleEnvironmentChange = (e) => {
+    const name = e.target.value;
+    setEnvironment(name);
+    const env = environments.find(x => x.name === name);
+    if (env?.baseUrl) setTargetUrl(env.baseUrl);
+  };
+
+  const toggle = (name) => setFamilies(prev => (prev.includes(name) ? prev.filter(f => f !== name) : [...prev, name]));
+
+  return (
+    <div className="card" style={{ borderTop: '4px solid var(--error)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Bug size={18} /> Security Fuzzing
+          <code style={{ fontSize: '0.8rem', fontWeight: 'normal', color: 'var(--text-muted)' }}>{spec.method} {spec.endpoint}</code>
+        </h3>
+        <button style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-muted)' }} onClick={onClose} disabled={running} title="Close">
+          <X size={18} />
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem 1rem', margin: '0.75rem 0', fontSize: '0.8rem' }}>
+        {FAMILIES.map(f => (
+          <label key={f.name} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', color: 'var(--text-muted)' }}>
+            <input type="checkbox" disabled={running} checked={families.includes(f.name)} onChange={() => toggle(f.name)} />
+            {f.label}
+          </label>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+        {environments.length > 0 && (
+          <select className="select" style={{ width: '150px' }} value={environment} onChange={handleEnvironmentChange} disabled={running}>
+            <option value="">No environment</option>
+            {environments.map(env => <option key={env.name} value={env.name}>{env.name}</option>)}
+          </select>
+        )}
+        <input
+          className="input"
+          style={{ flex: 1, borderColor: !isUrlValid && targetUrl ? 'var(--error)' : '' }}
+          value={targetUrl}
+          onChange={e => setTargetUrl(e.target.value)}
+          placeholder="Target Base URL"
+          disabled={running}
+        />
+        {running ? (
+          <button className="btn" style={{ background: '#fee2e2', color: '#991b1b' }} onClick={onStop} disabled={status !== 'running'}>
+            <Square size={14} /> {status === 'cancelling' ? 'Stopping...' : 'Stop'}
+          </button>
+        ) : (
+          <button className="btn btn-primary" onClick={() => onStart({ families }, targetUrl, environment)} disabled={!isUrlValid || !families.length}>
+            <Play size={14} /> Start Fuzzing
+          </button>
+        )}
+      </div>
+
+      {fuzz.error && <div style={{ color: 'var(--error)', fontSize: '0.85rem', marginTop: '0.75rem' }}>{fuzz.error}</div>}
+
+      {running && progress && (
+        <div style={{ marginTop: '1rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', marginBottom: '0.4rem' }}>
+            <span>{progress.completed} / {progress.total} mutations</span>
+            <span style={{ color: fuzz.findings ? 'var(--error)' : 'var(--text-muted)' }}>{fuzz.findings} findings so far</span>
+          </div>
+          <div style={{ height: '8px', background: '#e2e8f0', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{ width: `${percent}%`, height: '100%', background: 'var(--error)', transition: 'width 0.2s ease' }} />
+          </div>
+        </div>
+      )}
+
+      {report && (
+        <div style={{ marginTop: '1rem' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', fontSize: '0.85rem' }}>
+            <strong>{report.summary.findings} findings</strong>
+            {['critical', 'high', 'medium', 'low'].filter(s => report.summary.bySeverity[s]).map(s => (
+              <Severity key={s} level={s}>{report.summary.bySeverity[s]} {s}</Severity>
+            ))}
+            <span style={{ color: 'var(--text-muted)' }}>
+              · {report.summary.completed} of {report.summary.cases} mutations across {report.summary.fields} fields
+              {report.summary.cancelled ? ' (stopped early)' : ''}
+              {report.summary.truncated ? `, ${report.summary.truncated} over the case limit` : ''}
+              · baseline {report.baseline.statuses.join('/')} in {Math.round(report.baseline.medianMs)}ms
+            </span>
+          </div>
+
+          <div style={{ display: 'grid', gap: '0.5rem', marginTop: '0.75rem' }}>
+            {report.fields.map(f => (
+              <div key={f.field} style={{ background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: '6px' }}>
+                <button
+                  style={{ display: 'flex', width: '100%', alignItems: 'center', gap: '0.5rem', padding: '0.6rem 0.75rem', background: 'none', border: 'none', cursor: f.findings.length ? 'pointer' : 'default', textAlign: 'left' }}
+                  onClick={() => f.findings.length && setExpanded(expanded === f.field ? null : f.field)}
+                >
+                  {f.findings.length ? (expanded === f.field ? <ChevronDown size={14} /> : <ChevronRight size={14} />) : <span style={{ width: '14px' }} />}
+                  <code style={{ fontWeight: 'bold' }}>{f.field}</code>
+                  <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>{f.cases} mutations</span>
+                  <span style={{ marginLeft: 'auto', display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.8rem' }}>
+                    {f.worst ? <><Severity level={f.worst} /> {f.findings.length} findings</> : <span style={{ color: 'var(--success)' }}>no findings</span>}
+                  </span>
+                </button>
+                {expanded === f.field && (
+                  <ul style={{ listStyle: 'none', margin: 0, padding: '0 0.75rem 0.6rem 2.2rem', fontSize: '0.8rem' }}>
+                    {f.findings.map((finding, i) => (
+                      <li key={i} style={{ padding: '0.3rem 0', borderTop: i ? '1px solid #e2e8f0' : 'none' }}>
+                        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                          <Severity level={finding.severity} />
+                          <strong>{finding.type.replace(/_/g, ' ')}</strong>
+                          <span style={{ color: 'var(--text-muted)' }}>{finding.family}: <code>{finding.payload}</code></span>
+                          {finding.status !== undefined && <span style={{ color: 'var(--text-muted)' }}>→ {finding.status}{finding.latencyMs !== undefined ? ` in ${Math.round(finding.latencyMs)}ms` : ''}</span>}
+                        </div>
+                        <div style={{ fontFamily: 'monospace', color: '#475569', wordBreak: 'break-all', marginTop: '0.2rem' }}>{finding.evidence}</div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Sparkles, Wrench, Scissors, Archive } from 'lucide-react';
+
+// Mirrors the outcome statuses reported by the backend generator
+const STATUS = {
+  parsed: { label: 'AI output', icon: Sparkles, color: '#166534', background: '#dcfce7' },
+  repaired: { label: 'AI output (repaired)', icon: Wrench, color: '#1e40af', background: '#dbeafe' },
+  salvaged: { label: 'Partially salvaged', icon: Scissors, color: '#92400e', background: '#fef3c7' },
+  fallback: { label: 'Canned fallback', icon: Archive, color: '#991b1b', background: '#fee2e2' }
+};
+
+const Badge = ({ status, children }) => {
+  const s = STATUS[status] || STATUS.fallback;
+  const Icon = s.icon;
+  return (
+    <span style={{
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: '0.3rem',
+      fontSize: '0.75rem',
+      fontWeight: 600,
+      padding: '0.2rem 0.6rem',
+      borderRadius: '999px',
+      color: s.color,
+      background: s.background
+    }}>
+      <Icon size={12} /> {children || s.label}
+    </span>
+  );
+};
+
+/**
+ * Shows where generated cases came from: the model (first try or after repair),
+ * a partial salvage, or the canned fallback. Takes one outcome per generation
+ * (a single spec, or every operation of an OpenAPI import).
+ */
+export default function GenerationOutcome({ outcomes }) {
+  const [showIssues, setShowIssues] = useState(false);
+  const list = (outcomes || []).filter(Boolean);
+  if (list.length === 0) return null;
+
+  const modelCases = list.reduce((acc, o) => acc + (o.modelCases || 0), 0);
+  const schemaCases = list.reduce((acc, o) => acc + (o.schemaCases || 0), 0);
+  const fallbackCases = list.reduce((acc, o) => acc + (o.fallbackCases || 0), 0);
+  const counts = `${modelCases} from AI · ${schemaCases ? `${schemaCases} from schema · ` : ''}${fallbackCases} fallback`;
+
+  if (list.length > 1) {
+    const byStatus = Object.keys(STATUS)
+      .map(status => ({ status, n: list.filter(o => o.status === status).length }))
+      .filter(x => x.n > 0);
+    return (
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginTop: '0.25rem' }}>
+        {byStatus.map(({ status, n }) => (
+          <Badge key={status} status={status}>{STATUS[status].label}: {n} operations</Badge>
+        ))}
+        <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>{counts}</span>
+      </div>
+    );
+  }
+
+  const [outcome] = list;
+  const issues = outcome.issues || [];
+  return (
+    <div style={{ marginTop: '0.25rem' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center' }}>
+        <Badge status={outcome.status} />
+        <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          {counts}
+          {outcome.attempts > 1 && ` · ${outcome.attempts} attempts`}
+          {outcome.reason && ` · ${outcome.reason}`}
+        </span>
+        {issues.length > 0 && (
+          <button
+            onClick={() => setShowIssues(!showIssues)}
+            style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '0.75rem', color: 'var(--primary)', padding: 0 }}
+          >
+            {showIssues ? 'Hide' : 'Show'} {issues.length} validation issues
+          </button>
+        )}
+      </div>
+      {showIssues && (
+        <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          {issues.map((issue, i) => <li key={i}><code>{issue}</code></li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import React from 'react';
 import { FlaskConical } from 'lucide-react';
 
-export default function Header() {
+export default function Header({ aiStatus }) {
   return (
     <header style={{ marginBottom: '2rem', textAlign: 'center' }}>
       <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '1rem' }}>
@@ -11,6 +11,20 @@ export default function Header() {
       <p style={{ color: 'var(--text-muted)' }}>
         Generate, Execute, and Validate API tests in seconds.
       </p>
+      {aiStatus && (
+        <span
+          title={aiStatus.enabled ? `Model: ${aiStatus.model}` : aiStatus.reason}
+          style={{
+            fontSize: '0.75rem',
+            padding: '0.2rem 0.6rem',
+            borderRadius: '999px',
+            background: aiStatus.enabled ? '#eef2ff' : '#fef3c7',
+            color: aiStatus.enabled ? 'var(--primary)' : '#92400e'
+          }}
+        >
+          {aiStatus.enabled ? `AI: ${aiStatus.provider}` : 'No-AI mode: rule-based generation'}
+        </span>
+      )}
     </header>
   );
 }
\ No newline at end of file
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { X, Upload, FileInput, Wand2 } from 'lucide-react';
+
+const FORMATS = [
+  { value: 'auto', label: 'Detect automatically' },
+  { value: 'curl', label: 'cURL command(s)' },
+  { value: 'har', label: 'HAR file' },
+  { value: 'postman', label: 'Postman collection (v2.1)' }
+];
+
+const overlay = {
+  position: 'fixed',
+  inset: 0,
+  background: 'rgba(15, 23, 42, 0.5)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  zIndex: 10
+};
+
+/**
+ * Modal for bringing existing requests in: paste cURL commands or upload a
+ * HAR / Postman export, preview what the backend parsed, then load the cases
+ * or use one of them as the spec for AI generation.
+ */
+export default function ImportDialog({ onImport, onLoad, onUseAsSpec, onClose, isLoading }) {
+  const [source, setSource] = useState('');
+  const [format, setFormat] = useState('auto');
+  const [parsed, setParsed] = useState(null);
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setSource(String(reader.result || ''));
+      setParsed(null);
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleParse = async () => {
+    setParsed(await onImport(source, format));
+  };
+
+  const load = (append) => {
+    onLoad(parsed, append);
+    onClose();
+  };
+
+  return (
+    <div style={overlay} onClick={onClose}>
+      <div className="card" style={{ width: '720px', maxHeight: '85vh', overflowY: 'auto', marginBottom: 0 }} onClick={e => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h3 style={{ margin: 0 }}>📥 Import Requests</h3>
+          <button type="button" onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-muted)' }}><X size={18} /></button>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '0.5rem', margin: '1rem 0 0.5rem' }}>
+          <select className="select" value={format} onChange={e => { setFormat(e.target.value); setParsed(null); }}>
+            {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+          <label className="btn" style={{ justifyContent: 'center', background: '#f1f5f9', cursor: 'pointer' }}>
+            <Upload size={16} /> Upload file
+            <input type="file" accept=".har,.json,.txt,.sh" style={{ display: 'none' }} onChange={handleFileUpload} />
+          </label>
+        </div>
+
+        <textarea
+          className="textarea"
+          rows={8}
+          value={source}
+          onChange={e => { setSource(e.target.value); setParsed(null); }}
+          placeholder={"curl -X POST https://api.example.com/users -H 'Content-Type: application/json' -d '{\"name\":\"Jane\"}'\n\n...or the contents of a .har file / Postman collection"}
+          style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}
+        />
+
+        <button
+          type="button"
+          className="btn btn-primary"
+          style={{ width: '100%', justifyContent: 'center', marginTop: '0.5rem' }}
+          disabled={isLoading || !source.trim()}
+          onClick={handleParse}
+        >
+          <FileInput size={16} /> {isLoading ? 'Parsing...' : 'Parse'}
+        </button>
+
+        {parsed && (
+          <div style={{ marginTop: '1rem' }}>
+            <div style={{ fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+              <strong>{parsed.testCases.length}</strong> requests from {parsed.name ? `"${parsed.name}" (${parsed.format})` : parsed.format}
+              {Object.keys(parsed.variables || {}).length > 0 && (
+                <span style={{ color: 'var(--text-muted)' }}> · variables: {Object.keys(parsed.variables).join(', ')}</span>
+              )}
+            </div>
+
+            {parsed.warnings?.length > 0 && (
+              <ul style={{ margin: '0 0 0.5rem', paddingLeft: '1.25rem', fontSize: '0.75rem', color: '#92400e' }}>
+                {parsed.warnings.map((w, i) => <li key={i}>{w}</li>)}
+              </ul>
+            )}
+
+            <div style={{ display: 'grid', gap: '0.25rem', maxHeight: '240px', overflowY: 'auto' }}>
+              {parsed.testCases.map(tc => (
+                <div key={tc.id} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.4rem 0.6rem', background: '#f8fafc', borderRadius: '6px', fontSize: '0.8rem' }}>
+                  <span style={{ fontWeight: 700, width: '60px' }}>{tc.request.method}</span>
+                  <span style={{ flex: 1, fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={tc.description}>
+                    {tc.request.endpoint}
+                  </span>
+                  <span style={{ color: 'var(--text-muted)' }}>{tc.expected_response.status}</span>
+                  <button
+                    type="button"
+                    onClick={() => { onUseAsSpec(tc); onClose(); }}
+                    title="Fill the spec form with this request to generate cases from it"
+                    style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--primary)', display: 'flex', alignItems: 'center', gap: '0.2rem', fontSize: '0.75rem' }}
+                  >
+                    <Wand2 size={13} /> Use as spec
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
+              <button type="button" className="btn btn-primary" style={{ flex: 1, justifyContent: 'center' }} onClick={() => load(false)}>
+                Replace test cases
+              </button>
+              <button type="button" className="btn" style={{ flex: 1, justifyContent: 'center', background: '#f1f5f9' }} onClick={() => load(true)}>
+                Append to test cases
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 200;
+const PAD = { top: 12, right: 44, bottom: 24, left: 44 };
+const LINES = [
+  { key: 'p50', color: '#10b981' },
+  { key: 'p90', color: '#f59e0b' },
+  { key: 'p99', color: '#ef4444' }
+];
+
+// 1, 2, 5, 10, 20, 50... at or above n, so the axes get round labels
+const niceMax = (n) => {
+  if (!n || n <= 0) return 1;
+  const step = 10 ** Math.floor(Math.log10(n));
+  return [1, 2, 5, 10].map(m => m * step).find(v => v >= n);
+};
+
+/**
+ * Load test timeline: throughput as bars (right axis, errored share in red)
+ * and p50 / p90 / p99 latency as lines (left axis, ms). Samples are the
+ * load job's "sample" events.
+ */
+export default function LoadChart({ samples, durationSec }) {
+  if (!samples.length) {
+    return <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)', padding: '1rem 0' }}>Waiting for the first sample...</div>;
+  }
+
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const maxT = Math.max(durationSec || 0, samples[samples.length - 1].t);
+  const maxLatency = niceMax(Math.max(...samples.map(s => s.p99 ?? 0)));
+  const maxThroughput = niceMax(Math.max(...samples.map(s => s.throughput)));
+
+  const x = (t) => PAD.left + (t / maxT) * plotW;
+  const yLatency = (ms) => PAD.top + plotH - (ms / maxLatency) * plotH;
+  const yThroughput = (rps) => PAD.top + plotH - (rps / maxThroughput) * plotH;
+
+  // each sample covers the time since the previous one
+  const barW = (i) => Math.max(1, x(samples[i].t) - x(i ? samples[i - 1].t : 0) - 2);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto', display: 'block' }}>
+        {[0, 0.5, 1].map(f => (
+          <g key={f} fontSize="10" fill="var(--text-muted)">
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={PAD.top + plotH * (1 - f)} y2={PAD.top + plotH * (1 - f)} stroke="#e2e8f0" />
+            <text x={PAD.left - 4} y={PAD.top + plotH * (1 - f) + 3} textAnchor="end">{Math.round(maxLatency * f)}</text>
+            <text x={WIDTH - PAD.right + 4} y={PAD.top + plotH * (1 - f) + 3}>{Math.round(maxThroughput * f)}</text>
+          </g>
+        ))}
+
+        {samples.map((s, i) => {
+          const left = x(s.t) - barW(i) - 1;
+          const top = yThroughput(s.throughput);
+          const height = PAD.top + plotH - top;
+          return (
+            <g key={i}>
+              <title>{`${s.t}s · ${s.throughput} req/s · ${(s.errorRate * 100).toFixed(1)}% errors · p50 ${s.p50 ?? '-'} / p90 ${s.p90 ?? '-'} / p99 ${s.p99 ?? '-'} ms`}</title>
+              <rect x={left} y={top} width={barW(i)} height={height} fill="#c7d2fe" />
+              {s.errorRate > 0 && <rect x={left} y={top} width={barW(i)} height={height * s.errorRate} fill="#fca5a5" />}
+            </g>
+          );
+        })}
+
+        {LINES.map(({ key, color }) => (
+          <polyline
+            key={key}
+            fill="none"
+            stroke={color}
+            strokeWidth="1.5"
+            points={samples.filter(s => s[key] !== null).map(s => `${x(s.t)},${yLatency(s[key])}`).join(' ')}
+          />
+        ))}
+
+        <g fontSize="10" fill="var(--text-muted)">
+          <text x={PAD.left} y={HEIGHT - 6}>0s</text>
+          <text x={WIDTH - PAD.right} y={HEIGHT - 6} textAnchor="end">{Math.round(maxT)}s</text>
+          <text x={4} y={PAD.top - 2}>ms</text>
+          <text x={WIDTH - 4} y={PAD.top - 2} textAnchor="end">req/s</text>
+        </g>
+      </svg>
+
+      <div style={{ display: 'flex', gap: '1rem', fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+        {LINES.map(({ key, color }) => (
+          <span key={key}><span style={{ display: 'inline-block', width: '12px', height: '2px', background: color, verticalAlign: 'middle', marginRight: '4px' }} />{key}</span>
+        ))}
+        <span><span style={{ display: 'inline-block', width: '10px', height: '10px', background: '#c7d2fe', verticalAlign: 'middle', marginRight: '4px' }} />throughput</span>
+        <span><span style={{ display: 'inline-block', width: '10px', height: '10px', background: '#fca5a5', verticalAlign: 'middle', marginRight: '4px' }} />errors</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { Gauge, Play, Square } from 'lucide-react';
+import LoadChart from './LoadChart';
+
+const small = { fontSize: '0.8rem', padding: '0.35rem 0.5rem' };
+const field = { display: 'flex', alignItems: 'center', gap: '0.35rem', fontSize: '0.8rem', color: 'var(--text-muted)' };
+const cell = { padding: '0.3rem 0.5rem', textAlign: 'right' };
+
+const ms = (value) => (value === null || value === undefined ? '-' : `${Math.round(value)}ms`);
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+/**
+ * Replays the cases of the chosen categories (valid ones by default: they
+ * make a realistic traffic mix) at a request rate or with virtual users,
+ * against the same target / environment as a normal run.
+ */
+export default function LoadTestPanel({ tests, loadTest, onStart, onStop, canStart, disabled }) {
+  const available = [...new Set(tests.map(t => t.category))];
+  const [options, setOptions] = useState({ mode: 'rate', rate: 10, vus: 10, thinkTimeMs: 0, rampUpSec: 5, durationSec: 30 });
+  const [categories, setCategories] = useState(() => (available.includes('valid') ? ['valid'] : available));
+  const [open, setOpen] = useState(false);
+
+  const running = ['starting', 'running', 'cancelling'].includes(loadTest?.status);
+  const selected = categories.filter(c => available.includes(c));
+  const caseCount = tests.filter(t => selected.includes(t.category)).length;
+
+  const update = (key) => (e) => setOptions(prev => ({ ...prev, [key]: e.target.value === '' ? '' : Number(e.target.value) }));
+  const toggle = (category) => setCategories(prev => (prev.includes(category) ? prev.filter(c => c !== category) : [...prev, category]));
+
+  const start = () => {
+    const { mode, rate, vus, thinkTimeMs, rampUpSec, durationSec } = options;
+    onStart({
+      mode,
+      ...(mode === 'rate' ? { rate } : { vus, thinkTimeMs }),
+      rampUpSec: Math.min(rampUpSec || 0, durationSec),
+      durationSec,
+      categories: selected
+    });
+  };
+
+  const report = loadTest?.report;
+  const totals = report?.totals;
+
+  return (
+    <div style={{ marginTop: '1rem', padding: '0.75rem', border: '1px solid var(--border)', borderRadius: '6px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <button style={{ ...field, fontWeight: 600, background: 'none', border: 'none', cursor: 'pointer', padding: 0 }} onClick={() => setOpen(o => !o)}>
+          <Gauge size={14} /> Load test {open ? '▾' : '▸'}
+        </button>
+        {running && (
+          <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+            {loadTest.status === 'cancelling' ? 'Stopping...' : `Running · ${loadTest.samples.length ? loadTest.samples[loadTest.samples.length - 1].t : 0}s`}
+          </span>
+        )}
+      </div>
+
+      {(open || running) && (
+        <>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', marginTop: '0.75rem' }}>
+            <select className="select" style={{ ...small, width: '140px' }} value={options.mode} disabled={running}
+              onChange={e => setOptions(prev => ({ ...prev, mode: e.target.value }))}>
+              <option value="rate">Request rate</option>
+              <option value="vus">Virtual users</option>
+            </select>
+            {options.mode === 'rate' ? (
+              <label style={field}>
+                req/s
+                <input type="number" min="0.1" max="1000" step="any" className="input" style={{ ...small, width: '70px' }} disabled={running}
+                  value={options.rate} onChange={update('rate')} />
+              </label>
+            ) : (
+              <>
+                <label style={field}>
+                  VUs
+                  <input type="number" min="1" max="200" className="input" style={{ ...small, width: '60px' }} disabled={running}
+                    value={options.vus} onChange={update('vus')} />
+                </label>
+                <label style={field} title="Pause between one virtual user's requests">
+                  Think (ms)
+                  <input type="number" min="0" className="input" style={{ ...small, width: '70px' }} disabled={running}
+                    value={options.thinkTimeMs} onChange={update('thinkTimeMs')} />
+                </label>
+              </>
+            )}
+            <label style={field}>
+              Ramp-up (s)
+              <input type="number" min="0" className="input" style={{ ...small, width: '60px' }} disabled={running}
+                value={options.rampUpSec} onChange={update('rampUpSec')} />
+            </label>
+            <label style={field}>
+              Duration (s)
+              <input type="number" min="1" max="3600" className="input" style={{ ...small, width: '70px' }} disabled={running}
+                value={options.durationSec} onChange={update('durationSec')} />
+            </label>
+          </div>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', marginTop: '0.5rem' }}>
+            <span style={field}>Replay:</span>
+            {available.map(category => (
+              <label key={category} style={field}>
+                <input type="checkbox" disabled={running} checked={selected.includes(category)} onChange={() => toggle(category)} />
+                <span className={`badge badge-${category}`}>{category}</span>
+              </label>
+            ))}
+            <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>{caseCount} {caseCount === 1 ? 'case' : 'cases'}, in order</span>
+            <div style={{ marginLeft: 'auto' }}>
+              {running ? (
+                <button className="btn" style={{ ...small, background: '#fee2e2', color: '#991b1b' }} onClick={onStop} disabled={loadTest.status !== 'running'}>
+                  <Square size={12} /> Stop
+                </button>
+              ) : (
+                <button className="btn btn-primary" style={small} onClick={start}
+                  disabled={disabled || !canStart || !caseCount || !options.durationSec || !(options.mode === 'rate' ? options.rate : options.vus)}>
+                  <Play size={12} /> Start load test
+                </button>
+              )}
+            </div>
+          </div>
+
+          {loadTest?.error && <div style={{ color: 'var(--error)', fontSize: '0.8rem', marginTop: '0.5rem' }}>{loadTest.error}</div>}
+
+          {loadTest && loadTest.status !== 'failed' && (
+            <div style={{ marginTop: '0.75rem' }}>
+              <LoadChart samples={loadTest.samples} durationSec={report?.config.durationSec ?? options.durationSec} />
+            </div>
+          )}
+
+          {totals && (
+            <div style={{ marginTop: '0.75rem', fontSize: '0.8rem' }}>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+                <span><strong>{totals.requests}</strong> requests{report.cancelled ? ` (stopped at ${report.elapsedSec}s)` : ''}</span>
+                <span><strong>{totals.throughput}</strong> req/s</span>
+                <span style={{ color: totals.errorRate > 0 ? 'var(--error)' : undefined }}><strong>{percent(totals.errorRate)}</strong> errors</span>
+                <span>p50 <strong>{ms(totals.latency.p50)}</strong> · p90 <strong>{ms(totals.latency.p90)}</strong> · p99 <strong>{ms(totals.latency.p99)}</strong> · max {ms(totals.latency.max)}</span>
+                {totals.dropped > 0 && (
+                  <span style={{ color: 'var(--warning)' }} title="Arrivals skipped because too many requests were still open">{totals.dropped} dropped</span>
+                )}
+                <span style={{ color: 'var(--text-muted)' }}>
+                  Status codes: {Object.entries(report.statusCodes).map(([code, count]) => `${code} × ${count}`).join(', ') || '-'}
+                </span>
+              </div>
+
+              <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '0.5rem' }}>
+                <thead>
+                  <tr style={{ color: 'var(--text-muted)', borderBottom: '1px solid var(--border)' }}>
+                    <th style={{ ...cell, textAlign: 'left' }}>Case</th>
+                    <th style={cell}>Requests</th>
+                    <th style={cell}>Errors</th>
+                    <th style={cell}>Mean</th>
+                    <th style={cell}>p50</th>
+                    <th style={cell}>p90</th>
+                    <th style={cell}>p99</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.cases.map(c => (
+                    <tr key={c.id} style={{ borderBottom: '1px solid var(--border)' }}>
+                      <td style={{ ...cell, textAlign: 'left' }} title={c.description}><strong>{c.id}</strong></td>
+                      <td style={cell}>{c.requests}</td>
+                      <td style={{ ...cell, color: c.failures ? 'var(--error)' : undefined }}>{percent(c.errorRate)}</td>
+                      <td style={cell}>{ms(c.latency.mean)}</td>
+                      <td style={cell}>{ms(c.latency.p50)}</td>
+                      <td style={cell}>{ms(c.latency.p90)}</td>
+                      <td style={cell}>{ms(c.latency.p99)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,18 +1,82 @@
 import React from 'react'; 
-import { CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import { CheckCircle, XCircle, AlertTriangle, Download, Square } from 'lucide-react';
+import client from '../api/client';
 
-export default function ResultsView({ results, summary }) {
-  if (!summary) return null;
+const EXPORTS = [
+  { format: 'junit', label: 'JUnit XML' },
+  { format: 'html', label: 'HTML' },
+  { format: 'markdown', label: 'Markdown' }
+];
+
+export default function ResultsView({ results, summary, runId, progress, onCancel }) {
+  if (!summary && !progress) return null;
+
+  // While a run is still streaming, count what has arrived so far
+  const counts = summary || {
+    passed: results.filter(r => r.status.includes('PASSED')).length,
+    failed: results.filter(r => r.status.includes('FAILED')).length,
+    errors: results.filter(r => r.status.includes('ERROR')).length,
+    total: progress.total
+  };
+  const percent = progress?.total ? Math.round((progress.completed / progress.total) * 100) : 0;
 
   return (
     <div className="card" style={{ borderTop: '4px solid var(--primary)' }}>
-      <h3>📊 Execution Results</h3>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3>📊 Execution Results</h3>
+        {runId && (
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            {EXPORTS.map(({ format, label }) => (
+              <a
+                key={format}
+                className="btn"
+                style={{ padding: '0.4rem 0.75rem', fontSize: '0.8rem', background: '#f1f5f9', color: 'var(--text-main)', textDecoration: 'none' }}
+                href={`${client.defaults.baseURL}/reports/${runId}?format=${format}`}
+                title={`Download ${label} report`}
+              >
+                <Download size={14} /> {label}
+              </a>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {progress && (
+        <div style={{ marginBottom: '1.5rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.85rem', marginBottom: '0.4rem' }}>
+            <span>{progress.cancelling ? 'Cancelling...' : `Running ${progress.completed} / ${progress.total}`}</span>
+            <button
+              className="btn"
+              style={{ padding: '0.3rem 0.75rem', fontSize: '0.8rem', background: '#fee2e2', color: '#991b1b' }}
+              onClick={onCancel}
+              disabled={progress.cancelling}
+            >
+              <Square size={12} /> Cancel
+            </button>
+          </div>
+          <div style={{ height: '8px', background: '#e2e8f0', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{ width: `${percent}%`, height: '100%', background: 'var(--primary)', transition: 'width 0.2s ease' }} />
+          </div>
+        </div>
+      )}
+
+      {summary?.retried > 0 && (
+        <p style={{ fontSize: '0.85rem', color: 'var(--text-muted)' }}>
+          {summary.retried} {summary.retried === 1 ? 'case' : 'cases'} needed retries.
+        </p>
+      )}
+
+      {summary?.cancelled > 0 && (
+        <p style={{ fontSize: '0.85rem', color: 'var(--text-muted)' }}>
+          Run cancelled: {summary.cancelled} of {summary.total} cases did not complete.
+        </p>
+      )}
       
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '1rem', marginBottom: '2rem' }}>
-        <MetricBox label="Passed" value={summary.passed} color="var(--success)" />
-        <MetricBox label="Failed" value={summary.failed} color="var(--error)" />
-        <MetricBox label="Errors" value={summary.errors} color="var(--warning)" />
-        <MetricBox label="Total" value={summary.total} color="var(--primary)" />
+        <MetricBox label="Passed" value={counts.passed} color="var(--success)" />
+        <MetricBox label="Failed" value={counts.failed} color="var(--error)" />
+        <MetricBox label="Errors" value={counts.errors} color="var(--warning)" />
+        <MetricBox label="Total" value={counts.total} color="var(--primary)" />
       </div>
 
       <div style={{ maxHeight: '500px', overflowY: 'auto' }}>
@@ -21,7 +85,7 @@ export default function ResultsView({ results, summary }) {
             padding: '1rem', 
             marginBottom: '0.5rem', 
             borderRadius: '6px',
-            borderLeft: `4px solid ${r.status.includes('PASSED') ? 'var(--success)' : 'var(--error)'}`,
+            borderLeft: `4px solid ${r.status.includes('PASSED') ? 'var(--success)' : r.status.includes('CANCELLED') ? 'var(--text-muted)' : 'var(--error)'}`,
             background: '#f8fafc'
           }}>
             <div style={{ display: 'flex', justifyContent: 'space-between' }}>
@@ -29,14 +93,9 @@ export default function ResultsView({ results, summary }) {
               <span style={{ fontSize: '0.8rem', color: '#64748b' }}>{r.duration}</span>
             </div>
             <p style={{ margin: '0.5rem 0', fontSize: '0.9rem' }}>{r.description}</p>
-            {r.error && <div style={{ color: 'var(--error)', fontSize: '0.85rem' }}>Error: {r.error}</div>}
-            
-            {/* Show details if failed */}
-            {!r.status.includes('PASSED') && !r.error && (
-               <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', background: '#fff', padding: '0.5rem' }}>
-                 Got Status: <strong>{r.actual?.status}</strong> (Expected: {r.expected?.status})
-               </div>
-            )}
+            {r.type === 'flow' && r.steps
+              ? r.steps.map(step => <FlowStep key={step.id} step={step} />)
+              : <ResultDetails r={r} />}
           </div>
         ))}
       </div>
@@ -44,6 +103,74 @@ export default function ResultsView({ results, summary }) {
   );
 }
 
+const ResultDetails = ({ r }) => (
+  <>
+    {r.error && <div style={{ color: 'var(--error)', fontSize: '0.85rem' }}>Error: {r.error}</div>}
+    
+    {/* Show details if failed */}
+    {r.actual && !r.status.includes('PASSED') && (
+       <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', background: '#fff', padding: '0.5rem' }}>
+         Got Status: <strong>{r.actual?.status}</strong> (Expected: {r.expected?.status})
+       </div>
+    )}
+
+    {r.assertions?.length > 0 && <AssertionList assertions={r.assertions} />}
+    {r.headerAssertions?.length > 0 && (
+      <AssertionList assertions={r.headerAssertions.map(h => ({ ...h, path: h.header, op: h.rule }))} />
+    )}
+    {r.latency && !r.latency.passed && (
+      <div style={{ marginTop: '0.25rem', fontSize: '0.8rem', color: 'var(--error)' }}>
+        Latency: {r.latency.message}
+      </div>
+    )}
+    {r.extractErrors?.map((msg, i) => (
+      <div key={i} style={{ fontSize: '0.8rem', color: 'var(--error)' }}>Extract: {msg}</div>
+    ))}
+    {r.attempts?.length > 1 && (
+      <div style={{ fontSize: '0.8rem', color: 'var(--warning)' }} title={r.attempts.map(a => a.retryReason ? `${a.retryReason}, retried after ${a.retryInMs}ms` : a.note || '').filter(Boolean).join('\n')}>
+        {r.attempts.length} attempts: {r.attempts.map(a => a.status ?? a.error).join(' → ')}
+      </div>
+    )}
+    {r.attempts?.find(a => a.note) && (
+      <div style={{ fontSize: '0.8rem', color: 'var(--warning)' }}>{r.attempts.find(a => a.note).note}</div>
+    )}
+    {r.unresolvedVariables?.length > 0 && (
+      <div style={{ fontSize: '0.8rem', color: 'var(--warning)' }}>
+        Unresolved variables: {r.unresolvedVariables.join(', ')}
+      </div>
+    )}
+  </>
+);
+
+const FlowStep = ({ step }) => (
+  <div style={{ margin: '0.5rem 0 0 1rem', paddingLeft: '0.75rem', borderLeft: '2px solid var(--border)' }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem' }}>
+      <span><strong>{step.id}</strong> - {step.status}{step.description ? ` · ${step.description}` : ''}</span>
+      {step.duration && <span style={{ fontSize: '0.8rem', color: '#64748b' }}>{step.duration}</span>}
+    </div>
+    {step.extracted && Object.keys(step.extracted).length > 0 && (
+      <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+        Extracted: {Object.entries(step.extracted).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(', ')}
+      </div>
+    )}
+    {step.status && !step.status.includes('SKIPPED') && <ResultDetails r={step} />}
+  </div>
+);
+
+const AssertionList = ({ assertions }) => (
+  <ul style={{ listStyle: 'none', margin: '0.5rem 0 0', padding: 0, fontSize: '0.8rem' }}>
+    {assertions.map((a, i) => (
+      <li key={i} style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start', padding: '0.2rem 0' }}>
+        {a.passed
+          ? <CheckCircle size={14} color="var(--success)" style={{ flexShrink: 0 }} />
+          : <XCircle size={14} color="var(--error)" style={{ flexShrink: 0 }} />}
+        <code>{a.path} {a.op}</code>
+        {!a.passed && <span style={{ color: 'var(--error)' }}>{a.message}</span>}
+      </li>
+    ))}
+  </ul>
+);
+
 const MetricBox = ({ label, value, color }) => (
   <div style={{ textAlign: 'center', padding: '1rem', background: '#f1f5f9', borderRadius: '8px' }}>
     <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color }}>{value}</div>
@@ -0,0 +1,75 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+const SECTIONS = [
+  { key: 'newlyFailing', label: 'Newly Failing', color: 'var(--error)', render: (t) => `${t.before} → ${t.after}` },
+  { key: 'newlyPassing', label: 'Newly Passing', color: 'var(--success)', render: (t) => `${t.before} → ${t.after}` },
+  { key: 'statusChanged', label: 'Status Code Changed', color: 'var(--warning)', render: (t) => `${t.before} → ${t.after}` },
+  {
+    key: 'shapeChanged',
+    label: 'Response Shape Changed',
+    color: 'var(--warning)',
+    render: (t) => t.changes.map(c => `${c.change === 'added' ? '+' : c.change === 'removed' ? '−' : '~'} ${c.path}`).join(', ')
+  },
+  { key: 'slower', label: 'Slower', color: 'var(--warning)', render: (t) => `${t.beforeMs}ms → ${t.afterMs}ms (×${t.ratio})` },
+  { key: 'added', label: 'Added', color: 'var(--primary)', render: (t) => t.outcome },
+  { key: 'removed', label: 'Removed', color: 'var(--text-muted)', render: (t) => t.outcome }
+];
+
+export default function RunComparison({ comparison, onClose }) {
+  if (!comparison) return null;
+  const { diff, flaky, runsConsidered } = comparison;
+  const changed = SECTIONS.filter(s => diff[s.key]?.length > 0);
+
+  return (
+    <div className="card" style={{ borderTop: '4px solid var(--warning)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0 }}>🔀 Run Comparison</h3>
+        <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer' }} title="Close">
+          <X size={18} />
+        </button>
+      </div>
+      <p style={{ fontSize: '0.85rem', color: 'var(--text-muted)' }}>
+        {new Date(diff.base.createdAt).toLocaleString()} → {new Date(diff.head.createdAt).toLocaleString()}
+        {' · '}{diff.unchanged} unchanged
+      </p>
+
+      {changed.length === 0 && <p style={{ fontSize: '0.9rem' }}>No differences between these runs.</p>}
+
+      {changed.map(section => (
+        <div key={section.key} style={{ marginBottom: '1rem' }}>
+          <div style={{ fontWeight: 600, fontSize: '0.9rem', color: section.color }}>
+            {section.label} ({diff[section.key].length})
+          </div>
+          {diff[section.key].map(t => (
+            <div key={t.id} style={{ fontSize: '0.8rem', padding: '0.25rem 0 0.25rem 0.75rem', borderLeft: `2px solid ${section.color}` }}>
+              <strong>{t.id}</strong>{t.description ? ` - ${t.description}` : ''}
+              <div style={{ color: 'var(--text-muted)' }}>{section.render(t)}</div>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div style={{ fontWeight: 600, fontSize: '0.9rem', marginTop: '1rem' }}>
+        Flaky Tests (last {runsConsidered} runs)
+      </div>
+      {flaky.length === 0 ? (
+        <p style={{ fontSize: '0.85rem', color: 'var(--text-muted)' }}>No flaky tests detected.</p>
+      ) : flaky.map(t => (
+        <div key={t.id} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', fontSize: '0.8rem', padding: '0.25rem 0' }}>
+          <strong style={{ minWidth: '80px' }}>{t.id}</strong>
+          <span style={{ display: 'flex', gap: '2px' }}>
+            {t.outcomes.map((o, i) => (
+              <span
+                key={i}
+                title={o.outcome}
+                style={{ width: '10px', height: '10px', borderRadius: '2px', background: o.outcome === 'passed' ? 'var(--success)' : 'var(--error)' }}
+              />
+            ))}
+          </span>
+          <span style={{ color: 'var(--text-muted)' }}>{t.flips} flips · {Math.round(t.passRate * 100)}% pass rate</span>
+        </div>
+      ))}
+    </div>
+  );
+}
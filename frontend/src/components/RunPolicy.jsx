@@ -0,0 +1,64 @@
+import React from 'react';
+import { RotateCcw } from 'lucide-react';
+
+const small = { fontSize: '0.8rem', padding: '0.35rem 0.5rem' };
+const field = { display: 'flex', alignItems: 'center', gap: '0.35rem', fontSize: '0.8rem', color: 'var(--text-muted)' };
+
+// Backend defaults (utils/retryPolicy.js), shown as placeholders
+const DEFAULTS = { timeoutMs: 10000, retries: 0, delayMs: 500 };
+
+/**
+ * Suite-wide timeout / retry policy. Empty inputs fall back to the backend
+ * defaults; a case's own timeout / retries (test case editor) win over these.
+ */
+export default function RunPolicy({ policy, onChange, disabled }) {
+  const current = policy || {};
+
+  const update = (changes) => {
+    const next = { ...current, ...changes, backoff: { ...current.backoff, ...changes.backoff } };
+    for (const key of Object.keys(next)) if (next[key] === undefined) delete next[key];
+    for (const key of Object.keys(next.backoff)) if (next.backoff[key] === undefined) delete next.backoff[key];
+    if (!Object.keys(next.backoff).length) delete next.backoff;
+    onChange(Object.keys(next).length ? next : null);
+  };
+
+  // the backend rejects a 0 ms timeout, so timeouts start at 1
+  const number = (value, min = 0) => (value === '' ? undefined : Math.max(min, Number(value)));
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem' }}>
+      <span style={{ ...field, fontWeight: 600 }}><RotateCcw size={14} /> Run policy</span>
+      <label style={field}>
+        Timeout (ms)
+        <input type="number" min="1" className="input" style={{ ...small, width: '90px' }} disabled={disabled}
+          value={current.timeoutMs ?? ''} placeholder={DEFAULTS.timeoutMs}
+          onChange={e => update({ timeoutMs: number(e.target.value, 1) })} />
+      </label>
+      <label style={field}>
+        Retries
+        <input type="number" min="0" max="10" className="input" style={{ ...small, width: '60px' }} disabled={disabled}
+          value={current.retries ?? ''} placeholder={DEFAULTS.retries}
+          onChange={e => update({ retries: number(e.target.value) })} />
+      </label>
+      <label style={field}>
+        Backoff
+        <select className="select" style={{ ...small, width: '120px' }} disabled={disabled}
+          value={current.backoff?.strategy ?? ''}
+          onChange={e => update({ backoff: { strategy: e.target.value || undefined } })}>
+          <option value="">exponential</option>
+          <option value="linear">linear</option>
+          <option value="fixed">fixed</option>
+        </select>
+        <input type="number" min="0" className="input" style={{ ...small, width: '80px' }} disabled={disabled}
+          value={current.backoff?.delayMs ?? ''} placeholder={DEFAULTS.delayMs} title="Base delay (ms)"
+          onChange={e => update({ backoff: { delayMs: number(e.target.value) } })} />
+      </label>
+      <label style={field} title="Wait as long as the server's Retry-After header asks before retrying">
+        <input type="checkbox" disabled={disabled}
+          checked={current.respectRetryAfter !== false}
+          onChange={e => update({ respectRetryAfter: e.target.checked ? undefined : false })} />
+        Honor Retry-After
+      </label>
+    </div>
+  );
+}
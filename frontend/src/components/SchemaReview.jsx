@@ -0,0 +1,246 @@
+import React, { useEffect, useState } from 'react';
+import { FileJson, X, RefreshCw, ChevronDown, ChevronRight, Square } from 'lucide-react';
+
+const small = { fontSize: '0.8rem', padding: '0.35rem 0.5rem' };
+const toggle = { display: 'flex', alignItems: 'center', gap: '0.25rem', fontSize: '0.75rem', color: 'var(--text-muted)', whiteSpace: 'nowrap' };
+
+// `at` is a key path into the schema, e.g. ['properties', 'items', 'items', 'properties', 'id']
+const nodeAt = (schema, at) => at.reduce((node, key) => node?.[key], schema);
+
+const updateAt = (schema, at, update) => {
+  const copy = structuredClone(schema);
+  if (!at.length) return update(copy);
+  const parent = nodeAt(copy, at.slice(0, -1));
+  parent[at[at.length - 1]] = update(parent[at[at.length - 1]]);
+  return copy;
+};
+
+const typeLabel = (node) => (node.anyOf ? 'any of' : [].concat(node.type || 'any').join(' | '));
+
+/**
+ * One row per schema node, depth first: the body itself, object properties
+ * and array elements. `parentAt` / `key` locate a property in its object
+ * (for the required toggle).
+ */
+const fieldRows = (node, at = [], label = 'body', parentAt = null, key = null, depth = 0) => {
+  if (!node || typeof node !== 'object') return [];
+  const rows = [{ at, label, parentAt, key, depth }];
+  for (const [name, child] of Object.entries(node.properties || {})) {
+    rows.push(...fieldRows(child, [...at, 'properties', name], name, at, name, depth + 1));
+  }
+  if (node.items) rows.push(...fieldRows(node.items, [...at, 'items'], 'each item', null, null, depth + 1));
+  (node.anyOf || []).forEach((variant, i) => rows.push(...fieldRows(variant, [...at, 'anyOf', i], `variant ${i + 1}`, null, null, depth + 1)));
+  return rows;
+};
+
+const draftsFor = (proposals) => Object.fromEntries(proposals
+  .filter(p => p.schema)
+  .map(p => [p.id, { schema: p.schema, original: p.schema, include: true, text: null, error: null, open: false }]));
+
+/**
+ * Review of learned response schemas before they go into the test cases:
+ * each field can be made optional or nullable, lose its format, or (strict
+ * mode) accept extra keys; the JSON can also be edited directly.
+ */
+export default function SchemaReview({ review, onRelearn, onStop, onApply, onClose }) {
+  const [drafts, setDrafts] = useState({});
+  const [options, setOptions] = useState({ runs: 1, strict: false });
+
+  useEffect(() => {
+    setDrafts(draftsFor(review?.proposals || []));
+    if (review?.options) setOptions(review.options);
+  }, [review?.proposals]);
+
+  if (!review) return null;
+
+  const learning = review.status === 'learning';
+  const learned = (review.proposals || []).filter(p => p.schema);
+  const skipped = (review.proposals || []).filter(p => p.skipped);
+  const accepted = learned.filter(p => drafts[p.id]?.include && !drafts[p.id]?.error);
+
+  const setDraft = (id, update) => setDrafts(prev => ({ ...prev, [id]: { ...prev[id], ...update(prev[id]) } }));
+  const editSchema = (id, at, update) => setDraft(id, d => ({ schema: updateAt(d.schema, at, update), text: null }));
+
+  const toggleRequired = (id, parentAt, key) => editSchema(id, parentAt, node => {
+    const required = node.required || [];
+    const next = required.includes(key) ? required.filter(k => k !== key) : [...required, key];
+    const rest = { ...node };
+    delete rest.required;
+    return next.length ? { ...rest, required: next } : rest;
+  });
+
+  const toggleNullable = (id, at) => editSchema(id, at, node => {
+    const types = [].concat(node.type);
+    const next = types.includes('null') ? types.filter(t => t !== 'null') : [...types, 'null'];
+    return { ...node, type: next.length === 1 ? next[0] : next };
+  });
+
+  // unchecking drops the format; checking restores the learned one
+  const toggleFormat = (id, at, learnedFormat) => editSchema(id, at, node => {
+    const { format, ...rest } = node;
+    return format ? rest : { ...rest, format: learnedFormat };
+  });
+
+  const toggleClosed = (id, at) => editSchema(id, at, node => {
+    const { additionalProperties, ...rest } = node;
+    return additionalProperties === false ? rest : { ...rest, additionalProperties: false };
+  });
+
+  const editText = (id, text) => {
+    try {
+      setDraft(id, () => ({ text, schema: JSON.parse(text), error: null }));
+    } catch {
+      setDraft(id, () => ({ text, error: 'Invalid JSON' }));
+    }
+  };
+
+  const apply = () => onApply(Object.fromEntries(accepted.map(p => [p.id, drafts[p.id].schema])));
+
+  return (
+    <div style={{ margin: '0 0 1rem', padding: '0.75rem', border: '1px solid var(--border)', borderRadius: '6px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap' }}>
+        <strong style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.9rem' }}>
+          <FileJson size={16} /> Learned response schemas
+          {review.summary && (
+            <span style={{ fontWeight: 'normal', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+              {review.summary.learned} of {review.summary.cases} cases · {review.summary.runs} {review.summary.runs === 1 ? 'run' : 'runs'} each
+            </span>
+          )}
+        </strong>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+          <label style={toggle} title="Responses per case: keys missing from any of them become optional">
+            Runs
+            <input type="number" min="1" max="10" className="input" style={{ ...small, width: '55px' }} disabled={learning}
+              value={options.runs} onChange={e => setOptions(prev => ({ ...prev, runs: Math.min(Math.max(parseInt(e.target.value) || 1, 1), 10) }))} />
+          </label>
+          <label style={toggle} title="Fail on keys the learned responses did not have">
+            <input type="checkbox" disabled={learning} checked={options.strict} onChange={e => setOptions(prev => ({ ...prev, strict: e.target.checked }))} />
+            No extra keys
+          </label>
+          <button className="btn" style={{ ...small, background: '#f1f5f9' }} disabled={learning} onClick={() => onRelearn(options)}>
+            <RefreshCw size={12} /> Re-learn
+          </button>
+          <button style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-muted)' }} onClick={onClose} title="Discard">
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      {learning && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '0.75rem' }}>
+          Running the valid cases...{review.progress && ` ${review.progress.completed} / ${review.progress.total}`}
+          <button className="btn" style={{ ...small, background: '#f1f5f9' }} disabled={!review.jobId || review.cancelling} onClick={onStop}>
+            <Square size={12} /> {review.cancelling ? 'Stopping...' : 'Stop'}
+          </button>
+        </div>
+      )}
+      {review.error && <div style={{ color: 'var(--error)', fontSize: '0.8rem', marginTop: '0.75rem' }}>{review.error}</div>}
+
+      {!learning && learned.length > 0 && (
+        <div style={{ display: 'grid', gap: '0.5rem', marginTop: '0.75rem' }}>
+          {learned.map(p => {
+            const draft = drafts[p.id];
+            if (!draft) return null;
+            return (
+              <div key={p.id} style={{ background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: '6px', fontSize: '0.8rem' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.5rem 0.75rem' }}>
+                  <input type="checkbox" checked={draft.include} onChange={e => setDraft(p.id, () => ({ include: e.target.checked }))} title="Apply this schema" />
+                  <button style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', background: 'none', border: 'none', cursor: 'pointer', padding: 0, flex: 1, textAlign: 'left' }}
+                    onClick={() => setDraft(p.id, d => ({ open: !d.open }))}>
+                    {draft.open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                    <strong>{p.id}</strong>
+                    <span>{p.description}</span>
+                  </button>
+                  <span style={{ color: 'var(--text-muted)' }}>
+                    {p.status} · {p.samples} {p.samples === 1 ? 'response' : 'responses'}{p.previous ? ' · replaces current schema' : ''}
+                  </span>
+                </div>
+
+                {draft.open && (
+                  <div style={{ padding: '0 0.75rem 0.75rem 2.4rem' }}>
+                    {draft.text === null ? (
+                      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                        <tbody>
+                          {fieldRows(draft.schema).map(row => {
+                            const node = nodeAt(draft.schema, row.at);
+                            const learnedFormat = nodeAt(draft.original, row.at)?.format;
+                            const parent = row.parentAt && nodeAt(draft.schema, row.parentAt);
+                            return (
+                              <tr key={row.at.join('.')} style={{ borderTop: '1px solid #e2e8f0' }}>
+                                <td style={{ padding: '0.25rem 0', paddingLeft: `${row.depth * 1}rem` }}><code>{row.label}</code></td>
+                                <td style={{ color: 'var(--text-muted)' }}>{typeLabel(node)}</td>
+                                <td>
+                                  {parent && (
+                                    <label style={toggle}>
+                                      <input type="checkbox" checked={(parent.required || []).includes(row.key)} onChange={() => toggleRequired(p.id, row.parentAt, row.key)} />
+                                      required
+                                    </label>
+                                  )}
+                                </td>
+                                <td>
+                                  {node.type && node.type !== 'null' && (
+                                    <label style={toggle}>
+                                      <input type="checkbox" checked={[].concat(node.type).includes('null')} onChange={() => toggleNullable(p.id, row.at)} />
+                                      null allowed
+                                    </label>
+                                  )}
+                                </td>
+                                <td>
+                                  {learnedFormat && (
+                                    <label style={toggle}>
+                                      <input type="checkbox" checked={Boolean(node.format)} onChange={() => toggleFormat(p.id, row.at, learnedFormat)} />
+                                      format: {learnedFormat}
+                                    </label>
+                                  )}
+                                  {node.properties && (
+                                    <label style={toggle}>
+                                      <input type="checkbox" checked={node.additionalProperties === false} onChange={() => toggleClosed(p.id, row.at)} />
+                                      no extra keys
+                                    </label>
+                                  )}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <textarea className="textarea" rows={12} style={{ fontFamily: 'monospace', fontSize: '0.75rem' }}
+                        value={draft.text} onChange={e => editText(p.id, e.target.value)} />
+                    )}
+                    <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', marginTop: '0.4rem' }}>
+                      <button className="btn" style={{ ...small, background: '#f1f5f9' }}
+                        disabled={Boolean(draft.error)}
+                        onClick={() => setDraft(p.id, d => ({ text: d.text === null ? JSON.stringify(d.schema, null, 2) : null }))}>
+                        {draft.text === null ? 'Edit JSON' : 'Back to fields'}
+                      </button>
+                      <button className="btn" style={{ ...small, background: '#f1f5f9' }} onClick={() => setDraft(p.id, d => ({ schema: d.original, text: null, error: null }))}>
+                        Reset
+                      </button>
+                      {draft.error && <span style={{ color: 'var(--error)' }}>{draft.error}</span>}
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {!learning && skipped.length > 0 && (
+        <ul style={{ margin: '0.75rem 0 0', paddingLeft: '1.2rem', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          {skipped.map(p => <li key={p.id}><strong>{p.id}</strong> not learned: {p.skipped}</li>)}
+        </ul>
+      )}
+
+      {!learning && learned.length > 0 && (
+        <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.75rem', marginTop: '0.75rem' }}>
+          <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Applied schemas are saved with the suite; runs then fail when a response drifts from them</span>
+          <button className="btn btn-primary" style={small} disabled={!accepted.length} onClick={apply}>
+            Apply {accepted.length} {accepted.length === 1 ? 'schema' : 'schemas'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,30 +1,78 @@
 import React, { useState } from 'react';
-import { Play } from 'lucide-react';
+import { Play, Upload, FileInput, Bug } from 'lucide-react';
+import ImportDialog from './ImportDialog';
 
-export default function SpecForm({ onGenerate, isLoading }) {
+const CATEGORIES = ['valid', 'invalid', 'boundary', 'security'];
+
+export default function SpecForm({ onGenerate, onFuzz, onImportOpenApi, onImportRequests, onLoadImported, isLoading }) {
   const [formData, setFormData] = useState({
     method: 'POST',
     endpoint: '/users',
     headers: '{\n  "Content-Type": "application/json"\n}',
     body: '{\n  "name": "John Doe",\n  "email": "john@example.com"\n}',
+    schema: '',
     expectedStatus: 201
   });
+  // Blank category counts share whatever remains of the total
+  const [mix, setMix] = useState({ total: 12, valid: '', invalid: '', boundary: '', security: '' });
+  const [showImport, setShowImport] = useState(false);
+  const allFixed = CATEGORIES.every(c => mix[c] !== '');
+  const fixedSum = CATEGORIES.reduce((acc, c) => acc + (parseInt(mix[c]) || 0), 0);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const handleMixChange = (e) => {
+    setMix({ ...mix, [e.target.name]: e.target.value });
+  };
+
+  const buildGeneration = () => {
+    const categories = {};
+    CATEGORIES.forEach(c => {
+      if (mix[c] !== '') categories[c] = Math.max(parseInt(mix[c]) || 0, 0);
+    });
+    return {
+      ...(allFixed ? {} : { total: parseInt(mix.total) || 12 }),
+      ...(Object.keys(categories).length ? { categories } : {})
+    };
+  };
+
+  // Read the uploaded OpenAPI/Swagger file as text; the backend detects JSON vs YAML
+  const handleFileUpload = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => onImportOpenApi(String(reader.result || ''), buildGeneration());
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  // An imported request becomes the seed spec for generation
+  const useAsSpec = (testCase) => {
+    const { request, expected_response } = testCase;
+    setFormData({
+      method: request.method,
+      endpoint: request.endpoint,
+      headers: JSON.stringify(request.headers || {}, null, 2),
+      body: request.body === undefined ? '' : JSON.stringify(request.body, null, 2),
+      schema: '',
+      expectedStatus: [].concat(expected_response.status)[0]
+    });
+  };
+
+  // Pass raw strings to the hook. The hook handles JSON validation.
+  const buildSpec = () => ({
+    method: formData.method,
+    endpoint: formData.endpoint,
+    headers: formData.headers, 
+    body: formData.body,
+    expected_response: { status: parseInt(formData.expectedStatus) || 200 }
+  });
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    
-    // Pass raw strings to the hook. The hook handles JSON validation.
-    onGenerate({
-      method: formData.method,
-      endpoint: formData.endpoint,
-      headers: formData.headers, 
-      body: formData.body,
-      expected_response: { status: parseInt(formData.expectedStatus) || 200 }
-    });
+    onGenerate({ ...buildSpec(), schema: formData.schema, generation: buildGeneration() });
   };
 
   return (
@@ -35,7 +83,7 @@ export default function SpecForm({ onGenerate, isLoading }) {
         <div className="input-group">
           <label className="label">Method</label>
           <select name="method" className="select" value={formData.method} onChange={handleChange}>
-            {['GET', 'POST', 'PUT', 'DELETE', 'PATCH'].map(m => <option key={m}>{m}</option>)}
+            {['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'].map(m => <option key={m}>{m}</option>)}
           </select>
         </div>
         <div className="input-group">
@@ -56,6 +104,22 @@ export default function SpecForm({ onGenerate, isLoading }) {
         </div>
       )}
 
+      {['POST', 'PUT', 'PATCH'].includes(formData.method) && (
+        <div className="input-group">
+          <label className="label" title="minLength / maxLength, minimum / maximum, enum, format and required become exact boundary and negative cases">
+            Body JSON Schema (optional)
+          </label>
+          <textarea
+            name="schema"
+            className="textarea"
+            rows={3}
+            value={formData.schema}
+            onChange={handleChange}
+            placeholder='{ "type": "object", "required": ["name"], "properties": { "name": { "type": "string", "maxLength": 50 } } }'
+          />
+        </div>
+      )}
+
       <div className="input-group">
         <label className="label">Expected Status</label>
         <input 
@@ -68,9 +132,96 @@ export default function SpecForm({ onGenerate, isLoading }) {
         />
       </div>
 
+      <div className="input-group">
+        <label className="label">Test Mix</label>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '0.5rem' }}>
+          <div>
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Total</div>
+            <input
+              type="number"
+              name="total"
+              min={1}
+              max={100}
+              className="input"
+              value={allFixed ? fixedSum : mix.total}
+              disabled={allFixed}
+              onChange={handleMixChange}
+            />
+          </div>
+          {CATEGORIES.map(c => (
+            <div key={c}>
+              <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', textTransform: 'capitalize' }}>{c}</div>
+              <input
+                type="number"
+                name={c}
+                min={0}
+                max={50}
+                className="input"
+                placeholder="auto"
+                value={mix[c]}
+                onChange={handleMixChange}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
       <button type="submit" className="btn btn-primary" disabled={isLoading} style={{ width: '100%', justifyContent: 'center' }}>
         {isLoading ? 'Processing...' : <><Play size={18} /> Generate Test Cases</>}
       </button>
+
+      {onFuzz && (
+        <button
+          type="button"
+          className="btn"
+          style={{ width: '100%', justifyContent: 'center', marginTop: '0.75rem', background: '#f1f5f9' }}
+          disabled={isLoading || !formData.endpoint}
+          onClick={() => onFuzz(buildSpec())}
+          title="Throw SQLi, XSS, traversal, injection and malformed values at every field of this request"
+        >
+          <Bug size={18} /> Fuzz for Vulnerabilities
+        </button>
+      )}
+
+      {onImportOpenApi && (
+        <label 
+          className="btn" 
+          style={{ width: '100%', justifyContent: 'center', marginTop: '0.75rem', boxSizing: 'border-box', background: '#f1f5f9', cursor: isLoading ? 'not-allowed' : 'pointer' }}
+          title="Generate a suite for every operation in an OpenAPI 3 / Swagger 2 file"
+        >
+          <Upload size={18} /> Import OpenAPI / Swagger (JSON or YAML)
+          <input 
+            type="file" 
+            accept=".json,.yaml,.yml" 
+            style={{ display: 'none' }} 
+            disabled={isLoading} 
+            onChange={handleFileUpload} 
+          />
+        </label>
+      )}
+
+      {onImportRequests && (
+        <button
+          type="button"
+          className="btn"
+          style={{ width: '100%', justifyContent: 'center', marginTop: '0.75rem', background: '#f1f5f9' }}
+          disabled={isLoading}
+          onClick={() => setShowImport(true)}
+          title="Turn existing requests into test cases, or into a spec to generate from"
+        >
+          <FileInput size={18} /> Import cURL / HAR / Postman
+        </button>
+      )}
+
+      {showImport && (
+        <ImportDialog
+          onImport={onImportRequests}
+          onLoad={onLoadImported}
+          onUseAsSpec={useAsSpec}
+          onClose={() => setShowImport(false)}
+          isLoading={isLoading}
+        />
+      )}
     </form>
   );
 }
\ No newline at end of file
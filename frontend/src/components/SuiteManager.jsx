@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+import { Save, FolderOpen, Pencil, Trash2, History, GitCompare, Download } from 'lucide-react';
+import client from '../api/client';
+
+// Download routes under /suites/:id/export (see backend routes/export.routes.js)
+const EXPORTS = [
+  { path: 'postman', label: 'Postman' },
+  { path: 'k6', label: 'k6' },
+  { path: 'jest', label: 'Jest (axios)' },
+  { path: 'jest?client=supertest', label: 'Jest (supertest)' }
+];
+
+const iconBtn = {
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  color: 'var(--text-muted)',
+  padding: '0.25rem'
+};
+
+export default function SuiteManager({
+  suites,
+  runHistory,
+  currentSuiteId,
+  currentSuiteName,
+  activeRunId,
+  canSave,
+  isLoading,
+  onSave,
+  onLoad,
+  onRename,
+  onDelete,
+  onLoadRun,
+  onCompare
+}) {
+  const [name, setName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  // Keep the name box in sync with whichever suite is loaded
+  useEffect(() => {
+    setName(currentSuiteName || '');
+  }, [currentSuiteName]);
+
+  if (!canSave && suites.length === 0) return null;
+
+  const submitRename = (id) => {
+    if (editingName.trim()) onRename(id, editingName.trim());
+    setEditingId(null);
+  };
+
+  return (
+    <div className="card">
+      <h3 style={{ marginTop: 0 }}>💾 Saved Suites</h3>
+
+      {canSave && (
+        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+          <input
+            className="input"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Suite name"
+          />
+          <button
+            className="btn btn-primary"
+            onClick={() => onSave(name.trim())}
+            disabled={isLoading || !name.trim()}
+            style={{ whiteSpace: 'nowrap' }}
+          >
+            <Save size={16} /> {currentSuiteId ? 'Update Suite' : 'Save Suite'}
+          </button>
+        </div>
+      )}
+
+      {currentSuiteId && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+          <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>Export suite:</span>
+          {EXPORTS.map(({ path, label }) => (
+            <a
+              key={path}
+              className="btn"
+              style={{ padding: '0.4rem 0.75rem', fontSize: '0.8rem', background: '#f1f5f9', color: 'var(--text-main)', textDecoration: 'none' }}
+              href={`${client.defaults.baseURL}/suites/${currentSuiteId}/export/${path}`}
+              title={`Download as ${label}`}
+            >
+              <Download size={14} /> {label}
+            </a>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gap: '0.5rem' }}>
+        {suites.map(s => (
+          <div key={s.id} style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+            padding: '0.5rem 0.75rem',
+            background: s.id === currentSuiteId ? '#eef2ff' : '#f8fafc',
+            borderRadius: '6px',
+            border: '1px solid #e2e8f0'
+          }}>
+            <div style={{ flex: 1 }}>
+              {editingId === s.id ? (
+                <input
+                  className="input"
+                  autoFocus
+                  value={editingName}
+                  onChange={(e) => setEditingName(e.target.value)}
+                  onBlur={() => submitRename(s.id)}
+                  onKeyDown={(e) => e.key === 'Enter' && submitRename(s.id)}
+                />
+              ) : (
+                <>
+                  <strong style={{ fontSize: '0.9rem' }}>{s.name}</strong>
+                  <span style={{ marginLeft: '0.75rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                    {s.testCount} cases
+                    {s.lastRun && ` · last run ${s.lastRun.summary.passed}/${s.lastRun.summary.total} passed`}
+                  </span>
+                </>
+              )}
+            </div>
+            <button style={iconBtn} title="Load" onClick={() => onLoad(s.id)} disabled={isLoading}><FolderOpen size={16} /></button>
+            <button style={iconBtn} title="Rename" onClick={() => { setEditingId(s.id); setEditingName(s.name); }}><Pencil size={16} /></button>
+            <button
+              style={iconBtn}
+              title="Delete"
+              onClick={() => window.confirm(`Delete suite "${s.name}" and its run history?`) && onDelete(s.id)}
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {currentSuiteId && runHistory.length > 0 && (
+        <div style={{ marginTop: '1rem' }}>
+          <div className="label" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <History size={16} /> Run History
+          </div>
+          <div style={{ display: 'grid', gap: '0.25rem', maxHeight: '200px', overflowY: 'auto' }}>
+            {runHistory.map((run, i) => (
+              <div key={run.id} style={{ display: 'flex', gap: '0.25rem' }}>
+                <button
+                  onClick={() => onLoadRun(run.id)}
+                  style={{
+                    flex: 1,
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    padding: '0.4rem 0.75rem',
+                    fontSize: '0.8rem',
+                    borderRadius: '6px',
+                    cursor: 'pointer',
+                    border: '1px solid #e2e8f0',
+                    background: run.id === activeRunId ? '#eef2ff' : '#fff'
+                  }}
+                >
+                  <span>{new Date(run.createdAt).toLocaleString()}{run.environment ? ` · ${run.environment}` : ''}</span>
+                  <span>
+                    <span style={{ color: 'var(--success)' }}>{run.summary.passed} passed</span>
+                    {' · '}
+                    <span style={{ color: 'var(--error)' }}>{run.summary.failed + run.summary.errors} failed</span>
+                  </span>
+                </button>
+                {runHistory[i + 1] && (
+                  <button
+                    style={iconBtn}
+                    title="Compare with previous run"
+                    disabled={isLoading}
+                    onClick={() => onCompare(runHistory[i + 1].id, run.id)}
+                  >
+                    <GitCompare size={16} />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
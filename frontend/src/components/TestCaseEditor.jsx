@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { Check, X } from 'lucide-react';
+import { parseJsonInput } from '../utils/validators';
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+const CATEGORIES = ['valid', 'invalid', 'boundary', 'security'];
+const AUTH_MODES = [
+  { value: 'valid', label: 'Valid credentials' },
+  { value: 'invalid', label: 'Invalid credentials' },
+  { value: 'none', label: 'No auth' }
+];
+
+const toJsonText = (value) => (value === undefined || value === null ? '' : JSON.stringify(value, null, 2));
+
+// "200" -> 200, "200, 201" -> [200, 201]
+const parseStatus = (text) => {
+  const codes = text.split(',').map(s => s.trim()).filter(Boolean).map(Number);
+  if (!codes.length || codes.some(c => !Number.isInteger(c) || c < 100 || c > 599)) {
+    throw new Error('Expected status must be a status code (100-599) or a comma separated list of them.');
+  }
+  return codes.length === 1 ? codes[0] : codes;
+};
+
+const small = { fontSize: '0.8rem', padding: '0.5rem' };
+
+/**
+ * Inline editor for one test case. Request cases get individual fields;
+ * flows are edited as a whole JSON document. Fields the form doesn't show
+ * (assertions, tags, group, ...) are carried over untouched.
+ */
+export default function TestCaseEditor({ test, takenIds, authProfiles = [], onSave, onCancel }) {
+  const isFlow = test.type === 'flow';
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(() => ({
+    id: test.id,
+    category: test.category || 'valid',
+    description: test.description || '',
+    method: test.request?.method || 'GET',
+    endpoint: test.request?.endpoint || '',
+    headers: toJsonText(test.request?.headers || {}),
+    body: toJsonText(test.request?.body),
+    status: [].concat(test.expected_response?.status ?? 200).join(', '),
+    schema: toJsonText(test.expected_response?.schema),
+    authProfile: test.auth?.profile || '',
+    authMode: test.auth?.mode || 'valid',
+    timeoutMs: test.policy?.timeoutMs ?? '',
+    retries: test.policy?.retries ?? '',
+    flow: isFlow ? toJsonText(test) : ''
+  }));
+
+  const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  const handleSave = () => {
+    try {
+      const id = form.id.trim();
+      if (!id) throw new Error('Test case id is required.');
+      if (takenIds.has(id)) throw new Error(`Another test case already uses the id "${id}".`);
+
+      if (isFlow) {
+        const flow = parseJsonInput(form.flow, 'Flow');
+        if (!Array.isArray(flow.steps) || flow.steps.length === 0) throw new Error('A flow needs a non-empty "steps" array.');
+        onSave({ ...flow, id, type: 'flow' });
+        return;
+      }
+
+      if (!form.endpoint.trim()) throw new Error('Endpoint is required.');
+      const headers = parseJsonInput(form.headers, 'Headers');
+      const body = form.body.trim() ? parseJsonInput(form.body, 'Request Body') : undefined;
+      const schema = form.schema.trim() ? parseJsonInput(form.schema, 'Response Schema') : undefined;
+
+      const expected = { ...test.expected_response };
+      delete expected.schema;
+      const request = { ...test.request, method: form.method, endpoint: form.endpoint.trim(), headers };
+      if (body === undefined) delete request.body;
+      else request.body = body;
+
+      // suite default profile with valid credentials needs no auth entry
+      const updated = { ...test };
+      delete updated.auth;
+      if (form.authProfile || form.authMode !== 'valid') {
+        updated.auth = { ...(form.authProfile ? { profile: form.authProfile } : {}), mode: form.authMode };
+      }
+
+      // blank timeout / retries fall back to the run policy
+      const policy = { ...test.policy };
+      for (const key of ['timeoutMs', 'retries']) {
+        const value = String(form[key]).trim();
+        if (!value) delete policy[key];
+        else if (!Number.isInteger(Number(value)) || Number(value) < 0) throw new Error(`${key === 'retries' ? 'Retries' : 'Timeout'} must be a whole number.`);
+        else if (key === 'timeoutMs' && Number(value) < 1) throw new Error('Timeout must be at least 1 ms.');
+        else policy[key] = Number(value);
+      }
+      delete updated.policy;
+      if (Object.keys(policy).length) updated.policy = policy;
+
+      onSave({
+        ...updated,
+        id,
+        category: form.category,
+        description: form.description.trim(),
+        request,
+        expected_response: { ...expected, status: parseStatus(form.status), ...(schema ? { schema } : {}) }
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ padding: '0.75rem', background: '#fff', borderRadius: '6px', border: '1px solid var(--primary)' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 3fr', gap: '0.5rem', marginBottom: '0.5rem' }}>
+        <input name="id" className="input" style={small} value={form.id} onChange={handleChange} placeholder="Id" />
+        <select name="category" className="select" style={small} value={form.category} onChange={handleChange}>
+          {(CATEGORIES.includes(form.category) ? CATEGORIES : [...CATEGORIES, form.category]).map(c => <option key={c}>{c}</option>)}
+        </select>
+        <input name="description" className="input" style={small} value={form.description} onChange={handleChange} placeholder="Description" />
+      </div>
+
+      {isFlow ? (
+        <textarea name="flow" className="textarea" style={small} rows={14} value={form.flow} onChange={handleChange} />
+      ) : (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 4fr 1fr', gap: '0.5rem', marginBottom: '0.5rem' }}>
+            <select name="method" className="select" style={small} value={form.method} onChange={handleChange}>
+              {METHODS.map(m => <option key={m}>{m}</option>)}
+            </select>
+            <input name="endpoint" className="input" style={small} value={form.endpoint} onChange={handleChange} placeholder="/api/resource" />
+            <input name="status" className="input" style={small} value={form.status} onChange={handleChange} placeholder="200" title="Expected status (comma separated for several)" />
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr 2fr', gap: '0.5rem', marginBottom: '0.5rem' }}>
+            <select name="authProfile" className="select" style={small} value={form.authProfile} onChange={handleChange} title="Auth profile">
+              <option value="">Suite default auth</option>
+              {(authProfiles.includes(form.authProfile) || !form.authProfile ? authProfiles : [...authProfiles, form.authProfile]).map(p => <option key={p} value={p}>{p}</option>)}
+            </select>
+            <select name="authMode" className="select" style={small} value={form.authMode} onChange={handleChange} title="Credentials to send">
+              {AUTH_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+            <input name="timeoutMs" className="input" style={small} value={form.timeoutMs} onChange={handleChange} placeholder="Timeout (ms)" title="Timeout for this case (blank: run policy)" />
+            <input name="retries" className="input" style={small} value={form.retries} onChange={handleChange} placeholder="Retries" title="Retries for this case (blank: run policy)" />
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '0.5rem' }}>
+            <div>
+              <label className="label" style={{ fontSize: '0.75rem' }}>Headers (JSON)</label>
+              <textarea name="headers" className="textarea" style={small} rows={5} value={form.headers} onChange={handleChange} />
+            </div>
+            <div>
+              <label className="label" style={{ fontSize: '0.75rem' }}>Body (JSON, blank for none)</label>
+              <textarea name="body" className="textarea" style={small} rows={5} value={form.body} onChange={handleChange} />
+            </div>
+            <div>
+              <label className="label" style={{ fontSize: '0.75rem' }}>Response Schema (JSON, optional)</label>
+              <textarea name="schema" className="textarea" style={small} rows={5} value={form.schema} onChange={handleChange} />
+            </div>
+          </div>
+        </>
+      )}
+
+      {error && <div style={{ color: 'var(--error)', fontSize: '0.8rem', marginTop: '0.5rem' }}>{error}</div>}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '0.5rem' }}>
+        <button className="btn" style={{ ...small, background: '#f1f5f9' }} onClick={onCancel}><X size={14} /> Cancel</button>
+        <button className="btn btn-primary" style={small} onClick={handleSave}><Check size={14} /> Save</button>
+      </div>
+    </div>
+  );
+}
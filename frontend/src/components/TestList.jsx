@@ -1,6 +1,11 @@
-import React, { useState } from 'react'; 
-import { Shield, CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import React, { useEffect, useRef, useState } from 'react'; 
+import { Shield, CheckCircle, XCircle, AlertTriangle, Pencil, Copy, Trash2, ArrowUp, ArrowDown, Plus, FileJson } from 'lucide-react';
 import { isValidUrl } from '../utils/validators'; // ✅ IMPORTED
+import GenerationOutcome from './GenerationOutcome';
+import TestCaseEditor from './TestCaseEditor';
+import RunPolicy from './RunPolicy';
+import LoadTestPanel from './LoadTestPanel';
+import SchemaReview from './SchemaReview';
 
 const icons = {
   valid: <CheckCircle size={16} />,
@@ -9,8 +14,74 @@ const icons = {
   security: <Shield size={16} />
 };
 
-export default function TestList({ tests, onRun, isLoading }) {
+const iconBtn = {
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  color: 'var(--text-muted)',
+  padding: '0.25rem'
+};
+
+export default function TestList({
+  tests,
+  suite,
+  generation,
+  environments = [],
+  authProfiles = [],
+  policy,
+  onPolicyChange,
+  onRun,
+  loadTest,
+  onLoadTest,
+  onStopLoadTest,
+  schemaReview,
+  onLearnSchemas,
+  onStopLearning,
+  onApplySchemas,
+  onCloseSchemaReview,
+  onUpdate,
+  onAdd,
+  onDuplicate,
+  onRemove,
+  onMove,
+  isLoading
+}) {
   const [targetUrl, setTargetUrl] = useState('http://localhost:3000');
+  const [environment, setEnvironment] = useState('');
+  // by id, not position: the list can change under an open editor
+  const [editingId, setEditingId] = useState(null);
+  // the case "Add Test Case" just appended: cancelling its first edit removes it again
+  const [draftId, setDraftId] = useState(null);
+  const editing = editingId !== null;
+
+  const finishEditing = () => {
+    setEditingId(null);
+    setDraftId(null);
+  };
+
+  const cancelEditing = (index) => {
+    if (tests[index]?.id === draftId) onRemove(index);
+    finishEditing();
+  };
+
+  // Generate, Import (replace) and Load Suite swap in a new list: close the
+  // editor rather than leave it on whichever case now has the same id
+  const previousTests = useRef(tests);
+  useEffect(() => {
+    const before = previousTests.current;
+    previousTests.current = tests;
+    if (!editing) return;
+    const replaced = before.length > 0 && !tests.some(t => before.includes(t));
+    if (replaced || !tests.some(t => t.id === editingId)) finishEditing();
+  }, [tests]);
+
+  // Picking an environment pre-fills its base URL (still editable)
+  const handleEnvironmentChange = (e) => {
+    const name = e.target.value;
+    setEnvironment(name);
+    const env = environments.find(x => x.name === name);
+    if (env?.baseUrl) setTargetUrl(env.baseUrl);
+  };
 
   // Check validity instantly
   const isUrlValid = isValidUrl(targetUrl);
@@ -20,9 +91,30 @@ export default function TestList({ tests, onRun, isLoading }) {
   return (
     <div className="card">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
-        <h3>📝 Generated Cases ({tests.length})</h3>
+        <div>
+          <h3 style={{ marginBottom: suite ? '0.25rem' : undefined }}>📝 Generated Cases ({tests.length})</h3>
+          {suite && (
+            <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+              {suite.title}{suite.version ? ` v${suite.version}` : ''} · {suite.groups.length} operations
+            </div>
+          )}
+          <GenerationOutcome outcomes={suite ? suite.groups.map(g => g.generation) : [generation]} />
+        </div>
         <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
           
+          {environments.length > 0 && (
+            <select 
+              className="select" 
+              style={{ width: '150px' }} 
+              value={environment} 
+              onChange={handleEnvironmentChange}
+              title="Environment for {{variable}} substitution"
+            >
+              <option value="">No environment</option>
+              {environments.map(env => <option key={env.name} value={env.name}>{env.name}</option>)}
+            </select>
+          )}
+
           {/* URL Input with Visual Feedback */}
           <div style={{ position: 'relative' }}>
             <input 
@@ -39,30 +131,92 @@ export default function TestList({ tests, onRun, isLoading }) {
 
           <button 
             className="btn btn-primary" 
-            onClick={() => onRun(targetUrl)} 
+            onClick={() => onRun(targetUrl, environment)} 
             disabled={isLoading || !isUrlValid} // ✅ Disable if URL is bad
             title={!isUrlValid ? "Please enter a valid URL (http://...)" : "Run Tests"}
           >
             {isLoading ? 'Running...' : 'Run Tests'}
           </button>
+
+          <button
+            className="btn"
+            style={{ background: '#f1f5f9' }}
+            onClick={() => onLearnSchemas(targetUrl, environment)}
+            disabled={isLoading || !isUrlValid || schemaReview?.status === 'learning'}
+            title="Run the valid cases and propose a response schema from what comes back"
+          >
+            <FileJson size={16} /> {schemaReview?.status === 'learning' ? 'Learning...' : 'Learn Schemas'}
+          </button>
         </div>
       </div>
 
+      <SchemaReview
+        review={schemaReview}
+        onRelearn={(options) => onLearnSchemas(schemaReview.targetUrl, schemaReview.environment, options)}
+        onStop={onStopLearning}
+        onApply={onApplySchemas}
+        onClose={onCloseSchemaReview}
+      />
+
+      <RunPolicy policy={policy} onChange={onPolicyChange} disabled={isLoading} />
+
       <div style={{ display: 'grid', gap: '0.5rem' }}>
-        {tests.map(test => (
+        {tests.map((test, index) => editingId === test.id ? (
+          <TestCaseEditor
+            key={test.id}
+            test={test}
+            takenIds={new Set(tests.filter((_, i) => i !== index).map(t => t.id))}
+            authProfiles={authProfiles}
+            onSave={(updated) => { onUpdate(index, updated); finishEditing(); }}
+            onCancel={() => cancelEditing(index)}
+          />
+        ) : (
           <div key={test.id} style={{ display: 'flex', alignItems: 'center', padding: '0.75rem', background: '#f8fafc', borderRadius: '6px', border: '1px solid #e2e8f0' }}>
             <div style={{ width: '30px', color: 'var(--text-muted)' }}>{icons[test.category] || icons.valid}</div>
-            <div style={{ width: '80px', fontWeight: 'bold', fontSize: '0.85rem' }}>{test.id}</div>
+            <div style={{ minWidth: '80px', fontWeight: 'bold', fontSize: '0.85rem' }}>{test.id}</div>
             <div style={{ flex: 1 }}>
+              {test.group && <span style={{ marginRight: '0.75rem', fontSize: '0.75rem', color: 'var(--text-muted)' }}>{test.group}</span>}
               <span className={`badge badge-${test.category}`}>{test.category}</span>
               <span style={{ marginLeft: '1rem', fontSize: '0.9rem' }}>{test.description}</span>
+              {test.auth && (
+                <span style={{ marginLeft: '0.75rem', fontSize: '0.75rem', color: 'var(--text-muted)' }} title="Auth profile for this case">
+                  🔑 {test.auth.mode === 'none' ? 'no auth' : `${test.auth.profile || 'default'}${test.auth.mode === 'invalid' ? ' (invalid)' : ''}`}
+                </span>
+              )}
             </div>
             <div style={{ fontSize: '0.85rem', fontWeight: 'bold', color: 'var(--text-muted)' }}>
-              Expect: {test.expected_response.status}
+              {test.type === 'flow'
+                ? `Flow: ${test.steps.length} steps`
+                : <>Expect: {[].concat(test.expected_response.status).join(' | ')}{test.expected_response.schema ? ' + schema' : ''}</>}
+            </div>
+            <div style={{ display: 'flex', marginLeft: '0.75rem' }}>
+              <button style={iconBtn} title="Edit" disabled={isLoading || editing} onClick={() => setEditingId(test.id)}><Pencil size={15} /></button>
+              <button style={iconBtn} title="Duplicate" disabled={isLoading || editing} onClick={() => onDuplicate(index)}><Copy size={15} /></button>
+              <button style={iconBtn} title="Move up" disabled={isLoading || editing || index === 0} onClick={() => onMove(index, -1)}><ArrowUp size={15} /></button>
+              <button style={iconBtn} title="Move down" disabled={isLoading || editing || index === tests.length - 1} onClick={() => onMove(index, 1)}><ArrowDown size={15} /></button>
+              <button style={iconBtn} title="Delete" disabled={isLoading || editing} onClick={() => onRemove(index)}><Trash2 size={15} /></button>
             </div>
           </div>
         ))}
       </div>
+
+      <button
+        className="btn"
+        style={{ marginTop: '0.75rem', width: '100%', justifyContent: 'center', background: '#f1f5f9' }}
+        disabled={isLoading || editing}
+        onClick={() => { const id = onAdd(); setEditingId(id); setDraftId(id); }}
+      >
+        <Plus size={16} /> Add Test Case
+      </button>
+
+      <LoadTestPanel
+        tests={tests}
+        loadTest={loadTest}
+        onStart={(options) => onLoadTest(options, targetUrl, environment)}
+        onStop={onStopLoadTest}
+        canStart={isUrlValid}
+        disabled={isLoading || editing}
+      />
     </div>
   );
 }
\ No newline at end of file
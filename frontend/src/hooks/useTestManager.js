@@ -1,5 +1,6 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import client from '../api/client';
+import { postEventStream } from '../api/stream';
 import { parseJsonInput } from '../utils/validators';
 
 export const useTestManager = () => {
@@ -8,17 +9,73 @@ export const useTestManager = () => {
     error: null,
     testCases: [],
     results: [],
-    summary: null
+    summary: null,
+    suite: null,
+    currentSuiteId: null,
+    currentSuiteName: null,
+    runId: null,
+    generation: null,
+    progress: null,
+    // run variables that came with imported cases (Postman collection variables)
+    variables: {},
+    // suite auth profiles ({ default, profiles }) and timeout / retry policy, saved with the suite
+    auth: null,
+    policy: null
   });
+  const [environments, setEnvironments] = useState([]);
+  const [savedSuites, setSavedSuites] = useState([]);
+  const [runHistory, setRunHistory] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [aiStatus, setAiStatus] = useState(null);
+  // { jobId, status, samples, report, error } for the current / last load test
+  const [loadTest, setLoadTest] = useState(null);
+  // { spec, jobId, status, progress, findings, report, error } for the fuzz panel
+  const [fuzz, setFuzz] = useState(null);
+  // { status, targetUrl, environment, options, proposals, summary, error } while learning / reviewing response schemas
+  const [schemaReview, setSchemaReview] = useState(null);
+
+  // Named environments are optional: a failed lookup just leaves the picker empty
+  useEffect(() => {
+    client.get('/environments')
+      .then(({ data }) => setEnvironments(data.environments || []))
+      .catch(() => setEnvironments([]));
+    client.get('/health')
+      .then(({ data }) => setAiStatus(data.ai || null))
+      .catch(() => setAiStatus(null));
+  }, []);
+
+  const refreshSuites = async () => {
+    try {
+      const { data } = await client.get('/suites');
+      setSavedSuites(data.suites || []);
+    } catch {
+      setSavedSuites([]);
+    }
+  };
+
+  const refreshRunHistory = async (suiteId) => {
+    setComparison(null);
+    if (!suiteId) return setRunHistory([]);
+    try {
+      const { data } = await client.get(`/suites/${suiteId}/runs`);
+      setRunHistory(data.runs || []);
+    } catch {
+      setRunHistory([]);
+    }
+  };
+
+  useEffect(() => {
+    refreshSuites();
+  }, []);
+
+  // Extract the most user-friendly error message available
+  const errorMessage = (err) => err.response?.data?.error 
+    || err.response?.data?.details?.[0]?.message // Zod validation details
+    || err.message 
+    || "Unknown error occurred";
 
   const handleError = (err) => {
-    // Extract the most user-friendly error message available
-    const message = err.response?.data?.error 
-      || err.response?.data?.details?.[0]?.message // Zod validation details
-      || err.message 
-      || "Unknown error occurred";
-    
-    setState(prev => ({ ...prev, isLoading: false, error: message }));
+    setState(prev => ({ ...prev, isLoading: false, error: errorMessage(err) }));
   };
 
   /**
@@ -38,6 +95,8 @@ export const useTestManager = () => {
       const body = specData.method !== 'GET' && specData.method !== 'DELETE' 
         ? parseJsonInput(specData.body, 'Request Body') 
         : {};
+      // Optional: rule-based boundary cases are generated from it
+      const schema = specData.schema?.trim() ? parseJsonInput(specData.schema, 'Body JSON Schema') : undefined;
 
       // 2. Prepare Payload
       const payload = {
@@ -46,51 +105,554 @@ export const useTestManager = () => {
           endpoint: specData.endpoint,
           expected_response: specData.expected_response,
           headers,
-          body
+          body,
+          schema,
+          generation: specData.generation
         
       };
 
-      // 3. Call API
-      const { data } = await client.post('/generate-tests', payload);
+      // 3. Stream from the API: cases appear in the list as the model writes them
+      setState(prev => ({
+        ...prev,
+        testCases: [],
+        variables: {},
+        generation: null,
+        suite: null,
+        currentSuiteId: null,
+        currentSuiteName: null
+      }));
+      setRunHistory([]);
+
+      let final = null;
+      let received = 0;
+      try {
+        await postEventStream('/generate-tests/stream', payload, (event, data) => {
+          if (event === 'case') {
+            received += 1;
+            setState(prev => ({ ...prev, testCases: [...prev.testCases, data.testCase] }));
+          } else if (event === 'done') {
+            final = data;
+          } else if (event === 'failed') {
+            throw new Error(data.error || 'Generation failed');
+          }
+        });
+      } catch (streamErr) {
+        // a dropped connection keeps whatever already arrived
+        if (!received) throw streamErr;
+      }
 
       // 4. Update State
-      setState(prev => ({ 
-        ...prev, 
-        isLoading: false, 
-        testCases: data.testCases 
+      if (final) {
+        setState(prev => ({
+          ...prev,
+          isLoading: false,
+          testCases: final.testCases,
+          generation: final.generation || null
+        }));
+      } else {
+        setState(prev => ({
+          ...prev,
+          isLoading: false,
+          error: `Generation stream ended early; kept the ${received} test cases received so far.`
+        }));
+      }
+
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  /**
+   * Generates a grouped suite from an OpenAPI 3 / Swagger 2 document.
+   * The raw file text (JSON or YAML) is parsed on the backend.
+   */
+  const importOpenApi = async (documentText, generation) => {
+    setState(prev => ({ ...prev, isLoading: true, error: null, results: [], summary: null }));
+
+    try {
+      // One AI generation per operation, so allow well beyond the default client timeout
+      const { data } = await client.post('/generate-tests/openapi', { document: documentText, generation }, { timeout: 600000 });
+
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        testCases: data.suite.groups.flatMap(g => g.testCases),
+        variables: {},
+        generation: null,
+        suite: data.suite,
+        currentSuiteId: null,
+        currentSuiteName: null
       }));
+      setRunHistory([]);
+    } catch (err) {
+      handleError(err);
+    }
+  };
 
+  /**
+   * Parses pasted cURL commands, a HAR export or a Postman collection.
+   * Resolves with the backend's { format, testCases, variables, warnings }
+   * (null on failure) so the caller can preview before loading.
+   */
+  const importRequests = async (source, format = 'auto') => {
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+    try {
+      const { data } = await client.post('/import', { source, format });
+      setState(prev => ({ ...prev, isLoading: false }));
+      return data;
     } catch (err) {
       handleError(err);
+      return null;
     }
   };
 
+  // Replaces the current cases with imported ones, or appends them with fresh ids
+  const loadImportedCases = ({ testCases, variables = {} }, append = false) => {
+    setState(prev => {
+      let list = append ? [...prev.testCases] : [];
+      for (const tc of testCases) list = [...list, { ...tc, id: nextTestId(list) }];
+      return {
+        ...prev,
+        testCases: list,
+        variables: append ? { ...prev.variables, ...variables } : variables,
+        results: [],
+        summary: null,
+        runId: null,
+        ...(append ? {} : { generation: null, suite: null, currentSuiteId: null, currentSuiteName: null })
+      };
+    });
+    if (!append) setRunHistory([]);
+  };
+
+  /**
+   * Follows a background job (run or load test) over Server-Sent Events,
+   * calling listeners[event](data) as events arrive. Resolves with the
+   * final "done" payload.
+   */
+  const followJob = (jobId, listeners = {}) => new Promise((resolve, reject) => {
+    const source = new EventSource(`${client.defaults.baseURL}/run-jobs/${jobId}/events`);
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      source.addEventListener(event, (e) => listener(JSON.parse(e.data)));
+    }
+    source.addEventListener('done', (e) => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+    source.addEventListener('failed', (e) => {
+      source.close();
+      reject(new Error(JSON.parse(e.data).error || 'Run failed'));
+    });
+    // EventSource retries dropped connections itself (replaying via Last-Event-ID);
+    // only give up once it has stopped trying
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) reject(new Error('Lost connection to the run progress stream'));
+    };
+  });
+
+  // Appends each result of an async run as it arrives
+  const streamRunJob = (jobId) => followJob(jobId, {
+    result: ({ result, completed, total }) => setState(prev => ({
+      ...prev,
+      results: [...prev.results, result],
+      progress: prev.progress && { ...prev.progress, completed, total }
+    }))
+  });
+
   /**
    * Executes the currently generated test cases against a target URL.
+   * An optional environment name resolves {{variables}} on the backend.
+   * Runs as a background job so results stream in and the run can be cancelled.
    */
-  const runTests = async (targetUrl) => {
+  const runTests = async (targetUrl, environment) => {
     if (!state.testCases.length) return;
     
-    setState(prev => ({ ...prev, isLoading: true, error: null }));
+    setState(prev => ({ ...prev, isLoading: true, error: null, results: [], summary: null, runId: null, progress: null }));
 
     try {
-      const { data } = await client.post('/run-tests', {
+      const { data: job } = await client.post('/run-tests', {
         testCases: state.testCases,
         targetUrl,
-        concurrency: 5 // Parallel execution limit
+        environment: environment || undefined,
+        variables: state.variables,
+        auth: state.auth ?? null,
+        policy: state.policy ?? null,
+        suiteId: state.currentSuiteId || undefined,
+        concurrency: 5, // Parallel execution limit
+        async: true
       });
+      setState(prev => ({ ...prev, progress: { jobId: job.jobId, completed: 0, total: job.total, cancelling: false } }));
+
+      const data = await streamRunJob(job.jobId);
 
       setState(prev => ({
         ...prev,
         isLoading: false,
         results: data.results,
-        summary: data.summary
+        summary: data.summary,
+        runId: data.runId,
+        progress: null
       }));
+      refreshRunHistory(state.currentSuiteId);
+    } catch (err) {
+      setState(prev => ({ ...prev, progress: null }));
+      handleError(err);
+    }
+  };
+
+  const cancelRun = async () => {
+    const jobId = state.progress?.jobId;
+    if (!jobId) return;
+    setState(prev => ({ ...prev, progress: prev.progress && { ...prev.progress, cancelling: true } }));
+    try {
+      await client.post(`/run-jobs/${jobId}/cancel`);
+    } catch (err) {
+      // 409: the run finished before the cancel arrived, nothing to do
+      if (err.response?.status !== 409) handleError(err);
+    }
+  };
+
+  /**
+   * Replays the current cases under load (see LoadTestPanel for `options`:
+   * mode, rate / vus, ramp-up, duration and which categories to replay).
+   * Timeline samples stream into loadTest.samples; the report lands in loadTest.report.
+   */
+  const runLoadTest = async (options, targetUrl, environment) => {
+    if (!state.testCases.length) return;
+    setLoadTest({ jobId: null, status: 'starting', samples: [], report: null, error: null });
+
+    try {
+      const { data: job } = await client.post('/load-tests', {
+        ...options,
+        testCases: state.testCases,
+        targetUrl,
+        environment: environment || undefined,
+        variables: state.variables,
+        auth: state.auth ?? null,
+        policy: state.policy ?? null
+      });
+      setLoadTest(prev => ({ ...prev, jobId: job.jobId, status: 'running' }));
+
+      const report = await followJob(job.jobId, {
+        sample: (sample) => setLoadTest(prev => prev && { ...prev, samples: [...prev.samples, sample] })
+      });
+      setLoadTest(prev => ({ ...prev, status: report.status, report }));
+    } catch (err) {
+      setLoadTest(prev => ({ ...prev, status: 'failed', error: errorMessage(err) }));
+    }
+  };
+
+  const stopLoadTest = async () => {
+    const jobId = loadTest?.jobId;
+    if (!jobId) return;
+    setLoadTest(prev => ({ ...prev, status: 'cancelling' }));
+    try {
+      await client.post(`/run-jobs/${jobId}/cancel`);
+    } catch (err) {
+      // 409: the load test finished before the cancel arrived
+      if (err.response?.status !== 409) setLoadTest(prev => ({ ...prev, error: errorMessage(err) }));
+    }
+  };
+
+  /**
+   * Opens the fuzz panel for the spec form's request (raw header / body
+   * strings, parsed here like generateTests does).
+   */
+  const openFuzz = (specData) => {
+    try {
+      const headers = parseJsonInput(specData.headers, 'Headers');
+      const body = ['POST', 'PUT', 'PATCH'].includes(specData.method) ? parseJsonInput(specData.body, 'Request Body') : undefined;
+      setFuzz({
+        spec: { method: specData.method, endpoint: specData.endpoint, headers, body, expected_response: specData.expected_response },
+        jobId: null,
+        status: 'idle',
+        progress: null,
+        findings: 0,
+        report: null,
+        error: null
+      });
     } catch (err) {
       handleError(err);
     }
   };
 
+  /**
+   * Fuzzes the open spec as a background job; `options` carries the payload
+   * families. The live counters come from "result" events, the grouped
+   * findings from the final report.
+   */
+  const runFuzz = async (options, targetUrl, environment) => {
+    if (!fuzz?.spec) return;
+    setFuzz(prev => ({ ...prev, jobId: null, status: 'starting', progress: null, findings: 0, report: null, error: null }));
+
+    try {
+      const { data: job } = await client.post('/fuzz-tests', {
+        ...fuzz.spec,
+        ...options,
+        targetUrl,
+        environment: environment || undefined,
+        variables: state.variables,
+        auth: state.auth ?? null,
+        policy: state.policy ?? null,
+        async: true
+      });
+      setFuzz(prev => ({ ...prev, jobId: job.jobId, status: 'running' }));
+
+      const report = await followJob(job.jobId, {
+        start: ({ total }) => setFuzz(prev => prev && { ...prev, progress: { completed: 0, total } }),
+        result: ({ completed, total, result }) => setFuzz(prev => prev && {
+          ...prev,
+          progress: { completed, total },
+          findings: prev.findings + result.findings.length
+        })
+      });
+      setFuzz(prev => prev && { ...prev, status: report.status, report });
+    } catch (err) {
+      setFuzz(prev => prev && { ...prev, status: 'failed', error: errorMessage(err) });
+    }
+  };
+
+  const stopFuzz = async () => {
+    const jobId = fuzz?.jobId;
+    if (!jobId) return;
+    setFuzz(prev => ({ ...prev, status: 'cancelling' }));
+    try {
+      await client.post(`/run-jobs/${jobId}/cancel`);
+    } catch (err) {
+      // 409: the fuzz run finished before the cancel arrived
+      if (err.response?.status !== 409) setFuzz(prev => ({ ...prev, error: errorMessage(err) }));
+    }
+  };
+
+  /**
+   * Runs the valid cases and infers a response schema from each one's
+   * actual body, as a background job ("result" events count the cases
+   * done). The proposals only land in the test cases once reviewed and
+   * applied (applySchemas); `options` is { runs, strict }.
+   */
+  const learnSchemas = async (targetUrl, environment, options = { runs: 1, strict: false }) => {
+    if (!state.testCases.length) return;
+    setSchemaReview({ status: 'learning', jobId: null, targetUrl, environment, options, progress: null, proposals: [], summary: null, error: null });
+
+    try {
+      const { data: job } = await client.post('/response-schemas/learn', {
+        testCases: state.testCases,
+        ...options,
+        targetUrl,
+        environment: environment || undefined,
+        variables: state.variables,
+        auth: state.auth ?? null,
+        policy: state.policy ?? null
+      });
+      setSchemaReview(prev => prev && { ...prev, jobId: job.jobId, progress: { completed: 0, total: job.cases } });
+
+      const data = await followJob(job.jobId, {
+        result: ({ completed, total }) => setSchemaReview(prev => prev && { ...prev, progress: { completed, total } })
+      });
+      setSchemaReview(prev => prev && { ...prev, status: 'ready', proposals: data.proposals, summary: data.summary });
+    } catch (err) {
+      setSchemaReview(prev => prev && { ...prev, status: 'failed', error: errorMessage(err) });
+    }
+  };
+
+  // Stops learning early; the cases done so far still come back for review
+  const stopLearning = async () => {
+    const jobId = schemaReview?.jobId;
+    if (!jobId) return;
+    setSchemaReview(prev => prev && { ...prev, cancelling: true });
+    try {
+      await client.post(`/run-jobs/${jobId}/cancel`);
+    } catch (err) {
+      // 409: learning finished before the cancel arrived
+      if (err.response?.status !== 409) setSchemaReview(prev => prev && { ...prev, error: errorMessage(err) });
+    }
+  };
+
+  // Closing the review while learning also stops the job
+  const closeSchemaReview = () => {
+    if (schemaReview?.status === 'learning' && schemaReview.jobId) {
+      client.post(`/run-jobs/${schemaReview.jobId}/cancel`).catch(() => {});
+    }
+    setSchemaReview(null);
+  };
+
+  // { [caseId]: schema } -> expected_response.schema of those cases
+  const applySchemas = (accepted) => {
+    setTestCases(list => list.map(t => (accepted[t.id]
+      ? { ...t, expected_response: { ...t.expected_response, schema: accepted[t.id] } }
+      : t)));
+    setSchemaReview(null);
+  };
+
+  /**
+   * Saves the current test cases: updates the loaded suite, or creates a new one.
+   */
+  const saveSuite = async (name) => {
+    if (!state.testCases.length) return;
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+    try {
+      // null (not left out) so removed auth profiles are removed from the saved suite too
+      const payload = { name, testCases: state.testCases, source: state.suite || undefined, auth: state.auth ?? null, policy: state.policy ?? null };
+      const { data } = state.currentSuiteId
+        ? await client.patch(`/suites/${state.currentSuiteId}`, payload)
+        : await client.post('/suites', payload);
+
+      setState(prev => ({ ...prev, isLoading: false, currentSuiteId: data.suite.id, currentSuiteName: data.suite.name }));
+      refreshSuites();
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  /**
+   * Loads a saved suite and its run history.
+   */
+  const loadSuite = async (id) => {
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+    try {
+      const { data } = await client.get(`/suites/${id}`);
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        testCases: data.suite.testCases,
+        variables: {},
+        auth: data.suite.auth || null,
+        policy: data.suite.policy || null,
+        generation: null,
+        suite: data.suite.source || null,
+        currentSuiteId: data.suite.id,
+        currentSuiteName: data.suite.name,
+        results: [],
+        summary: null,
+        runId: null
+      }));
+      refreshRunHistory(id);
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  const renameSuite = async (id, name) => {
+    try {
+      const { data } = await client.patch(`/suites/${id}`, { name });
+      setState(prev => prev.currentSuiteId === id ? { ...prev, currentSuiteName: data.suite.name } : prev);
+      refreshSuites();
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  const deleteSuite = async (id) => {
+    try {
+      await client.delete(`/suites/${id}`);
+      if (state.currentSuiteId === id) {
+        setState(prev => ({ ...prev, currentSuiteId: null, currentSuiteName: null }));
+        setRunHistory([]);
+      }
+      refreshSuites();
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  /**
+   * Shows the results of a past run from the history.
+   */
+  const loadRun = async (runId) => {
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+    try {
+      const { data } = await client.get(`/runs/${runId}`);
+      setState(prev => ({ ...prev, isLoading: false, results: data.run.results, summary: data.run.summary, runId }));
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  /**
+   * Diffs two runs of the current suite (defaults: latest vs previous)
+   * and looks for flaky tests over the recent history.
+   */
+  const compareRuns = async (baseRunId, headRunId) => {
+    if (!state.currentSuiteId) return;
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+    try {
+      const params = { base: baseRunId || undefined, head: headRunId || undefined };
+      const [{ data: diff }, { data: flaky }] = await Promise.all([
+        client.get(`/suites/${state.currentSuiteId}/compare`, { params }),
+        client.get(`/suites/${state.currentSuiteId}/flaky`, { params: { last: 10 } })
+      ]);
+      setComparison({ diff, flaky: flaky.flaky, runsConsidered: flaky.runsConsidered });
+      setState(prev => ({ ...prev, isLoading: false }));
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  /* -------------------------
+     Manual edits to the current test cases (sent as-is by runTests)
+  -------------------------*/
+  // Next free TC_### id, so hand-added cases never collide with generated ones
+  const nextTestId = (testCases, prefix = 'TC') => {
+    const ids = new Set(testCases.map(t => t.id));
+    let n = testCases.length + 1;
+    while (ids.has(`${prefix}_${String(n).padStart(3, '0')}`)) n += 1;
+    return `${prefix}_${String(n).padStart(3, '0')}`;
+  };
+
+  const setTestCases = (update) => {
+    setState(prev => ({ ...prev, testCases: update(prev.testCases) }));
+  };
+
+  const updateAuth = (auth) => {
+    setState(prev => ({ ...prev, auth }));
+  };
+
+  const updatePolicy = (policy) => {
+    setState(prev => ({ ...prev, policy }));
+  };
+
+  const updateTestCase = (index, testCase) => {
+    setTestCases(list => list.map((t, i) => (i === index ? testCase : t)));
+  };
+
+  // Returns the new case's id, so the list can open it for editing
+  const addTestCase = () => {
+    const id = nextTestId(state.testCases);
+    setTestCases(list => [...list, {
+      id,
+      category: 'valid',
+      description: 'New test case',
+      request: { method: 'GET', endpoint: '/', headers: {} },
+      expected_response: { status: 200 }
+    }]);
+    return id;
+  };
+
+  const duplicateTestCase = (index) => {
+    setTestCases(list => {
+      const copy = { ...structuredClone(list[index]), id: nextTestId(list) };
+      return [...list.slice(0, index + 1), copy, ...list.slice(index + 1)];
+    });
+  };
+
+  const removeTestCase = (index) => {
+    setTestCases(list => list.filter((_, i) => i !== index));
+  };
+
+  const moveTestCase = (index, offset) => {
+    setTestCases(list => {
+      const target = index + offset;
+      if (target < 0 || target >= list.length) return list;
+      const next = [...list];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
   /**
    * Resets the application state to initial values.
    */
@@ -100,14 +662,60 @@ export const useTestManager = () => {
       error: null, 
       testCases: [], 
       results: [], 
-      summary: null 
+      summary: null,
+      suite: null,
+      currentSuiteId: null,
+      currentSuiteName: null,
+      runId: null,
+      generation: null,
+      progress: null,
+      variables: {},
+      auth: null,
+      policy: null
     });
+    setRunHistory([]);
   };
 
   return {
     ...state,
+    environments,
+    savedSuites,
+    runHistory,
+    comparison,
+    aiStatus,
+    loadTest,
+    fuzz,
+    schemaReview,
     generateTests,
+    importOpenApi,
     runTests,
+    cancelRun,
+    runLoadTest,
+    stopLoadTest,
+    openFuzz,
+    runFuzz,
+    stopFuzz,
+    closeFuzz: () => setFuzz(null),
+    learnSchemas,
+    applySchemas,
+    stopLearning,
+    closeSchemaReview,
+    saveSuite,
+    loadSuite,
+    renameSuite,
+    deleteSuite,
+    loadRun,
+    compareRuns,
+    importRequests,
+    loadImportedCases,
+    updateAuth,
+    updatePolicy,
+    updateTestCase,
+    addTestCase,
+    duplicateTestCase,
+    removeTestCase,
+    moveTestCase,
+    clearComparison: () => setComparison(null),
     clearAll
   };
 };
\ No newline at end of file